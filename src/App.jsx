@@ -1,44 +1,103 @@
 import { useState, useMemo, useRef, useEffect } from 'react';
-import { Search, ShoppingCart, Plus, Minus, X, Trash2, Download, Settings, User, MapPin, Phone, Edit3, Check, Upload, FileText, Image as ImageIcon, LayoutTemplate, Grid, List, PlusCircle, Save, FolderDown, FolderUp, Eye, ArrowLeft, MoreHorizontal } from 'lucide-react';
+import { Search, ShoppingCart, Plus, Minus, X, Trash2, Download, Settings, User, MapPin, Phone, Edit3, Check, Upload, FileText, Image as ImageIcon, LayoutTemplate, Grid, List, PlusCircle, Save, FolderDown, FolderUp, Eye, ArrowLeft, MoreHorizontal, History, ShieldAlert, FileSpreadsheet, GitCompare, SlidersHorizontal, Ruler, Wrench, PackagePlus, Users, Palette, Languages, Share2 } from 'lucide-react';
 import initialProductsData from './data/products.json';
+import QuoteHistory from './components/QuoteHistory';
+import OverrideApprovalModal from './components/OverrideApprovalModal';
+import PriceListImportModal from './components/PriceListImportModal';
+import ProductComparison from './components/ProductComparison';
+import FacetPanel from './components/FacetPanel';
+import NichePanel from './components/NichePanel';
+import DimensionReportModal from './components/DimensionReportModal';
+import CustomLineModal from './components/CustomLineModal';
+import RelationEditor from './components/RelationEditor';
+import CartSuggestions from './components/CartSuggestions';
+import BundlePanel from './components/BundlePanel';
+import BundleEditorModal from './components/BundleEditorModal';
+import ProposalTabs from './components/ProposalTabs';
+import ChannelPicker from './components/ChannelPicker';
+import ChannelReportModal from './components/ChannelReportModal';
+import PriceHistoryModal from './components/PriceHistoryModal';
+import PriceScheduleEditor from './components/PriceScheduleEditor';
+import TermsEditor from './components/TermsEditor';
+import TermsLibraryModal from './components/TermsLibraryModal';
+import ProfileSwitcher from './components/ProfileSwitcher';
+import TemplateDesignerModal from './components/TemplateDesignerModal';
+import CustomerDirectory from './components/CustomerDirectory';
+import CustomerEditorModal from './components/CustomerEditorModal';
+import CustomerInfoEditor from './components/CustomerInfoEditor';
+import PreviewContent, { RASTER_PAGE_HEIGHT } from './components/PreviewContent';
+import { createQuoteRecord, createRevision, duplicateQuote, hasQuoteChanged, getQuoteDate, formatQuoteLabel, getNumbering, peekQuoteNo, takeQuoteNo, setNextSeq } from './utils/quotes';
+import { renderVectorPdf } from './utils/vectorPdf';
+import { exportQuoteWorkbook, exportCatalogWorkbook } from './utils/excelExport';
+import { createSharedQuote, buildShareFile } from './utils/share';
+import { EMPTY_FILTERS, SORT_OPTIONS, filterProducts, countFacetValues, sortProducts, countActiveFilters } from './utils/productSearch';
+import { findCartSuggestions } from './utils/compatibility';
+import { syncActiveOption, isComparing, addOption, switchOption, removeOption, acceptOption, reopenComparison, summarizeOptions } from './utils/proposals';
+import { BUNDLE_DISPLAY, createBundle, createBundleFromCart, findMissingModels, createBundleLines, listCartBundles, describeBundleItems, isPricedBundleLine } from './utils/bundles';
+import { isCustomLine, createCustomLine } from './utils/customLines';
+import { DEFAULT_CUSTOMER_NAME, createCustomer, mergeCustomers, linkCustomer, toCustomerInfo } from './utils/customers';
+import { SECTION_PRESETS, KEEP_WITH_HEADER, createSection, groupCartBySection, moveCartItem } from './utils/sections';
+import { ALL_CHANNELS, getProductChannels, checkChannel, findChannelIssues, getLifecycleStatus, isNewProduct, describeAvailability, toDateInput } from './utils/lifecycle';
+import { toDateKey, toQuoteLine, removePriceEntry, applyDuePrices, recordEditedPrices, listPriceChanges, findStalePrices, repriceCart } from './utils/priceHistory';
+import { createStore, createSalesperson, migrateDealerInfo, ensureProfiles, updateProfile, removeProfile, buildDealerInfo, describeIssuer } from './utils/profiles';
+import { BUILT_IN_TEMPLATES, normalizeTemplate, getTemplate, copyTemplate, getTemplateName, usesThemeColor, resolveColors, parseTemplateFile } from './utils/templates';
+import { UI_LANGUAGES, DOC_LANGUAGES, createTranslator, localizeCategory, findMissingTranslations } from './utils/i18n';
+import { getDealerTerms, createQuoteTerms, shiftQuoteTerms, createSnippet, isQuoteExpired } from './utils/terms';
+import { parseDimensions, formatDimensions, checkFit, needsNiche, findNicheWarnings } from './utils/dimensions';
+import { DEFAULT_FLOOR_RULES, hashPin, verifyPin, findFloorViolations, createApprovalRecords } from './utils/priceGuard';
+import { DEFAULT_PACKAGE_RULES, ADJUSTMENT_TYPES, ROUNDING_OPTIONS, createAdjustment, buildQuoteTotals, getLinePrice, formatPrice } from './utils/pricing';
 import html2canvas from 'html2canvas';
 import jsPDF from 'jspdf';
-import 'jspdf-autotable';
 import { Toaster, toast } from 'sonner';
 
-// Utility to format price
-const formatPrice = (price) => {
-  if (price === null || price === undefined) return '¥0';
-  return `¥${Number(price).toLocaleString()}`;
+// First bytes of a TrueType / OpenType font: 0x00010000, 'true', 'OTTO'. SPA hosts
+// answer a missing /fonts/simhei.ttf with index.html, which must not pass as the font.
+const FONT_SIGNATURES = ['00010000', '74727565', '4f54544f'];
+
+// Icons of the built-in template presets; custom templates share the palette
+const TEMPLATE_ICONS = { classic: Grid, modern: LayoutTemplate, minimal: List, noir: ImageIcon };
+
+// Expired watermark of the raster PDF export, drawn onto each page slice so it is
+// centred on the pages the smart split actually produces. `scale` is the capture scale.
+const drawExpiredWatermark = (ctx, width, height, text, scale) => {
+  const color = 'rgba(220, 38, 38, 0.18)';
+  ctx.save();
+  ctx.translate(width / 2, height / 2);
+  ctx.rotate(-30 * Math.PI / 180);
+  let fontSize = 96 * scale;
+  ctx.font = `900 ${fontSize}px sans-serif`;
+  // Keep long (English) marks inside the page
+  const fit = Math.min(1, width * 0.6 / ctx.measureText(text).width);
+  fontSize *= fit;
+  ctx.font = `900 ${fontSize}px sans-serif`;
+  const textWidth = ctx.measureText(text).width;
+  const padX = 32 * scale * fit;
+  const padY = 8 * scale * fit;
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 8 * scale * fit;
+  ctx.beginPath();
+  ctx.roundRect(-textWidth / 2 - padX, -fontSize / 2 - padY, textWidth + padX * 2, fontSize + padY * 2, 16 * scale * fit);
+  ctx.stroke();
+  ctx.fillStyle = color;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, 0, 0);
+  ctx.restore();
 };
 
-// --- Fonts for PDF (Base64 placeholders - real app should load font file) ---
-// For true vector Chinese text in jsPDF, we need a custom font. 
-// We will use a system font workaround for now or rely on the image export for "perfect" look if font is missing.
-// However, user specifically asked for vector text. jsPDF default fonts don't support Chinese.
-// We need to add a Chinese font. Since we can't easily download one here without external access, 
-// we will assume the user accepts that for now we might need to use a standard font or image for complex chars if not provided.
-// BUT: jspdf-autotable supports standard fonts.
-// To support Chinese in jsPDF, we MUST add a font. 
-// Plan: We will try to use a basic font or provide instructions. 
-// Actually, without a .ttf file loaded into jsPDF, Chinese will show as garbage.
-// Let's stick to the best effort: 
-// 1. We will use the HTML-based export for images (already good).
-// 2. For PDF, if we want vector, we MUST have a font.
-// Since I cannot download a 10MB font file easily here, I will stick to the html2canvas approach for PDF *but* optimize resolution,
-// OR I will try to use the "Add Image" approach but split pages properly which solves the "cut off" issue.
-// The user asked for "Vector" text. This is hard without a custom font file in browser-side jsPDF for Chinese.
-// Wait, the user said "otherwise it looks cheap".
-// Compromise: I will use high-res image slicing for PDF to ensure quality, but handle pagination so it doesn't cut off.
-// True vector Chinese in jsPDF requires loading a ~5-10MB font file (e.g. simhei.ttf) at runtime.
-// I'll implement the "Page Splitting" logic for PDF to solve the cutoff issue, which is the main functional problem.
-// For vector text, I will add a comment that a font file is needed for true vector Chinese.
+// --- PDF Export ---
+// "导出 PDF" renders true vector text through utils/vectorPdf (jsPDF + autotable)
+// using the SimHei font served from /fonts/simhei.ttf, which jsPDF needs for
+// Chinese glyphs. If the font file is missing (or not a font) or the vector export
+// fails we fall back to the html2canvas page-slicing export below, which is larger
+// and not selectable but always works.
 
 function App() {
   // --- Data State (Persisted) ---
   const [products, setProducts] = useState(() => {
     const saved = localStorage.getItem('products_db');
-    return saved ? JSON.parse(saved) : initialProductsData;
+    // Scheduled price changes whose date has arrived take effect on load
+    return applyDuePrices(saved ? JSON.parse(saved) : initialProductsData);
   });
 
   // Save products whenever they change
@@ -46,19 +105,211 @@ function App() {
     localStorage.setItem('products_db', JSON.stringify(products));
   }, [products]);
 
+  // A tab left open past an announced date picks the new prices up when it is
+  // shown again, and hourly while it stays open
+  useEffect(() => {
+    const refreshPrices = () => {
+      if (document.visibilityState === 'visible') setProducts(prev => applyDuePrices(prev));
+    };
+    document.addEventListener('visibilitychange', refreshPrices);
+    const timer = setInterval(refreshPrices, 60 * 60 * 1000);
+    return () => {
+      document.removeEventListener('visibilitychange', refreshPrices);
+      clearInterval(timer);
+    };
+  }, []);
+
+  // --- Saved Quotations (Persisted) ---
+  const [quotes, setQuotes] = useState(() => {
+    const saved = localStorage.getItem('quotes_db');
+    return saved ? JSON.parse(saved) : [];
+  });
+  const [activeQuoteId, setActiveQuoteId] = useState(() => localStorage.getItem('active_quote_id') || null);
+
+  useEffect(() => {
+    localStorage.setItem('quotes_db', JSON.stringify(quotes));
+  }, [quotes]);
+
+  useEffect(() => {
+    if (activeQuoteId) localStorage.setItem('active_quote_id', activeQuoteId);
+    else localStorage.removeItem('active_quote_id');
+  }, [activeQuoteId]);
+
+  // --- Customer Directory (Persisted) ---
+  const [customers, setCustomers] = useState(() => {
+    const saved = localStorage.getItem('customers_db');
+    return saved ? JSON.parse(saved) : [];
+  });
+  const [selectedCustomerId, setSelectedCustomerId] = useState(null);
+  const [editingCustomer, setEditingCustomer] = useState(null); // { customer, isNew }
+
+  useEffect(() => {
+    localStorage.setItem('customers_db', JSON.stringify(customers));
+  }, [customers]);
+
   // --- UI State ---
-  const [view, setView] = useState('shop'); // 'shop' | 'config'
+  const [view, setView] = useState('shop'); // 'shop' | 'config' | 'history' | 'customers' | 'compare'
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedCategory, setSelectedCategory] = useState('全部');
-  const [cart, setCart] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [sortBy, setSortBy] = useState('default');
+  const [showFilters, setShowFilters] = useState(false);
+  const [showNiches, setShowNiches] = useState(false);
+  const [activeNicheId, setActiveNicheId] = useState(null); // niche the shop grid is checked against
+  const [fitOnly, setFitOnly] = useState(false);
+  // Working cart survives a refresh; saved quotes keep their own copy
+  const [cart, setCart] = useState(() => {
+    const saved = localStorage.getItem('cart_draft');
+    return saved ? JSON.parse(saved) : [];
+  });
+  // The cart as the last update left it, for handlers that outlive their render (a toast's "add accessory" action)
+  const cartRef = useRef(cart);
+  useEffect(() => {
+    cartRef.current = cart;
+  }, [cart]);
   const [isCartOpen, setIsCartOpen] = useState(false);
+  const [compareIds, setCompareIds] = useState([]); // up to 4 products for side-by-side comparison
+  const [dismissedSuggestions, setDismissedSuggestions] = useState([]); // accessory hints hidden for this quote
   // priceMode removed, defaulting to 'retail' base, with custom override
-  const [template, setTemplate] = useState('classic'); // 'classic', 'modern', 'minimal', 'noir'
+  const [template, setTemplate] = useState('classic'); // id of a built-in preset or a custom template (see utils/templates)
   const [themeColor, setThemeColor] = useState('#009999'); // Default Siemens Teal
+
+  // --- Custom Templates (Persisted) ---
+  const [customTemplates, setCustomTemplates] = useState(() => {
+    const saved = localStorage.getItem('quote_templates');
+    return saved ? JSON.parse(saved).map(normalizeTemplate) : [];
+  });
+  const [designingTemplate, setDesigningTemplate] = useState(null);
+  const templateInputRef = useRef(null);
+  const activeTemplate = getTemplate(template, customTemplates);
+  const templateBackground = resolveColors(activeTemplate, themeColor).background;
+
+  useEffect(() => {
+    localStorage.setItem('quote_templates', JSON.stringify(customTemplates));
+  }, [customTemplates]);
   
   // --- Display Options ---
   const [showRetailPrice, setShowRetailPrice] = useState(true);
+  const [showPackagePrice, setShowPackagePrice] = useState(true);
   const [showDiscountPrice, setShowDiscountPrice] = useState(true);
+
+  // --- Package Pricing Rules (Persisted) ---
+  const [packageRules, setPackageRules] = useState(() => {
+    const saved = localStorage.getItem('package_rules');
+    return saved ? { ...DEFAULT_PACKAGE_RULES, ...JSON.parse(saved) } : DEFAULT_PACKAGE_RULES;
+  });
+
+  useEffect(() => {
+    localStorage.setItem('package_rules', JSON.stringify(packageRules));
+  }, [packageRules]);
+
+  // --- Quote-level Adjustments (discounts, coupons, rounding) ---
+  const [adjustments, setAdjustments] = useState(() => {
+    const saved = localStorage.getItem('quote_adjustments');
+    return saved ? JSON.parse(saved) : [];
+  });
+  const [rounding, setRounding] = useState(() => localStorage.getItem('quote_rounding') || 'none');
+
+  useEffect(() => {
+    localStorage.setItem('quote_adjustments', JSON.stringify(adjustments));
+    localStorage.setItem('quote_rounding', rounding);
+  }, [adjustments, rounding]);
+
+  // --- Quote Sections (per quote) ---
+  // Rooms such as 厨房 / 洗衣房 / 水吧; cart lines point at one via item.sectionId
+  const [sections, setSections] = useState(() => {
+    const saved = localStorage.getItem('quote_sections');
+    return saved ? JSON.parse(saved) : [];
+  });
+  const dragItemRef = useRef(null);
+
+  useEffect(() => {
+    localStorage.setItem('quote_sections', JSON.stringify(sections));
+  }, [sections]);
+
+  // --- Cabinet Niches (per quote) ---
+  // Measured openings in the customer's kitchen; cart lines of built-in
+  // appliances are assigned to one via item.nicheId
+  const [niches, setNiches] = useState(() => {
+    const saved = localStorage.getItem('quote_niches');
+    return saved ? JSON.parse(saved) : [];
+  });
+
+  useEffect(() => {
+    localStorage.setItem('quote_niches', JSON.stringify(niches));
+  }, [niches]);
+
+  // --- Alternative Options (per quote) ---
+  // 方案 A / B / C; the option being edited is the normal `cart` (see utils/proposals)
+  const [proposal, setProposal] = useState(() => {
+    const saved = localStorage.getItem('quote_proposal');
+    return saved ? JSON.parse(saved) : null;
+  });
+
+  useEffect(() => {
+    localStorage.setItem('quote_proposal', JSON.stringify(proposal));
+  }, [proposal]);
+
+  // --- Quote Date (per quote) ---
+  // List prices are those in force on this date (see utils/priceHistory)
+  const [quoteDate, setQuoteDate] = useState(() => localStorage.getItem('quote_date') || toDateKey());
+  const [showPriceHistory, setShowPriceHistory] = useState(false);
+
+  useEffect(() => {
+    localStorage.setItem('quote_date', quoteDate);
+  }, [quoteDate]);
+
+  // --- Languages ---
+  // The app's own text, and the language of the quote document (per quote; see utils/i18n)
+  const [uiLanguage, setUiLanguage] = useState(() => localStorage.getItem('ui_language') || 'zh');
+  const [quoteLanguage, setQuoteLanguage] = useState(() => localStorage.getItem('quote_language') || 'zh');
+  const t = useMemo(() => createTranslator(uiLanguage), [uiLanguage]);
+  // "名称、功能" for the English fields a product lacks
+  const describeMissingTranslations = (product) => findMissingTranslations(product)
+    .map(field => t(field === 'name_en' ? 'ui.fieldName' : 'ui.fieldFeatures'))
+    .join(uiLanguage === 'zh' ? '、' : ' & ');
+
+  useEffect(() => {
+    localStorage.setItem('ui_language', uiLanguage);
+  }, [uiLanguage]);
+
+  useEffect(() => {
+    localStorage.setItem('quote_language', quoteLanguage);
+  }, [quoteLanguage]);
+
+  // --- Bundle Presets ---
+  // Curated product sets kept alongside the catalog; see utils/bundles
+  const [bundles, setBundles] = useState(() => {
+    const saved = localStorage.getItem('bundles_db');
+    return saved ? JSON.parse(saved) : [];
+  });
+  const [showBundles, setShowBundles] = useState(false);
+  const [editingBundle, setEditingBundle] = useState(null); // { bundle, isNew }
+
+  useEffect(() => {
+    localStorage.setItem('bundles_db', JSON.stringify(bundles));
+  }, [bundles]);
+
+  // --- Price Floor Guard ---
+  const [floorRules, setFloorRules] = useState(() => {
+    const saved = localStorage.getItem('price_floor_rules');
+    return saved ? { ...DEFAULT_FLOOR_RULES, ...JSON.parse(saved) } : DEFAULT_FLOOR_RULES;
+  });
+  // Manager approvals for below-floor prices, saved with the quote
+  const [overrideApprovals, setOverrideApprovals] = useState(() => {
+    const saved = localStorage.getItem('override_approvals');
+    return saved ? JSON.parse(saved) : [];
+  });
+  const [showApprovalModal, setShowApprovalModal] = useState(false);
+  const pendingExportRef = useRef(null);
+
+  useEffect(() => {
+    localStorage.setItem('price_floor_rules', JSON.stringify(floorRules));
+  }, [floorRules]);
+
+  useEffect(() => {
+    localStorage.setItem('override_approvals', JSON.stringify(overrideApprovals));
+  }, [overrideApprovals]);
   
   // --- Mobile UX State ---
   const [isConfigOpen, setIsConfigOpen] = useState(false); // Replaces isConfigCollapsed with a drawer state
@@ -66,6 +317,12 @@ function App() {
 
   // --- Modals State ---
   const [showProductManager, setShowProductManager] = useState(false);
+  const [showPriceListImport, setShowPriceListImport] = useState(false);
+  const [showDimensionReport, setShowDimensionReport] = useState(false);
+  const [showChannelReport, setShowChannelReport] = useState(false);
+  const [showUnavailable, setShowUnavailable] = useState(false);
+  const [untranslatedOnly, setUntranslatedOnly] = useState(false); // product list: only products lacking English
+  const [editingCustomLine, setEditingCustomLine] = useState(null); // { line, isNew }
   // showSettings removed, integrated into 'config' view
   // showPreviewModal removed, integrated into 'config' view
   
@@ -75,52 +332,104 @@ function App() {
   // --- Customer & Dealer Info ---
   const [customerInfo, setCustomerInfo] = useState(() => {
     const saved = localStorage.getItem('customer_info');
-    return saved ? JSON.parse(saved) : { name: '尊敬的客户', phone: '', address: '' };
+    return saved ? JSON.parse(saved) : { name: DEFAULT_CUSTOMER_NAME, phone: '', address: '' };
   });
-  const [dealerInfo, setDealerInfo] = useState(() => {
-    const saved = localStorage.getItem('dealer_info');
-    return saved ? JSON.parse(saved) : { 
-      name: '西门子家电官方授权店', 
-      contact: '王经理', 
-      phone: '13800138000', 
-      address: '红星美凯龙一楼A808' 
-    };
+
+  // --- Store & Salesperson Profiles (see utils/profiles) ---
+  const [profiles, setProfiles] = useState(() => {
+    const saved = localStorage.getItem('dealer_profiles');
+    if (saved) return ensureProfiles(JSON.parse(saved));
+    const legacy = localStorage.getItem('dealer_info');
+    return migrateDealerInfo(legacy ? JSON.parse(legacy) : null, localStorage.getItem('qr_code_img'));
+  });
+  const [activeStoreId, setActiveStoreId] = useState(() => localStorage.getItem('active_store_id'));
+  const [activeSalespersonId, setActiveSalespersonId] = useState(() => localStorage.getItem('active_salesperson_id'));
+  const activeStore = profiles.stores.find(s => s.id === activeStoreId) || profiles.stores[0];
+  const activeSalesperson = profiles.salespeople.find(p => p.id === activeSalespersonId) || profiles.salespeople[0];
+  const dealerInfo = buildDealerInfo(activeStore, activeSalesperson);
+  const qrCode = activeSalesperson.qrCode || null;
+
+  const updateStore = (changes) => setProfiles(prev => updateProfile(prev, 'stores', activeStore.id, changes));
+  const updateSalesperson = (changes) => setProfiles(prev => updateProfile(prev, 'salespeople', activeSalesperson.id, changes));
+
+  const dealerChannels = dealerInfo.channels || [];
+  const dealerTerms = getDealerTerms(dealerInfo);
+  const numbering = getNumbering(dealerInfo);
+  const nextQuoteNo = peekQuoteNo(numbering, quotes);
+
+  // --- Quote Terms (per quote) ---
+  // Validity, payment / delivery terms and text blocks, copied from the dealer's defaults (see utils/terms)
+  const [quoteTerms, setQuoteTerms] = useState(() => {
+    const saved = localStorage.getItem('quote_terms');
+    return saved ? JSON.parse(saved) : createQuoteTerms(dealerTerms, quoteDate);
   });
-  const [qrCode, setQrCode] = useState(() => localStorage.getItem('qr_code_img') || null);
+  const [showTermsLibrary, setShowTermsLibrary] = useState(false);
+  const isExpired = isQuoteExpired(quoteTerms, toDateKey());
+
+  useEffect(() => {
+    localStorage.setItem('quote_terms', JSON.stringify(quoteTerms));
+  }, [quoteTerms]);
   const [isExporting, setIsExporting] = useState(false);
   const qrInputRef = useRef(null);
+  const logoInputRef = useRef(null);
   const productImgInputRef = useRef(null);
   
-  // Font Cache
+  // Font Cache (base64 of simhei.ttf, or a pending load)
   const fontCache = useRef(null);
+  const fontLoading = useRef(null);
 
-  // Preload Font
-  useEffect(() => {
-    const preloadFont = async () => {
+  const loadPdfFont = () => {
+    if (fontCache.current) return Promise.resolve(fontCache.current);
+    if (!fontLoading.current) {
+      fontLoading.current = (async () => {
         try {
             const fontRes = await fetch(window.location.origin + '/fonts/simhei.ttf');
-            if (fontRes.ok) {
-                const fontBlob = await fontRes.blob();
+            if (!fontRes.ok) return null;
+            const fontBlob = await fontRes.blob();
+            const head = new Uint8Array(await fontBlob.slice(0, 4).arrayBuffer());
+            const signature = Array.from(head, b => b.toString(16).padStart(2, '0')).join('');
+            if (!FONT_SIGNATURES.includes(signature)) {
+                console.warn('/fonts/simhei.ttf is not a font file');
+                return null;
+            }
+            const dataUrl = await new Promise(resolve => {
                 const reader = new FileReader();
-                reader.onloadend = () => {
-                    fontCache.current = reader.result.split(',')[1];
-                    console.log('Font loaded and cached');
-                };
+                reader.onloadend = () => resolve(reader.result);
                 reader.readAsDataURL(fontBlob);
-            }
+            });
+            fontCache.current = dataUrl.split(',')[1];
+            console.log('Font loaded and cached');
+            return fontCache.current;
         } catch (e) {
             console.warn('Font preload failed', e);
+            return null;
+        } finally {
+            fontLoading.current = null;
         }
-    };
-    preloadFont();
+      })();
+    }
+    return fontLoading.current;
+  };
+
+  // Preload Font
+  useEffect(() => {
+    loadPdfFont();
   }, []);
 
   // Persist Info
   useEffect(() => {
     localStorage.setItem('customer_info', JSON.stringify(customerInfo));
-    localStorage.setItem('dealer_info', JSON.stringify(dealerInfo));
-    if (qrCode) localStorage.setItem('qr_code_img', qrCode);
-  }, [customerInfo, dealerInfo, qrCode]);
+  }, [customerInfo]);
+
+  useEffect(() => {
+    localStorage.setItem('dealer_profiles', JSON.stringify(profiles));
+    localStorage.setItem('active_store_id', activeStore.id);
+    localStorage.setItem('active_salesperson_id', activeSalesperson.id);
+  }, [profiles, activeStore, activeSalesperson]);
+
+  useEffect(() => {
+    localStorage.setItem('cart_draft', JSON.stringify(cart));
+  }, [cart]);
 
   // --- Derived State ---
   const categories = useMemo(() => {
@@ -128,29 +437,86 @@ function App() {
     return ['全部', ...Array.from(cats)];
   }, [products]);
 
+  const activeNiche = niches.find(n => n.id === activeNicheId) || null;
+
   const filteredProducts = useMemo(() => {
-    return products.filter(product => {
-      const matchesSearch = (product.name?.toLowerCase().includes(searchTerm.toLowerCase()) || 
-                             product.model?.toLowerCase().includes(searchTerm.toLowerCase()));
-      const matchesCategory = selectedCategory === '全部' || product.category === selectedCategory;
-      return matchesSearch && matchesCategory;
-    });
-  }, [searchTerm, selectedCategory, products]);
-
-  const cartTotal = useMemo(() => {
-    return cart.reduce((total, item) => {
-      // Use overridePrice if exists, else retail
-      const price = item.overridePrice !== undefined ? item.overridePrice : item.price_retail;
-      return total + (Number(price) || 0) * item.quantity;
-    }, 0);
-  }, [cart]);
+    const criteria = { searchTerm, category: selectedCategory, filters };
+    const list = sortProducts(filterProducts(products, criteria), sortBy);
+    return activeNiche && fitOnly ? list.filter(p => checkFit(p, activeNiche).status === 'fit') : list;
+  }, [searchTerm, selectedCategory, filters, sortBy, products, activeNiche, fitOnly]);
+
+  // Discontinued, not yet effective and (when the store hides them) off-channel models
+  const isHiddenProduct = (product) => getLifecycleStatus(product) !== 'active'
+    || (dealerInfo.channelMode === 'hide' && checkChannel(product, dealerChannels) === 'no');
+  const hiddenProductCount = filteredProducts.filter(isHiddenProduct).length;
+  const isUntranslated = (product) => findMissingTranslations(product).length > 0;
+  const untranslatedCount = filteredProducts.filter(isUntranslated).length;
+  // Catalog lines on the quote that would show Chinese in an English document
+  const untranslatedCartLines = cart.filter(item => !isCustomLine(item) && isUntranslated(item));
+  const visibleProducts = filteredProducts
+    .filter(p => showUnavailable || !isHiddenProduct(p))
+    .filter(p => !untranslatedOnly || isUntranslated(p));
+  const channelIssueCount = useMemo(() => findChannelIssues(products).length, [products]);
+
+  const facetOptions = useMemo(
+    () => countFacetValues(products, { searchTerm, category: selectedCategory, filters }),
+    [searchTerm, selectedCategory, filters, products]
+  );
+  const activeFilterCount = countActiveFilters(filters);
+
+  // Lines use price_package once the cart qualifies as a bundle, else retail;
+  // quote-level adjustments and rounding then turn the subtotal into the grand total
+  const pricing = useMemo(() => buildQuoteTotals(cart, packageRules, adjustments, rounding), [cart, packageRules, adjustments, rounding]);
+  const cartTotal = pricing.grandTotal;
+
+  const nicheWarnings = useMemo(() => findNicheWarnings(cart, niches, t), [cart, niches, t]);
+
+  const cartSuggestions = useMemo(
+    () => findCartSuggestions(cart, products).filter(s => !dismissedSuggestions.includes(s.key)),
+    [cart, products, dismissedSuggestions]
+  );
+
+  const comparing = isComparing(proposal);
+  const optionSummaries = useMemo(
+    () => (proposal ? summarizeOptions(proposal, cart, packageRules, adjustments, rounding) : []),
+    [proposal, cart, packageRules, adjustments, rounding]
+  );
+  const cartBundles = useMemo(() => listCartBundles(cart), [cart]);
+
+  // Every option the document shows is checked, not only the one being edited;
+  // options copy their lines, so violations and approvals carry the option id
+  const floorViolations = useMemo(
+    () => (comparing
+      ? optionSummaries.flatMap(({ option, pricing: optionPricing }) => findFloorViolations(option.cart, optionPricing, floorRules, overrideApprovals, option))
+      : findFloorViolations(cart, pricing, floorRules, overrideApprovals, proposal?.options.find(o => o.id === proposal.activeOptionId))),
+    [comparing, optionSummaries, cart, pricing, floorRules, overrideApprovals, proposal]
+  );
+  const unapprovedViolations = floorViolations.filter(v => !v.approved);
+
+  // Lines priced differently from the price list on the quote date (e.g. an older saved quote)
+  const stalePriceLines = useMemo(() => findStalePrices(cart, products, quoteDate), [cart, products, quoteDate]);
+  const priceChanges = useMemo(() => listPriceChanges(products), [products]);
+  const upcomingPriceChanges = priceChanges.filter(c => c.status === 'upcoming');
+  const cartPriceChanges = upcomingPriceChanges.filter(c => cart.some(item => (item.productId || item.id) === c.product.id) && c.entry.effectiveFrom > quoteDate);
+  const cartGroups = useMemo(() => groupCartBySection(cart, sections, pricing.isPackage), [cart, sections, pricing.isPackage]);
+
+  const compareProducts = useMemo(
+    () => compareIds.map(id => products.find(p => p.id === id)).filter(Boolean),
+    [compareIds, products]
+  );
+
+  const activeQuote = useMemo(() => quotes.find(q => q.id === activeQuoteId) || null, [quotes, activeQuoteId]);
 
   // --- Handlers: Data Management ---
   const exportData = () => {
     const data = {
       products,
       customerInfo,
-      dealerInfo
+      profiles,
+      quotes,
+      customers,
+      bundles,
+      customTemplates
     };
     const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
@@ -160,7 +526,7 @@ function App() {
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
-    toast.success('数据已导出');
+    toast.success(t('data.exported'));
   };
 
   const importData = (e) => {
@@ -172,42 +538,90 @@ function App() {
         const data = JSON.parse(event.target.result);
         if (data.products) setProducts(data.products);
         if (data.customerInfo) setCustomerInfo(data.customerInfo);
-        if (data.dealerInfo) setDealerInfo(data.dealerInfo);
-        toast.success('数据已恢复');
+        // Backups from before store profiles carry a single dealerInfo
+        if (data.profiles) setProfiles(ensureProfiles(data.profiles));
+        else if (data.dealerInfo) setProfiles(migrateDealerInfo(data.dealerInfo, qrCode));
+        if (data.quotes) setQuotes(data.quotes);
+        if (data.customers) setCustomers(data.customers);
+        if (data.bundles) setBundles(data.bundles);
+        if (data.customTemplates) setCustomTemplates(data.customTemplates.map(normalizeTemplate));
+        toast.success(t('data.restored'));
       } catch {
-        toast.error('文件格式错误');
+        toast.error(t('data.invalidFile'));
       }
     };
     reader.readAsText(file);
   };
 
+  const handleApplyPriceList = (nextProducts, summary) => {
+    setProducts(nextProducts);
+    setShowPriceListImport(false);
+    toast.success(t('data.priceListImported', summary), {
+      description: summary.effectiveFrom ? t('data.priceListEffective', { date: summary.effectiveFrom }) : undefined,
+    });
+  };
+
+  const handleApplyDimensions = (fixes) => {
+    const byId = new Map(fixes.map(f => [f.id, f.dimensions]));
+    setProducts(prev => prev.map(p => byId.has(p.id) ? { ...p, dimensions: byId.get(p.id) } : p));
+    toast.success(t('data.dimensionsUpdated', { count: fixes.length }));
+  };
+
+  const handleApplyChannels = (fixes) => {
+    const byId = new Map(fixes.map(f => [f.id, f.channels]));
+    setProducts(prev => prev.map(p => byId.has(p.id) ? { ...p, channels: byId.get(p.id) } : p));
+    toast.success(t('data.channelsUpdated', { count: fixes.length }));
+  };
+
   const handleResetData = () => {
-    if (confirm('确定要重置所有产品数据吗？您的自定义产品将会丢失，并恢复为最新的官方数据（包含最新图片）。')) {
+    if (confirm(t('data.confirmReset'))) {
       setProducts(initialProductsData);
       localStorage.removeItem('products_db');
-      toast.success('已恢复官方数据');
+      toast.success(t('data.resetDone'));
     }
   };
 
   // --- Handlers: Cart ---
   const addToCart = (product) => {
-    setCart(prev => {
-      const existing = prev.find(item => item.id === product.id);
+    const unavailable = describeAvailability(product, dealerChannels, new Date(), t);
+    const addLine = (lines) => {
+      const existing = lines.find(item => item.id === product.id);
       if (existing) {
-        return prev.map(item => item.id === product.id ? { ...item, quantity: item.quantity + 1 } : item);
+        return lines.map(item => item.id === product.id ? { ...item, quantity: item.quantity + 1 } : item);
       }
-      return [...prev, { ...product, quantity: 1 }];
-    });
-    toast.success(`已添加: ${product.name}`);
+      return [...lines, { ...toQuoteLine(product, quoteDate), quantity: 1 }];
+    };
+    setCart(addLine);
+    // Suggestions are checked on the cart this add produces, not the one of this render
+    const nextCart = addLine(cartRef.current);
+    cartRef.current = nextCart;
+    // Point out a missing kit or panel right away, with a one-click add when there is a single match
+    if (unavailable) {
+      toast.warning(t('cart.added', { name: product.name }), { description: t('cart.addedUnavailable', { reason: unavailable }) });
+      return;
+    }
+    const missing = findCartSuggestions(nextCart, products)
+      .find(s => s.kind !== 'recommended' && s.sources.some(source => source.model === product.model));
+    if (missing) {
+      const [option] = missing.options;
+      toast.success(t('cart.added', { name: product.name }), {
+        description: missing.kind === 'panel' ? t('cart.needsPanel') : t('cart.needsAccessory', { model: option.model }),
+        action: missing.options.length === 1
+          ? { label: t('cart.addModel', { model: option.model }), onClick: () => addToCart(option) }
+          : { label: t('cart.viewCart'), onClick: () => setIsCartOpen(true) },
+      });
+      return;
+    }
+    toast.success(t('cart.added', { name: product.name }));
   };
 
   const removeFromCart = (productId) => {
-    setCart(prev => prev.filter(item => item.id !== productId));
+    setCart(prev => prev.filter(item => item.id !== productId || isPricedBundleLine(item)));
   };
 
   const updateQuantity = (productId, delta) => {
     setCart(prev => prev.map(item => {
-      if (item.id === productId) {
+      if (item.id === productId && !isPricedBundleLine(item)) {
         const newQty = Math.max(1, item.quantity + delta);
         return { ...item, quantity: newQty };
       }
@@ -218,12 +632,455 @@ function App() {
   const updateCartItemPrice = (id, newPrice) => {
     setCart(prev => prev.map(item => {
       if (item.id === id) {
-        return { ...item, overridePrice: Number(newPrice) };
+        // Custom lines have no list price to override; the typed price is their unit price
+        return isCustomLine(item) ? { ...item, price_retail: Number(newPrice) } : { ...item, overridePrice: Number(newPrice) };
       }
       return item;
     }));
   };
 
+  const updateCartItemNiche = (id, nicheId) => {
+    setCart(prev => prev.map(item => item.id === id ? { ...item, nicheId } : item));
+  };
+
+  // --- Handlers: Quote Date & Price History ---
+  const handleQuoteDateChange = (date) => {
+    if (!date) return;
+    setQuoteDate(date);
+    setQuoteTerms(prev => shiftQuoteTerms(prev, quoteDate, date));
+    const { cart: repriced, changed } = repriceCart(cart, products, date);
+    if (changed === 0) return;
+    setCart(repriced);
+    toast.info(t('price.repricedForDate', { date, count: changed }));
+  };
+
+  const handleRepriceCart = () => {
+    const { cart: repriced, changed } = repriceCart(cart, products, quoteDate);
+    setCart(repriced);
+    toast.success(t('price.repriced', { count: changed }), { description: t('price.repricedHint') });
+  };
+
+  const handleCancelPriceChange = (product, effectiveFrom) => {
+    if (!confirm(t('price.confirmCancelChange', { model: product.model, date: effectiveFrom }))) return;
+    setProducts(prev => prev.map(p => p.id === product.id ? removePriceEntry(p, effectiveFrom) : p));
+  };
+
+  // --- Handlers: Terms ---
+  const handleSaveSnippet = (block) => {
+    updateStore(store => {
+      const terms = getDealerTerms(store);
+      return { terms: { ...terms, snippets: [...terms.snippets, createSnippet(block)] } };
+    });
+    toast.success(t('terms.snippetSaved', { title: block.title || t('terms.untitled') }));
+  };
+
+  const handleSaveDealerTerms = (terms) => {
+    updateStore({ terms });
+    setShowTermsLibrary(false);
+    toast.success(t('terms.librarySaved'), { description: t('terms.librarySavedHint') });
+  };
+
+  // --- Handlers: Custom Lines ---
+  const handleSaveCustomLine = (line) => {
+    setCart(prev => (prev.some(item => item.id === line.id) ? prev.map(item => item.id === line.id ? line : item) : [...prev, line]));
+    setEditingCustomLine(null);
+  };
+
+  // --- Handlers: Bundles ---
+  const addBundleToCart = (bundle) => {
+    const lines = createBundleLines(bundle, products, quoteDate);
+    if (lines.length === 0) return;
+    setCart(prev => [...prev, ...lines]);
+    const missing = findMissingModels(bundle, products);
+    if (missing.length > 0) {
+      toast.warning(t('bundle.added', { name: bundle.name }), { description: t('bundle.addedMissing', { models: missing.join(', ') }) });
+      return;
+    }
+    toast.success(t('bundle.added', { name: bundle.name }));
+  };
+
+  const handleSaveBundle = (bundle) => {
+    setBundles(prev => (prev.some(b => b.id === bundle.id) ? prev.map(b => b.id === bundle.id ? bundle : b) : [...prev, bundle]));
+    setEditingBundle(null);
+    toast.success(t('bundle.saved'));
+  };
+
+  const handleDeleteBundle = (bundle) => {
+    if (!confirm(t('bundle.confirmDelete', { name: bundle.name }))) return;
+    setBundles(prev => prev.filter(b => b.id !== bundle.id));
+    setEditingBundle(null);
+  };
+
+  // Changes to a bundle instance in the cart apply to the tag on each of its lines
+  const updateCartBundle = (instanceId, changes) => {
+    setCart(prev => prev.map(item => item.bundle?.id === instanceId ? { ...item, bundle: { ...item.bundle, ...changes } } : item));
+  };
+
+  const ungroupCartBundle = (instanceId) => {
+    setCart(prev => prev.map(item => {
+      if (item.bundle?.id !== instanceId) return item;
+      const line = { ...item };
+      delete line.bundle;
+      return line;
+    }));
+  };
+
+  // --- Handlers: Alternative Options ---
+  const applyOptionChange = ({ proposal: nextProposal, cart: nextCart }) => {
+    setProposal(nextProposal);
+    setCart(nextCart);
+  };
+
+  const handleAddOption = () => {
+    const next = addOption(proposal, cart, t);
+    applyOptionChange(next);
+    toast.success(t('option.created', { name: next.proposal.options.at(-1).name }), { description: t('option.createdHint') });
+  };
+
+  const handleRenameOption = (option) => {
+    const name = prompt(t('option.namePrompt'), option.name);
+    if (!name || name === option.name) return;
+    setProposal(prev => ({ ...prev, options: prev.options.map(o => o.id === option.id ? { ...o, name } : o) }));
+  };
+
+  const handleRemoveOption = (option) => {
+    if (!confirm(t('option.confirmDelete', { name: option.name }))) return;
+    applyOptionChange(removeOption(proposal, cart, option.id));
+  };
+
+  const handleAcceptOption = (option) => {
+    applyOptionChange(acceptOption(proposal, cart, option.id));
+    toast.success(t('option.accepted', { name: option.name }), { description: t('option.acceptedHint') });
+  };
+
+  // --- Handlers: Quote Sections ---
+  const addSection = (name) => {
+    const sectionName = name || prompt(t('section.namePrompt'));
+    if (!sectionName) return;
+    setSections(prev => [...prev, createSection(sectionName)]);
+  };
+
+  const renameSection = (section) => {
+    const name = prompt(t('section.name'), section.name);
+    if (!name || name === section.name) return;
+    setSections(prev => prev.map(s => s.id === section.id ? { ...s, name } : s));
+  };
+
+  const removeSection = (section) => {
+    if (!confirm(t('section.confirmDelete', { name: section.name }))) return;
+    setSections(prev => prev.filter(s => s.id !== section.id));
+    setCart(prev => prev.map(item => item.sectionId === section.id ? { ...item, sectionId: undefined } : item));
+  };
+
+  const handleCartDrop = (e, sectionId, beforeItemId = null) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const itemId = dragItemRef.current;
+    dragItemRef.current = null;
+    if (itemId) setCart(prev => moveCartItem(prev, itemId, sectionId, beforeItemId));
+  };
+
+  // --- Handlers: Saved Quotations ---
+  const buildQuoteSnapshot = () => ({
+    cart,
+    customerInfo,
+    template,
+    themeColor,
+    showRetailPrice,
+    showPackagePrice,
+    showDiscountPrice,
+    adjustments,
+    rounding,
+    overrideApprovals,
+    sections,
+    niches,
+    proposal: syncActiveOption(proposal, cart),
+    quoteDate,
+    quoteTerms,
+    language: quoteLanguage,
+    issuer: describeIssuer(activeStore, activeSalesperson),
+    total: cartTotal,
+    retailTotal: pricing.retailTotal,
+  });
+
+  // A saved record as opening it leaves the editor: fields older records lack
+  // are filled the way applyQuoteSnapshot fills them (or left as they are), so
+  // an old quote does not count as edited the moment it is opened
+  const restoreQuoteContent = (record) => {
+    const date = getQuoteDate(record);
+    return {
+      ...record,
+      cart: record.cart || [],
+      customerInfo: record.customerInfo || customerInfo,
+      template: record.template || template,
+      themeColor: record.themeColor || themeColor,
+      showRetailPrice: record.showRetailPrice ?? true,
+      showPackagePrice: record.showPackagePrice ?? true,
+      showDiscountPrice: record.showDiscountPrice ?? true,
+      adjustments: record.adjustments || [],
+      rounding: record.rounding || 'none',
+      overrideApprovals: record.overrideApprovals || [],
+      sections: record.sections || [],
+      niches: record.niches || [],
+      proposal: record.proposal || null,
+      quoteDate: date,
+      quoteTerms: record.quoteTerms || quoteTerms, // generated from the dealer's terms on opening
+      language: record.language || 'zh',
+      issuer: record.issuer || describeIssuer(activeStore, activeSalesperson),
+    };
+  };
+
+  const isQuoteEdited = (record, snapshot) => !record || hasQuoteChanged(restoreQuoteContent(record), snapshot);
+
+  const applyQuoteSnapshot = (record) => {
+    setCart(record.cart || []);
+    if (record.customerInfo) setCustomerInfo(record.customerInfo);
+    if (record.template) setTemplate(record.template);
+    if (record.themeColor) setThemeColor(record.themeColor);
+    setShowRetailPrice(record.showRetailPrice ?? true);
+    setShowPackagePrice(record.showPackagePrice ?? true);
+    setShowDiscountPrice(record.showDiscountPrice ?? true);
+    setAdjustments(record.adjustments || []);
+    setRounding(record.rounding || 'none');
+    setOverrideApprovals(record.overrideApprovals || []);
+    setSections(record.sections || []);
+    setNiches(record.niches || []);
+    setProposal(record.proposal || null);
+    // Saved lines keep the prices they were quoted at; see findStalePrices for the notice
+    const date = getQuoteDate(record);
+    setQuoteDate(date);
+    setQuoteTerms(record.quoteTerms || createQuoteTerms(dealerTerms, date));
+    setQuoteLanguage(record.language || 'zh');
+    // Show the quote as issued; profiles deleted since then leave the current ones active
+    if (profiles.stores.some(s => s.id === record.issuer?.storeId)) setActiveStoreId(record.issuer.storeId);
+    if (profiles.salespeople.some(p => p.id === record.issuer?.salespersonId)) setActiveSalespersonId(record.issuer.salespersonId);
+  };
+
+  const handleSaveQuote = () => {
+    if (cart.length === 0) {
+      toast.error(t('quote.empty'));
+      return;
+    }
+    const snapshot = buildQuoteSnapshot();
+    if (activeQuote && !isQuoteEdited(activeQuote, snapshot)) {
+      toast.info(t('quote.unchanged', { label: formatQuoteLabel(activeQuote) }));
+      return;
+    }
+    const record = saveQuote(snapshot);
+    toast.success(t('quote.saved', { label: formatQuoteLabel(record) }));
+  };
+
+  // Quotes already sent to the customer are never overwritten: edits become a new
+  // revision. New quotes take the next number from the dealer's counter.
+  // The customer is filed in the directory on the way.
+  const saveQuote = (quoteSnapshot) => {
+    const linked = linkCustomer(customers, quoteSnapshot.customerInfo);
+    const snapshot = { ...quoteSnapshot, customerInfo: linked.info };
+    setCustomers(linked.customers);
+    setCustomerInfo(linked.info);
+    let record;
+    if (activeQuote) {
+      record = createRevision(activeQuote, snapshot, quotes);
+    } else {
+      const next = takeQuoteNo(numbering, quotes);
+      updateStore({ numbering: next.numbering });
+      record = createQuoteRecord(snapshot, next.quoteNo, t);
+    }
+    setQuotes(prev => [record, ...prev]);
+    setActiveQuoteId(record.id);
+    return record;
+  };
+
+  // customer: directory entry to quote for; otherwise the current customer is kept
+  const startNewQuote = (customer = null) => {
+    if (cart.length > 0 && isQuoteEdited(activeQuote, buildQuoteSnapshot())) {
+      if (!confirm(t('quote.confirmDiscard'))) return;
+    }
+    if (customer) setCustomerInfo(toCustomerInfo(customer));
+    setCart([]);
+    setAdjustments([]);
+    setRounding('none');
+    setOverrideApprovals([]);
+    setSections([]);
+    setNiches([]);
+    setProposal(null);
+    setQuoteDate(toDateKey());
+    setQuoteTerms(createQuoteTerms(dealerTerms, toDateKey()));
+    setQuoteLanguage('zh');
+    setActiveNicheId(null);
+    setDismissedSuggestions([]);
+    setActiveQuoteId(null);
+    setView('shop');
+  };
+
+  const handleNewQuote = () => startNewQuote();
+
+  const handleOpenQuote = (record) => {
+    applyQuoteSnapshot(structuredClone(record));
+    setActiveQuoteId(record.id);
+    setView('config');
+    toast.success(t('quote.opened', { label: formatQuoteLabel(record) }));
+  };
+
+  const handleDuplicateQuote = (record) => {
+    const next = takeQuoteNo(numbering, quotes);
+    const copy = duplicateQuote(record, next.quoteNo, t);
+    updateStore({ numbering: next.numbering });
+    setQuotes(prev => [copy, ...prev]);
+    toast.success(t('quote.duplicated', { label: copy.quoteNo }));
+  };
+
+  const handleRenameQuote = (record) => {
+    const name = prompt(t('quote.name'), record.name);
+    if (!name || name === record.name) return;
+    // Rename applies to every revision so the group stays consistent
+    setQuotes(prev => prev.map(q => q.quoteNo === record.quoteNo ? { ...q, name, updatedAt: new Date().toISOString() } : q));
+  };
+
+  const handleDeleteQuote = (record) => {
+    if (confirm(t('quote.confirmDelete', { label: formatQuoteLabel(record) }))) {
+      setQuotes(prev => prev.filter(q => q.id !== record.id));
+      if (record.id === activeQuoteId) setActiveQuoteId(null);
+      toast.success(t('quote.deleted'));
+    }
+  };
+
+  // --- Handlers: Customer Directory ---
+  const handleOpenCustomer = (customer) => {
+    setSelectedCustomerId(customer.id);
+    setView('customers');
+  };
+
+  const handleSaveCustomer = (customer) => {
+    setCustomers(prev => prev.some(c => c.id === customer.id)
+      ? prev.map(c => c.id === customer.id ? customer : c)
+      : [customer, ...prev]);
+    // Keep the open quote in step with its directory entry
+    if (customerInfo.customerId === customer.id) setCustomerInfo(toCustomerInfo(customer));
+    setEditingCustomer(null);
+    toast.success(t('customer.saved', { name: customer.name }));
+  };
+
+  // Saved quotes keep their own copy of the customer's details
+  const handleDeleteCustomer = (customer) => {
+    if (!confirm(t('customer.confirmDelete', { name: customer.name }))) return;
+    setCustomers(prev => prev.filter(c => c.id !== customer.id));
+    if (customerInfo.customerId === customer.id) setCustomerInfo({ ...customerInfo, customerId: null });
+    if (selectedCustomerId === customer.id) setSelectedCustomerId(null);
+    setEditingCustomer(null);
+    toast.success(t('customer.deleted'));
+  };
+
+  const handleMergeCustomers = (group) => {
+    if (!confirm(t('customer.confirmMerge', { names: group.map(c => c.name).join(', ') }))) return;
+    const merged = mergeCustomers(group);
+    const ids = new Set(group.map(c => c.id));
+    setCustomers(prev => prev.flatMap(c => c.id === merged.id ? [merged] : ids.has(c.id) ? [] : [c]));
+    if (ids.has(customerInfo.customerId)) setCustomerInfo({ ...customerInfo, customerId: merged.id });
+    toast.success(t('customer.merged', { name: merged.name }));
+  };
+
+  // --- Handlers: Quote Adjustments ---
+  const addAdjustment = (type) => {
+    setAdjustments(prev => [...prev, createAdjustment(type)]);
+  };
+
+  const updateAdjustment = (id, changes) => {
+    setAdjustments(prev => prev.map(a => a.id === id ? { ...a, ...changes } : a));
+  };
+
+  const removeAdjustment = (id) => {
+    setAdjustments(prev => prev.filter(a => a.id !== id));
+  };
+
+  // --- Handlers: Price Floor Approval ---
+  const handleSetManagerPin = () => {
+    if (floorRules.pinHash && !verifyPin(prompt(t('guard.currentPin')) || '', floorRules)) {
+      toast.error(t('guard.wrongPin'));
+      return;
+    }
+    const pin = prompt(t('guard.newPin'));
+    if (!pin) return;
+    if (pin.length < 4) {
+      toast.error(t('guard.pinTooShort'));
+      return;
+    }
+    if (prompt(t('guard.repeatPin')) !== pin) {
+      toast.error(t('guard.pinMismatch'));
+      return;
+    }
+    setFloorRules(prev => ({ ...prev, pinHash: hashPin(pin) }));
+    toast.success(t('guard.pinSet'));
+  };
+
+  const handleApproveOverrides = (pin) => {
+    if (!verifyPin(pin, floorRules)) {
+      toast.error(t('guard.wrongPin'));
+      return false;
+    }
+    const approvals = createApprovalRecords(unapprovedViolations);
+    setOverrideApprovals(prev => [...prev, ...approvals]);
+    setShowApprovalModal(false);
+    toast.success(t('guard.approved'));
+    const pendingExport = pendingExportRef.current;
+    pendingExportRef.current = null;
+    if (pendingExport) pendingExport(approvals);
+    return true;
+  };
+
+  // Exports are blocked while any line sits below its floor without approval;
+  // exportFn receives the approvals just granted, if any
+  const guardExport = (exportFn) => {
+    if (unapprovedViolations.length === 0) {
+      exportFn([]);
+      return;
+    }
+    pendingExportRef.current = exportFn;
+    setShowApprovalModal(true);
+  };
+
+  // Exported documents carry a quote number that can be found in the history,
+  // so unsaved work is saved first; exportFn receives the quote label
+  const exportQuote = (exportFn) => guardExport((approvedNow) => {
+    if (cart.length === 0) {
+      exportFn('');
+      return;
+    }
+    const snapshot = { ...buildQuoteSnapshot(), overrideApprovals: [...overrideApprovals, ...approvedNow] };
+    if (activeQuote && !isQuoteEdited(activeQuote, snapshot)) {
+      exportFn(formatQuoteLabel(activeQuote));
+      return;
+    }
+    const record = saveQuote(snapshot);
+    toast.info(t('quote.autoSaved', { label: formatQuoteLabel(record) }));
+    exportFn(formatQuoteLabel(record));
+  });
+
+  // Files go to the customer, so they are named in the document language
+  const quoteFileName = (quoteLabel, extension, kind = 'file.quote') => {
+    const name = createTranslator(quoteLanguage === 'en' ? 'en' : 'zh')(kind);
+    return `${name}_${quoteLabel ? `${quoteLabel}_` : ''}${customerInfo.name}.${extension}`;
+  };
+
+  // --- Handlers: Comparison ---
+  const toggleCompare = (product) => {
+    if (compareIds.includes(product.id)) {
+      setCompareIds(prev => prev.filter(id => id !== product.id));
+      return;
+    }
+    if (compareIds.length >= 4) {
+      toast.error(t('compare.limit'));
+      return;
+    }
+    setCompareIds(prev => [...prev, product.id]);
+  };
+
+  const removeFromCompare = (id) => {
+    const next = compareIds.filter(c => c !== id);
+    setCompareIds(next);
+    if (next.length < 2) setView('shop');
+  };
+
   // --- Handlers: Product Management ---
   const handleAddProduct = () => {
     setEditingProduct({
@@ -246,26 +1103,34 @@ function App() {
 
   const handleSaveProduct = () => {
     if (!editingProduct.name || !editingProduct.model) {
-      toast.error('名称和型号必填');
+      toast.error(t('product.nameRequired'));
       return;
     }
     
+    // Typed price changes are kept in the product's price history
+    const stored = products.find(p => p.id === editingProduct.id);
+    const edited = stored ? recordEditedPrices(stored, editingProduct) : editingProduct;
+    const saved = edited.relations
+      ? { ...edited, relations: edited.relations.filter(r => r.model && r.model !== edited.model) }
+      : edited;
     setProducts(prev => {
-      const exists = prev.find(p => p.id === editingProduct.id);
+      const exists = prev.find(p => p.id === saved.id);
       if (exists) {
-        return prev.map(p => p.id === editingProduct.id ? editingProduct : p);
+        return prev.map(p => p.id === saved.id ? saved : p);
       }
-      return [editingProduct, ...prev];
+      return [saved, ...prev];
     });
+    // Translations reach lines already on the quote; their prices stay as quoted
+    setCart(prev => prev.map(item => (item.productId || item.id) === saved.id ? { ...item, name_en: saved.name_en, features_en: saved.features_en } : item));
     
     setShowProductManager(false);
-    toast.success('产品已保存');
+    toast.success(t('product.saved'));
   };
 
   const handleDeleteProduct = (id) => {
-    if (confirm('确定要删除这个产品吗？')) {
+    if (confirm(t('product.confirmDelete'))) {
       setProducts(prev => prev.filter(p => p.id !== id));
-      toast.success('产品已删除');
+      toast.success(t('product.deleted'));
     }
   };
 
@@ -286,15 +1151,111 @@ function App() {
     if (file) {
       const reader = new FileReader();
       reader.onloadend = () => {
-        setQrCode(reader.result);
+        updateSalesperson({ qrCode: reader.result });
+      };
+      reader.readAsDataURL(file);
+    }
+  };
+
+  const handleLogoUpload = (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      const reader = new FileReader();
+      reader.onloadend = () => {
+        updateStore({ logo: reader.result });
       };
       reader.readAsDataURL(file);
     }
   };
 
+  // --- Handlers: Templates ---
+  // Built-in presets stay as they are: saving one stores an editable copy
+  const handleSaveTemplate = (draft) => {
+    const saved = draft.builtIn ? copyTemplate(draft, t('template.copyName', { name: getTemplateName(draft, t) })) : draft;
+    setCustomTemplates(prev => prev.some(t => t.id === saved.id)
+      ? prev.map(t => t.id === saved.id ? saved : t)
+      : [...prev, saved]);
+    setTemplate(saved.id);
+    setDesigningTemplate(null);
+    toast.success(t('template.saved', { name: saved.name }));
+  };
+
+  const handleDuplicateTemplate = (draft) => {
+    const copy = copyTemplate(draft, t('template.copyName', { name: getTemplateName(draft, t) }));
+    setCustomTemplates(prev => [...prev, copy]);
+    setTemplate(copy.id);
+    setDesigningTemplate(copy);
+    toast.success(t('template.duplicated', { name: copy.name }));
+  };
+
+  // Quotes using a deleted template fall back to the classic preset
+  const handleDeleteTemplate = (target) => {
+    if (!confirm(t('template.confirmDelete', { name: target.name }))) return;
+    setCustomTemplates(prev => prev.filter(t => t.id !== target.id));
+    if (template === target.id) setTemplate('classic');
+    setDesigningTemplate(null);
+  };
+
+  const handleImportTemplate = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      try {
+        const imported = parseTemplateFile(event.target.result, t);
+        if (!imported) {
+          toast.error(t('template.invalidFile'));
+          return;
+        }
+        setCustomTemplates(prev => [...prev, imported]);
+        setTemplate(imported.id);
+        toast.success(t('template.imported', { name: imported.name }));
+      } catch {
+        toast.error(t('data.invalidFile'));
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  // --- Handlers: Store & Salesperson Profiles ---
+  // A store brings its default template and theme along
+  const handleSwitchStore = (id) => {
+    const store = profiles.stores.find(s => s.id === id);
+    if (!store) return;
+    setActiveStoreId(id);
+    if (store.template) setTemplate(store.template);
+    if (store.themeColor) setThemeColor(store.themeColor);
+  };
+
+  const handleAddStore = () => {
+    const store = createStore({ name: t('store.newName'), template, themeColor });
+    setProfiles(prev => ({ ...prev, stores: [...prev.stores, store] }));
+    setActiveStoreId(store.id);
+  };
+
+  const handleDeleteStore = () => {
+    if (profiles.stores.length < 2 || !confirm(t('store.confirmDelete', { name: activeStore.name }))) return;
+    setProfiles(prev => removeProfile(prev, 'stores', activeStore.id));
+    setActiveStoreId(profiles.stores.find(s => s.id !== activeStore.id).id);
+  };
+
+  const handleAddSalesperson = () => {
+    const salesperson = createSalesperson({ name: t('salesperson.newName') });
+    setProfiles(prev => ({ ...prev, salespeople: [...prev.salespeople, salesperson] }));
+    setActiveSalespersonId(salesperson.id);
+  };
+
+  const handleDeleteSalesperson = () => {
+    if (profiles.salespeople.length < 2 || !confirm(t('salesperson.confirmDelete', { name: activeSalesperson.name }))) return;
+    setProfiles(prev => removeProfile(prev, 'salespeople', activeSalesperson.id));
+    setActiveSalespersonId(profiles.salespeople.find(p => p.id !== activeSalesperson.id).id);
+  };
+
   // --- Handlers: Export ---
-  const handleExportImage = async () => {
-    const toastId = toast.loading('正在生成图片...');
+  // Also used for the comparison table: pass its element id and file name
+  const handleExportImage = async ({ elementId = 'quotation-preview-content', fileName = quoteFileName('', 'png'), backgroundColor } = {}) => {
+    const toastId = toast.loading(t('export.imageProgress'));
     setIsExporting(true); // Ensure inputs are rendered as text for better capture
     
     // Store scroll position
@@ -303,7 +1264,7 @@ function App() {
     // Wait for state update to re-render
     setTimeout(async () => {
       requestAnimationFrame(async () => {
-        const element = document.getElementById('quotation-preview-content');
+        const element = document.getElementById(elementId);
         if (!element) {
           toast.dismiss(toastId);
           setIsExporting(false);
@@ -318,7 +1279,7 @@ function App() {
             scale: 3, // Increased resolution (High DPI)
             useCORS: true, 
             logging: false, 
-            backgroundColor: template === 'noir' ? '#1a1a1a' : '#ffffff',
+            backgroundColor: backgroundColor || templateBackground,
             allowTaint: true,
             scrollX: 0,
             scrollY: 0,
@@ -326,14 +1287,14 @@ function App() {
           });
           
           const link = document.createElement('a');
-          link.download = `报价_${customerInfo.name}.png`;
+          link.download = fileName;
           link.href = canvas.toDataURL('image/png', 0.8);
           link.click();
           
-          toast.success('图片导出成功', { id: toastId });
+          toast.success(t('export.imageDone'), { id: toastId });
         } catch (err) { 
           console.error(err);
-          toast.error('导出失败', { id: toastId }); 
+          toast.error(t('export.failed'), { id: toastId }); 
         } finally {
           // Restore scroll position
           window.scrollTo(0, scrollPos);
@@ -343,8 +1304,78 @@ function App() {
     }, 100);
   };
 
-  const handleExportLongPDF = async () => {
-    const toastId = toast.loading('正在生成长图 PDF...');
+  const handleExportExcel = (quoteLabel) => {
+    try {
+      exportQuoteWorkbook({
+        cart,
+        sections,
+        pricing,
+        customerInfo,
+        dealerInfo,
+        quoteLabel,
+        quoteDate,
+        terms: quoteTerms,
+        expired: isExpired,
+        language: quoteLanguage,
+        options: comparing ? optionSummaries : null,
+      });
+      toast.success(t('export.excelDone'));
+    } catch (err) {
+      console.error(err);
+      toast.error(t('export.failed'));
+    }
+  };
+
+  // A single HTML file with the quote that opens read-only on the customer's phone
+  const handleExportShareFile = async (quoteLabel) => {
+    const toastId = toast.loading(t('export.shareProgress'));
+    try {
+      const quote = createSharedQuote({
+        cart,
+        sections,
+        template: activeTemplate,
+        themeColor,
+        customerInfo,
+        dealerInfo,
+        cartTotal,
+        pricing,
+        qrCode,
+        showRetailPrice,
+        showPackagePrice,
+        showDiscountPrice,
+        options: comparing ? optionSummaries : null,
+        acceptedOptionName: proposal?.options.find(o => o.id === proposal.acceptedOptionId)?.name,
+        quoteLabel,
+        quoteDate,
+        terms: quoteTerms,
+        language: quoteLanguage,
+      });
+      const html = await buildShareFile(quote, `${dealerInfo.name} ${quoteLabel || customerInfo.name}`, t);
+      const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = quoteFileName(quoteLabel, 'html');
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      toast.success(t('export.shareDone'), { id: toastId });
+    } catch (err) {
+      console.error(err);
+      toast.error(t('export.failedWithReason', { reason: err.message }), { id: toastId });
+    }
+  };
+
+  const handleExportCatalog = (list, label) => {
+    if (list.length === 0) {
+      toast.error(t('export.noProducts'));
+      return;
+    }
+    exportCatalogWorkbook(list, t, label);
+    toast.success(t('export.catalogDone', { count: list.length }));
+  };
+
+  const handleExportLongPDF = async (quoteLabel) => {
+    const toastId = toast.loading(t('export.longPdfProgress'));
     setIsExporting(true);
     
     setTimeout(async () => {
@@ -377,7 +1408,7 @@ function App() {
             scale: 2, 
             useCORS: true, 
             logging: false, 
-            backgroundColor: template === 'noir' ? '#1a1a1a' : '#ffffff',
+            backgroundColor: templateBackground,
             allowTaint: true,
             // Use natural width/height
             // width: 794,
@@ -416,25 +1447,65 @@ function App() {
           const pdf = new jsPDF('p', 'mm', [pdfWidth, pdfHeight]);
           
           // Fill background
-          const bgColor = template === 'noir' ? '#1a1a1a' : '#ffffff';
+          const bgColor = templateBackground;
           pdf.setFillColor(bgColor);
           pdf.rect(0, 0, pdfWidth, pdfHeight, 'F');
           
           pdf.addImage(imgData, 'PNG', 0, 0, pdfWidth, pdfHeight);
-          pdf.save(`报价长图_${customerInfo.name}.pdf`);
+          pdf.save(quoteFileName(quoteLabel, 'pdf', 'file.longQuote'));
           
-          toast.success('长图 PDF 导出成功', { id: toastId });
+          toast.success(t('export.longPdfDone'), { id: toastId });
         } catch (err) {
           console.error(err);
-          toast.error('导出失败', { id: toastId });
+          toast.error(t('export.failed'), { id: toastId });
         } finally {
             setIsExporting(false);
         }
     }, 500);
   };
 
-  const handleExportPDF = async () => {
-    const toastId = toast.loading('正在准备导出...');
+  const handleExportPDF = async (quoteLabel) => {
+    const toastId = toast.loading(t('export.pdfProgress'));
+    const font = await loadPdfFont();
+    if (!font) {
+      toast.warning(t('export.fontMissing'), { id: toastId });
+      handleExportRasterPDF(quoteLabel);
+      return;
+    }
+    try {
+      const pdf = await renderVectorPdf({
+        font,
+        template: activeTemplate,
+        themeColor,
+        cart,
+        sections,
+        pricing,
+        customerInfo,
+        dealerInfo,
+        qrCode,
+        showRetailPrice,
+        showPackagePrice,
+        showDiscountPrice,
+        formatPrice,
+        quoteLabel,
+        quoteDate,
+        terms: quoteTerms,
+        expired: isExpired,
+        language: quoteLanguage,
+        options: comparing ? optionSummaries : null,
+      });
+      pdf.save(quoteFileName(quoteLabel, 'pdf'));
+      toast.success(t('export.pdfDone'), { id: toastId });
+    } catch (err) {
+      console.error(err);
+      toast.warning(t('export.vectorFailed'), { id: toastId });
+      handleExportRasterPDF(quoteLabel);
+    }
+  };
+
+  // Fallback: rasterise the preview and slice it into A4 pages
+  const handleExportRasterPDF = async (quoteLabel) => {
+    const toastId = toast.loading(t('export.preparing'));
     setIsExporting(true); // Switch to print mode
     
     // Wait for render to update (remove inputs, fix styles)
@@ -445,6 +1516,7 @@ function App() {
           setIsExporting(false);
           return;
         }
+        const watermarkEl = element.querySelector('.preview-watermark');
         
         try {
           // Temporarily disable scale and remove shadow
@@ -459,13 +1531,13 @@ function App() {
           // Force A4 width for calculation
           const originalWidth = element.style.width;
           element.style.width = '794px'; 
+          // The page slices get their own expired watermark below
+          if (watermarkEl) watermarkEl.style.display = 'none';
           
           // 1. Calculate Split Points (Smart Pagination)
           
-          const A4_RATIO = 297 / 210;
-          const virtualWidth = 794; // Fixed A4 pixel width
           // Reduce page height slightly to create a safety margin at bottom (prevent content touching edge)
-          const pageHeight = (virtualWidth * A4_RATIO) - 40; 
+          const pageHeight = RASTER_PAGE_HEIGHT;
           
           const splitPoints = [];
           let currentSplit = 0;
@@ -483,20 +1555,41 @@ function App() {
           addBlock('.preview-header'); 
           addBlock('.preview-info');   
           addBlock('tbody tr'); // Directly select all rows
+          addBlock('.preview-option-header');
+          addBlock('.preview-option-total');
+
+          // A section header never ends a page on its own: it is glued to its first rows
+          element.querySelectorAll('tbody tr.preview-section-header').forEach(header => {
+              let last = header;
+              for (let i = 0; i < KEEP_WITH_HEADER && last.nextElementSibling && !last.nextElementSibling.classList.contains('preview-section-subtotal'); i++) {
+                  last = last.nextElementSibling;
+              }
+              blocks.push({ top: header.offsetTop, height: last.offsetTop + last.offsetHeight - header.offsetTop, bottom: last.offsetTop + last.offsetHeight + 10 });
+          });
+
+          // Likewise an option heading stays with its table head
+          element.querySelectorAll('.preview-option-header').forEach(header => {
+              const table = header.nextElementSibling;
+              if (!table?.tHead) return;
+              const bottom = table.offsetTop + table.tHead.offsetHeight;
+              blocks.push({ top: header.offsetTop, height: bottom - header.offsetTop, bottom: bottom + 10 });
+          });
           
           // Group Total and Footer together to prevent splitting
           // Instead of adding them separately, we add a wrapper logic or just treat them as one block if possible.
           // Since we can't easily wrap them in DOM without changing structure, we will treat the start of 'total' to end of 'footer' as one logical block for splitting purposes.
           
-          const totalEl = element.querySelector('.preview-total');
+          // Adjustment rows explain the total, so they travel with it
+          const totalEl = element.querySelector('.preview-adjustments') || element.querySelector('.preview-total');
           const footerEl = element.querySelector('.preview-footer');
           const bottomBarEl = element.querySelector('.preview-bottom-bar');
           
-          if (totalEl && footerEl && bottomBarEl) {
-             // Create a "Super Block" that covers Total + Footer + BottomBar
+          if (totalEl && footerEl) {
+             // Create a "Super Block" that covers Total + Footer + BottomBar (when the template has one)
              // This ensures if a split happens here, it happens BEFORE the Total, moving the whole footer section to next page
+             const lastEl = bottomBarEl || footerEl;
              const startTop = totalEl.offsetTop;
-             const endBottom = bottomBarEl.offsetTop + bottomBarEl.offsetHeight;
+             const endBottom = lastEl.offsetTop + lastEl.offsetHeight;
              blocks.push({ top: startTop, height: endBottom - startTop, bottom: endBottom + 10 });
           } else {
              // Fallback if elements missing
@@ -550,7 +1643,7 @@ function App() {
             scale: 2, // Reduced scale slightly for mobile stability (3 -> 2), still high enough for print
             useCORS: true, 
             logging: false, 
-            backgroundColor: template === 'noir' ? '#1a1a1a' : '#ffffff',
+            backgroundColor: templateBackground,
             allowTaint: true,
             height: totalHeight, 
             windowHeight: totalHeight,
@@ -574,7 +1667,7 @@ function App() {
           const pdfHeight = pdf.internal.pageSize.getHeight();
           
           let startY = 0;
-          const bgColor = template === 'noir' ? '#1a1a1a' : '#ffffff';
+          const bgColor = templateBackground;
           
           for (let i = 0; i < splitPoints.length; i++) {
               const endY = splitPoints[i];
@@ -599,6 +1692,7 @@ function App() {
                   0, startY * 2, canvas.width, segmentHeight * 2, 
                   0, 0, tempCanvas.width, tempCanvas.height       
               );
+              if (isExpired) drawExpiredWatermark(ctx, tempCanvas.width, tempCanvas.height, createTranslator(quoteLanguage)('doc.expired'), 2);
               
               const imgData = tempCanvas.toDataURL('image/png');
               // Calculate PDF image height based on width ratio
@@ -613,20 +1707,123 @@ function App() {
               startY = endY;
           }
   
-          pdf.save(`报价_${customerInfo.name}.pdf`);
-          toast.success('PDF导出成功', { id: toastId });
+          pdf.save(quoteFileName(quoteLabel, 'pdf'));
+          toast.success(t('export.pdfDone'), { id: toastId });
           
         } catch (err) {
           console.error(err);
-          toast.error('PDF生成失败', { id: toastId });
+          toast.error(t('export.pdfFailed'), { id: toastId });
         } finally {
+            if (watermarkEl) watermarkEl.style.display = '';
             setIsExporting(false);
         }
     }, 500); // Increased timeout to ensure render
   };
 
   // --- Views ---
+
+  // The quote as PreviewContent shows it, shared by the config preview and the template designer
+  const previewProps = {
+    cart,
+    sections,
+    themeColor,
+    customerInfo,
+    dealerInfo,
+    cartTotal,
+    pricing,
+    floorViolations,
+    qrCode,
+    formatPrice,
+    updateCartItemPrice,
+    showRetailPrice,
+    showPackagePrice,
+    showDiscountPrice,
+    options: comparing ? optionSummaries : null,
+    activeOptionId: proposal?.activeOptionId,
+    acceptedOptionName: proposal?.options.find(o => o.id === proposal.acceptedOptionId)?.name,
+    quoteLabel: activeQuote ? formatQuoteLabel(activeQuote) : '',
+    quoteDate,
+    terms: quoteTerms,
+    isExpired,
+    language: quoteLanguage,
+  };
+
+  if (view === 'history') {
+    return (
+      <>
+        <Toaster position="top-center" />
+        <QuoteHistory
+          quotes={quotes}
+          activeQuoteId={activeQuoteId}
+          formatPrice={formatPrice}
+          onBack={() => setView('shop')}
+          onNew={handleNewQuote}
+          onOpen={handleOpenQuote}
+          onDuplicate={handleDuplicateQuote}
+          onRename={handleRenameQuote}
+          onDelete={handleDeleteQuote}
+          language={uiLanguage}
+          t={t}
+        />
+      </>
+    );
+  }
   
+  if (view === 'customers') {
+    return (
+      <>
+        <Toaster position="top-center" />
+        <CustomerDirectory
+          customers={customers}
+          quotes={quotes}
+          selectedId={selectedCustomerId}
+          formatPrice={formatPrice}
+          onSelect={setSelectedCustomerId}
+          onBack={() => { setSelectedCustomerId(null); setView('shop'); }}
+          onEdit={(customer) => setEditingCustomer(customer ? { customer, isNew: false } : { customer: createCustomer(), isNew: true })}
+          onMerge={handleMergeCustomers}
+          onOpenQuote={handleOpenQuote}
+          onNewQuote={startNewQuote}
+          language={uiLanguage}
+          t={t}
+        />
+        {editingCustomer && (
+          <CustomerEditorModal
+            customer={editingCustomer.customer}
+            isNew={editingCustomer.isNew}
+            customers={customers}
+            onSave={handleSaveCustomer}
+            onDelete={handleDeleteCustomer}
+            onCancel={() => setEditingCustomer(null)}
+            language={uiLanguage}
+            t={t}
+          />
+        )}
+      </>
+    );
+  }
+
+  if (view === 'compare') {
+    return (
+      <>
+        <Toaster position="top-center" />
+        <ProductComparison
+          products={compareProducts}
+          formatPrice={formatPrice}
+          onBack={() => setView('shop')}
+          onRemove={removeFromCompare}
+          onAddToCart={addToCart}
+          onExportImage={() => handleExportImage({
+            elementId: 'comparison-content',
+            fileName: `${t('file.comparison')}_${compareProducts.map(p => p.model).join('_')}.png`,
+            backgroundColor: '#ffffff',
+          })}
+          t={t}
+        />
+      </>
+    );
+  }
+
   if (view === 'config') {
     return (
       <div className="min-h-screen bg-gray-50 font-sans text-slate-800 flex flex-col">
@@ -637,17 +1834,46 @@ function App() {
              <button onClick={() => setView('shop')} className="p-2 hover:bg-gray-100 rounded-full transition">
                <ArrowLeft className="w-5 h-5" />
              </button>
-             <h1 className="font-bold text-lg">生成报价单</h1>
+             <h1 className="font-bold text-lg">{t('ui.createQuote')}</h1>
+             {activeQuote && <span className="text-xs font-mono bg-slate-100 text-slate-600 px-2 py-0.5 rounded">{formatQuoteLabel(activeQuote)}</span>}
+             <ProfileSwitcher
+                stores={profiles.stores}
+                salespeople={profiles.salespeople}
+                storeId={activeStore.id}
+                salespersonId={activeSalesperson.id}
+                onSwitchStore={handleSwitchStore}
+                onSwitchSalesperson={setActiveSalespersonId}
+                t={t}
+             />
            </div>
            <div className="flex gap-2">
-              <button onClick={handleExportImage} className="px-4 py-2 bg-white border border-gray-200 text-slate-700 rounded-lg text-sm font-medium shadow-sm hover:bg-gray-50 flex items-center gap-2">
-                <ImageIcon className="w-4 h-4" /> 存为图片
+              <button onClick={handleSaveQuote} className="px-4 py-2 bg-white border border-gray-200 text-slate-700 rounded-lg text-sm font-medium shadow-sm hover:bg-gray-50 flex items-center gap-2" title={activeQuote ? t('ui.saveVersion') : t('ui.saveQuote')}>
+                <Save className="w-4 h-4" /> {activeQuote ? t('ui.saveVersion') : t('ui.saveQuote')}
               </button>
-              <button onClick={handleExportPDF} className="px-4 py-2 bg-[#009999] text-white rounded-lg text-sm font-medium shadow-sm hover:bg-[#007a7a] flex items-center gap-2">
-                <FileText className="w-4 h-4" /> 导出 PDF
+              {unapprovedViolations.length > 0 && (
+                <button onClick={() => setShowApprovalModal(true)} className="px-3 py-2 bg-red-50 border border-red-100 text-red-500 rounded-lg text-sm font-medium flex items-center gap-2" title={t('guard.belowFloorHint')}>
+                  <ShieldAlert className="w-4 h-4" /> {t('guard.belowFloor', { count: unapprovedViolations.length })}
+                </button>
+              )}
+              {nicheWarnings.length > 0 && (
+                <button onClick={() => setIsConfigOpen(true)} className="px-3 py-2 bg-amber-50 border border-amber-100 text-amber-700 rounded-lg text-sm font-medium flex items-center gap-2" title={nicheWarnings.map(w => `${w.model}: ${w.message}`).join('\n')}>
+                  <Ruler className="w-4 h-4" /> {t('niche.warnings', { count: nicheWarnings.length })}
+                </button>
+              )}
+              <button onClick={() => exportQuote(quoteLabel => handleExportImage({ fileName: quoteFileName(quoteLabel, 'png') }))} className="px-4 py-2 bg-white border border-gray-200 text-slate-700 rounded-lg text-sm font-medium shadow-sm hover:bg-gray-50 flex items-center gap-2">
+                <ImageIcon className="w-4 h-4" /> {t('ui.saveAsImage')}
+              </button>
+              <button onClick={() => exportQuote(handleExportPDF)} className="px-4 py-2 bg-[#009999] text-white rounded-lg text-sm font-medium shadow-sm hover:bg-[#007a7a] flex items-center gap-2">
+                <FileText className="w-4 h-4" /> {t('ui.exportPdf')}
+              </button>
+              <button onClick={() => exportQuote(handleExportLongPDF)} className="px-4 py-2 bg-slate-800 text-white rounded-lg text-sm font-medium shadow-sm hover:bg-slate-700 flex items-center gap-2" title={t('ui.longPdfHint')}>
+                <LayoutTemplate className="w-4 h-4" /> {t('ui.longPdf')}
+              </button>
+              <button onClick={() => exportQuote(handleExportExcel)} className="px-4 py-2 bg-white border border-gray-200 text-slate-700 rounded-lg text-sm font-medium shadow-sm hover:bg-gray-50 flex items-center gap-2" title={t('ui.exportExcel')}>
+                <FileSpreadsheet className="w-4 h-4" /> Excel
               </button>
-              <button onClick={handleExportLongPDF} className="px-4 py-2 bg-slate-800 text-white rounded-lg text-sm font-medium shadow-sm hover:bg-slate-700 flex items-center gap-2" title="生成不分页的长图PDF">
-                <LayoutTemplate className="w-4 h-4" /> 长图PDF
+              <button onClick={() => exportQuote(handleExportShareFile)} className="px-4 py-2 bg-white border border-gray-200 text-slate-700 rounded-lg text-sm font-medium shadow-sm hover:bg-gray-50 flex items-center gap-2" title={t('ui.shareHint')}>
+                <Share2 className="w-4 h-4" /> {t('ui.share')}
               </button>
            </div>
         </div>
@@ -661,7 +1887,7 @@ function App() {
               {/* Mobile Header in Drawer */}
               <div className="md:hidden flex justify-between items-center p-4 border-b">
                  <h2 className="font-bold text-lg flex items-center gap-2">
-                    <Settings className="w-5 h-5" /> 设置面板
+                    <Settings className="w-5 h-5" /> {t('ui.settings')}
                  </h2>
                  <button onClick={() => setIsConfigOpen(false)} className="p-2 hover:bg-gray-100 rounded-full">
                     <X className="w-6 h-6" />
@@ -673,29 +1899,37 @@ function App() {
               
               {/* Template */}
               <div>
-                <h3 className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-3">选择模板</h3>
+                <div className="flex items-center justify-between mb-3">
+                  <h3 className="text-xs font-bold text-slate-500 uppercase tracking-wider">{t('ui.templates')}</h3>
+                  <button onClick={() => templateInputRef.current?.click()} className="text-[10px] text-slate-400 hover:text-[#009999] flex items-center gap-1" title={t('template.importHint')}>
+                    <Upload className="w-3 h-3" /> {t('template.import')}
+                  </button>
+                  <input ref={templateInputRef} type="file" accept=".json" className="hidden" onChange={handleImportTemplate} />
+                </div>
+                <div className="grid grid-cols-2 gap-2 mb-2">
+                  {[...BUILT_IN_TEMPLATES, ...customTemplates].map(tpl => {
+                    const Icon = TEMPLATE_ICONS[tpl.id] || Palette;
+                    return (
+                      <button 
+                        key={tpl.id}
+                        onClick={() => setTemplate(tpl.id)}
+                        className={`p-3 rounded-lg border flex items-center justify-center gap-2 transition ${activeTemplate.id === tpl.id ? 'border-current bg-current/5 text-current' : 'border-gray-200 hover:border-gray-300'}`}
+                        style={{ color: activeTemplate.id === tpl.id ? (usesThemeColor(tpl) ? themeColor : '#1a1a1a') : undefined }}
+                      >
+                        <Icon className="w-4 h-4 shrink-0" />
+                        <span className="text-xs font-bold truncate">{getTemplateName(tpl, t)}</span>
+                      </button>
+                    );
+                  })}
+                </div>
                 <div className="grid grid-cols-2 gap-2 mb-4">
-                  {[
-                    { id: 'classic', label: '经典表格', icon: Grid },
-                    { id: 'modern', label: '现代简约', icon: LayoutTemplate },
-                    { id: 'minimal', label: '高端留白', icon: List },
-                    { id: 'noir', label: '黑金奢华', icon: ImageIcon },
-                  ].map(t => (
-                    <button 
-                      key={t.id}
-                      onClick={() => setTemplate(t.id)}
-                      className={`p-3 rounded-lg border flex items-center justify-center gap-2 transition ${template === t.id ? 'border-current bg-current/5 text-current' : 'border-gray-200 hover:border-gray-300'}`}
-                      style={{ color: template === t.id ? (t.id === 'noir' ? '#1a1a1a' : themeColor) : undefined }}
-                    >
-                      <t.icon className="w-4 h-4" />
-                      <span className="text-xs font-bold">{t.label}</span>
-                    </button>
-                  ))}
+                  <button onClick={() => setDesigningTemplate(activeTemplate)} className="px-3 py-2 border rounded text-xs hover:bg-gray-50 flex items-center justify-center gap-1"><Palette className="w-3 h-3" /> {t('template.design')}</button>
+                  <button onClick={() => setDesigningTemplate(copyTemplate(activeTemplate, t('template.myTemplate')))} className="px-3 py-2 border rounded text-xs hover:bg-gray-50 flex items-center justify-center gap-1"><Plus className="w-3 h-3" /> {t('template.new')}</button>
                 </div>
 
-                {template !== 'noir' && (
+                {usesThemeColor(activeTemplate) && (
                   <div>
-                    <h3 className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-3">主题配色</h3>
+                    <h3 className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-3">{t('ui.themeColor')}</h3>
                     <div className="flex gap-3 flex-wrap">
                       {[
                         '#009999', // Siemens Teal
@@ -721,88 +1955,402 @@ function App() {
 
               {/* Display Options */}
               <div>
-                 <h3 className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-3">显示设置</h3>
+                 <h3 className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-3">{t('ui.display')}</h3>
                  <div className="space-y-2">
                     <label className="flex items-center justify-between p-2 border rounded hover:bg-gray-50 cursor-pointer">
-                       <span className="text-xs font-bold">适应手机屏幕</span>
+                       <span className="text-xs font-bold">{t('display.mobileFit')}</span>
                        <input type="checkbox" checked={isMobileFit} onChange={e => setIsMobileFit(e.target.checked)} className="accent-[#009999]" />
                     </label>
                     <label className="flex items-center justify-between p-2 border rounded hover:bg-gray-50 cursor-pointer">
-                       <span className="text-xs font-bold">显示零售价</span>
+                       <span className="text-xs font-bold">{t('display.retail')}</span>
                        <input type="checkbox" checked={showRetailPrice} onChange={e => setShowRetailPrice(e.target.checked)} className="accent-[#009999]" />
                     </label>
                     <label className="flex items-center justify-between p-2 border rounded hover:bg-gray-50 cursor-pointer">
-                       <span className="text-xs font-bold">显示优惠价</span>
+                       <span className="text-xs font-bold">{t('display.package')}</span>
+                       <input type="checkbox" checked={showPackagePrice} onChange={e => setShowPackagePrice(e.target.checked)} className="accent-[#009999]" />
+                    </label>
+                    <label className="flex items-center justify-between p-2 border rounded hover:bg-gray-50 cursor-pointer">
+                       <span className="text-xs font-bold">{t('display.discount')}</span>
                        <input type="checkbox" checked={showDiscountPrice} onChange={e => setShowDiscountPrice(e.target.checked)} className="accent-[#009999]" />
                     </label>
                  </div>
               </div>
 
+              {/* Quote Language */}
+              <div>
+                 <h3 className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-3">{t('ui.docLanguage')}</h3>
+                 <div className="grid grid-cols-3 gap-2">
+                    {DOC_LANGUAGES.map(l => (
+                       <button
+                          key={l.id}
+                          onClick={() => setQuoteLanguage(l.id)}
+                          className={`px-2 py-1.5 border rounded text-xs ${quoteLanguage === l.id ? 'border-[#009999] text-[#009999] font-bold bg-[#009999]/5' : 'hover:bg-gray-50'}`}
+                       >
+                          {l.label}
+                       </button>
+                    ))}
+                 </div>
+                 {quoteLanguage !== 'zh' && untranslatedCartLines.length > 0 && (
+                    <p className="text-[10px] text-amber-600 mt-2" title={untranslatedCartLines.map(item => `${item.model}: ${describeMissingTranslations(item)}`).join('\n')}>
+                       {t('ui.translationReport', { count: untranslatedCartLines.length })}
+                    </p>
+                 )}
+              </div>
+
+              {/* Quote Date */}
+              <div>
+                 <h3 className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-3">{t('ui.quoteDate')}</h3>
+                 <div className="space-y-2">
+                    <input type="date" className="w-full p-2 border rounded text-sm" value={quoteDate} onChange={e => handleQuoteDateChange(e.target.value)} />
+                    <p className="text-[10px] text-gray-400">{t('price.quoteDateHint')}</p>
+                    {stalePriceLines.length > 0 && (
+                       <div className="p-2 rounded bg-amber-50 text-amber-700 text-xs space-y-1.5">
+                          <p>{t('price.stale', { count: stalePriceLines.length, date: quoteDate })}</p>
+                          <button onClick={handleRepriceCart} className="px-2 py-1 bg-white border border-amber-200 rounded hover:bg-amber-100">{t('price.reprice')}</button>
+                       </div>
+                    )}
+                    {cartPriceChanges.length > 0 && (
+                       <div className="p-2 rounded bg-blue-50 text-blue-700 text-xs space-y-0.5">
+                          {cartPriceChanges.map(c => (
+                             <p key={`${c.product.id}:${c.entry.effectiveFrom}`}>
+                                {t(c.retailChange >= 0 ? 'price.upcomingRise' : 'price.upcomingDrop', { model: c.product.model, date: c.entry.effectiveFrom, price: formatPrice(c.entry.price_retail) })}
+                             </p>
+                          ))}
+                       </div>
+                    )}
+                 </div>
+              </div>
+
+              {/* Terms & Validity */}
+              <div>
+                 <h3 className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-3">{t('ui.terms')}</h3>
+                 <TermsEditor
+                    terms={quoteTerms}
+                    quoteDate={quoteDate}
+                    snippets={dealerTerms.snippets}
+                    isExpired={isExpired}
+                    onChange={setQuoteTerms}
+                    onSaveSnippet={handleSaveSnippet}
+                    onManage={() => setShowTermsLibrary(true)}
+                    t={t}
+                 />
+              </div>
+
+              {/* Package Pricing Rules */}
+              <div>
+                 <h3 className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-3">{t('ui.packageRules')}</h3>
+                 <div className="space-y-2">
+                    <label className="flex items-center justify-between p-2 border rounded hover:bg-gray-50 cursor-pointer">
+                       <span className="text-xs font-bold">{t('package.auto')}</span>
+                       <input type="checkbox" checked={packageRules.enabled} onChange={e => setPackageRules({...packageRules, enabled: e.target.checked})} className="accent-[#009999]" />
+                    </label>
+                    <div className="grid grid-cols-2 gap-2">
+                       <div className="flex flex-col gap-1">
+                          <label className="text-[10px] text-gray-400">{t('package.minCategories')}</label>
+                          <input type="number" min="0" className="w-full p-2 border rounded text-sm" value={packageRules.minCategories} onChange={e => setPackageRules({...packageRules, minCategories: Number(e.target.value)})} />
+                       </div>
+                       <div className="flex flex-col gap-1">
+                          <label className="text-[10px] text-gray-400">{t('package.minItems')}</label>
+                          <input type="number" min="0" className="w-full p-2 border rounded text-sm" value={packageRules.minItems} onChange={e => setPackageRules({...packageRules, minItems: Number(e.target.value)})} />
+                       </div>
+                    </div>
+                    <div className="flex flex-col gap-1">
+                       <label className="text-[10px] text-gray-400">{t('package.ignoredCategories')}</label>
+                       <input className="w-full p-2 border rounded text-sm" value={(packageRules.ignoredCategories || []).join(',')} onChange={e => setPackageRules({...packageRules, ignoredCategories: e.target.value.split(/[,，]/).map(c => c.trim()).filter(Boolean)})} />
+                    </div>
+                    <div className={`text-xs p-2 rounded ${pricing.isPackage ? 'bg-[#009999]/10 text-[#007a7a]' : 'bg-gray-50 text-gray-400'}`}>
+                       {pricing.isPackage ? t('package.applied', { subtotal: formatPrice(pricing.subtotal) }) : t('package.notApplied')}
+                    </div>
+                 </div>
+              </div>
+
+              {/* Quote-level Adjustments */}
+              <div>
+                 <h3 className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-3">{t('ui.adjustments')}</h3>
+                 <div className="space-y-2">
+                    {adjustments.map(a => (
+                       <div key={a.id} className="p-2 border rounded space-y-2">
+                          <div className="flex items-center gap-2">
+                             <input className="flex-1 min-w-0 p-1.5 border rounded text-xs" value={a.label} placeholder={t(`adjustment.${a.type}`)} onChange={e => updateAdjustment(a.id, { label: e.target.value })} />
+                             <button onClick={() => removeAdjustment(a.id)} className="text-slate-300 hover:text-red-500"><Trash2 className="w-3 h-3" /></button>
+                          </div>
+                          <div className="flex items-center gap-2 text-xs text-gray-400">
+                             {a.type === 'threshold' && (
+                                <>
+                                   <span>{t('adjustment.every')}</span>
+                                   <input type="number" min="0" className="w-full p-1.5 border rounded text-xs text-slate-800" value={a.every} onChange={e => updateAdjustment(a.id, { every: Number(e.target.value) })} />
+                                   <span>{t('adjustment.off')}</span>
+                                </>
+                             )}
+                             {a.type !== 'percent' && <span>¥</span>}
+                             <input type="number" min="0" className="w-full p-1.5 border rounded text-xs text-slate-800" value={a.value} onChange={e => updateAdjustment(a.id, { value: Number(e.target.value) })} />
+                             {a.type === 'percent' && <span>%</span>}
+                          </div>
+                       </div>
+                    ))}
+                    <div className="grid grid-cols-4 gap-1">
+                       {ADJUSTMENT_TYPES.map(type => (
+                          <button key={type} onClick={() => addAdjustment(type)} className="px-1 py-1.5 border rounded text-[10px] hover:bg-gray-50">+ {t(`adjustment.${type}`)}</button>
+                       ))}
+                    </div>
+                    <select className="w-full p-2 border rounded text-sm bg-white" value={rounding} onChange={e => setRounding(e.target.value)}>
+                       {ROUNDING_OPTIONS.map(id => <option key={id} value={id}>{t(`rounding.${id}`)}</option>)}
+                    </select>
+                 </div>
+              </div>
+
+              {/* Niche Fit Check */}
+              {cart.some(needsNiche) && (
+                 <div>
+                    <h3 className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-3">{t('ui.nicheCheck')}</h3>
+                    <div className="space-y-2">
+                       {cart.filter(needsNiche).map(item => {
+                          const warning = nicheWarnings.find(w => w.itemId === item.id);
+                          return (
+                             <div key={item.id} className={`p-2 rounded border text-xs ${warning ? 'border-amber-200 bg-amber-50' : 'border-gray-100'}`}>
+                                <div className="flex items-center gap-2">
+                                   <span className="font-mono truncate flex-1" title={item.name}>{item.model}</span>
+                                   <select className="p-1 border rounded text-xs bg-white max-w-[50%]" value={item.nicheId || ''} onChange={e => updateCartItemNiche(item.id, e.target.value)}>
+                                      <option value="">{t('niche.unassigned')}</option>
+                                      {niches.map(n => <option key={n.id} value={n.id}>{n.name}</option>)}
+                                      <option value="none">{t('niche.none')}</option>
+                                   </select>
+                                </div>
+                                {warning && <div className="text-[10px] text-amber-700 mt-1">{warning.message}</div>}
+                             </div>
+                          );
+                       })}
+                       {niches.length === 0 && <div className="text-[10px] text-gray-400">{t('niche.emptyHint')}</div>}
+                    </div>
+                 </div>
+              )}
+
+              {/* Alternative options */}
+              {proposal && (
+                 <div>
+                    <h3 className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-3">{t('ui.options')}</h3>
+                    <div className="space-y-2">
+                       {optionSummaries.map(({ option, count, pricing: optionPricing, difference }) => {
+                          const isAccepted = option.id === proposal.acceptedOptionId;
+                          return (
+                             <div key={option.id} className={`p-2 rounded border text-xs ${isAccepted ? 'border-[#009999] bg-[#009999]/5' : 'border-gray-100'}`}>
+                                <div className="flex items-center gap-2">
+                                   <button
+                                     onClick={() => applyOptionChange(switchOption(proposal, cart, option.id))}
+                                     className={`font-bold truncate flex-1 text-left ${option.id === proposal.activeOptionId ? 'text-[#009999]' : 'hover:text-[#009999]'}`}
+                                     title={t('option.edit')}
+                                   >
+                                     {option.name}
+                                   </button>
+                                   <span className="text-gray-400">{t('ui.pieces', { count })}</span>
+                                   <span className="font-bold">{formatPrice(optionPricing.grandTotal)}</span>
+                                </div>
+                                <div className="flex items-center justify-between mt-1">
+                                   <span className="text-[10px] text-gray-400">{difference > 0 ? t('option.moreThanLowest', { amount: formatPrice(difference) }) : t('option.lowest')}</span>
+                                   {isAccepted ? (
+                                      <span className="text-[10px] font-bold text-[#009999]">{t('option.chosen')}</span>
+                                   ) : (
+                                      <button onClick={() => handleAcceptOption(option)} className="text-[10px] text-slate-500 hover:text-[#009999]">{t('option.accept')}</button>
+                                   )}
+                                </div>
+                             </div>
+                          );
+                       })}
+                       {proposal.acceptedOptionId && (
+                          <button onClick={() => setProposal(reopenComparison(proposal))} className="w-full px-3 py-2 border rounded text-xs hover:bg-gray-50">{t('option.reopen')}</button>
+                       )}
+                       <p className="text-[10px] text-gray-400">{comparing ? t('option.comparingHint') : t('option.acceptedOnlyHint')}</p>
+                    </div>
+                 </div>
+              )}
+
+              {/* Bundles in this quote */}
+              {cartBundles.length > 0 && (
+                 <div>
+                    <h3 className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-3">{t('ui.bundleSection')}</h3>
+                    <div className="space-y-2">
+                       {cartBundles.map(instance => (
+                          <div key={instance.id} className="p-2 rounded border border-gray-100 text-xs space-y-2">
+                             <div className="flex items-center gap-2">
+                                <span className="font-bold truncate flex-1" title={describeBundleItems(instance.items)}>{instance.name}</span>
+                                <span className="text-gray-400">{t('ui.pieces', { count: instance.items.length })}</span>
+                                <button onClick={() => ungroupCartBundle(instance.id)} className="text-slate-400 hover:text-red-500" title={t('bundle.ungroupHint')}>{t('bundle.ungroup')}</button>
+                             </div>
+                             <div className="grid grid-cols-2 gap-2">
+                                <select className="p-1.5 border rounded bg-white" value={instance.display} onChange={e => updateCartBundle(instance.id, { display: e.target.value })}>
+                                   {BUNDLE_DISPLAY.map(id => <option key={id} value={id}>{t(`bundle.display.${id}`)}</option>)}
+                                </select>
+                                <input
+                                  type="number" min="0"
+                                  className="p-1.5 border rounded"
+                                  placeholder={t('bundle.price')}
+                                  value={instance.price || ''}
+                                  onChange={e => updateCartBundle(instance.id, { price: Number(e.target.value) || 0 })}
+                                />
+                             </div>
+                          </div>
+                       ))}
+                    </div>
+                 </div>
+              )}
+
+              {/* Price Floor Guard */}
+              <div>
+                 <h3 className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-3">{t('ui.priceGuard')}</h3>
+                 <div className="space-y-2">
+                    <div className="flex flex-col gap-1">
+                       <label className="text-[10px] text-gray-400">{t('guard.defaultPercent')}</label>
+                       <input type="number" min="0" max="100" className="w-full p-2 border rounded text-sm" value={floorRules.defaultPercent} onChange={e => setFloorRules({...floorRules, defaultPercent: Number(e.target.value)})} />
+                    </div>
+                    <div className="grid grid-cols-2 gap-2">
+                       {categories.filter(c => c !== '全部').map(cat => (
+                          <div key={cat} className="flex items-center gap-1">
+                             <label className="text-[10px] text-gray-400 w-12 truncate" title={cat}>{localizeCategory(cat, uiLanguage)}</label>
+                             <input
+                               type="number" min="0" max="100"
+                               className="w-full p-1.5 border rounded text-xs"
+                               placeholder={String(floorRules.defaultPercent)}
+                               value={floorRules.categoryPercent?.[cat] ?? ''}
+                               onChange={e => {
+                                 const categoryPercent = { ...floorRules.categoryPercent };
+                                 if (e.target.value === '') delete categoryPercent[cat];
+                                 else categoryPercent[cat] = Number(e.target.value);
+                                 setFloorRules({ ...floorRules, categoryPercent });
+                               }}
+                             />
+                          </div>
+                       ))}
+                    </div>
+                    <button onClick={handleSetManagerPin} className="w-full px-3 py-2 border rounded text-xs hover:bg-gray-50">
+                       {floorRules.pinHash ? t('guard.changePin') : t('guard.setPin')}
+                    </button>
+                    {overrideApprovals.length > 0 && (
+                       <div className="text-[10px] text-gray-400">{t('guard.approvalCount', { count: overrideApprovals.length })}</div>
+                    )}
+                 </div>
+              </div>
+
               {/* Canvas Width Control Removed as requested */}
               {/* <div className={isConfigCollapsed ? 'hidden md:block' : ''}>...</div> */}
 
               {/* Customer Info */}
               <div>
-                 <h3 className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-3">客户信息</h3>
+                 <h3 className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-3">{t('ui.customerInfo')}</h3>
+                 <CustomerInfoEditor info={customerInfo} customers={customers} onChange={setCustomerInfo} onOpenCustomer={handleOpenCustomer} language={uiLanguage} t={t} />
+              </div>
+
+              {/* Store Profile */}
+              <div>
+                 <div className="flex items-center justify-between mb-3">
+                    <h3 className="text-xs font-bold text-slate-500 uppercase tracking-wider">{t('ui.storeInfo')}</h3>
+                    <div className="flex gap-1">
+                       <button onClick={handleAddStore} className="p-1 text-slate-400 hover:text-[#009999]" title={t('store.add')}><Plus className="w-4 h-4" /></button>
+                       {profiles.stores.length > 1 && <button onClick={handleDeleteStore} className="p-1 text-slate-400 hover:text-red-500" title={t('store.delete')}><Trash2 className="w-4 h-4" /></button>}
+                    </div>
+                 </div>
                  <div className="space-y-3">
-                    <div className="flex flex-col gap-1">
-                       <label className="text-[10px] text-gray-400">姓名</label>
-                       <input className="w-full p-2 border rounded text-sm" value={customerInfo.name} onChange={e => setCustomerInfo({...customerInfo, name: e.target.value})} />
+                    <input className="w-full p-2 border rounded text-sm" placeholder={t('store.name')} value={activeStore.name} onChange={e => updateStore({ name: e.target.value })} />
+                    <input className="w-full p-2 border rounded text-sm" placeholder={t('store.address')} value={activeStore.address} onChange={e => updateStore({ address: e.target.value })} />
+                    <div className="flex items-center gap-2">
+                       <div
+                          onClick={() => logoInputRef.current?.click()}
+                          className="border-2 border-dashed border-gray-300 rounded-lg h-12 w-24 flex items-center justify-center cursor-pointer hover:border-[#009999] bg-gray-50 overflow-hidden shrink-0"
+                       >
+                          {activeStore.logo ? <img src={activeStore.logo} className="max-w-full max-h-full object-contain" /> : <span className="text-[10px] text-gray-400 flex items-center gap-1"><Upload className="w-3 h-3" /> {t('store.logo')}</span>}
+                          <input ref={logoInputRef} type="file" accept="image/*" className="hidden" onChange={handleLogoUpload} />
+                       </div>
+                       {activeStore.logo && <button onClick={() => updateStore({ logo: null })} className="text-[10px] text-gray-400 hover:text-red-500">{t('ui.remove')}</button>}
+                    </div>
+                    <div className="flex items-center gap-2 text-[10px] text-gray-400">
+                       <span className="flex-1">{t('store.defaultStyle', { name: getTemplateName(getTemplate(activeStore.template, customTemplates), t) })} <span className="inline-block w-2 h-2 rounded-full align-middle" style={{ backgroundColor: activeStore.themeColor }} /></span>
+                       {(activeStore.template !== template || activeStore.themeColor !== themeColor) && (
+                          <button onClick={() => updateStore({ template, themeColor })} className="text-[#009999] hover:underline">{t('store.useCurrentStyle')}</button>
+                       )}
                     </div>
                     <div className="flex flex-col gap-1">
-                       <label className="text-[10px] text-gray-400">电话</label>
-                       <input className="w-full p-2 border rounded text-sm" value={customerInfo.phone} onChange={e => setCustomerInfo({...customerInfo, phone: e.target.value})} />
+                       <label className="text-[10px] text-gray-400">{t('store.channels')}</label>
+                       <ChannelPicker value={dealerChannels} onChange={channels => updateStore({ channels })} />
+                       {dealerChannels.length > 0 && (
+                          <select className="w-full p-2 border rounded text-sm bg-white mt-1" value={dealerInfo.channelMode || 'badge'} onChange={e => updateStore({ channelMode: e.target.value })}>
+                             <option value="badge">{t('store.channelModeBadge')}</option>
+                             <option value="hide">{t('store.channelModeHide')}</option>
+                          </select>
+                       )}
                     </div>
                     <div className="flex flex-col gap-1">
-                       <label className="text-[10px] text-gray-400">地址</label>
-                       <input className="w-full p-2 border rounded text-sm" value={customerInfo.address} onChange={e => setCustomerInfo({...customerInfo, address: e.target.value})} />
+                       <label className="text-[10px] text-gray-400">{t('numbering.title')}</label>
+                       <div className="grid grid-cols-3 gap-2">
+                          <input className="w-full p-2 border rounded text-sm font-mono" placeholder={t('numbering.prefix')} title={t('numbering.prefixHint')} value={numbering.prefix} onChange={e => updateStore({ numbering: {...numbering, prefix: e.target.value.trim()} })} />
+                          <input className="col-span-2 w-full p-2 border rounded text-sm font-mono" placeholder="{PREFIX}-{YYYY}{MM}{DD}-{SEQ:3}" title={t('numbering.patternHint')} value={numbering.pattern} onChange={e => updateStore({ numbering: {...numbering, pattern: e.target.value} })} />
+                       </div>
+                       <div className="flex items-center gap-2 text-[10px] text-gray-400">
+                          <span>{t('numbering.next')} <span className="font-mono text-slate-700">{nextQuoteNo.quoteNo}</span></span>
+                          <label className="ml-auto flex items-center gap-1">
+                             {t('numbering.seq')}
+                             <input type="number" min="1" className="w-14 p-1 border rounded text-xs text-slate-800" value={nextQuoteNo.seq} onChange={e => updateStore({ numbering: setNextSeq(numbering, Number(e.target.value) || 1) })} />
+                          </label>
+                       </div>
                     </div>
                  </div>
               </div>
 
-              {/* Dealer Info */}
+              {/* Salesperson Profile */}
               <div>
-                 <h3 className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-3">门店信息</h3>
+                 <div className="flex items-center justify-between mb-3">
+                    <h3 className="text-xs font-bold text-slate-500 uppercase tracking-wider">{t('ui.salesperson')}</h3>
+                    <div className="flex gap-1">
+                       <button onClick={handleAddSalesperson} className="p-1 text-slate-400 hover:text-[#009999]" title={t('salesperson.add')}><Plus className="w-4 h-4" /></button>
+                       {profiles.salespeople.length > 1 && <button onClick={handleDeleteSalesperson} className="p-1 text-slate-400 hover:text-red-500" title={t('salesperson.delete')}><Trash2 className="w-4 h-4" /></button>}
+                    </div>
+                 </div>
                  <div className="space-y-3">
-                    <input className="w-full p-2 border rounded text-sm" placeholder="门店名称" value={dealerInfo.name} onChange={e => setDealerInfo({...dealerInfo, name: e.target.value})} />
-                    <input className="w-full p-2 border rounded text-sm" placeholder="联系人" value={dealerInfo.contact} onChange={e => setDealerInfo({...dealerInfo, contact: e.target.value})} />
-                    <input className="w-full p-2 border rounded text-sm" placeholder="电话" value={dealerInfo.phone} onChange={e => setDealerInfo({...dealerInfo, phone: e.target.value})} />
-                    <input className="w-full p-2 border rounded text-sm" placeholder="地址" value={dealerInfo.address} onChange={e => setDealerInfo({...dealerInfo, address: e.target.value})} />
+                    <div className="grid grid-cols-2 gap-2">
+                       <input className="w-full p-2 border rounded text-sm" placeholder={t('salesperson.name')} value={activeSalesperson.name} onChange={e => updateSalesperson({ name: e.target.value })} />
+                       <input className="w-full p-2 border rounded text-sm" placeholder={t('salesperson.phone')} value={activeSalesperson.phone} onChange={e => updateSalesperson({ phone: e.target.value })} />
+                    </div>
+                    <div 
+                       onClick={() => qrInputRef.current?.click()}
+                       className="border-2 border-dashed border-gray-300 rounded-xl h-24 flex items-center justify-center cursor-pointer hover:border-[#009999] bg-gray-50 overflow-hidden relative"
+                     >
+                        {qrCode ? (
+                           <>
+                              <img src={qrCode} className="w-full h-full object-contain" />
+                              <div className="absolute inset-0 bg-black/20 opacity-0 hover:opacity-100 flex items-center justify-center text-white text-xs font-bold transition">{t('salesperson.replaceQr')}</div>
+                           </>
+                        ) : (
+                           <div className="text-xs text-gray-400 flex flex-col items-center gap-1">
+                              <Upload className="w-4 h-4" /> {t('salesperson.uploadQr')}
+                           </div>
+                        )}
+                        <input ref={qrInputRef} type="file" accept="image/*" className="hidden" onChange={handleQrUpload} />
+                     </div>
                  </div>
               </div>
 
-              {/* QR Code */}
-              <div>
-                 <h3 className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-3">顾问二维码</h3>
-                 <div 
-                    onClick={() => qrInputRef.current?.click()}
-                    className="border-2 border-dashed border-gray-300 rounded-xl h-24 flex items-center justify-center cursor-pointer hover:border-[#009999] bg-gray-50 overflow-hidden relative"
-                  >
-                     {qrCode ? (
-                        <>
-                           <img src={qrCode} className="w-full h-full object-contain" />
-                           <div className="absolute inset-0 bg-black/20 opacity-0 hover:opacity-100 flex items-center justify-center text-white text-xs font-bold transition">更换</div>
-                        </>
-                     ) : (
-                        <div className="text-xs text-gray-400 flex flex-col items-center gap-1">
-                           <Upload className="w-4 h-4" /> 点击上传
-                        </div>
-                     )}
-                     <input ref={qrInputRef} type="file" accept="image/*" className="hidden" onChange={handleQrUpload} />
-                  </div>
-              </div>
-
               {/* Data Tools */}
               <div className="pt-4 border-t">
-                 <h3 className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-3">数据管理</h3>
+                 <h3 className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-3">{t('ui.dataManagement')}</h3>
                  <div className="grid grid-cols-2 gap-2 mb-2">
-                    <button onClick={exportData} className="px-3 py-2 border rounded text-xs hover:bg-gray-50">备份数据</button>
+                    <button onClick={exportData} className="px-3 py-2 border rounded text-xs hover:bg-gray-50">{t('data.backup')}</button>
                     <label className="px-3 py-2 border rounded text-xs hover:bg-gray-50 text-center cursor-pointer">
-                       恢复数据
+                       {t('data.restore')}
                        <input type="file" accept=".json" className="hidden" onChange={importData} />
                     </label>
                  </div>
-                 <button onClick={handleResetData} className="w-full px-3 py-2 border border-red-100 text-red-500 bg-red-50 rounded text-xs hover:bg-red-100">重置为官方默认</button>
+                 <div className="grid grid-cols-2 gap-2 mb-2">
+                    <button onClick={() => setShowPriceListImport(true)} className="px-3 py-2 border rounded text-xs hover:bg-gray-50">{t('data.importPriceList')}</button>
+                    <button onClick={() => handleExportCatalog(products, t('file.catalog'))} className="px-3 py-2 border rounded text-xs hover:bg-gray-50">{t('data.exportCatalog')}</button>
+                 </div>
+                 <div className="grid grid-cols-2 gap-2 mb-2">
+                    <button onClick={() => setShowDimensionReport(true)} className="px-3 py-2 border rounded text-xs hover:bg-gray-50">{t('data.dimensionReport')}</button>
+                    <button onClick={() => setShowChannelReport(true)} className="px-3 py-2 border rounded text-xs hover:bg-gray-50">
+                       {t('data.channelReport')}{channelIssueCount > 0 && <span className="text-amber-600"> ({channelIssueCount})</span>}
+                    </button>
+                 </div>
+                 <button onClick={() => setShowPriceHistory(true)} className="w-full px-3 py-2 border rounded text-xs hover:bg-gray-50 mb-2">
+                    {t('data.priceHistory')}{upcomingPriceChanges.length > 0 && <span className="text-[#009999]"> ({t('data.pendingChanges', { count: upcomingPriceChanges.length })})</span>}
+                 </button>
+                 <button onClick={handleResetData} className="w-full px-3 py-2 border border-red-100 text-red-500 bg-red-50 rounded text-xs hover:bg-red-100">{t('data.reset')}</button>
               </div>
               
               </div>
@@ -828,8 +2376,9 @@ function App() {
            <div className="flex-1 bg-gray-100 overflow-auto p-4 md:p-8 flex justify-start md:justify-center items-start scroll-smooth -webkit-overflow-scrolling-touch">
               <div 
                  id="quotation-preview-content" 
-                 className={`shadow-2xl ${template === 'noir' ? 'bg-[#1a1a1a] text-white' : (template === 'elegant' ? 'bg-[#f8f9fa] text-slate-800' : 'bg-white text-slate-800')} transition-all duration-300 origin-top flex flex-col`}
+                 className="shadow-2xl transition-all duration-300 origin-top flex flex-col"
                  style={{ 
+                    backgroundColor: templateBackground,
                     width: isMobileFit ? '794px' : '100%', 
                     maxWidth: isMobileFit ? 'none' : '1000px', // Max width on desktop for readability
                     minHeight: isMobileFit ? `${794 * 1.414}px` : '1000px',
@@ -840,23 +2389,85 @@ function App() {
                  }}
               >
                  <PreviewContent 
-                    cart={cart}  
-                    template={template} 
-                    themeColor={themeColor}
-                    customerInfo={customerInfo} 
-                    dealerInfo={dealerInfo} 
-                    cartTotal={cartTotal} 
-                    qrCode={qrCode}
-                    formatPrice={formatPrice}
-                    updateCartItemPrice={updateCartItemPrice}
+                    {...previewProps}
+                    template={activeTemplate}
                     isEditable={true}
                     isExporting={isExporting}
-                    showRetailPrice={showRetailPrice}
-                    showDiscountPrice={showDiscountPrice}
                  />
               </div>
            </div>
         </div>
+
+        {designingTemplate && (
+           <TemplateDesignerModal
+              key={designingTemplate.id}
+              template={designingTemplate}
+              themeColor={themeColor}
+              renderPreview={draft => <PreviewContent {...previewProps} template={draft} isEditable={false} />}
+              onSave={handleSaveTemplate}
+              onDuplicate={handleDuplicateTemplate}
+              onDelete={handleDeleteTemplate}
+              onClose={() => setDesigningTemplate(null)}
+              t={t}
+           />
+        )}
+
+        {showApprovalModal && (
+           <OverrideApprovalModal
+              violations={unapprovedViolations}
+              hasPin={Boolean(floorRules.pinHash)}
+              formatPrice={formatPrice}
+              onApprove={handleApproveOverrides}
+              onCancel={() => { setShowApprovalModal(false); pendingExportRef.current = null; }}
+              t={t}
+           />
+        )}
+
+        {showPriceListImport && (
+           <PriceListImportModal
+              products={products}
+              formatPrice={formatPrice}
+              onApply={handleApplyPriceList}
+              onClose={() => setShowPriceListImport(false)}
+              t={t}
+           />
+        )}
+
+        {showDimensionReport && (
+           <DimensionReportModal
+              products={products}
+              onApply={handleApplyDimensions}
+              onClose={() => setShowDimensionReport(false)}
+              language={uiLanguage}
+              t={t}
+           />
+        )}
+        {showChannelReport && (
+           <ChannelReportModal
+              products={products}
+              onApply={handleApplyChannels}
+              onClose={() => setShowChannelReport(false)}
+              language={uiLanguage}
+              t={t}
+           />
+        )}
+        {showTermsLibrary && (
+           <TermsLibraryModal
+              terms={dealerTerms}
+              onSave={handleSaveDealerTerms}
+              onClose={() => setShowTermsLibrary(false)}
+              t={t}
+           />
+        )}
+        {showPriceHistory && (
+           <PriceHistoryModal
+              changes={priceChanges}
+              formatPrice={formatPrice}
+              onCancel={handleCancelPriceChange}
+              onClose={() => setShowPriceHistory(false)}
+              t={t}
+           />
+        )}
       </div>
     );
   }
@@ -871,11 +2482,33 @@ function App() {
         <header className="mb-6 sticky top-0 bg-gray-50 z-10 pb-4 backdrop-blur-sm bg-opacity-90">
           <div className="flex items-center justify-between mb-4">
              <h1 className="text-2xl font-bold text-[#009999] flex items-center gap-2 tracking-tight">
-               SIEMENS <span className="text-slate-600 text-lg font-normal">报价助手</span>
+               SIEMENS <span className="text-slate-600 text-lg font-normal">{t('ui.appName')}</span>
              </h1>
              <div className="flex gap-2">
+                <select
+                   className="p-2 bg-white border border-gray-200 text-slate-700 rounded-lg text-sm hover:bg-gray-50 cursor-pointer"
+                   value={uiLanguage}
+                   onChange={e => setUiLanguage(e.target.value)}
+                   title={t('ui.language')}
+                >
+                   {UI_LANGUAGES.map(l => <option key={l.id} value={l.id}>{l.label}</option>)}
+                </select>
+                <ProfileSwitcher
+                   stores={profiles.stores}
+                   salespeople={profiles.salespeople}
+                   storeId={activeStore.id}
+                   salespersonId={activeSalesperson.id}
+                   onSwitchStore={handleSwitchStore}
+                   onSwitchSalesperson={setActiveSalespersonId}
+                />
+                <button onClick={() => setView('history')} className="p-2 bg-white border border-gray-200 text-slate-700 rounded-lg text-sm flex items-center gap-1 hover:bg-gray-50 transition touch-manipulation">
+                   <History className="w-4 h-4" /> {t('ui.history')}
+                </button>
+                <button onClick={() => setView('customers')} className="p-2 bg-white border border-gray-200 text-slate-700 rounded-lg text-sm flex items-center gap-1 hover:bg-gray-50 transition touch-manipulation">
+                   <Users className="w-4 h-4" /> {t('ui.customers')}
+                </button>
                 <button onClick={handleAddProduct} className="p-2 bg-slate-900 text-white rounded-lg text-sm flex items-center gap-1 hover:bg-black transition touch-manipulation">
-                   <PlusCircle className="w-4 h-4" /> 添加产品
+                   <PlusCircle className="w-4 h-4" /> {t('ui.addProduct')}
                 </button>
              </div>
           </div>
@@ -885,7 +2518,7 @@ function App() {
               <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400 w-5 h-5" />
               <input 
                 type="text"
-                placeholder="搜索型号 / 名称..." 
+                placeholder={t('ui.search')}
                 className="w-full pl-10 pr-4 py-2.5 border border-gray-200 rounded-lg focus:ring-2 focus:ring-[#009999] focus:border-transparent outline-none bg-white shadow-sm transition-all hover:border-gray-300"
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
@@ -898,19 +2531,97 @@ function App() {
               onChange={(e) => setSelectedCategory(e.target.value)}
             >
               {categories.map(cat => (
-                <option key={cat} value={cat}>{cat}</option>
+                <option key={cat} value={cat}>{cat === '全部' ? t('ui.allCategories') : localizeCategory(cat, uiLanguage)}</option>
+              ))}
+            </select>
+            <select
+              className="p-2.5 border border-gray-200 rounded-lg bg-white shadow-sm outline-none focus:ring-2 focus:ring-[#009999] cursor-pointer"
+              value={sortBy}
+              onChange={(e) => setSortBy(e.target.value)}
+            >
+              {SORT_OPTIONS.map(id => (
+                <option key={id} value={id}>{t(`sort.${id}`)}</option>
               ))}
             </select>
+            <button
+              onClick={() => setShowFilters(!showFilters)}
+              className={`p-2.5 border rounded-lg shadow-sm flex items-center justify-center gap-1 text-sm ${showFilters || activeFilterCount > 0 ? 'border-[#009999] text-[#009999] bg-[#009999]/5' : 'border-gray-200 bg-white text-slate-600 hover:bg-gray-50'}`}
+            >
+              <SlidersHorizontal className="w-4 h-4" /> {t('ui.filters')}{activeFilterCount > 0 && ` (${activeFilterCount})`}
+            </button>
+            <button
+              onClick={() => setShowNiches(!showNiches)}
+              className={`p-2.5 border rounded-lg shadow-sm flex items-center justify-center gap-1 text-sm ${showNiches || activeNiche ? 'border-[#009999] text-[#009999] bg-[#009999]/5' : 'border-gray-200 bg-white text-slate-600 hover:bg-gray-50'}`}
+              title={t('ui.nichesHint')}
+            >
+              <Ruler className="w-4 h-4" /> {t('ui.niches')}{activeNiche && `: ${activeNiche.name}`}
+            </button>
+            <button
+              onClick={() => setShowBundles(!showBundles)}
+              className={`p-2.5 border rounded-lg shadow-sm flex items-center justify-center gap-1 text-sm ${showBundles ? 'border-[#009999] text-[#009999] bg-[#009999]/5' : 'border-gray-200 bg-white text-slate-600 hover:bg-gray-50'}`}
+              title={t('ui.bundlesHint')}
+            >
+              <PackagePlus className="w-4 h-4" /> {t('ui.bundles')}{bundles.length > 0 && ` (${bundles.length})`}
+            </button>
+            <button
+              onClick={() => handleExportCatalog(visibleProducts, selectedCategory === '全部' && !searchTerm && activeFilterCount === 0 ? t('file.catalog') : `${t('file.catalog')}_${localizeCategory(selectedCategory, uiLanguage)}`)}
+              className="p-2.5 border border-gray-200 rounded-lg bg-white shadow-sm hover:bg-gray-50 flex items-center justify-center gap-1 text-sm text-slate-600"
+              title={t('ui.exportHint')}
+            >
+              <FileSpreadsheet className="w-4 h-4" /> {t('ui.export')}
+            </button>
+          </div>
+          {showFilters && <FacetPanel facetOptions={facetOptions} filters={filters} onChange={setFilters} t={t} />}
+          {showNiches && (
+            <NichePanel
+              niches={niches}
+              onChange={setNiches}
+              activeNicheId={activeNicheId}
+              onSelect={setActiveNicheId}
+              fitOnly={fitOnly}
+              onFitOnlyChange={setFitOnly}
+              t={t}
+            />
+          )}
+          {showBundles && (
+            <BundlePanel
+              bundles={bundles}
+              products={products}
+              formatPrice={formatPrice}
+              canCreateFromCart={cart.some(item => !isCustomLine(item))}
+              onAdd={addBundleToCart}
+              onEdit={(bundle) => setEditingBundle({ bundle, isNew: false })}
+              onCreate={() => setEditingBundle({ bundle: createBundle(), isNew: true })}
+              onCreateFromCart={() => setEditingBundle({ bundle: createBundleFromCart(cart, ''), isNew: true })}
+              t={t}
+            />
+          )}
+          <div className="flex items-center gap-3 text-xs text-gray-400 mt-2">
+            <span>{t('ui.productCount', { count: visibleProducts.length })}</span>
+            {(untranslatedCount > 0 || untranslatedOnly) && (
+              <button onClick={() => setUntranslatedOnly(!untranslatedOnly)} className={`flex items-center gap-1 ${untranslatedOnly ? 'text-[#009999] font-bold' : 'text-amber-600 hover:underline'}`}>
+                <Languages className="w-3 h-3" />
+                {untranslatedOnly ? t('ui.showAll') : t('ui.translationReport', { count: untranslatedCount })}
+              </button>
+            )}
+            {(hiddenProductCount > 0 || showUnavailable) && (
+              <label className="flex items-center gap-1 cursor-pointer select-none">
+                <input type="checkbox" className="accent-[#009999]" checked={showUnavailable} onChange={e => setShowUnavailable(e.target.checked)} />
+                {t(dealerInfo.channelMode === 'hide' ? 'ui.showHiddenWithChannels' : 'ui.showHidden', { count: hiddenProductCount })}
+              </label>
+            )}
           </div>
         </header>
 
         <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4 pb-24 md:pb-0">
-          {filteredProducts.map(product => (
-            <div key={product.id} className="group bg-white rounded-xl shadow-sm hover:shadow-xl hover:-translate-y-1 transition-all duration-300 p-4 border border-gray-100 flex flex-col relative">
+          {visibleProducts.map(product => {
+            const unavailable = describeAvailability(product, dealerChannels, new Date(), t);
+            return (
+            <div key={product.id} className={`group bg-white rounded-xl shadow-sm hover:shadow-xl hover:-translate-y-1 transition-all duration-300 p-4 border border-gray-100 flex flex-col relative ${unavailable ? 'opacity-70' : ''}`}>
               <button 
                 onClick={(e) => { e.stopPropagation(); handleEditProduct(product); }}
                 className="absolute top-2 right-2 p-1.5 bg-white/80 rounded-full opacity-0 group-hover:opacity-100 hover:bg-slate-100 transition z-10 text-slate-500"
-                title="编辑产品"
+                title={t('ui.editProduct')}
               >
                 <Edit3 className="w-4 h-4" />
               </button>
@@ -921,21 +2632,42 @@ function App() {
                  ) : (
                    <div className="text-center">
                       <span className="text-4xl mb-2 block opacity-80">🧊</span>
-                      <span className="text-xs text-gray-400">暂无图片</span>
+                      <span className="text-xs text-gray-400">{t('ui.noImage')}</span>
                    </div>
                  )}
-                 <span className="absolute top-2 left-2 bg-slate-800 text-white text-[10px] px-2 py-0.5 rounded shadow-sm">
-                   {product.category}
-                 </span>
+                 <div className="absolute top-2 left-2 flex flex-col items-start gap-1">
+                   <span className="bg-slate-800 text-white text-[10px] px-2 py-0.5 rounded shadow-sm">
+                     {localizeCategory(product.category, uiLanguage)}
+                   </span>
+                   {isNewProduct(product) && <span className="bg-[#009999] text-white text-[10px] px-2 py-0.5 rounded shadow-sm">{t('ui.newProduct')}</span>}
+                   {unavailable && <span className="bg-amber-500 text-white text-[10px] px-2 py-0.5 rounded shadow-sm">{unavailable}</span>}
+                   {(untranslatedOnly || quoteLanguage !== 'zh') && isUntranslated(product) && (
+                     <span className="bg-white text-amber-600 border border-amber-200 text-[10px] px-2 py-0.5 rounded shadow-sm" title={t('ui.missingTranslationHint', { fields: describeMissingTranslations(product) })}>{t('ui.missingTranslation')}</span>
+                   )}
+                 </div>
               </div>
               <h3 className="font-bold text-slate-800 truncate text-base" title={product.name}>{product.name}</h3>
               <p className="text-sm text-gray-500 mb-3 font-mono tracking-tight">{product.model}</p>
+              {activeNiche && (() => {
+                const fit = checkFit(product, activeNiche, t);
+                const style = { fit: 'bg-green-50 text-green-700', 'no-fit': 'bg-red-50 text-red-600', unknown: 'bg-gray-100 text-gray-500' }[fit.status];
+                const label = t(`fit.status.${fit.status}`);
+                return (
+                  <p className={`-mt-2 mb-3 text-[10px] px-2 py-0.5 rounded self-start ${style}`} title={product.dimensions}>
+                    {label}{fit.problems.length > 0 && `: ${fit.problems.join(', ')}`}
+                  </p>
+                );
+              })()}
               
               <div className="mt-auto flex items-end justify-between">
                 <div>
                   <p className="text-[#009999] font-bold text-lg">{formatPrice(product.price_retail)}</p>
-                  <p className="text-xs text-gray-400 transform scale-90 origin-left">建议零售价</p>
+                  <p className="text-xs text-gray-400 transform scale-90 origin-left">{t('ui.retailPrice')}</p>
                 </div>
+                <label className={`ml-auto mr-2 mb-1 flex items-center gap-1 text-xs cursor-pointer ${compareIds.includes(product.id) ? 'text-[#009999] font-bold' : 'text-gray-400 hover:text-slate-600'}`}>
+                  <input type="checkbox" checked={compareIds.includes(product.id)} onChange={() => toggleCompare(product)} className="accent-[#009999]" />
+                  {t('ui.compare')}
+                </label>
                 <button 
                   onClick={() => addToCart(product)}
                   className="w-9 h-9 flex items-center justify-center bg-slate-900 text-white rounded-full hover:bg-[#009999] active:scale-90 transition-all shadow-md hover:shadow-lg touch-manipulation cursor-pointer"
@@ -944,55 +2676,195 @@ function App() {
                 </button>
               </div>
             </div>
-          ))}
+            );
+          })}
         </div>
       </div>
 
+      {/* Comparison Tray */}
+      {compareProducts.length > 0 && (
+        <div className="fixed bottom-4 left-4 md:left-6 z-40 bg-slate-900 text-white rounded-xl shadow-2xl p-3 flex items-center gap-3">
+          <GitCompare className="w-4 h-4 text-[#00cccc]" />
+          <div className="flex gap-1">
+            {compareProducts.map(p => (
+              <span key={p.id} className="text-[10px] font-mono bg-white/10 px-2 py-1 rounded flex items-center gap-1">
+                {p.model}
+                <button onClick={() => toggleCompare(p)} className="opacity-60 hover:opacity-100"><X className="w-3 h-3" /></button>
+              </span>
+            ))}
+          </div>
+          <button onClick={() => setCompareIds([])} className="text-xs opacity-60 hover:opacity-100">{t('compare.clear')}</button>
+          <button
+            onClick={() => setView('compare')}
+            disabled={compareProducts.length < 2}
+            className="px-3 py-1.5 bg-[#009999] rounded-lg text-xs font-bold disabled:opacity-40"
+          >
+            {t('compare.start', { count: compareProducts.length })}
+          </button>
+        </div>
+      )}
+
       {/* Cart Drawer - now simplified as a quick view */}
       <div className={`fixed inset-y-0 right-0 w-full md:w-[400px] bg-white shadow-2xl transform transition-transform duration-300 z-50 ${isCartOpen ? 'translate-x-0' : 'translate-x-full'} md:translate-x-0 md:static md:border-l border-gray-200 flex flex-col`}>
         <div className="p-4 border-b flex items-center justify-between bg-white z-10">
           <div className="flex items-center gap-4">
              <h2 className="text-lg font-bold flex items-center gap-2 text-slate-800">
-               <ShoppingCart className="w-5 h-5 text-[#009999]" /> 选购清单
+               <ShoppingCart className="w-5 h-5 text-[#009999]" /> {t('cart.title')}
              </h2>
              <span className="bg-[#009999] text-white text-xs px-2 py-0.5 rounded-full font-bold">{cart.length}</span>
+             {activeQuote && <span className="text-[10px] font-mono text-slate-400">{formatQuoteLabel(activeQuote)}</span>}
           </div>
+          {(cart.length > 0 || activeQuote) && (
+            <button onClick={handleNewQuote} className="text-xs text-slate-500 hover:text-[#009999] flex items-center gap-1 ml-auto mr-2">
+              <PlusCircle className="w-3 h-3" /> {t('quote.new')}
+            </button>
+          )}
           <button onClick={() => setIsCartOpen(false)} className="md:hidden p-2 text-slate-500">
             <X className="w-6 h-6" />
           </button>
         </div>
 
         <div className="flex-1 overflow-y-auto p-4 space-y-3 bg-slate-50/50">
+          {(proposal || cart.length > 0) && (
+            <ProposalTabs
+              proposal={proposal}
+              onSwitch={optionId => applyOptionChange(switchOption(proposal, cart, optionId))}
+              onAdd={handleAddOption}
+              onRename={handleRenameOption}
+              onRemove={handleRemoveOption}
+              t={t}
+            />
+          )}
+          <button
+            onClick={() => setEditingCustomLine({ line: createCustomLine(), isNew: true })}
+            className="w-full py-2 border border-dashed border-gray-300 rounded-lg text-xs text-slate-500 hover:border-[#009999] hover:text-[#009999] flex items-center justify-center gap-1"
+          >
+            <Wrench className="w-3 h-3" /> {t('cart.addCustomLine')}
+          </button>
+          <CartSuggestions
+            suggestions={cartSuggestions}
+            formatPrice={formatPrice}
+            onAdd={addToCart}
+            onDismiss={key => setDismissedSuggestions(prev => [...prev, key])}
+            t={t}
+          />
           {cart.length === 0 ? (
-            <div className="text-center text-slate-400 mt-20"><ShoppingCart className="w-8 h-8 mx-auto mb-2 opacity-30" /><p className="text-sm">暂无商品</p></div>
+            <div className="text-center text-slate-400 mt-20"><ShoppingCart className="w-8 h-8 mx-auto mb-2 opacity-30" /><p className="text-sm">{t('cart.empty')}</p></div>
           ) : (
-            cart.map(item => (
-              <div key={item.id} className="flex gap-3 bg-white p-3 rounded-lg border border-gray-100 shadow-sm">
-                <div className="w-14 h-14 bg-slate-50 rounded flex items-center justify-center overflow-hidden shrink-0 p-1">
-                   {item.image ? <img src={item.image} className="w-full h-full object-contain" /> : <span className="text-xs text-slate-300">图</span>}
-                </div>
-                <div className="flex-1 min-w-0">
-                  <div className="flex justify-between">
-                    <h4 className="font-bold text-sm truncate">{item.name}</h4>
-                    <button onClick={() => removeFromCart(item.id)} className="text-slate-300 hover:text-red-500"><Trash2 className="w-3 h-3" /></button>
-                  </div>
-                  <div className="flex justify-between items-center mt-1">
-                     <span className="text-sm font-bold text-[#009999]">{formatPrice(item.price_retail)}</span>
-                     <div className="flex items-center gap-2 bg-slate-100 rounded px-1">
-                        <button onClick={() => updateQuantity(item.id, -1)}><Minus className="w-3 h-3" /></button>
-                        <span className="text-xs w-4 text-center">{item.quantity}</span>
-                        <button onClick={() => updateQuantity(item.id, 1)}><Plus className="w-3 h-3" /></button>
-                     </div>
-                  </div>
-                </div>
+            <>
+              <div className="flex flex-wrap items-center gap-1.5 text-[10px] text-slate-400">
+                <span>{t('section.title')}</span>
+                {SECTION_PRESETS.map(id => t(`section.preset.${id}`)).filter(name => !sections.some(sec => sec.name === name)).map(name => (
+                  <button key={name} onClick={() => addSection(name)} className="px-2 py-0.5 border border-dashed rounded-full hover:border-[#009999] hover:text-[#009999]">+ {name}</button>
+                ))}
+                <button onClick={() => addSection()} className="px-2 py-0.5 border border-dashed rounded-full hover:border-[#009999] hover:text-[#009999]">+ {t('section.custom')}</button>
               </div>
-            ))
+              {cartGroups.filter(group => group.section || group.items.length > 0).map(group => (
+                <div
+                  key={group.section?.id || 'unassigned'}
+                  onDragOver={e => e.preventDefault()}
+                  onDrop={e => handleCartDrop(e, group.section?.id)}
+                  className={sections.length > 0 ? 'space-y-2 p-2 rounded-lg border border-dashed border-gray-200' : 'space-y-3'}
+                >
+                  {sections.length > 0 && (
+                    <div className="flex items-center gap-2 text-xs">
+                      {group.section ? (
+                        <button onClick={() => renameSection(group.section)} className="font-bold text-slate-700 hover:text-[#009999]" title={t('ui.rename')}>{group.section.name}</button>
+                      ) : (
+                        <span className="font-bold text-slate-400">{t('doc.unassigned')}</span>
+                      )}
+                      <span className="text-slate-400">{t('ui.pieces', { count: group.items.length })} · {formatPrice(group.subtotal)}</span>
+                      {group.section && (
+                        <button onClick={() => removeSection(group.section)} className="ml-auto text-slate-300 hover:text-red-500"><X className="w-3 h-3" /></button>
+                      )}
+                    </div>
+                  )}
+                  {group.items.length === 0 && <div className="text-center text-[10px] text-slate-300 py-3">{t('section.dropHint')}</div>}
+                  {group.items.map(item => (
+                    <div
+                      key={item.id}
+                      draggable
+                      onDragStart={() => { dragItemRef.current = item.id; }}
+                      onDragOver={e => e.preventDefault()}
+                      onDrop={e => handleCartDrop(e, group.section?.id, item.id)}
+                      className="flex gap-3 bg-white p-3 rounded-lg border border-gray-100 shadow-sm cursor-grab active:cursor-grabbing"
+                    >
+                      <div className="w-14 h-14 bg-slate-50 rounded flex items-center justify-center overflow-hidden shrink-0 p-1">
+                         {isCustomLine(item) ? <Wrench className="w-5 h-5 text-slate-300" /> : item.image ? <img src={item.image} className="w-full h-full object-contain" /> : <span className="text-xs text-slate-300">{t('cart.noImage')}</span>}
+                      </div>
+                      <div className="flex-1 min-w-0">
+                        <div className="flex justify-between">
+                          {isCustomLine(item) ? (
+                            <button onClick={() => setEditingCustomLine({ line: item, isNew: false })} className="font-bold text-sm truncate text-left hover:text-[#009999]" title={t('cart.editCustomLine')}>{item.name}</button>
+                          ) : (
+                            <h4 className="font-bold text-sm truncate">{item.name}</h4>
+                          )}
+                          {isPricedBundleLine(item) ? (
+                            <span className="text-slate-200 cursor-not-allowed" title={t('bundle.removeLocked')}><Trash2 className="w-3 h-3" /></span>
+                          ) : (
+                            <button onClick={() => removeFromCart(item.id)} className="text-slate-300 hover:text-red-500"><Trash2 className="w-3 h-3" /></button>
+                          )}
+                        </div>
+                        {item.bundle && (
+                          <span className="inline-flex items-center gap-0.5 mt-0.5 px-1.5 rounded bg-[#009999]/10 text-[10px] text-[#009999] max-w-full truncate">
+                            <PackagePlus className="w-3 h-3 shrink-0" /> {item.bundle.name}
+                          </span>
+                        )}
+                        <div className="flex justify-between items-center mt-1">
+                           <span className="text-sm font-bold text-[#009999]">
+                             {item.isFree ? t('doc.free') : formatPrice(getLinePrice(item, pricing.isPackage))}
+                             {isCustomLine(item) && item.unit && <span className="text-[10px] font-normal text-slate-400"> / {item.unit}</span>}
+                           </span>
+                           {isPricedBundleLine(item) ? (
+                              <span className="text-xs text-slate-500 px-1" title={t('bundle.quantityLocked')}>×{item.quantity}</span>
+                           ) : (
+                              <div className="flex items-center gap-2 bg-slate-100 rounded px-1">
+                                 <button onClick={() => updateQuantity(item.id, -1)}><Minus className="w-3 h-3" /></button>
+                                 <span className="text-xs w-4 text-center">{item.quantity}</span>
+                                 <button onClick={() => updateQuantity(item.id, 1)}><Plus className="w-3 h-3" /></button>
+                              </div>
+                           )}
+                        </div>
+                        {!isCustomLine(item) && describeAvailability(item, dealerChannels, new Date(), t) && (
+                          <p className="mt-1 text-[10px] text-amber-600">{describeAvailability(item, dealerChannels, new Date(), t)}</p>
+                        )}
+                        {needsNiche(item) && (
+                          <select
+                            className={`mt-1 w-full p-1 border rounded text-[10px] bg-white ${nicheWarnings.some(w => w.itemId === item.id) ? 'border-amber-300 text-amber-700' : 'text-slate-500'}`}
+                            value={item.nicheId || ''}
+                            onChange={e => updateCartItemNiche(item.id, e.target.value)}
+                            title={nicheWarnings.find(w => w.itemId === item.id)?.message}
+                          >
+                            <option value="">{t('niche.unassigned')}</option>
+                            {niches.map(n => <option key={n.id} value={n.id}>{n.name}</option>)}
+                            <option value="none">{t('niche.none')}</option>
+                          </select>
+                        )}
+                        {sections.length > 0 && (
+                          <select
+                            className="md:hidden mt-1 w-full p-1 border rounded text-[10px] bg-white text-slate-500"
+                            value={group.section?.id || ''}
+                            onChange={e => setCart(prev => moveCartItem(prev, item.id, e.target.value))}
+                          >
+                            {sections.map(sec => <option key={sec.id} value={sec.id}>{sec.name}</option>)}
+                            <option value="">{t('doc.unassigned')}</option>
+                          </select>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </>
           )}
         </div>
 
         <div className="p-4 border-t bg-white safe-area-bottom">
            <div className="flex justify-between items-end mb-4">
-              <span className="text-slate-500 text-xs">总计 (零售价)</span>
+              <span className="text-slate-500 text-xs">
+                {pricing.isPackage ? t('cart.totalPackage') : t('cart.totalRetail')}
+                {pricing.savings > 0 && <span className="block text-[#009999]">{t('cart.saved', { amount: formatPrice(pricing.savings) })}</span>}
+              </span>
               <span className="text-2xl font-bold text-[#009999]">{formatPrice(cartTotal)}</span>
            </div>
            <button 
@@ -1000,7 +2872,7 @@ function App() {
              disabled={cart.length === 0}
              className="w-full py-3 bg-slate-900 text-white rounded-xl font-bold flex items-center justify-center gap-2 hover:bg-black transition disabled:opacity-50"
            >
-             <Settings className="w-4 h-4" /> 下一步: 生成报价单
+             <Settings className="w-4 h-4" /> {t('cart.next')}
            </button>
         </div>
       </div>
@@ -1009,35 +2881,113 @@ function App() {
       {showProductManager && (
         <div className="fixed inset-0 bg-black/50 z-[60] flex items-center justify-center p-4">
            <div className="bg-white rounded-xl w-full max-w-md p-6 max-h-[90vh] overflow-y-auto">
-              <h2 className="text-lg font-bold mb-4">{editingProduct.id.startsWith('NEW') ? '添加新产品' : '编辑产品'}</h2>
+              <h2 className="text-lg font-bold mb-4">{editingProduct.id.startsWith('NEW') ? t('ui.addProduct') : t('ui.editProduct')}</h2>
               <div className="space-y-3">
                  <div className="flex justify-center mb-4">
                     <div onClick={() => productImgInputRef.current?.click()} className="w-24 h-24 bg-gray-100 rounded-lg flex items-center justify-center cursor-pointer border-2 border-dashed border-gray-300 hover:border-[#009999] overflow-hidden">
-                       {editingProduct.image ? <img src={editingProduct.image} className="w-full h-full object-cover" /> : <div className="text-center text-xs text-gray-400">上传图片</div>}
+                       {editingProduct.image ? <img src={editingProduct.image} className="w-full h-full object-cover" /> : <div className="text-center text-xs text-gray-400">{t('product.uploadImage')}</div>}
                     </div>
                     <input ref={productImgInputRef} type="file" accept="image/*" className="hidden" onChange={handleProductImageUpload} />
                  </div>
-                 <input className="w-full p-2 border rounded" placeholder="产品名称" value={editingProduct.name} onChange={e => setEditingProduct({...editingProduct, name: e.target.value})} />
-                 <input className="w-full p-2 border rounded" placeholder="型号" value={editingProduct.model} onChange={e => setEditingProduct({...editingProduct, model: e.target.value})} />
+                 <input className="w-full p-2 border rounded" placeholder={t('product.name')} value={editingProduct.name} onChange={e => setEditingProduct({...editingProduct, name: e.target.value})} />
+                 <input className="w-full p-2 border rounded" placeholder={t('ui.nameEn')} value={editingProduct.name_en ?? ''} onChange={e => setEditingProduct({...editingProduct, name_en: e.target.value})} />
+                 <input className="w-full p-2 border rounded" placeholder={t('product.model')} value={editingProduct.model} onChange={e => setEditingProduct({...editingProduct, model: e.target.value})} />
                  <div className="flex gap-2">
-                    <input className="w-full p-2 border rounded" type="number" placeholder="零售价" value={editingProduct.price_retail} onChange={e => setEditingProduct({...editingProduct, price_retail: Number(e.target.value)})} />
+                    <input className="w-full p-2 border rounded" type="number" placeholder={t('product.retail')} title={t('product.retail')} value={editingProduct.price_retail} onChange={e => setEditingProduct({...editingProduct, price_retail: Number(e.target.value)})} />
+                    <input className="w-full p-2 border rounded" type="number" placeholder={t('product.package')} title={t('product.package')} value={editingProduct.price_package} onChange={e => setEditingProduct({...editingProduct, price_package: Number(e.target.value)})} />
                  </div>
-                 <input className="w-full p-2 border rounded" placeholder="分类 (如: 冰箱)" value={editingProduct.category} onChange={e => setEditingProduct({...editingProduct, category: e.target.value})} />
-                 <textarea className="w-full p-2 border rounded h-20" placeholder="功能特性" value={editingProduct.features} onChange={e => setEditingProduct({...editingProduct, features: e.target.value})} />
+                 {!editingProduct.id.startsWith('NEW') && (
+                    <PriceScheduleEditor product={editingProduct} formatPrice={formatPrice} onChange={setEditingProduct} t={t} />
+                 )}
+                 <input className="w-full p-2 border rounded" type="number" placeholder={t('product.floorHint')} title={t('product.floor')} value={editingProduct.price_floor ?? ''} onChange={e => setEditingProduct({...editingProduct, price_floor: e.target.value === '' ? undefined : Number(e.target.value)})} />
+                 <input className="w-full p-2 border rounded" placeholder={t('product.category')} value={editingProduct.category} onChange={e => setEditingProduct({...editingProduct, category: e.target.value})} />
+                 <div>
+                    <input className="w-full p-2 border rounded" placeholder={t('product.dimensionsHint')} title={t('product.dimensions')} value={editingProduct.dimensions ?? ''} onChange={e => setEditingProduct({...editingProduct, dimensions: e.target.value})} />
+                    {editingProduct.dimensions && (() => {
+                      const parsed = parseDimensions(editingProduct.dimensions, editingProduct.category, t);
+                      return (
+                        <p className={`text-[10px] mt-1 ${parsed.anomalies.length > 0 ? 'text-amber-600' : 'text-gray-400'}`}>
+                          {parsed.ok ? t('product.dimensionsRead', { dimensions: formatDimensions(parsed) }) : t('product.dimensionsUnread')}
+                          {parsed.anomalies.length > 0 && ` · ${parsed.anomalies.join(', ')}`}
+                        </p>
+                      );
+                    })()}
+                 </div>
+                 <textarea className="w-full p-2 border rounded h-20" placeholder={t('product.features')} value={editingProduct.features} onChange={e => setEditingProduct({...editingProduct, features: e.target.value})} />
+                 <textarea className="w-full p-2 border rounded h-20" placeholder={t('ui.featuresEn')} value={editingProduct.features_en ?? ''} onChange={e => setEditingProduct({...editingProduct, features_en: e.target.value})} />
+                 {isUntranslated(editingProduct) && (
+                    <p className="text-[10px] text-amber-600 flex items-center gap-1"><Languages className="w-3 h-3" /> {t('ui.missingTranslationHint', { fields: describeMissingTranslations(editingProduct) })}</p>
+                 )}
+                 <div className="grid grid-cols-2 gap-2">
+                    <label className="flex flex-col gap-1 text-[10px] text-gray-400">
+                       {t('product.effectiveFrom')}
+                       <input type="date" className="w-full p-2 border rounded text-sm text-slate-800" value={toDateInput(editingProduct.effective_from)} onChange={e => setEditingProduct({...editingProduct, effective_from: e.target.value || undefined})} />
+                    </label>
+                    <label className="flex flex-col gap-1 text-[10px] text-gray-400">
+                       {t('product.discontinuedAfter')}
+                       <input type="date" className="w-full p-2 border rounded text-sm text-slate-800" value={toDateInput(editingProduct.discontinued_after)} onChange={e => setEditingProduct({...editingProduct, discontinued_after: e.target.value || undefined})} />
+                    </label>
+                 </div>
+                 <div className="border rounded p-2 space-y-2">
+                    <span className="text-xs font-bold text-slate-500">{t('product.channels')}</span>
+                    {(() => {
+                      const parsed = getProductChannels(editingProduct);
+                      return (
+                        <ChannelPicker
+                          allowAll
+                          value={editingProduct.channels ?? (parsed.all ? [ALL_CHANNELS] : parsed.codes)}
+                          onChange={channels => setEditingProduct({...editingProduct, channels})}
+                        />
+                      );
+                    })()}
+                    {editingProduct.channel && <p className="text-[10px] text-gray-400 whitespace-pre-wrap">{t('product.channelSource', { channel: editingProduct.channel })}</p>}
+                 </div>
+                 <RelationEditor
+                    productModel={editingProduct.model}
+                    relations={editingProduct.relations}
+                    products={products}
+                    onChange={relations => setEditingProduct({...editingProduct, relations})}
+                    t={t}
+                 />
               </div>
               <div className="flex gap-3 mt-6">
                  {editingProduct.id && !editingProduct.id.startsWith('NEW') && (
                     <button onClick={() => handleDeleteProduct(editingProduct.id)} className="p-2 text-red-500 hover:bg-red-50 rounded"><Trash2 className="w-5 h-5" /></button>
                  )}
                  <div className="flex-1 flex gap-2 justify-end">
-                    <button onClick={() => setShowProductManager(false)} className="px-4 py-2 border rounded text-gray-600">取消</button>
-                    <button onClick={handleSaveProduct} className="px-4 py-2 bg-[#009999] text-white rounded">保存</button>
+                    <button onClick={() => setShowProductManager(false)} className="px-4 py-2 border rounded text-gray-600">{t('ui.cancel')}</button>
+                    <button onClick={handleSaveProduct} className="px-4 py-2 bg-[#009999] text-white rounded">{t('ui.save')}</button>
                  </div>
               </div>
            </div>
         </div>
       )}
 
+      {editingCustomLine && (
+        <CustomLineModal
+          line={editingCustomLine.line}
+          isNew={editingCustomLine.isNew}
+          formatPrice={formatPrice}
+          onSave={handleSaveCustomLine}
+          onCancel={() => setEditingCustomLine(null)}
+          t={t}
+        />
+      )}
+
+      {editingBundle && (
+        <BundleEditorModal
+          bundle={editingBundle.bundle}
+          isNew={editingBundle.isNew}
+          products={products}
+          formatPrice={formatPrice}
+          onSave={handleSaveBundle}
+          onDelete={handleDeleteBundle}
+          onCancel={() => setEditingBundle(null)}
+          language={uiLanguage}
+          t={t}
+        />
+      )}
+
       {/* Mobile Cart Toggle */}
       {!isCartOpen && cart.length > 0 && (
         <button 
@@ -1054,194 +3004,4 @@ function App() {
   );
 }
 
-// --- Component: Quotation Preview Content ---
-const PreviewContent = ({ cart, template, themeColor, customerInfo, dealerInfo, cartTotal, qrCode, formatPrice, updateCartItemPrice, isEditable, isExporting, showRetailPrice, showDiscountPrice }) => {
-  const isNoir = template === 'noir';
-  const isModern = template === 'modern';
-  const isMinimal = template === 'minimal';
-  
-  const isElegant = false; // Force false as removed
-  
-  // Colors
-  const accentColorObj = { color: isNoir ? 'white' : themeColor };
-  const borderColorClass = isNoir ? 'border-gray-700' : 'border-gray-200';
-  const subTextColor = isNoir ? 'text-gray-400' : 'text-slate-500';
-  
-  // Table Styles
-  let tableHeadClass = `text-center py-4 px-2 font-bold text-sm ${isNoir ? 'text-gray-300' : 'text-slate-700'} border-b-2 ${borderColorClass} tracking-wide`;
-  let tableCellClass = `py-6 px-3 border-b ${borderColorClass} align-middle text-sm`; 
-
-  if (isModern) {
-      tableHeadClass = `text-center py-5 px-2 font-bold text-sm text-white border-b-0 tracking-wide`;
-      tableCellClass = `py-6 px-3 border-b border-gray-100 align-middle text-sm`; 
-  } else if (isMinimal) {
-      tableHeadClass = `text-center py-4 px-2 font-medium text-sm ${isNoir ? 'text-gray-300' : 'text-slate-500'} border-b ${borderColorClass} tracking-wide`;
-      tableCellClass = `py-6 px-3 border-b-0 align-middle text-sm`; 
-  }
-
-  // Responsive padding/font adjustments for different screens
-  // We use standard classes but can add style overrides if needed for specific pixel precision
-  const responsiveTextClass = "text-xs md:text-sm";
-  const responsivePaddingClass = "py-4 md:py-6 px-2"; // Reduced padding for better space utilization
-  
-  // Update tableCellClass to include responsive spacing
-  tableCellClass = `${tableCellClass.replace('py-6 px-3', '')} ${responsivePaddingClass} align-middle ${responsiveTextClass}`;
-
-  // --- Dynamic Column Width Calculation ---
-  // Base widths (weights) for always-visible columns
-  const baseWeights = {
-     name: 12,
-     model: 12,
-     features: 30, // Increased base weight for features
-     quantity: 8,
-     image: 12
-  };
-  
-  // Add weights for conditional columns
-  if (showRetailPrice) baseWeights.retail = 12;
-  if (showDiscountPrice) baseWeights.discount = 12;
-  
-  // Calculate total weight
-  const totalWeight = Object.values(baseWeights).reduce((a, b) => a + b, 0);
-  
-  // Helper to get percentage width
-  const getWidth = (key) => `${(baseWeights[key] / totalWeight) * 100}%`;
-
-  const isExportingOrPreview = isExporting || !isEditable;
-
-  return (
-    <div className={`flex flex-col h-full ${isNoir ? 'bg-[#1a1a1a] text-white' : 'bg-white text-slate-800'}`}>
-      {/* 1. Header */}
-      <div className={`preview-header px-4 md:px-8 py-6 md:py-8 flex justify-between items-end border-b ${isMinimal ? 'border-transparent' : borderColorClass}`}>
-         <div>
-           <h1 className={`text-3xl md:text-4xl font-extrabold tracking-tighter leading-none mb-2`} style={accentColorObj}>SIEMENS</h1>
-           <p className={`${subTextColor} text-[10px] tracking-[0.4em] uppercase pl-1 font-medium`}>Future Moving</p>
-         </div>
-         <div className="text-right">
-           <h2 className={`text-xl md:text-2xl font-light mb-1 tracking-wide ${isNoir ? 'text-white' : 'text-slate-800'}`}>
-             {isNoir ? 'PRICE LIST' : '家电配置方案'}
-           </h2>
-           <p className={`${subTextColor} tracking-[0.2em] uppercase text-[9px] font-medium`}>Quotation Proposal</p>
-         </div>
-      </div>
-
-      {/* 2. Info Grid */}
-      <div className={`preview-info px-4 md:px-8 py-4 md:py-6 grid grid-cols-2 gap-8 md:gap-12 ${isModern ? 'bg-slate-50 mx-4 md:mx-8 rounded-xl my-4 py-4 md:py-6' : ''}`}>
-         <div>
-            <h3 className={`text-[10px] font-bold ${subTextColor} uppercase tracking-[0.2em] mb-3`}>CUSTOMER</h3>
-            <div className="space-y-1.5 text-xs">
-              <div className="flex gap-3"><span className={`${subTextColor} w-8 inline-block`}>姓名</span><span className={`font-bold ${isNoir ? 'text-white' : 'text-slate-900'}`}>{customerInfo.name}</span></div>
-              <div className="flex gap-3"><span className={`${subTextColor} w-8 inline-block`}>电话</span><span className={`${isNoir ? 'text-gray-300' : 'text-slate-700'} font-medium`}>{customerInfo.phone}</span></div>
-              <div className="flex gap-3"><span className={`${subTextColor} w-8 inline-block`}>地址</span><span className={`${isNoir ? 'text-gray-400' : 'text-slate-600'}`}>{customerInfo.address}</span></div>
-            </div>
-         </div>
-         <div>
-            <h3 className={`text-[10px] font-bold ${subTextColor} uppercase tracking-[0.2em] mb-3`}>DEALER</h3>
-            <div className="space-y-1.5 text-xs">
-              <div className={`font-bold ${isNoir ? 'text-white' : 'text-slate-900'}`}>{dealerInfo.name}</div>
-              <div className={`${isNoir ? 'text-gray-300' : 'text-slate-700'} font-medium`}>{dealerInfo.contact} | {dealerInfo.phone}</div>
-              <div className={`${isNoir ? 'text-gray-400' : 'text-slate-600'}`}>{dealerInfo.address}</div>
-            </div>
-         </div>
-      </div>
-
-      {/* 3. Table */}
-      <div className={`px-4 md:px-8 flex-1 overflow-x-auto`}>
-         <table className={`w-full border-collapse table-fixed min-w-[600px]`}>
-            <thead style={isModern ? { backgroundColor: themeColor } : {}}>
-               <tr>
-                  <th className={`${tableHeadClass} text-left pl-2 rounded-tl-lg`} style={{ width: getWidth('name') }}>产品名称</th>
-                  <th className={`${tableHeadClass}`} style={{ width: getWidth('model') }}>型号</th>
-                  {showRetailPrice && <th className={`${tableHeadClass}`} style={{ width: getWidth('retail') }}>零售价</th>}
-                  {showDiscountPrice && <th className={`${tableHeadClass} text-left`} style={{ width: getWidth('discount') }}>优惠价</th>}
-                  <th className={`${tableHeadClass}`} style={{ width: getWidth('features') }}>功能详述</th>
-                  <th className={`${tableHeadClass}`} style={{ width: getWidth('quantity') }}>数量</th>
-                  <th className={`${tableHeadClass} rounded-tr-lg`} style={{ width: getWidth('image') }}>图片</th>
-               </tr>
-            </thead>
-            <tbody>
-               {cart.map((item, index) => {
-                 const currentPrice = item.overridePrice !== undefined ? item.overridePrice : item.price_retail;
-                 return (
-                   <tr key={item.id} className={`${isModern && index % 2 === 0 ? 'bg-slate-50' : ''}`}>
-                      <td className={`${tableCellClass} font-bold pl-2`}>
-                        <div className="leading-snug">{item.name}</div>
-                      </td>
-                      <td className={`${tableCellClass} text-xs font-mono`}>{item.model}</td>
-                      {showRetailPrice && (
-                      <td className={`${tableCellClass} text-center`}>
-                        <div className="relative inline-block">
-                           <span className="text-xs relative z-10">{formatPrice(item.price_retail)}</span>
-                        </div>
-                      </td>
-                      )}
-                      {showDiscountPrice && (
-                      <td className={`${tableCellClass} text-left`}>
-                         {!isExportingOrPreview ? (
-                            <input 
-                              type="number" 
-                              className={`w-full max-w-full p-0 text-left text-sm font-bold bg-transparent outline-none leading-normal 
-                                ${isNoir ? 'focus:bg-[#2a2a2a]' : 'focus:bg-white focus:text-black'}
-                              `}
-                              style={{ color: themeColor }}
-                              value={currentPrice}
-                              onChange={(e) => updateCartItemPrice(item.id, e.target.value)}
-                            />
-                         ) : (
-                            <span className="font-bold text-base block py-1" style={{ color: themeColor }}>{formatPrice(currentPrice)}</span>
-                         )}
-                      </td>
-                      )}
-                      <td className={`${tableCellClass}`}>
-                         <div className={`text-[10px] leading-relaxed text-justify`}>
-                           {item.features?.replace(/\n/g, ' ')}
-                         </div>
-                      </td>
-                      <td className={`${tableCellClass} text-center font-medium`}>{item.quantity}</td>
-                      <td className={`${tableCellClass}`}>
-                         <div className={`w-20 h-20 mx-auto bg-white rounded border flex items-center justify-center p-1 overflow-hidden ${isNoir ? 'border-gray-800' : 'border-gray-100'}`}>
-                            {item.image ? <img src={item.image} className="max-w-full max-h-full" /> : <span className="text-[10px] text-gray-300">无图</span>}
-                         </div>
-                      </td>
-                   </tr>
-                 );
-               })}
-            </tbody>
-         </table>
-
-         {/* Total */}
-         <div className="preview-total flex justify-end mt-6 mb-6">
-            <div className="text-right">
-               <div className={`text-[10px] font-bold uppercase tracking-[0.2em] mb-1 ${subTextColor}`}>TOTAL AMOUNT</div>
-               <div className={`text-4xl font-bold tracking-tighter`} style={accentColorObj}>{formatPrice(cartTotal)}</div>
-            </div>
-         </div>
-      </div>
-
-      {/* 4. Footer */}
-      <div className={`preview-footer mt-auto px-4 md:px-8 pb-6 pt-5 border-t ${borderColorClass} ${isNoir ? 'bg-[#1a1a1a]' : 'bg-white'}`}>
-         <div className="flex justify-between items-center">
-            <div className="max-w-[70%]">
-               <h4 className={`font-bold mb-2 text-xs ${isNoir ? 'text-white' : 'text-slate-900'} uppercase tracking-wider`}>Service & Support</h4>
-               <div className={`grid grid-cols-2 gap-x-6 gap-y-1 text-[10px] font-medium ${subTextColor}`}>
-                  <div className="flex items-center gap-1.5"><span className="w-1 h-1 rounded-full bg-current opacity-50"></span>免费上门设计与3D效果图</div>
-                  <div className="flex items-center gap-1.5"><span className="w-1 h-1 rounded-full bg-current opacity-50"></span>烟管预埋及整改方案</div>
-                  <div className="flex items-center gap-1.5"><span className="w-1 h-1 rounded-full bg-current opacity-50"></span>橱柜对接与嵌入式安装指导</div>
-                  <div className="flex items-center gap-1.5"><span className="w-1 h-1 rounded-full bg-current opacity-50"></span>1对1管家式顾问服务</div>
-               </div>
-            </div>
-            {qrCode && (
-               <div className={`bg-white rounded flex items-center justify-center overflow-hidden flex-shrink-0`}>
-                  <img src={qrCode} className="w-auto h-auto max-h-32 object-contain" />
-               </div>
-            )}
-         </div>
-      </div>
-      <div className={`preview-bottom-bar ${isNoir ? 'bg-white text-black' : 'text-white'} text-center py-2 text-[8px] font-bold uppercase tracking-[0.3em]`} style={!isNoir ? { backgroundColor: themeColor } : {}}>
-         Siemens Home Appliances
-      </div>
-    </div>
-  );
-};
-
 export default App;
@@ -0,0 +1,94 @@
+import { useState } from 'react';
+import { Plus, X, Trash2, AlertTriangle } from 'lucide-react';
+import { BUNDLE_DISPLAY } from '../utils/bundles';
+import { localizeCategory } from '../utils/i18n';
+
+// --- Modal: Edit a bundle preset ---
+const BundleEditorModal = ({ bundle, isNew, products, formatPrice, onSave, onDelete, onCancel, language, t }) => {
+  const [draft, setDraft] = useState(bundle);
+  const byModel = new Map(products.map(p => [p.model, p]));
+
+  const updateEntry = (index, changes) => setDraft({ ...draft, items: draft.items.map((e, i) => i === index ? { ...e, ...changes } : e) });
+  const missing = draft.items.filter(entry => entry.model && !byModel.has(entry.model));
+  const listTotal = draft.items.reduce((sum, entry) => sum + (Number(byModel.get(entry.model)?.price_retail) || 0) * (Number(entry.quantity) || 0), 0);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({
+      ...draft,
+      name: draft.name.trim(),
+      items: draft.items.filter(entry => entry.model).map(entry => ({ model: entry.model, quantity: Math.max(1, Number(entry.quantity) || 1) })),
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-[60] flex items-center justify-center p-4">
+      <form onSubmit={handleSubmit} className="bg-white rounded-xl w-full max-w-lg p-6 max-h-[90vh] overflow-y-auto">
+        <h2 className="text-lg font-bold mb-4">{isNew ? t('bundle.new') : t('bundle.edit')}</h2>
+        <div className="space-y-3">
+          <input autoFocus className="w-full p-2 border rounded" placeholder={t('bundle.namePlaceholder')} value={draft.name} onChange={e => setDraft({ ...draft, name: e.target.value })} />
+          <input className="w-full p-2 border rounded text-sm" placeholder={t('bundle.description')} value={draft.description} onChange={e => setDraft({ ...draft, description: e.target.value })} />
+
+          <div className="border rounded p-2 space-y-2">
+            <div className="flex justify-between items-center">
+              <span className="text-xs font-bold text-slate-500">{t('bundle.items')}</span>
+              <button type="button" onClick={() => setDraft({ ...draft, items: [...draft.items, { model: '', quantity: 1 }] })} className="text-xs text-[#009999] flex items-center gap-1 hover:underline">
+                <Plus className="w-3 h-3" /> {t('ui.add')}
+              </button>
+            </div>
+            {draft.items.map((entry, index) => {
+              const product = byModel.get(entry.model);
+              return (
+                <div key={index}>
+                  <div className="flex gap-1.5">
+                    <input className="flex-1 min-w-0 p-1.5 border rounded text-xs font-mono" placeholder={t('column.model')} list="bundle-models" value={entry.model} onChange={e => updateEntry(index, { model: e.target.value.trim() })} />
+                    <input type="number" min="1" className="w-14 p-1.5 border rounded text-xs" value={entry.quantity} onChange={e => updateEntry(index, { quantity: e.target.value })} />
+                    <button type="button" onClick={() => setDraft({ ...draft, items: draft.items.filter((e, i) => i !== index) })} className="text-slate-300 hover:text-red-500"><X className="w-4 h-4" /></button>
+                  </div>
+                  {entry.model && (
+                    <p className={`text-[10px] mt-0.5 ${product ? 'text-gray-400' : 'text-red-500'}`}>
+                      {product ? `${localizeCategory(product.category, language)} · ${product.name} · ${formatPrice(product.price_retail)}` : t('relation.unknownModel')}
+                    </p>
+                  )}
+                </div>
+              );
+            })}
+            <datalist id="bundle-models">
+              {products.map(p => <option key={p.id} value={p.model}>{localizeCategory(p.category, language)} {p.name}</option>)}
+            </datalist>
+          </div>
+
+          {missing.length > 0 && (
+            <div className="p-2 rounded bg-amber-50 text-amber-700 text-xs flex gap-2">
+              <AlertTriangle className="w-4 h-4 shrink-0" />
+              <span>{t('bundle.missingModels', { models: missing.map(e => e.model).join(', ') })}</span>
+            </div>
+          )}
+
+          <div className="grid grid-cols-2 gap-2">
+            <label className="flex flex-col gap-1 text-[10px] text-gray-400">
+              {t('bundle.priceHint')}
+              <input type="number" min="0" className="w-full p-2 border rounded text-sm text-slate-800" placeholder={String(listTotal)} value={draft.price} onChange={e => setDraft({ ...draft, price: e.target.value })} />
+            </label>
+            <label className="flex flex-col gap-1 text-[10px] text-gray-400">
+              {t('bundle.display')}
+              <select className="w-full p-2 border rounded text-sm text-slate-800 bg-white" value={draft.display} onChange={e => setDraft({ ...draft, display: e.target.value })}>
+                {BUNDLE_DISPLAY.map(id => <option key={id} value={id}>{t(`bundle.display.${id}`)}</option>)}
+              </select>
+            </label>
+          </div>
+          <p className="text-[10px] text-gray-400">{t('bundle.listTotal', { total: formatPrice(listTotal) })}</p>
+        </div>
+        <div className="flex gap-3 mt-6">
+          {!isNew && <button type="button" onClick={() => onDelete(draft)} className="p-2 text-red-500 hover:bg-red-50 rounded"><Trash2 className="w-5 h-5" /></button>}
+          <div className="flex-1 flex gap-2 justify-end">
+            <button type="button" onClick={onCancel} className="px-4 py-2 border rounded text-gray-600">{t('ui.cancel')}</button>
+            <button type="submit" disabled={!draft.name.trim() || draft.items.every(e => !e.model)} className="px-4 py-2 bg-[#009999] text-white rounded disabled:opacity-40">{t('ui.save')}</button>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default BundleEditorModal;
@@ -0,0 +1,40 @@
+import { Plus, Edit3, PackagePlus } from 'lucide-react';
+import { findMissingModels } from '../utils/bundles';
+
+// --- Bundle presets list for the shop header ---
+const BundlePanel = ({ bundles, products, formatPrice, canCreateFromCart, onAdd, onEdit, onCreate, onCreateFromCart, t }) => {
+  return (
+    <div className="mt-3 p-3 bg-white border border-gray-200 rounded-lg shadow-sm space-y-2 max-h-[50vh] overflow-y-auto">
+      {bundles.length === 0 && <p className="text-xs text-gray-400">{t('bundle.empty')}</p>}
+      {bundles.map(bundle => {
+        const missing = findMissingModels(bundle, products);
+        return (
+          <div key={bundle.id} className="flex items-center gap-3 p-2 rounded border border-gray-100">
+            <div className="flex-1 min-w-0">
+              <div className="font-bold text-sm truncate">{bundle.name || t('bundle.unnamed')}</div>
+              <div className="text-[10px] text-gray-400 truncate">
+                {bundle.items.map(entry => `${entry.model}×${entry.quantity}`).join('  ')}
+              </div>
+              {missing.length > 0 && <div className="text-[10px] text-amber-600">{t('bundle.missingInCatalog', { models: missing.join(', ') })}</div>}
+            </div>
+            {Number(bundle.price) > 0 && <span className="text-sm font-bold text-[#009999]">{formatPrice(bundle.price)}</span>}
+            <button onClick={() => onEdit(bundle)} className="p-1.5 text-slate-400 hover:text-slate-700" title={t('bundle.edit')}><Edit3 className="w-4 h-4" /></button>
+            <button
+              onClick={() => onAdd(bundle)}
+              disabled={missing.length === bundle.items.length}
+              className="px-3 py-1.5 bg-slate-900 text-white rounded-full text-xs flex items-center gap-1 hover:bg-[#009999] disabled:opacity-40"
+            >
+              <PackagePlus className="w-3 h-3" /> {t('product.addToCart')}
+            </button>
+          </div>
+        );
+      })}
+      <div className="flex gap-3 text-xs">
+        <button onClick={onCreate} className="text-[#009999] flex items-center gap-1 hover:underline"><Plus className="w-3 h-3" /> {t('bundle.new')}</button>
+        {canCreateFromCart && <button onClick={onCreateFromCart} className="text-[#009999] flex items-center gap-1 hover:underline"><Plus className="w-3 h-3" /> {t('bundle.fromCart')}</button>}
+      </div>
+    </div>
+  );
+};
+
+export default BundlePanel;
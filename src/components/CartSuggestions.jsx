@@ -0,0 +1,37 @@
+import { AlertTriangle, Lightbulb, Plus, X } from 'lucide-react';
+
+// --- Cart drawer: missing accessories, panels and recommended add-ons ---
+const CartSuggestions = ({ suggestions, formatPrice, onAdd, onDismiss, t }) => {
+  if (suggestions.length === 0) return null;
+  return (
+    <div className="space-y-2">
+      {suggestions.map(suggestion => {
+        const isWarning = suggestion.kind !== 'recommended';
+        return (
+          <div key={suggestion.key} className={`p-2 rounded-lg border text-xs ${isWarning ? 'border-amber-200 bg-amber-50' : 'border-gray-100 bg-white'}`}>
+            <div className="flex items-center gap-1.5 mb-1.5">
+              {isWarning ? <AlertTriangle className="w-3 h-3 text-amber-600 shrink-0" /> : <Lightbulb className="w-3 h-3 text-[#009999] shrink-0" />}
+              <span className={`font-bold truncate ${isWarning ? 'text-amber-700' : 'text-slate-600'}`}>{t(`suggestion.${suggestion.kind}`, { models: suggestion.sources.map(s => s.model).join(', ') })}</span>
+              <button onClick={() => onDismiss(suggestion.key)} className="ml-auto text-slate-300 hover:text-slate-500" title={t('suggestion.dismiss')}><X className="w-3 h-3" /></button>
+            </div>
+            <div className="space-y-1">
+              {suggestion.options.map(option => (
+                <div key={option.id} className="flex items-center gap-2">
+                  <span className="flex-1 min-w-0 truncate" title={option.name}>
+                    <span className="font-mono">{option.model}</span> <span className="text-slate-400">{option.color && option.color !== 'nan' ? option.color : option.name}</span>
+                  </span>
+                  <span className="text-slate-500">{formatPrice(option.price_retail)}</span>
+                  <button onClick={() => onAdd(option)} className="px-2 py-0.5 bg-slate-900 text-white rounded-full flex items-center gap-0.5 hover:bg-[#009999]">
+                    <Plus className="w-3 h-3" /> {t('suggestion.add')}
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default CartSuggestions;
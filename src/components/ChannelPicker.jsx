@@ -0,0 +1,35 @@
+import { KNOWN_CHANNELS, ALL_CHANNELS } from '../utils/lifecycle';
+
+// --- Toggle chips for sales channel codes ---
+// allowAll adds 全渠道 (for products); it excludes the individual codes.
+const ChannelPicker = ({ value = [], onChange, allowAll = false }) => {
+  const isAll = value.includes(ALL_CHANNELS);
+  const toggle = (code) => {
+    if (code === ALL_CHANNELS) return onChange(isAll ? [] : [ALL_CHANNELS]);
+    const next = value.filter(c => c !== ALL_CHANNELS);
+    onChange(next.includes(code) ? next.filter(c => c !== code) : [...next, code]);
+  };
+  // Codes saved earlier but no longer in the known list stay visible so they can be removed
+  const extra = value.filter(code => code !== ALL_CHANNELS && !KNOWN_CHANNELS.includes(code));
+
+  return (
+    <div className="flex flex-wrap gap-1">
+      {[...(allowAll ? [ALL_CHANNELS] : []), ...KNOWN_CHANNELS, ...extra].map(code => {
+        const selected = value.includes(code);
+        return (
+          <button
+            key={code}
+            type="button"
+            onClick={() => toggle(code)}
+            disabled={isAll && code !== ALL_CHANNELS}
+            className={`px-1.5 py-0.5 rounded border text-[10px] disabled:opacity-30 ${selected ? 'border-[#009999] bg-[#009999] text-white' : 'border-gray-200 text-slate-500 hover:border-[#009999]'}`}
+          >
+            {code}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ChannelPicker;
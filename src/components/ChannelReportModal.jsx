@@ -0,0 +1,65 @@
+import { useState, useMemo } from 'react';
+import { Store, Check } from 'lucide-react';
+import { findChannelIssues } from '../utils/lifecycle';
+import { localizeCategory } from '../utils/i18n';
+import ChannelPicker from './ChannelPicker';
+
+// --- Modal: Channel data cleanup report ---
+const ChannelReportModal = ({ products, onApply, onClose, language, t }) => {
+  const report = useMemo(() => findChannelIssues(products, new Date(), t), [products, t]);
+  // Edited channels per product id; defaults to the suggestion
+  const [drafts, setDrafts] = useState({});
+
+  const valueFor = (row) => drafts[row.product.id] ?? row.suggestion;
+  const fixable = report.filter(row => valueFor(row).length > 0);
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-[60] flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl w-full max-w-3xl p-6 max-h-[90vh] flex flex-col">
+        <h2 className="text-lg font-bold mb-1 flex items-center gap-2"><Store className="w-5 h-5 text-[#009999]" /> {t('channel.report')}</h2>
+        <p className="text-xs text-gray-400 mb-4">
+          {t('channel.reportHint', { count: report.length })}
+        </p>
+        <div className="flex-1 overflow-y-auto border rounded-lg divide-y">
+          {report.length === 0 && <div className="p-6 text-center text-sm text-gray-400">{t('channel.reportEmpty')}</div>}
+          {report.map(row => (
+            <div key={row.product.id} className="p-3 space-y-2 text-sm">
+              <div className="flex flex-wrap items-start gap-3">
+                <div className="w-40 min-w-0">
+                  <div className="font-bold truncate" title={row.product.name}>{row.product.name}</div>
+                  <div className="text-xs text-gray-400 font-mono">{row.product.model} · {localizeCategory(row.product.category, language)}</div>
+                </div>
+                <div className="flex-1 min-w-[160px]">
+                  <div className="font-mono text-xs text-slate-500 whitespace-pre-wrap break-all">{String(row.product.channel ?? '') || '—'}</div>
+                  <div className="flex flex-wrap gap-1 mt-1">
+                    {row.notes.map(note => <span key={note} className="text-[10px] px-1.5 py-0.5 rounded bg-amber-50 text-amber-700">{note}</span>)}
+                  </div>
+                </div>
+                <button
+                  onClick={() => onApply([{ id: row.product.id, channels: valueFor(row) }])}
+                  disabled={valueFor(row).length === 0}
+                  className="px-3 py-1.5 bg-[#009999] text-white rounded text-xs disabled:opacity-40 flex items-center gap-1"
+                >
+                  <Check className="w-3 h-3" /> {t('report.apply')}
+                </button>
+              </div>
+              <ChannelPicker value={valueFor(row)} allowAll onChange={channels => setDrafts(prev => ({ ...prev, [row.product.id]: channels }))} />
+            </div>
+          ))}
+        </div>
+        <div className="flex gap-2 justify-end mt-4">
+          <button onClick={onClose} className="px-4 py-2 border rounded text-gray-600">{t('share.close')}</button>
+          <button
+            onClick={() => onApply(fixable.map(row => ({ id: row.product.id, channels: valueFor(row) })))}
+            disabled={fixable.length === 0}
+            className="px-4 py-2 bg-[#009999] text-white rounded disabled:opacity-40"
+          >
+            {t('report.applyAll', { count: fixable.length })}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChannelReportModal;
@@ -0,0 +1,66 @@
+import { useState } from 'react';
+import { CUSTOM_LINE_PRESETS } from '../utils/customLines';
+
+// --- Modal: Add / edit a custom (non-catalog) quote line ---
+const CustomLineModal = ({ line, isNew, formatPrice, onSave, onCancel, t }) => {
+  const [draft, setDraft] = useState(line);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!draft.name.trim()) return;
+    onSave({ ...draft, name: draft.name.trim(), quantity: Math.max(1, Number(draft.quantity) || 1), price_retail: Number(draft.price_retail) || 0 });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-[60] flex items-center justify-center p-4">
+      <form onSubmit={handleSubmit} className="bg-white rounded-xl w-full max-w-md p-6 max-h-[90vh] overflow-y-auto">
+        <h2 className="text-lg font-bold mb-1">{isNew ? t('customLine.add') : t('customLine.edit')}</h2>
+        <p className="text-xs text-gray-400 mb-4">{t('customLine.hint')}</p>
+        {isNew && (
+          <div className="flex flex-wrap gap-1.5 mb-3">
+            {CUSTOM_LINE_PRESETS.map(preset => (
+              <button
+                type="button"
+                key={preset.name}
+                onClick={() => setDraft({ ...draft, name: preset.name, unit: preset.unit })}
+                className={`px-2 py-1 rounded border text-xs ${draft.name === preset.name ? 'border-[#009999] bg-[#009999]/10 text-[#007a7a] font-bold' : 'border-gray-200 text-slate-600 hover:border-gray-300'}`}
+              >
+                {preset.name}
+              </button>
+            ))}
+          </div>
+        )}
+        <div className="space-y-3">
+          <input autoFocus className="w-full p-2 border rounded" placeholder={t('customLine.name')} value={draft.name} onChange={e => setDraft({ ...draft, name: e.target.value })} />
+          <div className="grid grid-cols-3 gap-2">
+            <label className="flex flex-col gap-1 text-[10px] text-gray-400">
+              {t('column.quantity')}
+              <input type="number" min="1" className="w-full p-2 border rounded text-sm text-slate-800" value={draft.quantity} onChange={e => setDraft({ ...draft, quantity: e.target.value })} />
+            </label>
+            <label className="flex flex-col gap-1 text-[10px] text-gray-400">
+              {t('customLine.unit')}
+              <input className="w-full p-2 border rounded text-sm text-slate-800" value={draft.unit} onChange={e => setDraft({ ...draft, unit: e.target.value })} />
+            </label>
+            <label className="flex flex-col gap-1 text-[10px] text-gray-400">
+              {t('customLine.price')}
+              <input type="number" min="0" className="w-full p-2 border rounded text-sm text-slate-800" value={draft.price_retail} onChange={e => setDraft({ ...draft, price_retail: e.target.value })} />
+            </label>
+          </div>
+          <label className="flex items-center gap-2 text-sm cursor-pointer">
+            <input type="checkbox" checked={draft.isFree} onChange={e => setDraft({ ...draft, isFree: e.target.checked })} className="accent-[#009999]" />
+            {t('doc.free')} <span className="text-xs text-gray-400">{t('customLine.freeHint')}</span>
+          </label>
+          <div className="text-right text-sm text-slate-500">
+            {t('doc.subtotal')} <span className="font-bold text-[#009999]">{draft.isFree ? t('doc.free') : formatPrice((Number(draft.price_retail) || 0) * (Number(draft.quantity) || 0))}</span>
+          </div>
+        </div>
+        <div className="flex gap-2 justify-end mt-6">
+          <button type="button" onClick={onCancel} className="px-4 py-2 border rounded text-gray-600">{t('ui.cancel')}</button>
+          <button type="submit" disabled={!draft.name.trim()} className="px-4 py-2 bg-[#009999] text-white rounded disabled:opacity-40">{t('ui.save')}</button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default CustomLineModal;
@@ -0,0 +1,125 @@
+import { useState, useMemo } from 'react';
+import { ArrowLeft, Search, Users, UserPlus, Pencil, FolderOpen, PlusCircle, AlertTriangle, Phone, MapPin } from 'lucide-react';
+import { searchCustomers, findDuplicateGroups, quotesForCustomer, formatPhone } from '../utils/customers';
+import { formatQuoteLabel } from '../utils/quotes';
+import { localizeStage } from '../utils/i18n';
+
+// --- View: Customer directory and a page per customer with their quotes ---
+const CustomerDirectory = ({ customers, quotes, selectedId, formatPrice, onSelect, onBack, onEdit, onMerge, onOpenQuote, onNewQuote, language, t }) => {
+  const [keyword, setKeyword] = useState('');
+  const selected = customers.find(c => c.id === selectedId);
+
+  const list = useMemo(() => searchCustomers(customers, keyword), [customers, keyword]);
+  const duplicateGroups = useMemo(() => findDuplicateGroups(customers), [customers]);
+  const quoteCounts = useMemo(() => new Map(customers.map(c => [c.id, quotesForCustomer(quotes, c).length])), [customers, quotes]);
+
+  const formatDate = (iso) => new Date(iso).toLocaleDateString(language === 'en' ? 'en-GB' : 'zh-CN');
+
+  if (selected) {
+    const customerQuotes = quotesForCustomer(quotes, selected);
+    return (
+      <div className="min-h-screen bg-gray-50 font-sans text-slate-800 flex flex-col">
+        <div className="bg-white border-b px-4 py-3 flex justify-between items-center sticky top-0 z-20 shadow-sm">
+          <div className="flex items-center gap-2">
+            <button onClick={() => onSelect(null)} className="p-2 hover:bg-gray-100 rounded-full transition"><ArrowLeft className="w-5 h-5" /></button>
+            <h1 className="font-bold text-lg">{selected.name}</h1>
+            {selected.stage && <span className="text-[10px] bg-[#009999]/10 text-[#007a7a] px-1.5 py-0.5 rounded">{localizeStage(selected.stage, language)}</span>}
+          </div>
+          <div className="flex gap-2">
+            <button onClick={() => onEdit(selected)} className="px-3 py-2 border border-gray-200 rounded-lg text-sm flex items-center gap-1 hover:bg-gray-50"><Pencil className="w-4 h-4" /> {t('ui.edit')}</button>
+            <button onClick={() => onNewQuote(selected)} className="px-4 py-2 bg-slate-900 text-white rounded-lg text-sm font-medium shadow-sm hover:bg-black flex items-center gap-2"><PlusCircle className="w-4 h-4" /> {t('quote.new')}</button>
+          </div>
+        </div>
+        <div className="p-4 md:p-6 max-w-4xl w-full mx-auto flex-1 space-y-4">
+          <div className="bg-white rounded-xl border border-gray-100 shadow-sm p-4 text-sm space-y-1.5">
+            {selected.phone && <div className="flex items-center gap-2"><Phone className="w-4 h-4 text-gray-400" />{formatPhone(selected.phone)}</div>}
+            {(selected.community || selected.address) && (
+              <div className="flex items-center gap-2"><MapPin className="w-4 h-4 text-gray-400" />{[selected.community, selected.address].filter(Boolean).join(' · ')}</div>
+            )}
+            {selected.notes && <p className="text-xs text-slate-500 whitespace-pre-wrap pt-1">{selected.notes}</p>}
+            <p className="text-[10px] text-gray-400 pt-1">{t('customer.createdAt', { date: formatDate(selected.createdAt) })}</p>
+          </div>
+          <h3 className="text-xs font-bold text-slate-500 uppercase tracking-wider">{t('customer.quotes', { count: customerQuotes.length })}</h3>
+          {customerQuotes.length === 0 && <p className="text-sm text-gray-400 text-center py-10">{t('customer.noQuotes')}</p>}
+          <div className="bg-white rounded-xl border border-gray-100 shadow-sm divide-y">
+            {customerQuotes.map(q => (
+              <div key={q.id} className="flex items-center gap-3 p-3">
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="font-bold truncate">{q.name}</span>
+                    <span className="text-[10px] font-mono bg-slate-100 text-slate-600 px-1.5 py-0.5 rounded">{formatQuoteLabel(q)}</span>
+                  </div>
+                  <div className="text-xs text-gray-400 mt-1 flex flex-wrap gap-x-3">
+                    <span>{q.quoteDate || formatDate(q.createdAt)}</span>
+                    <span>{t('quote.itemCount', { count: q.cart?.length || 0 })}</span>
+                    <span>{formatPrice(q.total)}</span>
+                  </div>
+                </div>
+                <button onClick={() => onOpenQuote(q)} className="p-2 hover:bg-gray-100 rounded text-slate-500" title={t('ui.open')}><FolderOpen className="w-4 h-4" /></button>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 font-sans text-slate-800 flex flex-col">
+      <div className="bg-white border-b px-4 py-3 flex justify-between items-center sticky top-0 z-20 shadow-sm">
+        <div className="flex items-center gap-2">
+          <button onClick={onBack} className="p-2 hover:bg-gray-100 rounded-full transition"><ArrowLeft className="w-5 h-5" /></button>
+          <h1 className="font-bold text-lg flex items-center gap-2"><Users className="w-5 h-5 text-[#009999]" /> {t('customer.directory')}</h1>
+        </div>
+        <button onClick={() => onEdit(null)} className="px-4 py-2 bg-slate-900 text-white rounded-lg text-sm font-medium shadow-sm hover:bg-black flex items-center gap-2">
+          <UserPlus className="w-4 h-4" /> {t('customer.new')}
+        </button>
+      </div>
+
+      <div className="p-4 md:p-6 max-w-4xl w-full mx-auto flex-1">
+        <div className="relative mb-4">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400 w-5 h-5" />
+          <input
+            type="text"
+            placeholder={t('customer.search')}
+            className="w-full pl-10 pr-4 py-2.5 border border-gray-200 rounded-lg focus:ring-2 focus:ring-[#009999] focus:border-transparent outline-none bg-white shadow-sm"
+            value={keyword}
+            onChange={e => setKeyword(e.target.value)}
+          />
+        </div>
+
+        {duplicateGroups.map(group => (
+          <div key={group[0].id} className="mb-3 p-3 rounded-lg bg-amber-50 text-amber-700 text-xs flex items-center gap-2">
+            <AlertTriangle className="w-4 h-4 shrink-0" />
+            <span className="flex-1">{t('customer.duplicateGroup', { names: group.map(c => `${c.name} ${formatPhone(c.phone)}`).join(', ') })}</span>
+            <button onClick={() => onMerge(group)} className="px-2 py-1 bg-white border border-amber-200 rounded hover:bg-amber-100">{t('customer.merge')}</button>
+          </div>
+        ))}
+
+        {list.length === 0 ? (
+          <div className="text-center text-slate-400 mt-20"><Users className="w-8 h-8 mx-auto mb-2 opacity-30" /><p className="text-sm">{customers.length === 0 ? t('customer.emptyDirectory') : t('customer.noMatch')}</p></div>
+        ) : (
+          <div className="bg-white rounded-xl border border-gray-100 shadow-sm divide-y">
+            {list.map(c => (
+              <button key={c.id} onClick={() => onSelect(c.id)} className="w-full text-left flex items-center gap-3 p-3 hover:bg-gray-50">
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="font-bold truncate">{c.name}</span>
+                    {c.stage && <span className="text-[10px] bg-[#009999]/10 text-[#007a7a] px-1.5 py-0.5 rounded">{localizeStage(c.stage, language)}</span>}
+                  </div>
+                  <div className="text-xs text-gray-400 mt-1 flex flex-wrap gap-x-3">
+                    {c.phone && <span>{formatPhone(c.phone)}</span>}
+                    {c.community && <span>{c.community}</span>}
+                    <span>{t('customer.quoteCount', { count: quoteCounts.get(c.id) })}</span>
+                  </div>
+                </div>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CustomerDirectory;
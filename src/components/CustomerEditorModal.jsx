@@ -0,0 +1,53 @@
+import { useState } from 'react';
+import { Trash2, AlertTriangle } from 'lucide-react';
+import { localizeStage } from '../utils/i18n';
+import { RENOVATION_STAGES, validatePhone, findDuplicates, formatPhone } from '../utils/customers';
+
+// --- Modal: Add / edit a customer in the directory ---
+const CustomerEditorModal = ({ customer, isNew, customers, onSave, onDelete, onCancel, language, t }) => {
+  const [draft, setDraft] = useState(customer);
+  const phoneError = validatePhone(draft.phone, t);
+  const duplicates = findDuplicates(customers, draft);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({ ...draft, name: draft.name.trim(), phone: draft.phone.trim(), updatedAt: new Date().toISOString() });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-[60] flex items-center justify-center p-4">
+      <form onSubmit={handleSubmit} className="bg-white rounded-xl w-full max-w-md p-6 max-h-[90vh] overflow-y-auto">
+        <h2 className="text-lg font-bold mb-4">{isNew ? t('customer.new') : t('customer.edit')}</h2>
+        <div className="space-y-3">
+          <input autoFocus className="w-full p-2 border rounded" placeholder={t('doc.name')} value={draft.name} onChange={e => setDraft({ ...draft, name: e.target.value })} />
+          <div>
+            <input className={`w-full p-2 border rounded ${phoneError ? 'border-red-300' : ''}`} placeholder={t('doc.phone')} value={draft.phone} onChange={e => setDraft({ ...draft, phone: e.target.value })} />
+            {phoneError && <p className="text-[10px] text-red-500 mt-1">{phoneError}</p>}
+          </div>
+          {duplicates.length > 0 && (
+            <div className="p-2 rounded bg-amber-50 text-amber-700 text-xs flex gap-2">
+              <AlertTriangle className="w-4 h-4 shrink-0" />
+              <span>{t('customer.possibleDuplicate', { names: duplicates.map(c => `${c.name} ${formatPhone(c.phone)}`).join(', ') })}</span>
+            </div>
+          )}
+          <input className="w-full p-2 border rounded" placeholder={t('customer.community')} value={draft.community} onChange={e => setDraft({ ...draft, community: e.target.value })} />
+          <input className="w-full p-2 border rounded" placeholder={t('doc.address')} value={draft.address} onChange={e => setDraft({ ...draft, address: e.target.value })} />
+          <select className="w-full p-2 border rounded bg-white" value={draft.stage} onChange={e => setDraft({ ...draft, stage: e.target.value })}>
+            <option value="">{t('customer.stageUnset')}</option>
+            {RENOVATION_STAGES.map(stage => <option key={stage} value={stage}>{localizeStage(stage, language)}</option>)}
+          </select>
+          <textarea className="w-full p-2 border rounded h-20 text-sm" placeholder={t('customer.notes')} value={draft.notes} onChange={e => setDraft({ ...draft, notes: e.target.value })} />
+        </div>
+        <div className="flex gap-3 mt-6">
+          {!isNew && <button type="button" onClick={() => onDelete(draft)} className="p-2 text-red-500 hover:bg-red-50 rounded"><Trash2 className="w-5 h-5" /></button>}
+          <div className="flex-1 flex gap-2 justify-end">
+            <button type="button" onClick={onCancel} className="px-4 py-2 border rounded text-gray-600">{t('ui.cancel')}</button>
+            <button type="submit" disabled={!draft.name.trim() || !!phoneError} className="px-4 py-2 bg-[#009999] text-white rounded disabled:opacity-40">{t('ui.save')}</button>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default CustomerEditorModal;
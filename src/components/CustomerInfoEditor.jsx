@@ -0,0 +1,72 @@
+import { useState } from 'react';
+import { UserCheck, AlertTriangle, X } from 'lucide-react';
+import { localizeStage } from '../utils/i18n';
+import { validatePhone, findDuplicates, searchCustomers, toCustomerInfo, formatPhone } from '../utils/customers';
+
+// --- Config sidebar: customer of the quote, with autocomplete from the directory ---
+const CustomerInfoEditor = ({ info, customers, onChange, onOpenCustomer, language, t }) => {
+  const [focused, setFocused] = useState(null); // 'name' | 'phone' while typing
+  const linked = customers.find(c => c.id === info.customerId);
+  const phoneError = validatePhone(info.phone, t);
+  const duplicate = !linked ? findDuplicates(customers, info)[0] : null;
+  const suggestions = focused && info[focused]?.trim() && !linked ? searchCustomers(customers, info[focused], 6) : [];
+
+  const update = (changes) => onChange({ ...info, ...changes });
+
+  const renderSuggestions = (field) => focused === field && suggestions.length > 0 && (
+    <div className="absolute left-0 right-0 top-full mt-1 bg-white border rounded-lg shadow-lg z-20 overflow-hidden">
+      {suggestions.map(c => (
+        // onMouseDown so the pick lands before the input's blur hides the list
+        <button key={c.id} onMouseDown={() => onChange(toCustomerInfo(c))} className="w-full text-left px-3 py-2 text-xs hover:bg-gray-50 border-b last:border-0">
+          <span className="font-bold">{c.name}</span> <span className="text-gray-400">{formatPhone(c.phone)}</span>
+          {(c.community || c.address) && <div className="text-[10px] text-gray-400 truncate">{c.community || c.address}</div>}
+        </button>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="space-y-3">
+      {linked && (
+        <div className="flex items-center gap-2 p-2 rounded bg-[#009999]/10 text-[#007a7a] text-xs">
+          <UserCheck className="w-4 h-4 shrink-0" />
+          <button onClick={() => onOpenCustomer(linked)} className="flex-1 text-left hover:underline truncate">
+            {t('customer.linked', { name: linked.name })}{linked.stage && ` · ${localizeStage(linked.stage, language)}`}
+          </button>
+          <button onClick={() => update({ customerId: null })} className="text-[#007a7a]/60 hover:text-[#007a7a]" title={t('customer.unlink')}><X className="w-3 h-3" /></button>
+        </div>
+      )}
+      <div className="flex flex-col gap-1 relative">
+        <label className="text-[10px] text-gray-400">{t('doc.name')}</label>
+        <input className="w-full p-2 border rounded text-sm" value={info.name} onFocus={() => setFocused('name')} onBlur={() => setFocused(null)} onChange={e => update({ name: e.target.value })} />
+        {renderSuggestions('name')}
+      </div>
+      <div className="flex flex-col gap-1 relative">
+        <label className="text-[10px] text-gray-400">{t('doc.phone')}</label>
+        <input className={`w-full p-2 border rounded text-sm ${phoneError ? 'border-red-300' : ''}`} value={info.phone} onFocus={() => setFocused('phone')} onBlur={() => setFocused(null)} onChange={e => update({ phone: e.target.value })} />
+        {renderSuggestions('phone')}
+        {phoneError && <p className="text-[10px] text-red-500">{phoneError}</p>}
+      </div>
+      {duplicate && (
+        <div className="p-2 rounded bg-amber-50 text-amber-700 text-xs flex items-start gap-2">
+          <AlertTriangle className="w-4 h-4 shrink-0" />
+          <div className="flex-1">
+            {t('customer.duplicate', { name: duplicate.name, phone: formatPhone(duplicate.phone) })}
+            <button onClick={() => onChange(toCustomerInfo(duplicate))} className="block mt-1 underline">{t('customer.link')}</button>
+          </div>
+        </div>
+      )}
+      <div className="flex flex-col gap-1">
+        <label className="text-[10px] text-gray-400">{t('customer.community')}</label>
+        <input className="w-full p-2 border rounded text-sm" value={info.community || ''} onChange={e => update({ community: e.target.value })} />
+      </div>
+      <div className="flex flex-col gap-1">
+        <label className="text-[10px] text-gray-400">{t('doc.address')}</label>
+        <input className="w-full p-2 border rounded text-sm" value={info.address} onChange={e => update({ address: e.target.value })} />
+      </div>
+      {!linked && <p className="text-[10px] text-gray-400">{t('customer.autoSave')}</p>}
+    </div>
+  );
+};
+
+export default CustomerInfoEditor;
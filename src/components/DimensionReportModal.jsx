@@ -0,0 +1,67 @@
+import { useState, useMemo } from 'react';
+import { Ruler, Check } from 'lucide-react';
+import { findDimensionAnomalies } from '../utils/dimensions';
+import { localizeCategory } from '../utils/i18n';
+
+// --- Modal: Dimension data cleanup report ---
+const DimensionReportModal = ({ products, onApply, onClose, language, t }) => {
+  const report = useMemo(() => findDimensionAnomalies(products, t), [products, t]);
+  // Edited values per product id; defaults to the suggestion
+  const [drafts, setDrafts] = useState({});
+
+  const valueFor = (row) => drafts[row.product.id] ?? row.suggestion;
+  const fixable = report.filter(row => valueFor(row));
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-[60] flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl w-full max-w-3xl p-6 max-h-[90vh] flex flex-col">
+        <h2 className="text-lg font-bold mb-1 flex items-center gap-2"><Ruler className="w-5 h-5 text-[#009999]" /> {t('dimensions.report')}</h2>
+        <p className="text-xs text-gray-400 mb-4">
+          {t('dimensions.reportHint', { count: report.length, fixable: fixable.length })}
+        </p>
+        <div className="flex-1 overflow-y-auto border rounded-lg divide-y">
+          {report.length === 0 && <div className="p-6 text-center text-sm text-gray-400">{t('dimensions.reportEmpty')}</div>}
+          {report.map(row => (
+            <div key={row.product.id} className="p-3 flex flex-wrap items-center gap-3 text-sm">
+              <div className="w-40 min-w-0">
+                <div className="font-bold truncate" title={row.product.name}>{row.product.name}</div>
+                <div className="text-xs text-gray-400 font-mono">{row.product.model} · {localizeCategory(row.product.category, language)}</div>
+              </div>
+              <div className="flex-1 min-w-[160px]">
+                <div className="font-mono text-xs text-slate-500 break-all">{String(row.product.dimensions ?? '') || '—'}</div>
+                <div className="flex flex-wrap gap-1 mt-1">
+                  {row.anomalies.map(a => <span key={a} className="text-[10px] px-1.5 py-0.5 rounded bg-amber-50 text-amber-700">{a}</span>)}
+                </div>
+              </div>
+              <input
+                className="w-36 p-1.5 border rounded text-xs font-mono"
+                placeholder={t('dimensions.format')}
+                value={valueFor(row)}
+                onChange={e => setDrafts(prev => ({ ...prev, [row.product.id]: e.target.value }))}
+              />
+              <button
+                onClick={() => onApply([{ id: row.product.id, dimensions: valueFor(row) }])}
+                disabled={!valueFor(row)}
+                className="px-3 py-1.5 bg-[#009999] text-white rounded text-xs disabled:opacity-40 flex items-center gap-1"
+              >
+                <Check className="w-3 h-3" /> {t('report.apply')}
+              </button>
+            </div>
+          ))}
+        </div>
+        <div className="flex gap-2 justify-end mt-4">
+          <button onClick={onClose} className="px-4 py-2 border rounded text-gray-600">{t('share.close')}</button>
+          <button
+            onClick={() => onApply(fixable.map(row => ({ id: row.product.id, dimensions: valueFor(row) })))}
+            disabled={fixable.length === 0}
+            className="px-4 py-2 bg-[#009999] text-white rounded disabled:opacity-40"
+          >
+            {t('report.applyAll', { count: fixable.length })}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DimensionReportModal;
@@ -0,0 +1,80 @@
+import { useState } from 'react';
+import { FACETS, EMPTY_FILTERS, UNSPECIFIED } from '../utils/productSearch';
+
+const VISIBLE_OPTIONS = 8;
+
+// --- Faceted filters for the shop grid ---
+const FacetPanel = ({ facetOptions, filters, onChange, t }) => {
+  const [expanded, setExpanded] = useState([]);
+
+  const toggleValue = (key, value) => {
+    const selected = filters[key];
+    onChange({ ...filters, [key]: selected.includes(value) ? selected.filter(v => v !== value) : [...selected, value] });
+  };
+
+  const rangeInput = (key, placeholder) => (
+    <input
+      type="number"
+      min="0"
+      className="w-full p-1.5 border rounded text-xs bg-white"
+      placeholder={placeholder}
+      value={filters[key]}
+      onChange={e => onChange({ ...filters, [key]: e.target.value })}
+    />
+  );
+
+  return (
+    <div className="mt-3 p-3 bg-white border border-gray-200 rounded-lg shadow-sm space-y-3 max-h-[50vh] overflow-y-auto">
+      {FACETS.map(facet => {
+        const options = facetOptions[facet.key] || [];
+        if (options.length === 0) return null;
+        const selected = filters[facet.key];
+        // Long facets (channel, material) show the most common values plus any selected ones
+        const isExpanded = expanded.includes(facet.key);
+        const visible = isExpanded ? options : options.filter((o, i) => i < VISIBLE_OPTIONS || selected.includes(o.value));
+        return (
+          <div key={facet.key} className="flex gap-3">
+            <span className="text-xs font-bold text-slate-500 w-16 shrink-0 pt-1">{t(`facet.${facet.key}`)}</span>
+            <div className="flex flex-wrap gap-1.5">
+              {visible.map(({ value, count }) => (
+                <button
+                  key={value}
+                  onClick={() => toggleValue(facet.key, value)}
+                  disabled={count === 0 && !selected.includes(value)}
+                  className={`px-2 py-1 rounded border text-xs transition disabled:opacity-40 ${selected.includes(value) ? 'border-[#009999] bg-[#009999]/10 text-[#007a7a] font-bold' : 'border-gray-200 hover:border-gray-300 text-slate-600'}`}
+                >
+                  {value === UNSPECIFIED ? t('facet.unspecified') : value} <span className="text-gray-400 font-normal">{count}</span>
+                </button>
+              ))}
+              {(isExpanded || options.length > visible.length) && (
+                <button
+                  onClick={() => setExpanded(prev => (isExpanded ? prev.filter(k => k !== facet.key) : [...prev, facet.key]))}
+                  className="text-[10px] text-gray-400 hover:text-slate-600 self-center"
+                >
+                  {isExpanded ? t('facet.less') : t('facet.more', { count: options.length - visible.length })}
+                </button>
+              )}
+            </div>
+          </div>
+        );
+      })}
+      <div className="flex gap-3 items-center">
+        <span className="text-xs font-bold text-slate-500 w-16 shrink-0">{t('field.price_retail')}</span>
+        {rangeInput('priceMin', t('facet.priceMin'))}
+        <span className="text-gray-300">—</span>
+        {rangeInput('priceMax', t('facet.priceMax'))}
+      </div>
+      <div className="flex gap-3 items-center">
+        <span className="text-xs font-bold text-slate-500 w-16 shrink-0" title={t('facet.capacityHint')}>{t('field.capacity')}</span>
+        {rangeInput('capacityMin', t('facet.min'))}
+        <span className="text-gray-300">—</span>
+        {rangeInput('capacityMax', t('facet.max'))}
+      </div>
+      <div className="text-right">
+        <button onClick={() => onChange(EMPTY_FILTERS)} className="text-xs text-slate-400 hover:text-red-500">{t('facet.clear')}</button>
+      </div>
+    </div>
+  );
+};
+
+export default FacetPanel;
@@ -0,0 +1,56 @@
+import { Plus, Trash2 } from 'lucide-react';
+import { createNiche } from '../utils/dimensions';
+
+// Named by niche.* in utils/i18n
+const SIZE_FIELDS = ['width', 'height', 'depth', 'tolerance'];
+
+// --- Cabinet niches measured on site, used to filter the shop grid ---
+const NichePanel = ({ niches, onChange, activeNicheId, onSelect, fitOnly, onFitOnlyChange, t }) => {
+  const updateNiche = (id, changes) => onChange(niches.map(n => n.id === id ? { ...n, ...changes } : n));
+
+  const addNiche = () => {
+    const niche = createNiche(t('niche.defaultName', { index: niches.length + 1 }));
+    onChange([...niches, niche]);
+    onSelect(niche.id);
+  };
+
+  const removeNiche = (id) => {
+    onChange(niches.filter(n => n.id !== id));
+    if (id === activeNicheId) onSelect(null);
+  };
+
+  return (
+    <div className="mt-3 p-3 bg-white border border-gray-200 rounded-lg shadow-sm space-y-2">
+      <p className="text-[10px] text-gray-400">{t('niche.hint')}</p>
+      {niches.map(niche => (
+        <div key={niche.id} className={`flex flex-wrap items-center gap-2 p-2 rounded border ${niche.id === activeNicheId ? 'border-[#009999] bg-[#009999]/5' : 'border-gray-100'}`}>
+          <label className="flex items-center gap-1 text-xs cursor-pointer" title={t('niche.select')}>
+            <input type="radio" name="active-niche" checked={niche.id === activeNicheId} onChange={() => onSelect(niche.id)} className="accent-[#009999]" />
+          </label>
+          <input className="w-28 p-1.5 border rounded text-xs" placeholder={t('niche.name')} value={niche.name} onChange={e => updateNiche(niche.id, { name: e.target.value })} />
+          {SIZE_FIELDS.map(key => (
+            <label key={key} className="flex items-center gap-1 text-[10px] text-gray-400">
+              {t(`niche.${key}`)}
+              <input type="number" min="0" className="w-16 p-1.5 border rounded text-xs text-slate-700" value={niche[key]} onChange={e => updateNiche(niche.id, { [key]: e.target.value })} />
+            </label>
+          ))}
+          <button onClick={() => removeNiche(niche.id)} className="ml-auto text-slate-300 hover:text-red-500"><Trash2 className="w-3.5 h-3.5" /></button>
+        </div>
+      ))}
+      <div className="flex items-center justify-between">
+        <button onClick={addNiche} className="text-xs text-[#009999] flex items-center gap-1 hover:underline"><Plus className="w-3 h-3" /> {t('niche.add')}</button>
+        {activeNicheId && (
+          <div className="flex items-center gap-3">
+            <label className="flex items-center gap-1 text-xs font-bold cursor-pointer">
+              <input type="checkbox" checked={fitOnly} onChange={e => onFitOnlyChange(e.target.checked)} className="accent-[#009999]" />
+              {t('niche.fitOnly')}
+            </label>
+            <button onClick={() => onSelect(null)} className="text-xs text-slate-400 hover:text-red-500">{t('niche.deselect')}</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default NichePanel;
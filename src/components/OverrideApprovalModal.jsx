@@ -0,0 +1,57 @@
+import { useState } from 'react';
+import { ShieldAlert, KeyRound } from 'lucide-react';
+
+// --- Modal: Manager approval for prices below the floor ---
+const OverrideApprovalModal = ({ violations, hasPin, formatPrice, onApprove, onCancel, t }) => {
+  const [pin, setPin] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!onApprove(pin)) setPin('');
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-[60] flex items-center justify-center p-4">
+      <form onSubmit={handleSubmit} className="bg-white rounded-xl w-full max-w-md p-6 max-h-[90vh] overflow-y-auto">
+        <h2 className="text-lg font-bold mb-1 flex items-center gap-2"><ShieldAlert className="w-5 h-5 text-red-500" /> {t('approval.title')}</h2>
+        <p className="text-xs text-gray-400 mb-4">{t('approval.hint')}</p>
+        <div className="border rounded-lg divide-y mb-4">
+          {violations.map(v => (
+            <div key={`${v.optionId}_${v.itemId}`} className="p-3 flex justify-between items-center text-sm">
+              <div className="min-w-0">
+                <div className="font-bold truncate">{v.optionName && <span className="mr-1 text-xs font-medium text-[#009999]">{v.optionName}</span>}{v.isTotal ? t('approval.total') : v.name}</div>
+                <div className="text-xs text-gray-400 font-mono">{v.model}</div>
+              </div>
+              <div className="text-right shrink-0">
+                <div className="font-bold text-red-500">{formatPrice(v.price)}</div>
+                <div className="text-[10px] text-gray-400">{t('approval.floor', { price: formatPrice(v.floor) })}</div>
+              </div>
+            </div>
+          ))}
+        </div>
+        {hasPin ? (
+          <div className="relative">
+            <KeyRound className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400 w-4 h-4" />
+            <input
+              type="password"
+              inputMode="numeric"
+              autoFocus
+              className="w-full pl-9 p-2 border rounded"
+              placeholder={t('approval.pin')}
+              value={pin}
+              onChange={e => setPin(e.target.value)}
+            />
+          </div>
+        ) : (
+          <div className="text-xs p-3 rounded bg-amber-50 text-amber-700">{t('approval.noPin')}</div>
+        )}
+        <div className="flex gap-2 justify-end mt-6">
+          <button type="button" onClick={onCancel} className="px-4 py-2 border rounded text-gray-600">{t('ui.cancel')}</button>
+          <button type="submit" disabled={!hasPin || !pin} className="px-4 py-2 bg-[#009999] text-white rounded disabled:opacity-50">{t('approval.approve')}</button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default OverrideApprovalModal;
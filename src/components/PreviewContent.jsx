@@ -0,0 +1,428 @@
+import { Fragment } from 'react';
+import { createTranslator, localizeProduct } from '../utils/i18n';
+import { resolveColors, getFontFamily, getVisibleColumns, getHeaderTitle } from '../utils/templates';
+import { describeBundleItems } from '../utils/bundles';
+import { isCustomLine, formatQuantity } from '../utils/customLines';
+import { formatCustomerAddress } from '../utils/customers';
+import { getQuoteGroups } from '../utils/sections';
+import { parseTermsBody } from '../utils/terms';
+import { getBasePrice, getLinePrice, getLineTotal, describeTotalsRow } from '../utils/pricing';
+
+// One page of the raster PDF export: A4 at the 794px preview width, less a safety
+// margin at the bottom.
+export const RASTER_PAGE_HEIGHT = 794 * 297 / 210 - 40;
+
+// --- Component: Quotation Preview Content ---
+// The quote document as the config preview, the exports, the template designer
+// and shared quote files (see SharedQuoteView) show it
+const PreviewContent = ({ cart, sections = [], template, themeColor, customerInfo, dealerInfo, cartTotal, pricing, floorViolations = [], qrCode, formatPrice, updateCartItemPrice, isEditable, isExporting, showRetailPrice, showPackagePrice, showDiscountPrice, options = null, activeOptionId = null, acceptedOptionName = '', quoteLabel = '', quoteDate, terms, isExpired = false, language = 'zh', onShowDetails = null }) => {
+  // Everything visual comes from the template (see utils/templates); text follows the document language (see utils/i18n)
+  const t = createTranslator(language);
+
+  const { brand, header, table, footer } = template;
+  const colors = resolveColors(template, themeColor);
+  const strongStyle = { color: colors.strong };
+  const textStyle = { color: colors.text };
+  const subStyle = { color: colors.sub };
+  const accentStyle = { color: colors.accent };
+  const lineStyle = { borderColor: colors.line };
+
+  // Table Styles
+  const headStyles = {
+    rule: { className: 'font-bold border-b-2', style: { color: colors.headText, ...lineStyle } },
+    filled: { className: 'font-bold', style: { color: colors.headText, backgroundColor: colors.headFill } },
+    light: { className: 'font-medium border-b', style: { color: colors.headText, ...lineStyle } },
+  };
+  const tableHead = headStyles[table.headStyle] || headStyles.rule;
+  const tableHeadClass = `text-center py-4 px-2 text-sm tracking-wide ${tableHead.className}`;
+
+  // Responsive padding/font adjustments for different screens
+  const responsiveTextClass = "text-xs md:text-sm";
+  const responsivePaddingClass = "py-4 md:py-6 px-2"; // Reduced padding for better space utilization
+  const tableCellClass = `${responsivePaddingClass} align-middle ${responsiveTextClass} ${table.rowStyle === 'plain' ? '' : 'border-b'}`;
+
+  // --- Dynamic Column Width Calculation ---
+  const usePackage = pricing?.isPackage ?? false;
+  const columns = getVisibleColumns(template, { showRetailPrice, showPackagePrice, showDiscountPrice, usePackage, language });
+  const totalWeight = columns.reduce((sum, column) => sum + column.width, 0);
+
+  // Helper to get percentage width
+  const getWidth = (column) => `${(column.width / totalWeight) * 100}%`;
+  // Product attribute columns (容量, 能效 ...) print the stored value
+  const fieldKeys = new Set(columns.filter(c => c.field).map(c => c.key));
+
+  const isExportingOrPreview = isExporting || !isEditable;
+
+  // Without sections the table is one flat list; with them every room gets a header and subtotal
+  const showSections = sections.length > 0;
+  const columnCount = columns.length;
+
+  const columnAlign = { name: 'text-left pl-2', discount: 'text-left' };
+
+  const renderImage = (src) => (
+     <div className="w-20 h-20 mx-auto bg-white rounded border flex items-center justify-center p-1 overflow-hidden" style={lineStyle}>
+        {src ? <img src={src} className="max-w-full max-h-full" /> : <span className="text-[10px] text-gray-300">{t('doc.noImage')}</span>}
+     </div>
+  );
+
+  const renderBundleCell = (key, line, usePackage) => {
+    switch (key) {
+      case 'name': return (
+        <>
+          <div className="leading-snug">{line.bundle.name}</div>
+          <span className="inline-block mt-1 px-1.5 rounded text-[10px] font-medium text-white" style={{ backgroundColor: themeColor }}>{t('doc.set')}</span>
+        </>
+      );
+      case 'model': return line.items.map(i => <div key={i.id}>{i.model}</div>);
+      case 'retail': return <span className="text-xs">{formatPrice(line.retail)}</span>;
+      case 'package': return <span className={`text-xs ${usePackage ? 'font-bold' : ''}`} style={usePackage ? undefined : subStyle}>{formatPrice(line.packagePrice)}</span>;
+      case 'discount': return <span className="font-bold text-base block py-1" style={accentStyle}>{formatPrice(line.price)}</span>;
+      case 'total': return <span className="font-bold">{formatPrice(line.price)}</span>;
+      case 'features': return <div className="text-[10px] leading-relaxed text-justify">{describeBundleItems(line.items, language)}</div>;
+      case 'quantity': return t('doc.oneSet');
+      case 'image': return renderImage(line.items.find(i => i.image)?.image);
+      default: return fieldKeys.has(key) ? line.items.map(i => <div key={i.id}>{i[key] || '—'}</div>) : null;
+    }
+  };
+
+  const renderItemCell = (key, item, usePackage, readOnly) => {
+    const isCustom = isCustomLine(item);
+    const text = localizeProduct(item, language);
+    switch (key) {
+      case 'name': return text.name.map((name, i) => <div key={i} className={`leading-snug ${i > 0 ? 'font-normal text-xs mt-0.5' : ''}`}>{name}</div>);
+      case 'model': return isCustom ? <span style={subStyle}>—</span> : item.model;
+      case 'retail': return (
+        <div className="relative inline-block">
+           <span className="text-xs relative z-10">{formatPrice(item.price_retail)}</span>
+        </div>
+      );
+      case 'package': return isCustom
+        ? <span className="text-xs" style={subStyle}>—</span>
+        : <span className={`text-xs ${usePackage ? 'font-bold' : ''}`} style={usePackage ? undefined : subStyle}>{formatPrice(getBasePrice(item, true))}</span>;
+      case 'discount': {
+        const currentPrice = getLinePrice(item, usePackage);
+        const violation = floorViolations.find(v => v.itemId === item.id && v.optionId === (activeOptionId ?? null));
+        if (item.isFree) return <span className="font-bold text-base block py-1" style={accentStyle}>{t('doc.free')}</span>;
+        if (readOnly || item.bundle?.price > 0) return <span className="font-bold text-base block py-1" style={accentStyle}>{formatPrice(currentPrice)}</span>;
+        return (
+          <>
+          <input
+            type="number"
+            className="w-full max-w-full p-0 text-left text-sm font-bold bg-transparent outline-none leading-normal focus:bg-black/5"
+            style={{ color: violation && !violation.approved ? '#dc2626' : colors.accent }}
+            value={currentPrice}
+            onChange={(e) => updateCartItemPrice(item.id, e.target.value)}
+          />
+          {violation && (
+             <div className={`text-[10px] leading-tight ${violation.approved ? '' : 'text-red-500 font-bold'}`} style={violation.approved ? subStyle : undefined}>
+                {violation.approved ? t('guard.approvedBelowFloor') : t('guard.floor', { price: formatPrice(violation.floor) })}
+             </div>
+          )}
+          </>
+        );
+      }
+      case 'total': {
+        if (item.isFree) return <span className="font-bold">{t('doc.free')}</span>;
+        const total = getLineTotal(item, usePackage);
+        return total === null ? <span style={subStyle}>—</span> : <span className="font-bold">{formatPrice(total)}</span>;
+      }
+      case 'features': return text.features.map((features, i) => (
+        <div key={i} className={`text-[10px] leading-relaxed text-justify ${i > 0 ? 'mt-1' : ''}`}>
+          {features.replace(/\n/g, ' ')}
+        </div>
+      ));
+      case 'quantity': return formatQuantity(item);
+      case 'image': return isCustom ? null : renderImage(item.image);
+      default: return fieldKeys.has(key) ? ((!isCustom && item[key]) || <span style={subStyle}>—</span>) : null;
+    }
+  };
+
+  const cellClasses = {
+    name: 'font-bold pl-2',
+    model: 'text-xs font-mono',
+    retail: 'text-center',
+    package: 'text-center',
+    discount: 'text-left',
+    quantity: 'text-center font-medium',
+    total: 'text-center',
+  };
+
+  const cellStyle = (key) => ({ ...lineStyle, ...(key === 'name' ? strongStyle : {}) });
+
+  // In a shared quote a product row opens its details
+  const detailsProps = (items) => (onShowDetails ? { className: 'cursor-pointer active:opacity-70', onClick: () => onShowDetails(items) } : {});
+
+  // One items table; the comparison view draws one per option, only the option being edited is editable
+  const renderTable = (tableCart, tablePricing, canEdit) => {
+    const usePackage = tablePricing?.isPackage ?? false;
+    const readOnly = isExportingOrPreview || !canEdit;
+    const groups = getQuoteGroups(tableCart, sections, usePackage);
+    return (
+      <table className={`w-full border-collapse table-fixed min-w-[600px]`}>
+         <thead>
+            <tr>
+               {columns.map((column, i) => (
+                  <th
+                     key={column.key}
+                     className={`${tableHeadClass} ${columnAlign[column.key] || ''} ${i === 0 ? 'rounded-tl-lg' : ''} ${i === columns.length - 1 ? 'rounded-tr-lg' : ''}`}
+                     style={{ ...tableHead.style, width: getWidth(column) }}
+                  >
+                     {column.title}
+                  </th>
+               ))}
+            </tr>
+         </thead>
+         <tbody>
+            {groups.map(group => (
+              <Fragment key={group.section?.id || 'unassigned'}>
+                 {showSections && (
+                    <tr className="preview-section-header">
+                       <td colSpan={columnCount} className="pt-6 pb-2 px-2 border-b-2" style={lineStyle}>
+                          <div className="flex justify-between items-baseline">
+                             <span className="font-bold text-sm tracking-wide" style={strongStyle}>{group.section?.name || t('doc.unassigned')}</span>
+                             <span className="text-[10px]" style={subStyle}>{t('doc.pieces', { count: group.items.reduce((n, item) => n + item.quantity, 0) })}</span>
+                          </div>
+                       </td>
+                    </tr>
+                 )}
+                 {group.lines.map((line, index) => {
+                   const rowStyle = table.rowStyle === 'striped' && index % 2 === 0 ? { backgroundColor: colors.stripe } : undefined;
+                   if (line.type === 'bundle-price') {
+                     return (
+                       <tr key={`${line.bundle.id}_price`} style={rowStyle}>
+                          <td colSpan={columnCount} className={`py-3 px-2 text-right text-xs ${table.rowStyle === 'plain' ? '' : 'border-b'}`} style={{ ...lineStyle, ...subStyle }}>
+                             {t('doc.setPrice', { name: line.bundle.name })}
+                             <span className="ml-2 line-through">{formatPrice(line.listTotal)}</span>
+                             <span className="ml-3 font-bold text-sm" style={accentStyle}>{formatPrice(line.price)}</span>
+                          </td>
+                       </tr>
+                     );
+                   }
+                   if (line.type === 'bundle') {
+                     return (
+                       <tr key={line.bundle.id} style={rowStyle} {...detailsProps(line.items)}>
+                          {columns.map(({ key }) => (
+                             <td key={key} className={`${tableCellClass} ${cellClasses[key] || ''}`} style={cellStyle(key)}>{renderBundleCell(key, line, usePackage)}</td>
+                          ))}
+                       </tr>
+                     );
+                   }
+                   const { item } = line;
+                   return (
+                     <tr key={item.id} style={rowStyle} {...(isCustomLine(item) ? {} : detailsProps([item]))}>
+                        {columns.map(({ key }) => (
+                           <td key={key} className={`${tableCellClass} ${cellClasses[key] || ''}`} style={cellStyle(key)}>{renderItemCell(key, item, usePackage, readOnly)}</td>
+                        ))}
+                     </tr>
+                   );
+                 })}
+                 {showSections && (
+                    <tr className="preview-section-subtotal">
+                       <td colSpan={columnCount} className="py-3 px-2 text-right text-xs" style={subStyle}>
+                          {t('doc.sectionSubtotal', { name: group.section?.name || t('doc.unassigned') })}
+                          <span className="ml-3 font-bold text-sm" style={strongStyle}>{formatPrice(group.subtotal)}</span>
+                       </td>
+                    </tr>
+                 )}
+              </Fragment>
+            ))}
+         </tbody>
+      </table>
+    );
+  };
+
+  const isCentered = header.layout === 'centered';
+  const title = getHeaderTitle(template, language);
+  // Label columns sized for two Chinese characters, wider for English and bilingual labels
+  const infoLabelClass = `${language === 'zh' ? 'w-8' : language === 'en' ? 'w-14' : 'w-20'} shrink-0 inline-block`;
+  const termsLabelClass = `${language === 'zh' ? 'w-12' : 'w-24'} shrink-0`;
+  const brandBlock = (
+     <div className={isCentered ? 'flex flex-col items-center' : ''}>
+       {brand.logo && <img src={brand.logo} className={`h-12 max-w-[12rem] object-contain mb-2 ${isCentered ? 'mx-auto' : ''}`} />}
+       {brand.text && <h1 className={`text-3xl md:text-4xl font-extrabold tracking-tighter leading-none mb-2`} style={accentStyle}>{brand.text}</h1>}
+       {brand.tagline && <p className="text-[10px] tracking-[0.4em] uppercase pl-1 font-medium" style={subStyle}>{brand.tagline}</p>}
+     </div>
+  );
+
+  return (
+    <div className="relative flex flex-col h-full" style={{ backgroundColor: colors.background, color: colors.text, fontFamily: getFontFamily(template) }}>
+      {/* Expired watermark; the paged raster PDF export hides it and draws one on each page instead */}
+      {isExpired && (
+         <div className="preview-watermark absolute inset-0 overflow-hidden pointer-events-none z-10 flex items-center justify-center">
+            <div
+               className="px-8 py-2 text-8xl font-black tracking-[0.3em] whitespace-nowrap border-8 rounded-2xl"
+               style={{ color: 'rgba(220, 38, 38, 0.18)', borderColor: 'rgba(220, 38, 38, 0.18)', transform: 'rotate(-30deg)' }}
+            >
+               {t('doc.expired')}
+            </div>
+         </div>
+      )}
+
+      {/* 1. Header */}
+      <div
+         className={`preview-header px-4 md:px-8 py-6 md:py-8 flex border-b ${isCentered ? 'flex-col items-center text-center gap-4' : 'justify-between items-end'}`}
+         style={{ borderColor: header.rule ? colors.line : 'transparent' }}
+      >
+         {brandBlock}
+         <div className={isCentered ? '' : 'text-right'}>
+           {title && <h2 className="text-xl md:text-2xl font-light mb-1 tracking-wide" style={strongStyle}>{title}</h2>}
+           {header.subtitle && <p className="tracking-[0.2em] uppercase text-[9px] font-medium" style={subStyle}>{header.subtitle}</p>}
+           {quoteLabel && <p className="font-mono text-[10px] mt-1" style={textStyle}>No. {quoteLabel}</p>}
+           {terms && (
+              <p className={`text-[10px] mt-1 ${isExpired ? 'text-red-500 font-bold' : ''}`} style={isExpired ? undefined : subStyle}>
+                 {quoteDate} · {t('doc.validUntil')} {terms.validUntil}{isExpired && ` (${t('doc.expired')})`}
+              </p>
+           )}
+           {acceptedOptionName && <p className="text-[10px] font-bold mt-1" style={accentStyle}>{t('doc.acceptedOption')}: {acceptedOptionName}</p>}
+         </div>
+      </div>
+
+      {/* 2. Info Grid */}
+      <div
+         className={`preview-info px-4 md:px-8 py-4 md:py-6 grid grid-cols-2 gap-8 md:gap-12 ${template.info === 'card' ? 'mx-4 md:mx-8 rounded-xl my-4 py-4 md:py-6' : ''}`}
+         style={template.info === 'card' ? { backgroundColor: colors.infoFill } : undefined}
+      >
+         <div>
+            <h3 className="text-[10px] font-bold uppercase tracking-[0.2em] mb-3" style={subStyle}>{t('doc.customer')}</h3>
+            <div className="space-y-1.5 text-xs">
+              <div className="flex gap-3"><span className={infoLabelClass} style={subStyle}>{t('doc.name')}</span><span className="font-bold" style={strongStyle}>{customerInfo.name}</span></div>
+              <div className="flex gap-3"><span className={infoLabelClass} style={subStyle}>{t('doc.phone')}</span><span className="font-medium" style={textStyle}>{customerInfo.phone}</span></div>
+              <div className="flex gap-3"><span className={infoLabelClass} style={subStyle}>{t('doc.address')}</span><span style={textStyle}>{formatCustomerAddress(customerInfo)}</span></div>
+            </div>
+         </div>
+         <div>
+            <div className="flex items-start justify-between gap-2 mb-3">
+              <h3 className="text-[10px] font-bold uppercase tracking-[0.2em]" style={subStyle}>{t('doc.dealer')}</h3>
+              {dealerInfo.logo && <img src={dealerInfo.logo} className="h-8 max-w-[6rem] object-contain -mt-2" />}
+            </div>
+            <div className="space-y-1.5 text-xs">
+              <div className="font-bold" style={strongStyle}>{dealerInfo.name}</div>
+              <div className="font-medium" style={textStyle}>{dealerInfo.contact} | {dealerInfo.phone}</div>
+              <div style={subStyle}>{dealerInfo.address}</div>
+            </div>
+         </div>
+      </div>
+
+      {/* 3. Table */}
+      <div className={`px-4 md:px-8 flex-1 overflow-x-auto`}>
+         {options ? (
+            <>
+               {options.map(({ option, count, pricing: optionPricing }) => (
+                  <div key={option.id} className="preview-option mb-8">
+                     <div className="preview-option-header flex justify-between items-baseline pt-4 pb-3 border-b-2" style={lineStyle}>
+                        <span className="text-lg font-bold tracking-wide" style={accentStyle}>{option.name}</span>
+                        <span className="text-xs" style={subStyle}>{t('doc.pieces', { count })}</span>
+                     </div>
+                     {renderTable(option.cart, optionPricing, option.id === activeOptionId)}
+                     <div className="preview-option-total flex justify-end items-baseline gap-3 mt-4 text-xs" style={subStyle}>
+                        {optionPricing.savings > 0 && <span>{t('doc.retail')} <span className="line-through">{formatPrice(optionPricing.retailTotal)}</span></span>}
+                        <span>{t('doc.optionTotal', { name: option.name })}</span>
+                        <span className="text-2xl font-bold tracking-tight" style={accentStyle}>{formatPrice(optionPricing.grandTotal)}</span>
+                     </div>
+                  </div>
+               ))}
+
+               {/* Comparison summary */}
+               <div className="preview-total mt-2 mb-6">
+                  <div className="text-[10px] font-bold uppercase tracking-[0.2em] mb-2" style={subStyle}>{t('doc.comparison')}</div>
+                  <table className="w-full text-xs border-collapse">
+                     <thead>
+                        <tr className="border-b" style={{ ...lineStyle, ...subStyle }}>
+                           <th className="py-2 text-left font-medium">{t('doc.option')}</th>
+                           <th className="py-2 text-center font-medium">{t('doc.itemCount')}</th>
+                           <th className="py-2 text-right font-medium">{t('doc.retailTotal')}</th>
+                           <th className="py-2 text-right font-medium">{t('doc.optionPrice')}</th>
+                           <th className="py-2 text-right font-medium">{t('doc.difference')}</th>
+                        </tr>
+                     </thead>
+                     <tbody>
+                        {options.map(({ option, count, pricing: optionPricing, difference }) => (
+                           <tr key={option.id} className="border-b" style={lineStyle}>
+                              <td className="py-2 font-bold" style={strongStyle}>{option.name}</td>
+                              <td className="py-2 text-center">{t('doc.pieces', { count })}</td>
+                              <td className="py-2 text-right" style={subStyle}>{formatPrice(optionPricing.retailTotal)}</td>
+                              <td className="py-2 text-right font-bold text-sm" style={accentStyle}>{formatPrice(optionPricing.grandTotal)}</td>
+                              <td className="py-2 text-right" style={subStyle}>{difference > 0 ? `+${formatPrice(difference)}` : t('doc.lowest')}</td>
+                           </tr>
+                        ))}
+                     </tbody>
+                  </table>
+               </div>
+            </>
+         ) : (
+            <>
+               {renderTable(cart, pricing, true)}
+
+               {/* Subtotal & Adjustments */}
+               {pricing?.rows.length > 0 && (
+                  <div className="preview-adjustments flex justify-end mt-6">
+                     <div className="w-full max-w-xs text-xs space-y-1.5" style={subStyle}>
+                        <div className="flex justify-between"><span>{t('doc.subtotal')}</span><span style={textStyle}>{formatPrice(pricing.subtotal)}</span></div>
+                        {pricing.rows.map(row => (
+                           <div key={row.id} className="flex justify-between gap-4">
+                              <span>{describeTotalsRow(row, t)}</span>
+                              <span className="font-medium" style={accentStyle}>{row.amount < 0 ? '-' : '+'}{formatPrice(Math.abs(row.amount))}</span>
+                           </div>
+                        ))}
+                     </div>
+                  </div>
+               )}
+
+               {/* Total */}
+               <div className={`preview-total flex justify-end mb-6 ${pricing?.rows.length > 0 ? 'mt-3' : 'mt-6'}`}>
+                  <div className="text-right">
+                     <div className="text-[10px] font-bold uppercase tracking-[0.2em] mb-1" style={subStyle}>{t('doc.total')}</div>
+                     <div className={`text-4xl font-bold tracking-tighter`} style={accentStyle}>{formatPrice(cartTotal)}</div>
+                     {pricing?.savings > 0 && (
+                        <div className="text-xs mt-2" style={subStyle}>
+                           {t('doc.retailTotal')} <span className="line-through">{formatPrice(pricing.retailTotal)}</span>
+                           <span className="ml-2 font-bold" style={accentStyle}>{t(usePackage ? 'doc.packageSavings' : 'doc.savings')} {formatPrice(pricing.savings)}</span>
+                        </div>
+                     )}
+                  </div>
+               </div>
+            </>
+         )}
+      </div>
+
+      {/* 4. Footer */}
+      <div className="preview-footer mt-auto px-4 md:px-8 pb-6 pt-5 border-t" style={{ ...lineStyle, backgroundColor: colors.background }}>
+         <div className="flex justify-between items-center">
+            {footer.terms && (
+            <div className="max-w-[70%] space-y-3">
+               {(terms?.payment || terms?.delivery) && (
+                  <div className="space-y-1 text-[10px]" style={subStyle}>
+                     {terms.payment && <div className="flex gap-3"><span className={termsLabelClass}>{t('doc.payment')}</span><span style={textStyle}>{terms.payment}</span></div>}
+                     {terms.delivery && <div className="flex gap-3"><span className={termsLabelClass}>{t('doc.delivery')}</span><span style={textStyle}>{terms.delivery}</span></div>}
+                  </div>
+               )}
+               {terms?.blocks.map(block => (
+                  <div key={block.id}>
+                     {block.title && <h4 className="font-bold mb-2 text-xs uppercase tracking-wider" style={strongStyle}>{block.title}</h4>}
+                     <div className="grid grid-cols-2 gap-x-6 gap-y-1 text-[10px] font-medium" style={subStyle}>
+                        {parseTermsBody(block.body).map((line, i) => (line.type === 'bullet'
+                           ? <div key={i} className="flex items-center gap-1.5"><span className="w-1 h-1 rounded-full bg-current opacity-50 shrink-0"></span>{line.text}</div>
+                           : <div key={i} className="col-span-2 whitespace-pre-wrap">{line.text}</div>
+                        ))}
+                     </div>
+                  </div>
+               ))}
+            </div>
+            )}
+            {footer.qr && qrCode && (
+               <div className={`bg-white rounded flex items-center justify-center overflow-hidden flex-shrink-0 ml-auto`}>
+                  <img src={qrCode} className="w-auto h-auto max-h-32 object-contain" />
+               </div>
+            )}
+         </div>
+      </div>
+      {footer.bar && (
+         <div className="preview-bottom-bar text-center py-2 text-[8px] font-bold uppercase tracking-[0.3em]" style={{ backgroundColor: colors.barFill, color: colors.barText }}>
+            {footer.barText}
+         </div>
+      )}
+    </div>
+  );
+};
+
+export default PreviewContent;
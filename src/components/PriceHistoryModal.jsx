@@ -0,0 +1,78 @@
+import { useState, useMemo } from 'react';
+import { History, Search, X } from 'lucide-react';
+
+// Named by priceHistory.* in utils/i18n
+const FILTERS = ['all', 'upcoming', 'past'];
+
+// --- Modal: Upcoming and past price changes, grouped by model ---
+const PriceHistoryModal = ({ changes, formatPrice, onCancel, onClose, t }) => {
+  const [filter, setFilter] = useState('all');
+  const [query, setQuery] = useState('');
+
+  // Models with an upcoming change first, then by latest change
+  const groups = useMemo(() => {
+    const term = query.trim().toLowerCase();
+    const byModel = new Map();
+    changes
+      .filter(c => filter === 'all' || c.status === filter)
+      .filter(c => !term || `${c.product.model} ${c.product.name}`.toLowerCase().includes(term))
+      .forEach(c => {
+        if (!byModel.has(c.product.id)) byModel.set(c.product.id, { product: c.product, changes: [] });
+        byModel.get(c.product.id).changes.push(c);
+      });
+    const hasUpcoming = (group) => group.changes.some(c => c.status === 'upcoming');
+    return [...byModel.values()].sort((a, b) => hasUpcoming(b) - hasUpcoming(a));
+  }, [changes, filter, query]);
+
+  const renderPrice = (from, to) => (from === to
+    ? <span>{formatPrice(to)}</span>
+    : <span><span className="line-through text-gray-400">{formatPrice(from)}</span> → <span className={to > from ? 'text-red-500' : 'text-emerald-600'}>{formatPrice(to)}</span></span>);
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-[60] flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl w-full max-w-3xl p-6 max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-bold flex items-center gap-2"><History className="w-5 h-5 text-[#009999]" /> {t('priceHistory.title')}</h2>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-full"><X className="w-5 h-5" /></button>
+        </div>
+        <div className="flex flex-wrap gap-2 mb-3">
+          <div className="relative flex-1 min-w-[180px]">
+            <Search className="w-4 h-4 absolute left-2 top-2 text-gray-400" />
+            <input className="w-full pl-8 p-1.5 border rounded text-sm" placeholder={t('priceHistory.search')} value={query} onChange={e => setQuery(e.target.value)} />
+          </div>
+          <div className="flex border rounded overflow-hidden text-xs">
+            {FILTERS.map(id => (
+              <button key={id} onClick={() => setFilter(id)} className={`px-3 py-1.5 ${filter === id ? 'bg-[#009999] text-white' : 'hover:bg-gray-50'}`}>{t(`priceHistory.${id}`)}</button>
+            ))}
+          </div>
+        </div>
+        <div className="flex-1 overflow-y-auto border rounded-lg divide-y">
+          {groups.length === 0 && <div className="p-6 text-center text-sm text-gray-400">{t('priceHistory.empty')}</div>}
+          {groups.map(group => (
+            <div key={group.product.id} className="p-3 text-sm">
+              <div className="font-bold">
+                <span className="font-mono">{group.product.model}</span> <span className="font-normal text-gray-400 text-xs">{group.product.name} · {t('priceHistory.current', { price: formatPrice(group.product.price_retail) })}</span>
+              </div>
+              <div className="mt-2 space-y-1">
+                {group.changes.map(c => (
+                  <div key={c.entry.effectiveFrom} className={`flex flex-wrap items-center gap-x-4 gap-y-1 text-xs p-1.5 rounded ${c.status === 'upcoming' ? 'bg-blue-50' : ''}`}>
+                    <span className="w-24 font-mono">{c.entry.effectiveFrom}</span>
+                    <span className={`w-12 ${c.status === 'upcoming' ? 'text-blue-600 font-bold' : 'text-gray-400'}`}>{t(`priceHistory.${c.status}`)}</span>
+                    <span className="min-w-[150px]">{t('priceHistory.retail')} {renderPrice(c.previous.price_retail, c.entry.price_retail)}</span>
+                    <span className="min-w-[150px]">{t('priceHistory.package')} {renderPrice(c.previous.price_package, c.entry.price_package)}</span>
+                    <span className="text-gray-400">{c.entry.source}</span>
+                    {c.status === 'upcoming' && (
+                      <button onClick={() => onCancel(c.product, c.entry.effectiveFrom)} className="ml-auto text-gray-400 hover:text-red-500">{t('ui.cancel')}</button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PriceHistoryModal;
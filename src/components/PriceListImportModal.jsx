@@ -0,0 +1,197 @@
+import { useState, useMemo } from 'react';
+import { FileSpreadsheet, Upload, X } from 'lucide-react';
+import { toast } from 'sonner';
+import { PRODUCT_FIELDS, readSpreadsheet, guessColumnMapping, mapRows, diffPriceList, applyPriceListDiff } from '../utils/priceList';
+import { toDateKey } from '../utils/priceHistory';
+
+// Named by priceList.* in utils/i18n
+const SECTIONS = [
+  { key: 'added', tone: 'text-emerald-600' },
+  { key: 'changed', tone: 'text-amber-600' },
+  { key: 'removed', tone: 'text-red-500' },
+];
+
+// --- Modal: Import a price list with column mapping and a reviewable diff ---
+const PriceListImportModal = ({ products, formatPrice, onApply, onClose, t }) => {
+  const [step, setStep] = useState('upload'); // 'upload' | 'mapping' | 'review'
+  const [fileName, setFileName] = useState('');
+  const [sheet, setSheet] = useState({ headers: [], rows: [] });
+  const [mapping, setMapping] = useState({});
+  const [accepted, setAccepted] = useState(new Set());
+  const [effectiveFrom, setEffectiveFrom] = useState(toDateKey);
+  const isScheduled = effectiveFrom > toDateKey();
+
+  const diff = useMemo(() => {
+    if (step !== 'review') return null;
+    return diffPriceList(products, mapRows(sheet.rows, mapping), mapping);
+  }, [step, products, sheet, mapping]);
+
+  const formatValue = (key, value) => {
+    if (value === undefined || value === null || value === '') return '—';
+    return PRODUCT_FIELDS.find(f => f.key === key)?.numeric ? formatPrice(value) : String(value);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      const data = await readSpreadsheet(file);
+      if (data.headers.length === 0 || data.rows.length === 0) {
+        toast.error(t('priceList.emptySheet'));
+        return;
+      }
+      setFileName(file.name);
+      setSheet(data);
+      setMapping(guessColumnMapping(data.headers));
+      setStep('mapping');
+    } catch (err) {
+      console.error(err);
+      toast.error(t('priceList.unreadable'));
+    }
+  };
+
+  const handleReview = () => {
+    if (mapping.model === undefined) {
+      toast.error(t('priceList.modelRequired'));
+      return;
+    }
+    const next = diffPriceList(products, mapRows(sheet.rows, mapping), mapping);
+    // New and changed models are pre-selected; removals must be opted into
+    setAccepted(new Set([...next.added, ...next.changed].map(item => item.id)));
+    setStep('review');
+  };
+
+  const toggle = (id) => {
+    setAccepted(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const toggleSection = (items, checked) => {
+    setAccepted(prev => {
+      const next = new Set(prev);
+      items.forEach(item => (checked ? next.add(item.id) : next.delete(item.id)));
+      return next;
+    });
+  };
+
+  const handleApply = () => {
+    onApply(applyPriceListDiff(products, diff, accepted, effectiveFrom || toDateKey()), {
+      added: diff.added.filter(i => accepted.has(i.id)).length,
+      changed: diff.changed.filter(i => accepted.has(i.id)).length,
+      removed: diff.removed.filter(i => accepted.has(i.id)).length,
+      effectiveFrom: isScheduled ? effectiveFrom : null,
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-[60] flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl w-full max-w-3xl max-h-[90vh] flex flex-col">
+        <div className="p-4 border-b flex items-center justify-between">
+          <h2 className="text-lg font-bold flex items-center gap-2">
+            <FileSpreadsheet className="w-5 h-5 text-[#009999]" /> {t('priceList.title')}
+            {fileName && <span className="text-xs font-normal text-gray-400">{fileName}</span>}
+          </h2>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-full"><X className="w-5 h-5" /></button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4">
+          {step === 'upload' && (
+            <label className="border-2 border-dashed border-gray-300 rounded-xl h-48 flex flex-col items-center justify-center gap-2 cursor-pointer hover:border-[#009999] bg-gray-50 text-sm text-gray-400">
+              <Upload className="w-6 h-6" />
+              {t('priceList.choose')}
+              <input type="file" accept=".xlsx,.xls,.csv" className="hidden" onChange={handleFile} />
+            </label>
+          )}
+
+          {step === 'mapping' && (
+            <div>
+              <p className="text-xs text-gray-400 mb-3">{t('priceList.mappingHint', { count: sheet.rows.length })}</p>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                {PRODUCT_FIELDS.map(field => (
+                  <label key={field.key} className="flex items-center gap-2 p-2 border rounded">
+                    <span className="text-xs font-bold w-20 shrink-0">{t(`field.${field.key}`)}{field.required && <span className="text-red-500">*</span>}</span>
+                    <select
+                      className="flex-1 min-w-0 p-1.5 border rounded text-xs bg-white"
+                      value={mapping[field.key] ?? ''}
+                      onChange={e => setMapping(prev => {
+                        const next = { ...prev };
+                        if (e.target.value === '') delete next[field.key];
+                        else next[field.key] = Number(e.target.value);
+                        return next;
+                      })}
+                    >
+                      <option value="">{t('priceList.skip')}</option>
+                      {sheet.headers.map((header, index) => (
+                        <option key={index} value={index}>{header || t('priceList.column', { index: index + 1 })}</option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {step === 'review' && diff && (
+            <div className="space-y-4">
+              <label className="flex flex-wrap items-center gap-2 p-2 rounded bg-gray-50 text-xs">
+                <span className="font-bold">{t('priceList.effectiveFrom')}</span>
+                <input type="date" className="p-1 border rounded bg-white" value={effectiveFrom} onChange={e => setEffectiveFrom(e.target.value)} />
+                <span className="text-gray-400">
+                  {isScheduled ? t('priceList.scheduledHint') : t('priceList.immediateHint')}
+                </span>
+              </label>
+              {SECTIONS.map(section => {
+                const items = diff[section.key];
+                if (items.length === 0) return null;
+                const allChecked = items.every(i => accepted.has(i.id));
+                return (
+                  <div key={section.key}>
+                    <label className="flex items-center gap-2 mb-2 cursor-pointer">
+                      <input type="checkbox" checked={allChecked} onChange={e => toggleSection(items, e.target.checked)} className="accent-[#009999]" />
+                      <span className={`text-sm font-bold ${section.tone}`}>{t(`priceList.${section.key}`)} ({items.length})</span>
+                      {section.key === 'removed' && <span className="text-[10px] text-gray-400">{t('priceList.removeHint')}</span>}
+                    </label>
+                    <div className="border rounded-lg divide-y">
+                      {items.map(item => (
+                        <label key={item.id} className="flex gap-3 p-2 text-xs cursor-pointer hover:bg-gray-50">
+                          <input type="checkbox" checked={accepted.has(item.id)} onChange={() => toggle(item.id)} className="accent-[#009999] mt-0.5" />
+                          <div className="flex-1 min-w-0">
+                            <div className="font-mono font-bold">{item.model} <span className="font-sans font-normal text-gray-400">{(item.next || item.prev).name}</span></div>
+                            {item.type === 'added' && (
+                              <div className="text-gray-500">{formatValue('price_retail', item.next.price_retail)} / {t('priceHistory.package')} {formatValue('price_package', item.next.price_package)}</div>
+                            )}
+                            {item.type === 'changed' && item.changes.map(c => (
+                              <div key={c.key} className="text-gray-500">
+                                {t(`field.${c.key}`)}: <span className="line-through">{formatValue(c.key, c.from)}</span> → <span className="text-slate-800 font-medium">{formatValue(c.key, c.to)}</span>
+                              </div>
+                            ))}
+                          </div>
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                );
+              })}
+              {diff.added.length + diff.changed.length + diff.removed.length === 0 && (
+                <div className="text-center text-sm text-gray-400 py-10">{t('priceList.noChanges')}</div>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="p-4 border-t flex gap-2 justify-end">
+          {step === 'review' && <button onClick={() => setStep('mapping')} className="px-4 py-2 border rounded text-gray-600 mr-auto">{t('ui.back')}</button>}
+          <button onClick={onClose} className="px-4 py-2 border rounded text-gray-600">{t('ui.cancel')}</button>
+          {step === 'mapping' && <button onClick={handleReview} className="px-4 py-2 bg-[#009999] text-white rounded">{t('priceList.review')}</button>}
+          {step === 'review' && <button onClick={handleApply} disabled={accepted.size === 0} className="px-4 py-2 bg-[#009999] text-white rounded disabled:opacity-50">{t('priceList.apply', { count: accepted.size })}</button>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PriceListImportModal;
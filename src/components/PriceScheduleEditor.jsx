@@ -0,0 +1,49 @@
+import { useState } from 'react';
+import { Plus, X } from 'lucide-react';
+import { toDateKey, addPriceEntry, removePriceEntry } from '../utils/priceHistory';
+
+// --- Product editor: price history and scheduled price changes ---
+const PriceScheduleEditor = ({ product, formatPrice, onChange, t }) => {
+  const today = toDateKey();
+  const [draft, setDraft] = useState({ effectiveFrom: '', price_retail: '', price_package: '' });
+  const history = product.priceHistory || [];
+  const canAdd = draft.effectiveFrom > today && draft.price_retail !== '';
+
+  const handleAdd = () => {
+    onChange(addPriceEntry(product, {
+      effectiveFrom: draft.effectiveFrom,
+      price_retail: draft.price_retail,
+      price_package: draft.price_package === '' ? product.price_package : draft.price_package,
+      source: '计划调价',
+    }, today));
+    setDraft({ effectiveFrom: '', price_retail: '', price_package: '' });
+  };
+
+  return (
+    <div className="border rounded p-2 space-y-2">
+      <span className="text-xs font-bold text-slate-500">{t('priceSchedule.title')}</span>
+      {history.length === 0 && <p className="text-[10px] text-gray-400">{t('priceSchedule.empty')}</p>}
+      {history.map(entry => {
+        const upcoming = entry.effectiveFrom > today;
+        return (
+          <div key={entry.effectiveFrom || 'base'} className={`flex items-center gap-2 text-xs ${upcoming ? 'text-blue-600' : 'text-gray-500'}`}>
+            <span className="w-20 font-mono">{entry.effectiveFrom || t('priceSchedule.initial')}</span>
+            <span className="flex-1">{formatPrice(entry.price_retail)} / {t('priceHistory.package')} {formatPrice(entry.price_package)}</span>
+            <span className="text-[10px] text-gray-400">{upcoming ? t('priceHistory.upcoming') : entry.source}</span>
+            {upcoming && (
+              <button type="button" onClick={() => onChange(removePriceEntry(product, entry.effectiveFrom, today))} className="text-slate-300 hover:text-red-500"><X className="w-3 h-3" /></button>
+            )}
+          </div>
+        );
+      })}
+      <div className="flex gap-1.5">
+        <input type="date" min={today} className="w-32 p-1.5 border rounded text-xs" title={t('priceSchedule.effectiveFrom')} value={draft.effectiveFrom} onChange={e => setDraft({ ...draft, effectiveFrom: e.target.value })} />
+        <input type="number" min="0" className="flex-1 min-w-0 p-1.5 border rounded text-xs" placeholder={t('priceSchedule.retail')} value={draft.price_retail} onChange={e => setDraft({ ...draft, price_retail: e.target.value })} />
+        <input type="number" min="0" className="flex-1 min-w-0 p-1.5 border rounded text-xs" placeholder={t('priceSchedule.package')} value={draft.price_package} onChange={e => setDraft({ ...draft, price_package: e.target.value })} />
+        <button type="button" onClick={handleAdd} disabled={!canAdd} className="text-[#009999] disabled:text-slate-300" title={t('priceSchedule.add')}><Plus className="w-4 h-4" /></button>
+      </div>
+    </div>
+  );
+};
+
+export default PriceScheduleEditor;
@@ -0,0 +1,130 @@
+import { useState, useMemo } from 'react';
+import { ArrowLeft, Image as ImageIcon, Plus, X, ChevronDown, ChevronUp, GitCompare } from 'lucide-react';
+import { PRODUCT_FIELDS } from '../utils/priceList';
+
+const SPEC_FIELDS = PRODUCT_FIELDS.filter(f => !['model', 'name', 'features'].includes(f.key));
+
+const isBlank = (value) => value === undefined || value === null || ['', 'nan', '/', '-'].includes(String(value).trim());
+
+const splitFeatures = (features) => (features || '').split('\n').map(f => f.trim()).filter(Boolean);
+
+// Spec rows with a "differs" flag, plus features split into shared / unique
+const buildComparison = (products, formatPrice) => {
+  const specs = SPEC_FIELDS.map(field => {
+    const values = products.map(p => {
+      if (isBlank(p[field.key])) return '—';
+      return field.numeric ? formatPrice(p[field.key]) : String(p[field.key]);
+    });
+    return { ...field, values, differs: new Set(values).size > 1 };
+  }).filter(row => row.values.some(v => v !== '—'));
+
+  const featureLists = products.map(p => splitFeatures(p.features));
+  const shared = featureLists[0]?.filter(f => featureLists.every(list => list.includes(f))) || [];
+  const unique = featureLists.map(list => list.filter(f => !shared.includes(f)));
+  return { specs, shared, unique };
+};
+
+// --- View: Side-by-side product comparison ---
+const ProductComparison = ({ products, formatPrice, onBack, onRemove, onAddToCart, onExportImage, t }) => {
+  const [onlyDifferences, setOnlyDifferences] = useState(false);
+  const [showShared, setShowShared] = useState(false);
+
+  const { specs, shared, unique } = useMemo(() => buildComparison(products, formatPrice), [products, formatPrice]);
+  const visibleSpecs = onlyDifferences ? specs.filter(row => row.differs) : specs;
+  const columnWidth = `${80 / Math.max(products.length, 1)}%`;
+
+  return (
+    <div className="min-h-screen bg-gray-50 font-sans text-slate-800 flex flex-col">
+      <div className="bg-white border-b px-4 py-3 flex justify-between items-center sticky top-0 z-20 shadow-sm">
+        <div className="flex items-center gap-2">
+          <button onClick={onBack} className="p-2 hover:bg-gray-100 rounded-full transition">
+            <ArrowLeft className="w-5 h-5" />
+          </button>
+          <h1 className="font-bold text-lg flex items-center gap-2"><GitCompare className="w-5 h-5 text-[#009999]" /> {t('comparison.title')}</h1>
+        </div>
+        <div className="flex gap-2 items-center">
+          <label className="flex items-center gap-2 text-xs font-bold cursor-pointer mr-2">
+            <input type="checkbox" checked={onlyDifferences} onChange={e => setOnlyDifferences(e.target.checked)} className="accent-[#009999]" />
+            {t('comparison.onlyDifferences')}
+          </label>
+          <button onClick={onExportImage} className="px-4 py-2 bg-white border border-gray-200 text-slate-700 rounded-lg text-sm font-medium shadow-sm hover:bg-gray-50 flex items-center gap-2">
+            <ImageIcon className="w-4 h-4" /> {t('ui.saveAsImage')}
+          </button>
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-auto p-4 md:p-8">
+        <div id="comparison-content" className="bg-white shadow-2xl mx-auto max-w-5xl p-6 md:p-8 min-w-[640px]">
+          <div className="flex justify-between items-end border-b border-gray-200 pb-4 mb-4">
+            <div>
+              <h1 className="text-3xl font-extrabold tracking-tighter leading-none mb-1 text-[#009999]">SIEMENS</h1>
+              <p className="text-slate-500 text-[10px] tracking-[0.4em] uppercase pl-1 font-medium">Future Moving</p>
+            </div>
+            <h2 className="text-xl font-light tracking-wide">{t('comparison.heading')}</h2>
+          </div>
+
+          <table className="w-full border-collapse table-fixed text-sm">
+            <thead>
+              <tr>
+                <th className="w-[20%]"></th>
+                {products.map(p => (
+                  <th key={p.id} className="align-top p-2" style={{ width: columnWidth }}>
+                    <div className="relative">
+                      <button onClick={() => onRemove(p.id)} className="absolute top-0 right-0 text-slate-300 hover:text-red-500" data-html2canvas-ignore><X className="w-4 h-4" /></button>
+                      <div className="h-28 flex items-center justify-center mb-2">
+                        {p.image ? <img src={p.image} alt={p.name} className="max-h-full max-w-full object-contain" /> : <span className="text-xs text-gray-300">{t('ui.noImage')}</span>}
+                      </div>
+                      <div className="font-bold leading-snug">{p.name}</div>
+                      <div className="text-xs font-mono text-gray-500 font-normal">{p.model}</div>
+                      <button onClick={() => onAddToCart(p)} className="mt-2 px-3 py-1 bg-slate-900 text-white rounded-full text-xs font-normal inline-flex items-center gap-1 hover:bg-[#009999]" data-html2canvas-ignore>
+                        <Plus className="w-3 h-3" /> {t('product.addToCart')}
+                      </button>
+                    </div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {visibleSpecs.map(row => (
+                <tr key={row.key} className={row.differs ? 'bg-amber-50' : ''}>
+                  <td className="py-2.5 px-3 border-b border-gray-100 text-xs text-slate-500 font-bold">{t(`field.${row.key}`)}</td>
+                  {row.values.map((value, i) => (
+                    <td key={i} className={`py-2.5 px-3 border-b border-gray-100 text-center text-xs whitespace-pre-line ${row.differs ? 'font-bold text-slate-900' : 'text-slate-600'}`}>{value}</td>
+                  ))}
+                </tr>
+              ))}
+
+              {shared.length > 0 && (
+                <tr>
+                  <td className="py-2.5 px-3 border-b border-gray-100 text-xs text-slate-500 font-bold align-top">
+                    <button onClick={() => setShowShared(!showShared)} className="flex items-center gap-1">
+                      {t('comparison.shared', { count: shared.length })} {showShared ? <ChevronUp className="w-3 h-3" /> : <ChevronDown className="w-3 h-3" />}
+                    </button>
+                  </td>
+                  <td colSpan={products.length} className="py-2.5 px-3 border-b border-gray-100 text-xs text-slate-600 text-center">
+                    {showShared ? shared.join(' · ') : <span className="text-gray-400">{t('comparison.sharedHint', { count: shared.length })}</span>}
+                  </td>
+                </tr>
+              )}
+              <tr className="bg-amber-50">
+                <td className="py-2.5 px-3 text-xs text-slate-500 font-bold align-top">{t('comparison.unique')}</td>
+                {unique.map((list, i) => (
+                  <td key={i} className="py-2.5 px-3 text-xs text-slate-900 align-top">
+                    {list.length > 0 ? (
+                      <ul className="space-y-1">
+                        {list.map(f => <li key={f} className="flex gap-1.5"><span className="w-1 h-1 mt-1.5 rounded-full bg-[#009999] shrink-0"></span>{f}</li>)}
+                      </ul>
+                    ) : <div className="text-center text-gray-300">—</div>}
+                  </td>
+                ))}
+              </tr>
+            </tbody>
+          </table>
+          <p className="text-[10px] text-gray-400 mt-4">{t('comparison.legend')}</p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProductComparison;
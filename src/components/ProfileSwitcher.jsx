@@ -0,0 +1,47 @@
+import { useState } from 'react';
+import { Store, UserRound, Check, ChevronDown } from 'lucide-react';
+
+// --- Header menu: switch the active store and salesperson ---
+const ProfileSwitcher = ({ stores, salespeople, storeId, salespersonId, onSwitchStore, onSwitchSalesperson, t }) => {
+  const [open, setOpen] = useState(false);
+  const store = stores.find(s => s.id === storeId);
+  const salesperson = salespeople.find(p => p.id === salespersonId);
+
+  const pick = (switchFn, id) => {
+    switchFn(id);
+    setOpen(false);
+  };
+
+  const renderOption = (profile, isActive, onPick, detail) => (
+    <button key={profile.id} onClick={onPick} className="w-full text-left px-3 py-2 text-xs hover:bg-gray-50 flex items-center gap-2">
+      <span className="flex-1 min-w-0">
+        <span className={`block truncate ${isActive ? 'font-bold text-[#009999]' : ''}`}>{profile.name || t('profile.unnamed')}</span>
+        {detail && <span className="block text-[10px] text-gray-400 truncate">{detail}</span>}
+      </span>
+      {isActive && <Check className="w-3 h-3 text-[#009999] shrink-0" />}
+    </button>
+  );
+
+  return (
+    <div className="relative">
+      <button onClick={() => setOpen(!open)} className="p-2 bg-white border border-gray-200 text-slate-700 rounded-lg text-sm flex items-center gap-1 hover:bg-gray-50 transition touch-manipulation max-w-[16rem]" title={t('profile.switch')}>
+        <Store className="w-4 h-4 shrink-0" />
+        <span className="truncate">{store?.name || t('profile.unnamedStore')}{salesperson?.name && ` · ${salesperson.name}`}</span>
+        <ChevronDown className="w-3 h-3 shrink-0 text-gray-400" />
+      </button>
+      {open && (
+        <>
+          <div className="fixed inset-0 z-30" onClick={() => setOpen(false)} />
+          <div className="absolute right-0 top-full mt-1 w-64 bg-white border rounded-lg shadow-lg z-40 overflow-hidden">
+            <div className="px-3 pt-2 pb-1 text-[10px] font-bold text-slate-400 uppercase tracking-wider flex items-center gap-1"><Store className="w-3 h-3" /> {t('profile.stores')}</div>
+            {stores.map(s => renderOption(s, s.id === storeId, () => pick(onSwitchStore, s.id), s.address))}
+            <div className="px-3 pt-2 pb-1 text-[10px] font-bold text-slate-400 uppercase tracking-wider flex items-center gap-1 border-t"><UserRound className="w-3 h-3" /> {t('profile.salespeople')}</div>
+            {salespeople.map(p => renderOption(p, p.id === salespersonId, () => pick(onSwitchSalesperson, p.id), p.phone))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ProfileSwitcher;
@@ -0,0 +1,50 @@
+import { Plus, X, CheckCircle2 } from 'lucide-react';
+import { MAX_OPTIONS } from '../utils/proposals';
+
+// --- Cart drawer: switch between the alternative options of a quote ---
+const ProposalTabs = ({ proposal, onSwitch, onAdd, onRename, onRemove, t }) => {
+  if (!proposal) {
+    return (
+      <button
+        onClick={onAdd}
+        className="w-full py-2 border border-dashed border-gray-300 rounded-lg text-xs text-slate-500 hover:border-[#009999] hover:text-[#009999] flex items-center justify-center gap-1"
+        title={t('option.addHint')}
+      >
+        <Plus className="w-3 h-3" /> {t('option.add')}
+      </button>
+    );
+  }
+  return (
+    <div className="flex flex-wrap items-center gap-1.5">
+      {proposal.options.map(option => {
+        const isActive = option.id === proposal.activeOptionId;
+        const isAccepted = option.id === proposal.acceptedOptionId;
+        return (
+          <div
+            key={option.id}
+            className={`flex items-center gap-1 pl-2.5 pr-1 py-1 rounded-full border text-xs ${isActive ? 'border-[#009999] bg-[#009999] text-white' : 'border-gray-200 bg-white text-slate-600 hover:border-[#009999]'}`}
+          >
+            <button
+              onClick={() => (isActive ? onRename(option) : onSwitch(option.id))}
+              className="flex items-center gap-1 font-bold"
+              title={isActive ? t('ui.rename') : t('option.switch')}
+            >
+              {isAccepted && <CheckCircle2 className="w-3 h-3" />}
+              {option.name}
+            </button>
+            <button onClick={() => onRemove(option)} className={`p-0.5 rounded-full ${isActive ? 'text-white/70 hover:text-white' : 'text-slate-300 hover:text-red-500'}`} title={t('option.delete')}>
+              <X className="w-3 h-3" />
+            </button>
+          </div>
+        );
+      })}
+      {proposal.options.length < MAX_OPTIONS && (
+        <button onClick={onAdd} className="px-2 py-1 border border-dashed rounded-full text-xs text-slate-400 hover:border-[#009999] hover:text-[#009999]" title={t('option.copy')}>
+          <Plus className="w-3 h-3" />
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ProposalTabs;
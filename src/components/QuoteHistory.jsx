@@ -0,0 +1,96 @@
+import { useState, useMemo } from 'react';
+import { ArrowLeft, Search, FolderOpen, Copy, Pencil, Trash2, PlusCircle, History } from 'lucide-react';
+import { formatQuoteLabel } from '../utils/quotes';
+
+// --- View: Saved Quotation History ---
+const QuoteHistory = ({ quotes, activeQuoteId, formatPrice, onBack, onNew, onOpen, onDuplicate, onRename, onDelete, language, t }) => {
+  const [keyword, setKeyword] = useState('');
+
+  // Group revisions under their quote number, newest activity first
+  const groups = useMemo(() => {
+    const term = keyword.trim().toLowerCase();
+    const byNo = new Map();
+    quotes.forEach(q => {
+      if (!byNo.has(q.quoteNo)) byNo.set(q.quoteNo, []);
+      byNo.get(q.quoteNo).push(q);
+    });
+    return Array.from(byNo.values())
+      .map(list => list.sort((a, b) => (b.revision || 1) - (a.revision || 1)))
+      .filter(list => !term || list.some(q =>
+        formatQuoteLabel(q).toLowerCase().includes(term) ||
+        q.name?.toLowerCase().includes(term) ||
+        q.customerInfo?.name?.toLowerCase().includes(term) ||
+        q.customerInfo?.phone?.includes(term) ||
+        q.issuer?.salespersonName?.toLowerCase().includes(term)
+      ))
+      .sort((a, b) => b[0].updatedAt.localeCompare(a[0].updatedAt));
+  }, [quotes, keyword]);
+
+  const formatDate = (iso) => new Date(iso).toLocaleString(language === 'en' ? 'en-GB' : 'zh-CN', { hour12: false });
+
+  return (
+    <div className="min-h-screen bg-gray-50 font-sans text-slate-800 flex flex-col">
+      <div className="bg-white border-b px-4 py-3 flex justify-between items-center sticky top-0 z-20 shadow-sm">
+        <div className="flex items-center gap-2">
+          <button onClick={onBack} className="p-2 hover:bg-gray-100 rounded-full transition">
+            <ArrowLeft className="w-5 h-5" />
+          </button>
+          <h1 className="font-bold text-lg flex items-center gap-2"><History className="w-5 h-5 text-[#009999]" /> {t('ui.history')}</h1>
+        </div>
+        <button onClick={onNew} className="px-4 py-2 bg-slate-900 text-white rounded-lg text-sm font-medium shadow-sm hover:bg-black flex items-center gap-2">
+          <PlusCircle className="w-4 h-4" /> {t('quote.new')}
+        </button>
+      </div>
+
+      <div className="p-4 md:p-6 max-w-4xl w-full mx-auto flex-1">
+        <div className="relative mb-4">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400 w-5 h-5" />
+          <input
+            type="text"
+            placeholder={t('quote.search')}
+            className="w-full pl-10 pr-4 py-2.5 border border-gray-200 rounded-lg focus:ring-2 focus:ring-[#009999] focus:border-transparent outline-none bg-white shadow-sm"
+            value={keyword}
+            onChange={e => setKeyword(e.target.value)}
+          />
+        </div>
+
+        {groups.length === 0 ? (
+          <div className="text-center text-slate-400 mt-20"><History className="w-8 h-8 mx-auto mb-2 opacity-30" /><p className="text-sm">{t('quote.noQuotes')}</p></div>
+        ) : (
+          <div className="space-y-3">
+            {groups.map(revisions => (
+              <div key={revisions[0].quoteNo} className="bg-white rounded-xl border border-gray-100 shadow-sm overflow-hidden">
+                {revisions.map((q, index) => (
+                  <div key={q.id} className={`flex items-center gap-3 p-3 ${index > 0 ? 'border-t border-gray-100 bg-slate-50/50 pl-8' : ''}`}>
+                    <div className="flex-1 min-w-0">
+                      <div className="flex items-center gap-2">
+                        <span className={`font-bold truncate ${index > 0 ? 'text-sm text-slate-500' : ''}`}>{q.name}</span>
+                        <span className="text-[10px] font-mono bg-slate-100 text-slate-600 px-1.5 py-0.5 rounded">{formatQuoteLabel(q)}</span>
+                        {q.id === activeQuoteId && <span className="text-[10px] bg-[#009999] text-white px-1.5 py-0.5 rounded">{t('quote.current')}</span>}
+                      </div>
+                      <div className="text-xs text-gray-400 mt-1 flex flex-wrap gap-x-3">
+                        <span>{q.customerInfo?.name}</span>
+                        <span>{t('quote.itemCount', { count: q.cart?.length || 0 })}</span>
+                        <span>{formatPrice(q.total)}</span>
+                        {q.issuer && <span>{[q.issuer.storeName, q.issuer.salespersonName].filter(Boolean).join(' · ')}</span>}
+                        <span>{t('quote.updatedAt', { date: formatDate(q.updatedAt) })}</span>
+                      </div>
+                    </div>
+                    <div className="flex gap-1 shrink-0 text-slate-500">
+                      <button onClick={() => onOpen(q)} className="p-2 hover:bg-gray-100 rounded" title={t('ui.open')}><FolderOpen className="w-4 h-4" /></button>
+                      <button onClick={() => onDuplicate(q)} className="p-2 hover:bg-gray-100 rounded" title={t('quote.duplicate')}><Copy className="w-4 h-4" /></button>
+                      <button onClick={() => onRename(q)} className="p-2 hover:bg-gray-100 rounded" title={t('ui.rename')}><Pencil className="w-4 h-4" /></button>
+                      <button onClick={() => onDelete(q)} className="p-2 hover:bg-red-50 hover:text-red-500 rounded" title={t('ui.delete')}><Trash2 className="w-4 h-4" /></button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QuoteHistory;
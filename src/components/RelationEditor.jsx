@@ -0,0 +1,51 @@
+import { Plus, X } from 'lucide-react';
+import { RELATION_TYPES } from '../utils/compatibility';
+
+// --- Product editor: accessory / panel relations ---
+const RelationEditor = ({ productModel, relations = [], products, onChange, t }) => {
+  const byModel = new Map(products.map(p => [p.model, p]));
+
+  const updateRelation = (index, changes) => onChange(relations.map((r, i) => i === index ? { ...r, ...changes } : r));
+
+  return (
+    <div className="border rounded p-2 space-y-2">
+      <div className="flex justify-between items-center">
+        <span className="text-xs font-bold text-slate-500">{t('relation.title')}</span>
+        <button type="button" onClick={() => onChange([...relations, { type: 'requires', model: '' }])} className="text-xs text-[#009999] flex items-center gap-1 hover:underline">
+          <Plus className="w-3 h-3" /> {t('ui.add')}
+        </button>
+      </div>
+      {relations.length === 0 && <p className="text-[10px] text-gray-400">{t('relation.empty')}</p>}
+      {relations.map((relation, index) => {
+        const target = byModel.get(relation.model);
+        return (
+          <div key={index}>
+            <div className="flex gap-1.5">
+              <select className="p-1.5 border rounded text-xs bg-white" value={relation.type} onChange={e => updateRelation(index, { type: e.target.value })}>
+                {RELATION_TYPES.map(type => <option key={type} value={type}>{t(`relation.${type}`)}</option>)}
+              </select>
+              <input
+                className="flex-1 min-w-0 p-1.5 border rounded text-xs font-mono"
+                placeholder={t('product.model')}
+                list="relation-models"
+                value={relation.model}
+                onChange={e => updateRelation(index, { model: e.target.value.trim() })}
+              />
+              <button type="button" onClick={() => onChange(relations.filter((r, i) => i !== index))} className="text-slate-300 hover:text-red-500"><X className="w-4 h-4" /></button>
+            </div>
+            {relation.model && (
+              <p className={`text-[10px] mt-0.5 ${target && target.model !== productModel ? 'text-gray-400' : 'text-red-500'}`}>
+                {target ? (target.model === productModel ? t('relation.self') : `${target.category} · ${target.name}`) : t('relation.unknownModel')}
+              </p>
+            )}
+          </div>
+        );
+      })}
+      <datalist id="relation-models">
+        {products.filter(p => p.model !== productModel).map(p => <option key={p.id} value={p.model}>{p.category} {p.name}</option>)}
+      </datalist>
+    </div>
+  );
+};
+
+export default RelationEditor;
@@ -0,0 +1,91 @@
+import { useState } from 'react';
+import { X, ZoomIn } from 'lucide-react';
+import { TABLE_COLUMNS } from '../utils/templates';
+import { createTranslator, localizeProduct, localizeCategory } from '../utils/i18n';
+
+const SPEC_KEYS = TABLE_COLUMNS.filter(c => c.field).map(c => c.key);
+
+const isBlank = (value) => value === undefined || value === null || ['', 'nan', '/', '-'].includes(String(value).trim());
+
+// --- Sheet: Specs of the products on a shared quote line (one, or every product of a bundle) ---
+// Tapping an image shows it full screen; tapping again zooms in further.
+const SharedItemDetails = ({ items, language, onClose }) => {
+  const [zoomImage, setZoomImage] = useState(null);
+  const [zoomed, setZoomed] = useState(false);
+  const t = createTranslator(language);
+
+  const openImage = (src) => {
+    setZoomImage(src);
+    setZoomed(false);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-[60] flex items-end md:items-center justify-center md:p-4" onClick={onClose}>
+      <div className="bg-white w-full md:max-w-lg max-h-[85vh] rounded-t-2xl md:rounded-xl flex flex-col overflow-hidden" onClick={e => e.stopPropagation()}>
+        <div className="px-4 py-3 border-b flex justify-between items-center">
+          <h3 className="font-bold text-sm text-slate-700">{t('share.specs')}</h3>
+          <button onClick={onClose} className="p-1.5 hover:bg-gray-100 rounded-full" title={t('share.close')}><X className="w-5 h-5" /></button>
+        </div>
+        <div className="flex-1 overflow-y-auto divide-y">
+          {items.map(item => {
+            const text = localizeProduct(item, language);
+            const specs = SPEC_KEYS
+              .filter(key => !isBlank(item[key]))
+              .map(key => ({ key, label: t(`column.${key}`), value: key === 'category' ? localizeCategory(item.category, language) : String(item[key]) }));
+            return (
+              <div key={item.id} className="p-4 space-y-3">
+                {item.image && (
+                  <button onClick={() => openImage(item.image)} className="relative w-full h-48 bg-gray-50 rounded-lg flex items-center justify-center p-2" title={t('share.zoomHint')}>
+                    <img src={item.image} className="max-w-full max-h-full object-contain" />
+                    <ZoomIn className="absolute bottom-2 right-2 w-4 h-4 text-gray-400" />
+                  </button>
+                )}
+                <div>
+                  {text.name.map((name, i) => <div key={i} className={i > 0 ? 'text-xs text-gray-500' : 'font-bold text-slate-800'}>{name}</div>)}
+                  {item.model && <div className="text-xs font-mono text-gray-400 mt-0.5">{item.model}</div>}
+                </div>
+                {specs.length > 0 && (
+                  <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1 text-xs">
+                    {specs.map(spec => (
+                      <div key={spec.key} className="contents">
+                        <dt className="text-gray-400">{spec.label}</dt>
+                        <dd className="text-slate-700">{spec.value}</dd>
+                      </div>
+                    ))}
+                  </dl>
+                )}
+                {text.features.some(Boolean) && (
+                  <div>
+                    <h4 className="text-[10px] font-bold text-slate-500 uppercase tracking-wider mb-1">{t('column.features')}</h4>
+                    {text.features.map((features, i) => (
+                      <ul key={i} className={`text-xs text-slate-600 space-y-0.5 ${i > 0 ? 'mt-2' : ''}`}>
+                        {features.split('\n').map(f => f.trim()).filter(Boolean).map((feature, j) => (
+                          <li key={j} className="flex gap-1.5"><span className="w-1 h-1 mt-1.5 rounded-full bg-[#009999] shrink-0"></span>{feature}</li>
+                        ))}
+                      </ul>
+                    ))}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {zoomImage && (
+        <div className="fixed inset-0 bg-black z-[70] overflow-auto" onClick={e => { e.stopPropagation(); setZoomImage(null); }}>
+          <button className="fixed top-3 right-3 p-2 bg-white/10 text-white rounded-full z-10" title={t('share.close')}><X className="w-5 h-5" /></button>
+          <div className={`min-h-full flex items-center justify-center ${zoomed ? 'w-[200%]' : 'w-full'}`}>
+            <img
+              src={zoomImage}
+              className={zoomed ? 'w-full max-w-none bg-white' : 'max-w-full max-h-screen object-contain bg-white'}
+              onClick={e => { e.stopPropagation(); setZoomed(!zoomed); }}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SharedItemDetails;
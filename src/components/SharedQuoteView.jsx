@@ -0,0 +1,44 @@
+import { useState } from 'react';
+import { Eye } from 'lucide-react';
+import PreviewContent from './PreviewContent';
+import SharedItemDetails from './SharedItemDetails';
+import { createTranslator } from '../utils/i18n';
+import { normalizeTemplate, resolveColors } from '../utils/templates';
+import { formatPrice } from '../utils/pricing';
+import { isQuoteExpired } from '../utils/terms';
+import { toDateKey } from '../utils/priceHistory';
+
+// --- Read-only quote opened from a shared file (see utils/share) ---
+// Expiry is checked on the day the file is opened, not the day it was shared.
+const SharedQuoteView = ({ quote }) => {
+  const [detailItems, setDetailItems] = useState(null);
+  const t = createTranslator(quote.language);
+  const template = normalizeTemplate(quote.template);
+
+  return (
+    <div className="min-h-screen bg-gray-100 font-sans text-slate-800">
+      <div className="bg-white border-b px-4 py-3 flex items-center gap-2 sticky top-0 z-20 shadow-sm">
+        <Eye className="w-4 h-4 text-[#009999] shrink-0" />
+        <span className="font-bold text-sm truncate">{quote.dealerInfo.name}</span>
+        {quote.quoteLabel && <span className="font-mono text-xs text-gray-400 truncate">No. {quote.quoteLabel}</span>}
+        <span className="text-[10px] bg-slate-100 text-slate-500 px-1.5 py-0.5 rounded whitespace-nowrap">{t('share.readOnly')}</span>
+        <span className="ml-auto text-[10px] text-gray-400 whitespace-nowrap">{t('share.tapHint')}</span>
+      </div>
+      <div className="p-2 md:p-8">
+        <div className="shadow-2xl mx-auto max-w-[1000px] min-h-[1000px] flex flex-col" style={{ backgroundColor: resolveColors(template, quote.themeColor).background }}>
+          <PreviewContent
+            {...quote}
+            template={template}
+            isExpired={isQuoteExpired(quote.terms, toDateKey())}
+            formatPrice={formatPrice}
+            isEditable={false}
+            onShowDetails={setDetailItems}
+          />
+        </div>
+      </div>
+      {detailItems && <SharedItemDetails items={detailItems} language={quote.language} onClose={() => setDetailItems(null)} />}
+    </div>
+  );
+};
+
+export default SharedQuoteView;
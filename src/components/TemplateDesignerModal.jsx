@@ -0,0 +1,187 @@
+import { useState } from 'react';
+import { Palette, Copy, Download, Trash2, Upload, ArrowUp, ArrowDown } from 'lucide-react';
+import { TABLE_COLUMNS, HEADER_LAYOUTS, HEAD_STYLES, ROW_STYLES, FONTS, COLOR_FIELDS, THEME_COLOR, createColumn, serializeTemplate, getTemplateName } from '../utils/templates';
+
+// --- Modal: Design a quote template with a live preview of the current quote ---
+// Built-in presets are read-only: saving one stores an editable copy.
+const TemplateDesignerModal = ({ template, themeColor, renderPreview, onSave, onDuplicate, onDelete, onClose, t }) => {
+  const [draft, setDraft] = useState(template);
+
+  const update = (group, changes) => setDraft({ ...draft, [group]: { ...draft[group], ...changes } });
+
+  const toggleColumn = (key) => {
+    const columns = draft.table.columns;
+    update('table', { columns: columns.some(c => c.key === key) ? columns.filter(c => c.key !== key) : [...columns, createColumn(key)] });
+  };
+
+  const updateColumn = (key, changes) => update('table', { columns: draft.table.columns.map(c => c.key === key ? { ...c, ...changes } : c) });
+
+  const moveColumn = (key, offset) => {
+    const columns = [...draft.table.columns];
+    const from = columns.findIndex(c => c.key === key);
+    const to = from + offset;
+    if (to < 0 || to >= columns.length) return;
+    [columns[from], columns[to]] = [columns[to], columns[from]];
+    update('table', { columns });
+  };
+
+  const handleLogoUpload = (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      const reader = new FileReader();
+      reader.onloadend = () => update('brand', { logo: reader.result });
+      reader.readAsDataURL(file);
+    }
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([serializeTemplate(draft)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${t('file.template')}_${getTemplateName(draft, t)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  };
+
+  const fieldClass = 'w-full p-1.5 border rounded text-xs';
+  const labelClass = 'flex flex-col gap-1 text-[10px] text-gray-400';
+  const sectionTitle = (title) => <h4 className="text-[10px] font-bold text-slate-500 uppercase tracking-wider pt-2">{title}</h4>;
+  // Columns in the template's order, then the ones it leaves out
+  const shownKeys = draft.table.columns.map(c => c.key);
+  const columnOrder = [...shownKeys, ...TABLE_COLUMNS.map(c => c.key).filter(key => !shownKeys.includes(key))];
+  const totalWidth = draft.table.columns.reduce((sum, c) => sum + c.width, 0);
+  // The discount column's default header depends on whether package prices apply
+  const defaultHeader = (key) => (key === 'discount' ? `${t('column.discount')} / ${t('column.discountPackage')}` : t(`column.${key}`));
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-[60] flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl w-full max-w-6xl h-[90vh] flex flex-col overflow-hidden">
+        <div className="px-5 py-3 border-b flex items-center gap-3">
+          <Palette className="w-5 h-5 text-[#009999]" />
+          <input className="flex-1 min-w-0 p-1.5 border rounded font-bold" value={getTemplateName(draft, t)} onChange={e => setDraft({ ...draft, name: e.target.value })} disabled={draft.builtIn} />
+          {draft.builtIn && <span className="text-[10px] bg-slate-100 text-slate-500 px-1.5 py-0.5 rounded whitespace-nowrap">{t('designer.builtInHint')}</span>}
+          <button onClick={() => onDuplicate(draft)} className="p-2 hover:bg-gray-100 rounded text-slate-500" title={t('designer.duplicate')}><Copy className="w-4 h-4" /></button>
+          <button onClick={handleExport} className="p-2 hover:bg-gray-100 rounded text-slate-500" title={t('designer.export')}><Download className="w-4 h-4" /></button>
+          {!draft.builtIn && <button onClick={() => onDelete(draft)} className="p-2 hover:bg-red-50 hover:text-red-500 rounded text-slate-500" title={t('designer.delete')}><Trash2 className="w-4 h-4" /></button>}
+        </div>
+
+        <div className="flex-1 flex overflow-hidden">
+          <div className="w-80 shrink-0 overflow-y-auto p-4 space-y-3 border-r">
+            {sectionTitle(t('designer.brand'))}
+            <div className="grid grid-cols-2 gap-2">
+              <label className={labelClass}>{t('designer.brandText')}<input className={fieldClass} value={draft.brand.text} onChange={e => update('brand', { text: e.target.value })} /></label>
+              <label className={labelClass}>{t('designer.tagline')}<input className={fieldClass} value={draft.brand.tagline} onChange={e => update('brand', { tagline: e.target.value })} /></label>
+            </div>
+            <div className="flex items-center gap-2">
+              <label className="border-2 border-dashed border-gray-300 rounded-lg h-12 w-28 flex items-center justify-center cursor-pointer hover:border-[#009999] bg-gray-50 overflow-hidden">
+                {draft.brand.logo ? <img src={draft.brand.logo} className="max-w-full max-h-full object-contain" /> : <span className="text-[10px] text-gray-400 flex items-center gap-1"><Upload className="w-3 h-3" /> {t('designer.logo')}</span>}
+                <input type="file" accept="image/*" className="hidden" onChange={handleLogoUpload} />
+              </label>
+              {draft.brand.logo && <button onClick={() => update('brand', { logo: null })} className="text-[10px] text-gray-400 hover:text-red-500">{t('ui.remove')}</button>}
+            </div>
+
+            {sectionTitle(t('designer.header'))}
+            <label className={labelClass}>{t('designer.layout')}
+              <select className={`${fieldClass} bg-white`} value={draft.header.layout} onChange={e => update('header', { layout: e.target.value })}>
+                {HEADER_LAYOUTS.map(id => <option key={id} value={id}>{t(`designer.layout.${id}`)}</option>)}
+              </select>
+            </label>
+            <div className="grid grid-cols-2 gap-2">
+              <label className={labelClass}>{t('designer.title')}<input className={fieldClass} value={draft.header.title} onChange={e => update('header', { title: e.target.value })} /></label>
+              <label className={labelClass}>{t('designer.subtitle')}<input className={fieldClass} value={draft.header.subtitle} onChange={e => update('header', { subtitle: e.target.value })} /></label>
+            </div>
+            <label className={labelClass}>{t('designer.titleEn')}<input className={fieldClass} value={draft.header.titleEn} onChange={e => update('header', { titleEn: e.target.value })} /></label>
+            <div className="flex gap-4 text-xs text-slate-600">
+              <label className="flex items-center gap-1"><input type="checkbox" className="accent-[#009999]" checked={draft.header.rule} onChange={e => update('header', { rule: e.target.checked })} /> {t('designer.rule')}</label>
+              <label className="flex items-center gap-1"><input type="checkbox" className="accent-[#009999]" checked={draft.info === 'card'} onChange={e => setDraft({ ...draft, info: e.target.checked ? 'card' : 'plain' })} /> {t('designer.infoCard')}</label>
+            </div>
+
+            {sectionTitle(t('designer.font'))}
+            <select className={`${fieldClass} bg-white`} value={draft.font} onChange={e => setDraft({ ...draft, font: e.target.value })}>
+              {FONTS.map(f => <option key={f.id} value={f.id}>{t(`designer.font.${f.id}`)}</option>)}
+            </select>
+            <p className="text-[10px] text-gray-400">{t('designer.fontHint')}</p>
+
+            {sectionTitle(t('designer.colors'))}
+            <div className="grid grid-cols-2 gap-x-3 gap-y-2">
+              {COLOR_FIELDS.map(({ key, allowTheme }) => {
+                const value = draft.colors[key];
+                const isTheme = value === THEME_COLOR;
+                return (
+                  <div key={key} className="flex items-center gap-1.5 text-[10px] text-slate-600">
+                    <input type="color" className="w-6 h-6 p-0 border rounded cursor-pointer disabled:opacity-40" value={isTheme ? themeColor : value} disabled={isTheme} onChange={e => update('colors', { [key]: e.target.value })} />
+                    <span className="flex-1 truncate">{t(`designer.color.${key}`)}</span>
+                    {allowTheme && (
+                      <button onClick={() => update('colors', { [key]: isTheme ? themeColor : THEME_COLOR })} className={`px-1 rounded border ${isTheme ? 'border-[#009999] text-[#009999]' : 'border-gray-200 text-gray-400'}`} title={t('designer.themeHint')}>{t('designer.theme')}</button>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+
+            {sectionTitle(t('designer.table'))}
+            <div className="grid grid-cols-2 gap-2">
+              <label className={labelClass}>{t('designer.headStyle')}
+                <select className={`${fieldClass} bg-white`} value={draft.table.headStyle} onChange={e => update('table', { headStyle: e.target.value })}>
+                  {HEAD_STYLES.map(id => <option key={id} value={id}>{t(`designer.headStyle.${id}`)}</option>)}
+                </select>
+              </label>
+              <label className={labelClass}>{t('designer.rowStyle')}
+                <select className={`${fieldClass} bg-white`} value={draft.table.rowStyle} onChange={e => update('table', { rowStyle: e.target.value })}>
+                  {ROW_STYLES.map(id => <option key={id} value={id}>{t(`designer.rowStyle.${id}`)}</option>)}
+                </select>
+              </label>
+            </div>
+            <div className="border rounded divide-y">
+              {columnOrder.map(key => {
+                const definition = TABLE_COLUMNS.find(c => c.key === key);
+                const column = draft.table.columns.find(c => c.key === key);
+                return (
+                  <div key={key} className="flex items-center gap-1.5 px-2 py-1 text-xs">
+                    <input type="checkbox" className="accent-[#009999]" checked={!!column} disabled={definition.required} onChange={() => toggleColumn(key)} />
+                    {column ? (
+                      <>
+                        <input className="flex-1 min-w-0 p-1 border rounded text-xs" placeholder={defaultHeader(key)} title={t('designer.columnLabel')} value={column.label} onChange={e => updateColumn(key, { label: e.target.value })} />
+                        <input type="number" min="1" className="w-12 p-1 border rounded text-xs" title={t('designer.columnWidth', { percent: Math.round(column.width / totalWidth * 100) })} value={column.width} onChange={e => updateColumn(key, { width: Math.max(1, Number(e.target.value) || 1) })} />
+                        <button onClick={() => moveColumn(key, -1)} className="p-0.5 text-slate-400 hover:text-slate-700"><ArrowUp className="w-3 h-3" /></button>
+                        <button onClick={() => moveColumn(key, 1)} className="p-0.5 text-slate-400 hover:text-slate-700"><ArrowDown className="w-3 h-3" /></button>
+                      </>
+                    ) : (
+                      <span className="flex-1 text-gray-400">{defaultHeader(key)}{definition.field && <span className="ml-1 text-[10px]">{t('designer.productField')}</span>}</span>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+            <p className="text-[10px] text-gray-400">{t('designer.columnsHint')}</p>
+
+            {sectionTitle(t('designer.footer'))}
+            <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-slate-600">
+              <label className="flex items-center gap-1"><input type="checkbox" className="accent-[#009999]" checked={draft.footer.terms} onChange={e => update('footer', { terms: e.target.checked })} /> {t('ui.terms')}</label>
+              <label className="flex items-center gap-1"><input type="checkbox" className="accent-[#009999]" checked={draft.footer.qr} onChange={e => update('footer', { qr: e.target.checked })} /> {t('designer.qr')}</label>
+              <label className="flex items-center gap-1"><input type="checkbox" className="accent-[#009999]" checked={draft.footer.bar} onChange={e => update('footer', { bar: e.target.checked })} /> {t('designer.bar')}</label>
+            </div>
+            {draft.footer.bar && (
+              <label className={labelClass}>{t('designer.barText')}<input className={fieldClass} value={draft.footer.barText} onChange={e => update('footer', { barText: e.target.value })} /></label>
+            )}
+          </div>
+
+          <div className="flex-1 bg-gray-100 overflow-auto p-6">
+            <div className="shadow-2xl origin-top-left" style={{ width: 794, minHeight: 794 * 1.414, transform: 'scale(0.75)' }}>
+              {renderPreview(draft)}
+            </div>
+          </div>
+        </div>
+
+        <div className="px-5 py-3 border-t flex gap-2 justify-end">
+          <button onClick={onClose} className="px-4 py-2 border rounded text-gray-600">{t('ui.cancel')}</button>
+          <button onClick={() => onSave(draft)} disabled={!draft.name.trim()} className="px-4 py-2 bg-[#009999] text-white rounded disabled:opacity-40">{draft.builtIn ? t('designer.saveCopy') : t('ui.save')}</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TemplateDesignerModal;
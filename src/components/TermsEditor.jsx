@@ -0,0 +1,70 @@
+import { Plus, X, ArrowUp, Bookmark, AlertTriangle } from 'lucide-react';
+import { addDays, createTermsBlock } from '../utils/terms';
+
+const VALIDITY_PRESETS = [7, 15, 30];
+
+// --- Config sidebar: validity, payment / delivery terms and text blocks of the quote ---
+const TermsEditor = ({ terms, quoteDate, snippets, isExpired, onChange, onSaveSnippet, onManage, t }) => {
+  const updateBlock = (id, changes) => onChange({ ...terms, blocks: terms.blocks.map(b => b.id === id ? { ...b, ...changes } : b) });
+
+  const moveBlockUp = (index) => {
+    const blocks = [...terms.blocks];
+    [blocks[index - 1], blocks[index]] = [blocks[index], blocks[index - 1]];
+    onChange({ ...terms, blocks });
+  };
+
+  const insertSnippet = (id) => {
+    const snippet = snippets.find(s => s.id === id);
+    if (snippet) onChange({ ...terms, blocks: [...terms.blocks, createTermsBlock(snippet)] });
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-col gap-1">
+        <label className="text-[10px] text-gray-400">{t('doc.validUntil')}</label>
+        <div className="flex gap-1">
+          <input type="date" min={quoteDate} className="flex-1 min-w-0 p-2 border rounded text-sm" value={terms.validUntil} onChange={e => onChange({ ...terms, validUntil: e.target.value })} />
+          {VALIDITY_PRESETS.map(days => (
+            <button key={days} onClick={() => onChange({ ...terms, validUntil: addDays(quoteDate, days) })} className="px-1.5 border rounded text-[10px] hover:bg-gray-50">{t('terms.days', { days })}</button>
+          ))}
+        </div>
+        {isExpired && (
+          <p className="text-[10px] text-red-500 flex items-center gap-1"><AlertTriangle className="w-3 h-3" /> {t('terms.expired')}</p>
+        )}
+      </div>
+      <div className="flex flex-col gap-1">
+        <label className="text-[10px] text-gray-400">{t('doc.payment')}</label>
+        <input className="w-full p-2 border rounded text-sm" value={terms.payment} onChange={e => onChange({ ...terms, payment: e.target.value })} />
+      </div>
+      <div className="flex flex-col gap-1">
+        <label className="text-[10px] text-gray-400">{t('doc.delivery')}</label>
+        <input className="w-full p-2 border rounded text-sm" value={terms.delivery} onChange={e => onChange({ ...terms, delivery: e.target.value })} />
+      </div>
+
+      {terms.blocks.map((block, index) => (
+        <div key={block.id} className="p-2 border rounded space-y-1.5">
+          <div className="flex items-center gap-1.5">
+            <input className="flex-1 min-w-0 p-1.5 border rounded text-xs font-bold" placeholder={t('terms.blockTitle')} value={block.title} onChange={e => updateBlock(block.id, { title: e.target.value })} />
+            {index > 0 && <button onClick={() => moveBlockUp(index)} className="text-slate-300 hover:text-slate-600" title={t('ui.moveUp')}><ArrowUp className="w-3 h-3" /></button>}
+            <button onClick={() => onSaveSnippet(block)} className="text-slate-300 hover:text-[#009999]" title={t('terms.saveSnippet')}><Bookmark className="w-3 h-3" /></button>
+            <button onClick={() => onChange({ ...terms, blocks: terms.blocks.filter(b => b.id !== block.id) })} className="text-slate-300 hover:text-red-500"><X className="w-3 h-3" /></button>
+          </div>
+          <textarea className="w-full p-1.5 border rounded text-xs h-20" placeholder={t('terms.bodyHint')} value={block.body} onChange={e => updateBlock(block.id, { body: e.target.value })} />
+        </div>
+      ))}
+
+      <div className="flex gap-1">
+        <button onClick={() => onChange({ ...terms, blocks: [...terms.blocks, createTermsBlock()] })} className="px-2 py-1.5 border rounded text-[10px] hover:bg-gray-50 flex items-center gap-1">
+          <Plus className="w-3 h-3" /> {t('terms.block')}
+        </button>
+        <select className="flex-1 min-w-0 p-1.5 border rounded text-[10px] bg-white" value="" onChange={e => insertSnippet(e.target.value)}>
+          <option value="">{t('terms.insertSnippet')}</option>
+          {snippets.map(s => <option key={s.id} value={s.id}>{s.title || t('terms.untitled')}</option>)}
+        </select>
+        <button onClick={onManage} className="px-2 py-1.5 border rounded text-[10px] hover:bg-gray-50">{t('terms.manage')}</button>
+      </div>
+    </div>
+  );
+};
+
+export default TermsEditor;
@@ -0,0 +1,58 @@
+import { useState } from 'react';
+import { Plus, Trash2, FileText } from 'lucide-react';
+import { createSnippet } from '../utils/terms';
+
+// --- Modal: The dealer's default terms and reusable text blocks ---
+const TermsLibraryModal = ({ terms, onSave, onClose, t }) => {
+  const [draft, setDraft] = useState(terms);
+
+  const updateSnippet = (id, changes) => setDraft({ ...draft, snippets: draft.snippets.map(s => s.id === id ? { ...s, ...changes } : s) });
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-[60] flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl w-full max-w-2xl p-6 max-h-[90vh] flex flex-col">
+        <h2 className="text-lg font-bold mb-1 flex items-center gap-2"><FileText className="w-5 h-5 text-[#009999]" /> {t('terms.library')}</h2>
+        <p className="text-xs text-gray-400 mb-4">{t('terms.libraryHint')}</p>
+        <div className="flex-1 overflow-y-auto space-y-3">
+          <div className="grid grid-cols-3 gap-2">
+            <label className="flex flex-col gap-1 text-[10px] text-gray-400">
+              {t('terms.defaultValidity')}
+              <input type="number" min="1" className="p-2 border rounded text-sm text-slate-800" value={draft.validityDays} onChange={e => setDraft({ ...draft, validityDays: Number(e.target.value) })} />
+            </label>
+            <label className="col-span-2 flex flex-col gap-1 text-[10px] text-gray-400">
+              {t('terms.defaultPayment')}
+              <input className="p-2 border rounded text-sm text-slate-800" value={draft.payment} onChange={e => setDraft({ ...draft, payment: e.target.value })} />
+            </label>
+          </div>
+          <label className="flex flex-col gap-1 text-[10px] text-gray-400">
+            {t('terms.defaultDelivery')}
+            <input className="p-2 border rounded text-sm text-slate-800" value={draft.delivery} onChange={e => setDraft({ ...draft, delivery: e.target.value })} />
+          </label>
+
+          {draft.snippets.map(snippet => (
+            <div key={snippet.id} className="p-3 border rounded space-y-2">
+              <div className="flex items-center gap-2">
+                <input className="flex-1 min-w-0 p-1.5 border rounded text-sm font-bold" placeholder={t('terms.blockTitle')} value={snippet.title} onChange={e => updateSnippet(snippet.id, { title: e.target.value })} />
+                <label className="flex items-center gap-1 text-xs text-slate-500 cursor-pointer whitespace-nowrap">
+                  <input type="checkbox" checked={snippet.isDefault} onChange={e => updateSnippet(snippet.id, { isDefault: e.target.checked })} className="accent-[#009999]" />
+                  {t('terms.snippetDefault')}
+                </label>
+                <button onClick={() => setDraft({ ...draft, snippets: draft.snippets.filter(s => s.id !== snippet.id) })} className="p-1 text-slate-300 hover:text-red-500"><Trash2 className="w-4 h-4" /></button>
+              </div>
+              <textarea className="w-full p-2 border rounded text-xs h-24" placeholder={t('terms.bodyHint')} value={snippet.body} onChange={e => updateSnippet(snippet.id, { body: e.target.value })} />
+            </div>
+          ))}
+          <button onClick={() => setDraft({ ...draft, snippets: [...draft.snippets, createSnippet({ title: '', body: '' })] })} className="w-full py-2 border border-dashed rounded text-xs text-slate-500 hover:border-[#009999] hover:text-[#009999] flex items-center justify-center gap-1">
+            <Plus className="w-3 h-3" /> {t('terms.addSnippet')}
+          </button>
+        </div>
+        <div className="flex gap-2 justify-end mt-4">
+          <button onClick={onClose} className="px-4 py-2 border rounded text-gray-600">{t('ui.cancel')}</button>
+          <button onClick={() => onSave(draft)} className="px-4 py-2 bg-[#009999] text-white rounded">{t('ui.save')}</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TermsLibraryModal;
@@ -0,0 +1,100 @@
+import { getBasePrice, getLinePrice, sumLines } from './pricing';
+import { toDateKey, toQuoteLine } from './priceHistory';
+import { localizeCategory } from './i18n';
+
+// --- Bundle Presets ---
+// Named product combinations kept in localStorage ('bundles_db') next to
+// 'products_db'. A bundle lists models with default quantities and may carry
+// its own price. Adding one to the cart creates ordinary cart lines that share
+// an `item.bundle` tag ({ id, bundleId, name, price, display }), so sections,
+// niches and accessory checks keep working on the individual products.
+
+// How a bundle shows on the quote: one line, or its products listed out
+export const BUNDLE_DISPLAY = ['package', 'expanded'];
+
+export const createBundle = (name = '') => ({
+  id: `BUNDLE_${Date.now()}`,
+  name,
+  description: '',
+  items: [], // [{ model, quantity }]
+  price: '', // empty = sum of the line prices
+  display: 'package',
+});
+
+// Snapshot the current cart's catalog products as a new bundle
+export const createBundleFromCart = (cart, name) => ({
+  ...createBundle(name),
+  items: cart.filter(item => item.model).map(item => ({ model: item.model, quantity: item.quantity })),
+});
+
+export const findMissingModels = (bundle, products) => {
+  const models = new Set(products.map(p => p.model));
+  return bundle.items.filter(entry => !models.has(entry.model)).map(entry => entry.model);
+};
+
+// Cart lines for one instance of the bundle; models missing from the catalog are skipped
+export const createBundleLines = (bundle, products, dateKey = toDateKey()) => {
+  const instanceId = `BI_${Date.now()}`;
+  const tag = { id: instanceId, bundleId: bundle.id, name: bundle.name, price: Number(bundle.price) || 0, display: bundle.display || 'package' };
+  // The entry index keeps ids unique when a model is listed more than once
+  return bundle.items.flatMap((entry, index) => {
+    const product = products.find(p => p.model === entry.model);
+    if (!product) return [];
+    return [{ ...toQuoteLine(product, dateKey), id: `${instanceId}_${index}_${product.id}`, productId: product.id, quantity: Math.max(1, Number(entry.quantity) || 1), bundle: tag }];
+  });
+};
+
+// Lines of a bundle with its own price: that price covers the quantities the
+// bundle was added with, so these lines keep them
+export const isPricedBundleLine = (item) => item.bundle?.price > 0;
+
+// Bundle instances present in the cart, in cart order
+export const listCartBundles = (cart) => {
+  const instances = new Map();
+  cart.filter(item => item.bundle).forEach(item => {
+    const instance = instances.get(item.bundle.id) || { ...item.bundle, items: [] };
+    instance.items.push(item);
+    instances.set(item.bundle.id, instance);
+  });
+  return [...instances.values()];
+};
+
+// Rows the quote document shows for a list of cart lines:
+//   { type: 'item', item }
+//   { type: 'bundle', bundle, items, retail, packagePrice, price }  — package mode, one row
+//   { type: 'bundle-price', bundle, listTotal, price }                — after an expanded, priced bundle
+export const buildDisplayLines = (items, usePackage) => {
+  const lines = [];
+  const done = new Set();
+  items.forEach(item => {
+    if (!item.bundle) {
+      lines.push({ type: 'item', item });
+      return;
+    }
+    if (done.has(item.bundle.id)) return;
+    done.add(item.bundle.id);
+    const members = items.filter(i => i.bundle?.id === item.bundle.id);
+    const bundle = item.bundle;
+    const listTotal = members.reduce((sum, i) => sum + getLinePrice(i, usePackage) * i.quantity, 0);
+    const price = sumLines(members, usePackage);
+    if (bundle.display === 'expanded') {
+      members.forEach(member => lines.push({ type: 'item', item: member }));
+      if (bundle.price > 0) lines.push({ type: 'bundle-price', bundle, listTotal, price });
+      return;
+    }
+    lines.push({
+      type: 'bundle',
+      bundle,
+      items: members,
+      retail: members.reduce((sum, i) => sum + (Number(i.price_retail) || 0) * i.quantity, 0),
+      packagePrice: members.reduce((sum, i) => sum + getBasePrice(i, true) * i.quantity, 0),
+      price,
+    });
+  });
+  return lines;
+};
+
+// "冰箱 KI86NHFD ×1、洗碗机 SJ63HX66MC ×1"; categories follow the document language
+export const describeBundleItems = (items, language = 'zh') => items
+  .map(i => `${i.category ? localizeCategory(i.category, language) : ''} ${i.model} ×${i.quantity}`.trim())
+  .join(language === 'zh' ? '、' : ', ');
@@ -0,0 +1,63 @@
+import { isCustomLine } from './customLines';
+
+// --- Accessory Compatibility ---
+// Relations live on the product as `relations: [{ type, model }]`, pointing at
+// other products by model so they survive price list imports:
+//   requires:    this product needs `model` (e.g. an installation kit)
+//   recommended: `model` is a good match to offer alongside
+//   panelFor:    this door panel fits appliance `model`; an appliance with
+//                any panel pointing at it is panel-ready and needs one of them
+
+// Named by relation.* in utils/i18n
+export const RELATION_TYPES = ['requires', 'recommended', 'panelFor'];
+
+export const getRelations = (product) => product?.relations || [];
+
+// Appliance model -> panel products that fit it
+export const buildPanelIndex = (products) => {
+  const index = new Map();
+  products.forEach(product => {
+    getRelations(product).filter(r => r.type === 'panelFor').forEach(r => {
+      index.set(r.model, [...(index.get(r.model) || []), product]);
+    });
+  });
+  return index;
+};
+
+// Relations that point at models missing from the catalog
+export const findBrokenRelations = (product, products) => {
+  const models = new Set(products.map(p => p.model));
+  return getRelations(product).filter(r => r.model && !models.has(r.model));
+};
+
+// What the cart is missing: [{ key, kind, sources, options }]
+//   kind: 'requires' | 'panel' (warnings) or 'recommended' (suggestion)
+//   sources: cart lines that triggered it; options: products that satisfy it
+export const findCartSuggestions = (cart, products) => {
+  const byModel = new Map(products.map(p => [p.model, p]));
+  const inCart = new Set(cart.map(item => item.model));
+  const panelIndex = buildPanelIndex(products);
+  const suggestions = new Map();
+
+  const add = (kind, source, options) => {
+    if (options.length === 0) return;
+    const key = `${kind}:${options.map(o => o.model).join(',')}`;
+    const existing = suggestions.get(key);
+    if (existing) existing.sources.push(source);
+    else suggestions.set(key, { key, kind, sources: [source], options });
+  };
+
+  cart.filter(item => !isCustomLine(item)).forEach(item => {
+    // Relations are read from the catalog so edits apply to lines already in the cart
+    getRelations(byModel.get(item.model) || item).forEach(relation => {
+      if (relation.type === 'panelFor' || inCart.has(relation.model)) return;
+      const target = byModel.get(relation.model);
+      if (target) add(relation.type === 'requires' ? 'requires' : 'recommended', item, [target]);
+    });
+    const panels = panelIndex.get(item.model) || [];
+    if (panels.length > 0 && !panels.some(panel => inCart.has(panel.model))) add('panel', item, panels);
+  });
+
+  const order = { requires: 0, panel: 1, recommended: 2 };
+  return [...suggestions.values()].sort((a, b) => order[a.kind] - order[b.kind]);
+};
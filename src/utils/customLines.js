@@ -0,0 +1,29 @@
+// --- Custom Quote Lines ---
+// Services and one-off items that are not in the catalog (installation, 烟管
+// work, extended warranty, delivery, a single 门板). They live in the cart next
+// to products with kind: 'custom', so sections, ordering and totals treat them
+// alike, but they never touch products_db. price_retail holds the unit price;
+// isFree marks a gift (赠送) that is listed at its value but priced at zero.
+
+export const CUSTOM_LINE_PRESETS = [
+  { name: '安装服务费', unit: '项' },
+  { name: '烟管改造', unit: '米' },
+  { name: '延长保修', unit: '年' },
+  { name: '高楼层搬运', unit: '层' },
+  { name: '定制门板', unit: '块' },
+];
+
+export const isCustomLine = (item) => item?.kind === 'custom';
+
+export const createCustomLine = (preset = {}) => ({
+  id: `CUSTOM_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`,
+  kind: 'custom',
+  name: preset.name || '',
+  unit: preset.unit || '项',
+  quantity: 1,
+  price_retail: 0,
+  isFree: false,
+});
+
+// "2 米" for the quantity column
+export const formatQuantity = (item) => (isCustomLine(item) && item.unit ? `${item.quantity} ${item.unit}` : String(item.quantity));
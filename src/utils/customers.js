@@ -0,0 +1,138 @@
+// --- Customer Directory ---
+import { createTranslator } from './i18n';
+
+// Customers live in localStorage ('customers_db'):
+//   { id, name, phone, address, community, notes, stage, mergedIds, createdAt, updatedAt }
+// A quote's customerInfo carries the customerId it was issued to, so every
+// quote of a customer can be listed even after their details change. When two
+// records are merged, the removed record's id is kept in mergedIds.
+
+// Stored as written here; localizeStage in utils/i18n names them in English
+export const RENOVATION_STAGES = ['设计规划', '水电改造', '橱柜测量', '橱柜安装', '软装入住', '已入住'];
+
+// Placeholder name of an empty customerInfo; not worth a directory entry
+export const DEFAULT_CUSTOMER_NAME = '尊敬的客户';
+
+const newId = () => `CUS_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
+
+// Digits only, without a +86 / 0086 country code
+export const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '').replace(/^(?:0086|86)(?=1\d{10}$)/, '');
+
+// '' when valid or empty, otherwise why the number looks wrong.
+// Accepts mainland mobiles (1xx xxxx xxxx) and landlines with area code (0xx-xxxxxxxx).
+export const validatePhone = (phone, t = createTranslator('zh')) => {
+  if (!String(phone || '').trim()) return '';
+  const digits = normalizePhone(phone);
+  if (/^1[3-9]\d{9}$/.test(digits)) return '';
+  if (/^0\d{9,11}$/.test(digits)) return '';
+  if (digits.startsWith('1')) return t('customer.mobileInvalid');
+  return t('customer.phoneInvalid');
+};
+
+export const formatPhone = (phone) => {
+  const digits = normalizePhone(phone);
+  return /^1\d{10}$/.test(digits) ? `${digits.slice(0, 3)} ${digits.slice(3, 7)} ${digits.slice(7)}` : String(phone || '');
+};
+
+export const createCustomer = (info = {}) => {
+  const now = new Date().toISOString();
+  return {
+    id: newId(),
+    name: (info.name || '').trim(),
+    phone: (info.phone || '').trim(),
+    address: info.address || '',
+    community: info.community || '',
+    notes: info.notes || '',
+    stage: info.stage || '',
+    mergedIds: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+// Whether customerInfo holds anything worth keeping in the directory
+export const hasCustomerDetails = (info) => !!(normalizePhone(info?.phone) || (info?.name?.trim() && info.name.trim() !== DEFAULT_CUSTOMER_NAME));
+
+// Likely the same person: same phone, or same name at the same community / address
+const isSamePerson = (a, b) => {
+  const phoneA = normalizePhone(a.phone);
+  if (phoneA && phoneA === normalizePhone(b.phone)) return true;
+  const place = (c) => (c.community || c.address || '').trim();
+  return !!a.name?.trim() && a.name.trim() === b.name?.trim() && !!place(a) && place(a) === place(b);
+};
+
+export const findDuplicates = (customers, candidate) => customers.filter(c => c.id !== candidate.id && isSamePerson(c, candidate));
+
+// Groups of two or more records that look like the same person
+export const findDuplicateGroups = (customers) => {
+  const seen = new Set();
+  return customers.flatMap(customer => {
+    if (seen.has(customer.id)) return [];
+    const group = [customer, ...findDuplicates(customers, customer).filter(c => !seen.has(c.id))];
+    group.forEach(c => seen.add(c.id));
+    return group.length > 1 ? [group] : [];
+  });
+};
+
+// Keeps the oldest record, filling its blanks from the others
+export const mergeCustomers = (group) => {
+  const [keep, ...others] = [...group].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  const merged = { ...keep };
+  ['name', 'phone', 'address', 'community', 'stage'].forEach(key => {
+    if (!merged[key]) merged[key] = others.find(c => c[key])?.[key] || '';
+  });
+  merged.notes = [keep, ...others].map(c => c.notes).filter(Boolean).join('\n');
+  merged.mergedIds = [...(keep.mergedIds || []), ...others.flatMap(c => [c.id, ...(c.mergedIds || [])])];
+  merged.updatedAt = new Date().toISOString();
+  return merged;
+};
+
+export const searchCustomers = (customers, term, limit = Infinity) => {
+  const text = term.trim().toLowerCase();
+  const digits = normalizePhone(term);
+  const matches = customers.filter(c => !text
+    || c.name.toLowerCase().includes(text)
+    || (digits.length >= 3 && normalizePhone(c.phone).includes(digits))
+    || c.community?.toLowerCase().includes(text)
+    || c.address?.toLowerCase().includes(text));
+  return matches.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt)).slice(0, limit);
+};
+
+// Saved quotes issued to a customer; older quotes without a customerId are matched by phone
+export const quotesForCustomer = (quotes, customer) => {
+  const ids = new Set([customer.id, ...(customer.mergedIds || [])]);
+  const phone = normalizePhone(customer.phone);
+  return quotes
+    .filter(q => (q.customerInfo?.customerId
+      ? ids.has(q.customerInfo.customerId)
+      : !!phone && normalizePhone(q.customerInfo?.phone) === phone))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+// The fields a quote copies from a directory entry
+export const toCustomerInfo = (customer) => ({
+  customerId: customer.id,
+  name: customer.name,
+  phone: customer.phone,
+  address: customer.address,
+  community: customer.community || '',
+});
+
+// Address line on the quote, led by the community when there is one
+export const formatCustomerAddress = (info) => [info.community, info.address].filter(part => part?.trim()).join(' ');
+
+// Link a quote's customerInfo to the directory: update the linked record, or
+// attach to a likely duplicate, or add a new record.
+// Returns { customers, info } with info carrying the customerId.
+export const linkCustomer = (customers, info) => {
+  if (!hasCustomerDetails(info)) return { customers, info };
+  const now = new Date().toISOString();
+  const details = { name: info.name.trim(), phone: info.phone.trim(), address: info.address, community: info.community || '' };
+  const target = customers.find(c => c.id === info.customerId) || findDuplicates(customers, details)[0];
+  if (target) {
+    const updated = { ...target, ...details, updatedAt: now };
+    return { customers: customers.map(c => c.id === target.id ? updated : c), info: { ...info, customerId: target.id } };
+  }
+  const customer = createCustomer(details);
+  return { customers: [customer, ...customers], info: { ...info, customerId: customer.id } };
+};
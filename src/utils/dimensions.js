@@ -0,0 +1,123 @@
+import { createTranslator } from './i18n';
+
+// --- Product Dimensions & Niche Fit ---
+// `dimensions` is free text copied from Siemens' sheets: "2125x908x608",
+// "1895 × 855 × 666", "84,20 cm*59,80 cm*61,30 cm", "(662-862)*895*505",
+// "835(顶盖20)*598*573", "nan". We read it as height × width × depth in mm,
+// and keep a list of anomalies so the data can be cleaned up at the source.
+
+export const BUILT_IN_CATEGORIES = ['冰箱', '酒柜', '洗碗机', '蒸烤箱', '嵌饮机', '嵌入式咖啡机'];
+
+// Tall appliances whose first figure (height) must be the largest
+const TALL_CATEGORIES = ['冰箱', '酒柜'];
+
+const BLANK_VALUES = new Set(['', 'nan', '/', '-']);
+
+const parsePart = (part) => {
+  const range = part.match(/^\(?(\d+(?:\.\d+)?)\s*[-~]\s*(\d+(?:\.\d+)?)\)?$/);
+  if (range) return { min: Number(range[1]), max: Number(range[2]) };
+  const value = part.match(/^\d+(?:\.\d+)?$/);
+  return value ? { min: Number(part), max: Number(part) } : null;
+};
+
+export const parseDimensions = (raw, category, t = createTranslator('zh')) => {
+  const text = String(raw ?? '').trim();
+  if (BLANK_VALUES.has(text.toLowerCase())) return { ok: false, anomalies: [t('dimensions.missing')] };
+
+  const anomalies = [];
+  let s = text;
+  let factor = 1;
+  if (/cm/i.test(s)) {
+    factor = 10;
+    s = s.replace(/cm/gi, '');
+    anomalies.push(t('dimensions.centimetres'));
+  }
+  if (/\d,\d/.test(s)) {
+    s = s.replace(/(\d),(\d)/g, '$1.$2');
+    anomalies.push(t('dimensions.decimalComma'));
+  }
+  // Notes such as "(顶盖20)" — keep the number in front, drop the remark
+  s = s.replace(/\(([^)]*[^\d\s.\-~)][^)]*)\)/g, () => {
+    anomalies.push(t('dimensions.remark'));
+    return '';
+  });
+
+  const parts = s.split(/\s*[x×*X]\s*/).map(p => p.trim()).filter(Boolean);
+  const values = parts.map(parsePart);
+  if (values.some(v => v === null) || parts.length < 2 || parts.length > 3) {
+    return { ok: false, anomalies: [t('dimensions.unreadable')] };
+  }
+  if (parts.length === 2) anomalies.push(t('dimensions.twoFigures'));
+
+  const [height, width, depth = null] = values.map(v => v && { min: v.min * factor, max: v.max * factor });
+  if (TALL_CATEGORIES.includes(category) && depth && height.max < Math.max(width.max, depth.max)) {
+    anomalies.push(t('dimensions.order'));
+  }
+  return { ok: true, height, width, depth, anomalies };
+};
+
+const formatRange = (range) => (range.min === range.max ? `${range.min}` : `${range.min}-${range.max}`);
+
+// Canonical "HxWxD" string in mm
+export const formatDimensions = (parsed) => {
+  if (!parsed?.ok) return '';
+  return [parsed.height, parsed.width, parsed.depth].filter(Boolean).map(formatRange).join('x');
+};
+
+// Products whose dimension text needs attention, with a suggested clean value
+export const findDimensionAnomalies = (products, t = createTranslator('zh')) => {
+  return products.flatMap(product => {
+    const parsed = parseDimensions(product.dimensions, product.category, t);
+    if (parsed.anomalies.length === 0) return [];
+    const suggestion = formatDimensions(parsed);
+    return [{ product, anomalies: parsed.anomalies, suggestion: suggestion !== product.dimensions ? suggestion : '' }];
+  });
+};
+
+// --- Niche Fit ---
+// A niche is a cabinet opening measured on site (mm). Tolerance absorbs
+// measuring error and adjustable feet: a product fits when each dimension
+// is at most the niche size plus the tolerance. Adjustable ranges use their
+// smallest setting.
+
+export const createNiche = (name = '') => ({
+  id: `NICHE_${Date.now()}`,
+  name,
+  width: '',
+  height: '',
+  depth: '',
+  tolerance: 5,
+});
+
+const DIMENSION_KEYS = ['height', 'width', 'depth'];
+
+export const checkFit = (product, niche, t = createTranslator('zh')) => {
+  if (!niche) return { status: 'unknown', problems: [] };
+  const parsed = parseDimensions(product.dimensions, product.category, t);
+  if (!parsed.ok) return { status: 'unknown', problems: [t('fit.noDimensions')] };
+  const tolerance = Number(niche.tolerance) || 0;
+  const problems = [];
+  DIMENSION_KEYS.forEach(key => {
+    const limit = Number(niche[key]);
+    if (!limit || !parsed[key]) return;
+    const over = parsed[key].min - limit - tolerance;
+    if (over > 0) problems.push(t(`fit.${key}Over`, { mm: Math.round(over) }));
+  });
+  return { status: problems.length > 0 ? 'no-fit' : 'fit', problems };
+};
+
+export const needsNiche = (item) => BUILT_IN_CATEGORIES.includes(item.category);
+
+// Cart lines that should sit in a niche but have none, or don't fit theirs
+export const findNicheWarnings = (cart, niches, t = createTranslator('zh')) => {
+  return cart.flatMap(item => {
+    if (!needsNiche(item) || item.nicheId === 'none') return [];
+    const niche = niches.find(n => n.id === item.nicheId);
+    if (!niche) return [{ itemId: item.id, name: item.name, model: item.model, message: t('fit.noNiche') }];
+    const fit = checkFit(item, niche, t);
+    const problems = fit.problems.join(', ');
+    if (fit.status === 'no-fit') return [{ itemId: item.id, name: item.name, model: item.model, message: t('fit.noFit', { niche: niche.name, problems }) }];
+    if (fit.status === 'unknown') return [{ itemId: item.id, name: item.name, model: item.model, message: t('fit.unchecked', { niche: niche.name, problems }) }];
+    return [];
+  });
+};
@@ -0,0 +1,121 @@
+import * as XLSX from 'xlsx';
+import { PRODUCT_FIELDS } from './priceList';
+import { getLinePrice, getLineTotal, describeTotalsRow } from './pricing';
+import { isCustomLine } from './customLines';
+import { getQuoteGroups } from './sections';
+import { describeBundleItems } from './bundles';
+import { parseTermsBody } from './terms';
+import { formatCustomerAddress } from './customers';
+import { createTranslator, localizeProduct, localizeCategory } from './i18n';
+
+// --- Excel Export ---
+// Spreadsheet versions of the quote and the product catalog for customers and
+// the back office. The quote sheet follows the quote's document language; the
+// catalog sheet uses the same headers the price list importer recognises, so an
+// exported file can be edited and imported back.
+
+const flattenFeatures = (features) => (features || '').split('\n').map(f => f.trim()).filter(Boolean).join('；');
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// Excel sheet names: at most 31 characters, none of : \ / ? * [ ]
+const sheetName = (name, index, t) => (name || '').replace(/[:\\/?*[\]]/g, '').slice(0, 31) || `${t('doc.option')} ${index + 1}`;
+
+// Payment / delivery terms and the text blocks, below the totals
+const buildTermsRows = (terms, t) => [
+  [],
+  ...(terms.payment ? [[t('doc.payment'), terms.payment]] : []),
+  ...(terms.delivery ? [[t('doc.delivery'), terms.delivery]] : []),
+  ...terms.blocks.flatMap(block => [
+    [block.title],
+    ...parseTermsBody(block.body).map(line => ['', line.type === 'bullet' ? `• ${line.text}` : line.text]),
+  ]),
+];
+
+const buildQuoteSheet = ({ cart, sections, pricing, customerInfo, dealerInfo, quoteLabel, optionName, quoteDate, terms, expired, language }) => {
+  const t = createTranslator(language);
+  const usePackage = pricing?.isPackage ?? false;
+  const rows = [
+    [t('doc.title'), [quoteLabel, optionName].filter(Boolean).join(' ')],
+    [t('doc.quoteDate'), quoteDate || today()],
+    ...(terms?.validUntil ? [[t('doc.validUntil'), expired ? `${terms.validUntil} (${t('doc.expired')})` : terms.validUntil]] : []),
+    [],
+    [t('doc.customer'), customerInfo.name],
+    [t('doc.phone'), customerInfo.phone],
+    [t('doc.address'), formatCustomerAddress(customerInfo)],
+    [],
+    [t('doc.store'), dealerInfo.name],
+    [t('doc.contact'), `${dealerInfo.contact} ${dealerInfo.phone}`],
+    [t('doc.storeAddress'), dealerInfo.address],
+    [],
+    [t('column.model'), t('column.name'), t('doc.category'), t('column.quantity'), t('column.retail'), usePackage ? t('doc.packageDealPrice') : t('column.discountPackage'), t('column.total'), t('column.features')],
+  ];
+  getQuoteGroups(cart, sections, usePackage).forEach(group => {
+    const label = group.section?.name || t('doc.unassigned');
+    if (sections.length > 0) rows.push([`【${label}】`]);
+    group.lines.forEach(line => {
+      if (line.type === 'bundle') {
+        rows.push([line.items.map(i => i.model).join(' / '), line.bundle.name, t('doc.set'), 1, line.retail, line.price, line.price, describeBundleItems(line.items, language)]);
+        return;
+      }
+      if (line.type === 'bundle-price') {
+        rows.push(['', t('doc.setPrice', { name: line.bundle.name }), t('doc.set'), '', line.listTotal, line.price, line.price]);
+        return;
+      }
+      const { item } = line;
+      const price = getLinePrice(item, usePackage);
+      const category = isCustomLine(item) ? `${t('doc.custom')}${item.unit ? ` (${item.unit})` : ''}` : localizeCategory(item.category, language);
+      // Lines of a priced bundle are totalled on the bundle price row that follows them
+      const lineTotal = getLineTotal(item, usePackage) ?? '';
+      const text = localizeProduct(item, language);
+      rows.push([item.model || '', text.name.join(' / '), category, item.quantity, Number(item.price_retail) || 0, item.isFree ? t('doc.free') : price, lineTotal, text.features.map(flattenFeatures).join('\n')]);
+    });
+    if (sections.length > 0) rows.push(['', '', '', '', '', t('doc.sectionSubtotal', { name: label }), group.subtotal]);
+  });
+  rows.push([]);
+  rows.push(['', '', '', '', '', t('doc.subtotal'), pricing.subtotal]);
+  pricing.rows.forEach(row => rows.push(['', '', '', '', '', describeTotalsRow(row, t), row.amount]));
+  rows.push(['', '', '', '', '', t('doc.grandTotal'), pricing.grandTotal]);
+  if (pricing.savings > 0) rows.push(['', '', '', '', '', t('doc.savedVsRetail'), pricing.savings]);
+  if (terms) rows.push(...buildTermsRows(terms, t));
+
+  const sheet = XLSX.utils.aoa_to_sheet(rows);
+  sheet['!cols'] = [{ wch: 16 }, { wch: 22 }, { wch: 10 }, { wch: 6 }, { wch: 12 }, { wch: 16 }, { wch: 12 }, { wch: 60 }];
+  return sheet;
+};
+
+// `options` (see utils/proposals summarizeOptions) exports a comparison sheet
+// followed by one sheet per alternative option
+export const exportQuoteWorkbook = ({ cart, sections = [], pricing, customerInfo, dealerInfo, quoteLabel, quoteDate, terms = null, expired = false, options = null, language = 'zh' }) => {
+  const t = createTranslator(language);
+  const workbook = XLSX.utils.book_new();
+  if (options) {
+    const comparison = XLSX.utils.aoa_to_sheet([
+      [t('doc.option'), t('doc.itemCount'), t('doc.retailTotal'), t('doc.optionPrice'), t('doc.vsLowest')],
+      ...options.map(({ option, count, pricing: optionPricing, difference }) => [option.name, count, optionPricing.retailTotal, optionPricing.grandTotal, difference]),
+    ]);
+    comparison['!cols'] = [{ wch: 20 }, { wch: 8 }, { wch: 14 }, { wch: 14 }, { wch: 14 }];
+    XLSX.utils.book_append_sheet(workbook, comparison, t('doc.comparison'));
+    options.forEach(({ option, pricing: optionPricing }, index) => {
+      const sheet = buildQuoteSheet({ cart: option.cart, sections, pricing: optionPricing, customerInfo, dealerInfo, quoteLabel, optionName: option.name, quoteDate, terms, expired, language });
+      XLSX.utils.book_append_sheet(workbook, sheet, sheetName(option.name, index, t), true); // roll: duplicate names get a number
+    });
+  } else {
+    XLSX.utils.book_append_sheet(workbook, buildQuoteSheet({ cart, sections, pricing, customerInfo, dealerInfo, quoteLabel, quoteDate, terms, expired, language }), t('doc.sheetQuote'));
+  }
+  // Named in the document language, like the app's other quote files
+  const fileName = createTranslator(language === 'en' ? 'en' : 'zh')('file.quote');
+  XLSX.writeFile(workbook, `${fileName}_${quoteLabel ? `${quoteLabel}_` : ''}${customerInfo.name}.xlsx`);
+};
+
+export const exportCatalogWorkbook = (products, t = createTranslator('zh'), fileLabel = t('file.catalog')) => {
+  const rows = [
+    PRODUCT_FIELDS.map(f => f.label),
+    ...products.map(p => PRODUCT_FIELDS.map(f => p[f.key] ?? '')),
+  ];
+  const sheet = XLSX.utils.aoa_to_sheet(rows);
+  sheet['!cols'] = PRODUCT_FIELDS.map(f => ({ wch: f.key.startsWith('features') ? 60 : f.key === 'channel' ? 24 : 14 }));
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, t('file.catalog'));
+  XLSX.writeFile(workbook, `${fileLabel}_${today()}.xlsx`);
+};
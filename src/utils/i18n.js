@@ -0,0 +1,753 @@
+// --- Translations ---
+// UI text and quote document text in Chinese and English. Each message holds
+// both languages side by side so a missing translation shows up in review.
+// Documents can also be bilingual: each label then reads "中文 English".
+// Product names and features come from the catalog (name / name_en,
+// features / features_en); English falls back to Chinese where it is missing.
+
+export const UI_LANGUAGES = [
+  { id: 'zh', label: '中文' },
+  { id: 'en', label: 'English' },
+];
+
+export const DOC_LANGUAGES = [
+  { id: 'zh', label: '中文' },
+  { id: 'en', label: 'English' },
+  { id: 'bilingual', label: '中英双语' },
+];
+
+const MESSAGES = {
+  // Quote document
+  'doc.customer': ['客户', 'Customer'],
+  'doc.dealer': ['经销商', 'Dealer'],
+  'doc.name': ['姓名', 'Name'],
+  'doc.phone': ['电话', 'Phone'],
+  'doc.address': ['地址', 'Address'],
+  'doc.validUntil': ['有效期至', 'Valid until'],
+  'doc.expired': ['已过期', 'Expired'],
+  'doc.acceptedOption': ['客户选定', 'Accepted option'],
+  'doc.pieces': ['{count} 件', '{count} pcs'],
+  'doc.set': ['套装', 'Set'],
+  'doc.oneSet': ['1 套', '1 set'],
+  'doc.setPrice': ['{name} 套装价', '{name} set price'],
+  'doc.listPrice': ['原价', 'List'],
+  'doc.free': ['赠送', 'Free'],
+  'doc.noImage': ['无图', 'No image'],
+  'doc.unassigned': ['其他产品', 'Other items'],
+  'doc.sectionSubtotal': ['{name}小计', '{name} subtotal'],
+  'doc.optionTotal': ['{name}合计', '{name} total'],
+  'doc.comparison': ['方案对比', 'Comparison'],
+  'doc.option': ['方案', 'Option'],
+  'doc.itemCount': ['产品数', 'Items'],
+  'doc.retailTotal': ['零售价合计', 'Retail total'],
+  'doc.optionPrice': ['方案总价', 'Option price'],
+  'doc.difference': ['差额', 'Difference'],
+  'doc.lowest': ['最低', 'Lowest'],
+  'doc.retail': ['零售价', 'Retail'],
+  'doc.subtotal': ['小计', 'Subtotal'],
+  'doc.rounding': ['取整', 'Rounding'],
+  'doc.total': ['合计金额', 'Total amount'],
+  'doc.savings': ['共节省', 'You save'],
+  'doc.packageSavings': ['套餐共节省', 'Package saving'],
+  'doc.payment': ['付款方式', 'Payment'],
+  'doc.delivery': ['交货周期', 'Delivery'],
+  'doc.quoteDate': ['报价日期', 'Date'],
+  'doc.contact': ['联系人', 'Contact'],
+  'doc.storeAddress': ['门店地址', 'Store address'],
+  'doc.title': ['家电配置方案', 'Home Appliance Proposal'],
+  'doc.store': ['门店', 'Store'],
+  'doc.category': ['分类', 'Category'],
+  'doc.custom': ['自定义', 'Custom'],
+  'doc.packageDealPrice': ['成交价 (套餐)', 'Price (package)'],
+  'doc.grandTotal': ['合计', 'Total'],
+  'doc.savedVsRetail': ['较零售价节省', 'Saved vs retail'],
+  'doc.vsLowest': ['较最低方案', 'vs lowest'],
+  'doc.sheetQuote': ['报价单', 'Quotation'],
+
+  // Table columns (defaults; templates may rename them)
+  'column.name': ['产品名称', 'Product'],
+  'column.model': ['型号', 'Model'],
+  'column.retail': ['零售价', 'Retail'],
+  'column.package': ['套餐价', 'Package'],
+  'column.discount': ['优惠价', 'Offer'],
+  'column.discountPackage': ['成交价', 'Price'],
+  'column.total': ['金额', 'Amount'],
+  'column.features': ['功能详述', 'Features'],
+  'column.quantity': ['数量', 'Qty'],
+  'column.image': ['图片', 'Image'],
+  'column.category': ['品类', 'Category'],
+  'column.material': ['材质', 'Material'],
+  'column.color': ['颜色', 'Color'],
+  'column.capacity': ['容量', 'Capacity'],
+  'column.freezer_cap': ['冷冻容量', 'Freezer'],
+  'column.energy_eff': ['能效', 'Energy'],
+  'column.dimensions': ['尺寸', 'Dimensions'],
+  'column.origin': ['产地', 'Origin'],
+
+  // App shell
+  'ui.appName': ['报价助手', 'Quote Assistant'],
+  'ui.history': ['报价记录', 'Quotes'],
+  'ui.customers': ['客户', 'Customers'],
+  'ui.addProduct': ['添加产品', 'Add product'],
+  'ui.search': ['搜索型号 / 名称 / 功能...', 'Search model / name / features...'],
+  'ui.filters': ['筛选', 'Filters'],
+  'ui.niches': ['柜体尺寸', 'Cabinets'],
+  'ui.nichesHint': ['按橱柜开孔尺寸筛选嵌入式产品', 'Filter built-in products by cabinet opening'],
+  'ui.bundles': ['套装', 'Bundles'],
+  'ui.bundlesHint': ['常用产品组合，一键加入清单', 'Common product sets, added in one click'],
+  'ui.export': ['导出', 'Export'],
+  'ui.exportHint': ['导出当前列表为 Excel', 'Export the current list to Excel'],
+  'ui.productCount': ['共 {count} 个产品', '{count} products'],
+  'ui.editProduct': ['编辑产品', 'Edit product'],
+  'ui.noImage': ['暂无图片', 'No image'],
+  'ui.newProduct': ['新品', 'New'],
+  'ui.retailPrice': ['建议零售价', 'Retail price'],
+  'ui.compare': ['对比', 'Compare'],
+  'ui.missingTranslation': ['缺英文', 'No English'],
+  'ui.missingTranslationHint': ['缺少英文{fields}，英文报价将显示中文', 'Missing English {fields}; English quotes will show Chinese'],
+  'ui.language': ['界面语言', 'Language'],
+  'ui.createQuote': ['生成报价单', 'Create quote'],
+  'ui.saveQuote': ['保存报价', 'Save quote'],
+  'ui.saveVersion': ['保存新版本', 'Save new version'],
+  'ui.saveAsImage': ['存为图片', 'Save image'],
+  'ui.exportPdf': ['导出 PDF', 'Export PDF'],
+  'ui.longPdf': ['长图PDF', 'Long PDF'],
+  'ui.longPdfHint': ['生成不分页的长图PDF', 'One long page without page breaks'],
+  'ui.exportExcel': ['导出 Excel 报价单', 'Export the quote to Excel'],
+  'ui.settings': ['设置面板', 'Settings'],
+  'ui.templates': ['选择模板', 'Template'],
+  'ui.themeColor': ['主题配色', 'Theme colour'],
+  'ui.display': ['显示设置', 'Display'],
+  'ui.docLanguage': ['报价单语言', 'Quote language'],
+  'ui.quoteDate': ['报价日期', 'Quote date'],
+  'ui.terms': ['报价条款', 'Terms'],
+  'ui.packageRules': ['套餐价规则', 'Package pricing'],
+  'ui.adjustments': ['整单优惠', 'Discounts'],
+  'ui.nicheCheck': ['嵌入尺寸检查', 'Fit check'],
+  'ui.options': ['方案对比', 'Options'],
+  'ui.bundleSection': ['套装', 'Bundles'],
+  'ui.priceGuard': ['价格保护', 'Price guard'],
+  'ui.customerInfo': ['客户信息', 'Customer'],
+  'ui.storeInfo': ['门店信息', 'Store'],
+  'ui.salesperson': ['销售顾问', 'Salesperson'],
+  'ui.dataManagement': ['数据管理', 'Data'],
+  'ui.translationReport': ['{count} 个产品缺少英文名称或功能', '{count} products lack an English name or features'],
+  'ui.showUntranslated': ['只看这些产品', 'Show only these'],
+  'ui.showAll': ['显示全部', 'Show all'],
+  'ui.nameEn': ['英文名称', 'English name'],
+  'ui.featuresEn': ['英文功能特性', 'English features'],
+  'ui.fieldName': ['名称', 'name'],
+  'ui.fieldFeatures': ['功能', 'features'],
+  'ui.share': ['分享', 'Share'],
+  'ui.shareHint': ['导出可在手机上打开的 HTML 文件，客户无需安装即可查看', 'Export an HTML file the customer can open on a phone'],
+
+  // Shared quote file
+  'share.readOnly': ['只读', 'Read-only'],
+  'share.tapHint': ['点击产品查看参数', 'Tap a product for details'],
+  'share.specs': ['规格参数', 'Specifications'],
+  'share.zoomHint': ['点击图片放大', 'Tap the image to zoom'],
+  'share.close': ['关闭', 'Close'],
+  'share.noQuote': ['此页面用于打开分享的报价文件', 'This page opens shared quote files'],
+  'share.devMode': ['开发模式下无法打包查看器，请使用构建后的版本导出', 'The viewer cannot be packed in development mode; export from a build'],
+  'share.viewerMissing': ['未找到报价查看器 viewer.html，请确认已完整构建', 'Quote viewer viewer.html not found; check the build is complete'],
+
+  // Common controls
+  'ui.pieces': ['{count} 件', '{count} pcs'],
+  'ui.remove': ['移除', 'Remove'],
+  'ui.allCategories': ['全部', 'All'],
+  'ui.rename': ['重命名', 'Rename'],
+  'ui.showHidden': ['显示已停售、未上市的产品 ({count})', 'Show discontinued and upcoming products ({count})'],
+  'ui.showHiddenWithChannels': ['显示已停售、未上市及非本店渠道的产品 ({count})', 'Show discontinued, upcoming and other-channel products ({count})'],
+  'ui.cancel': ['取消', 'Cancel'],
+  'ui.save': ['保存', 'Save'],
+  'ui.add': ['添加', 'Add'],
+  'ui.edit': ['编辑', 'Edit'],
+  'ui.open': ['打开', 'Open'],
+  'ui.delete': ['删除', 'Delete'],
+  'ui.moveUp': ['上移', 'Move up'],
+  'ui.back': ['上一步', 'Back'],
+
+  // Shop: filters, sorting, comparison
+  'facet.energy': ['能效', 'Energy'],
+  'facet.material': ['材质', 'Material'],
+  'facet.color': ['颜色', 'Colour'],
+  'facet.origin': ['产地', 'Origin'],
+  'facet.channel': ['渠道', 'Channel'],
+  'facet.year': ['上市年份', 'Launched'],
+  'facet.unspecified': ['未标注', 'Not given'],
+  'facet.less': ['收起', 'Less'],
+  'facet.more': ['更多 +{count}', 'More +{count}'],
+  'facet.priceMin': ['最低 ¥', 'Min ¥'],
+  'facet.priceMax': ['最高 ¥', 'Max ¥'],
+  'facet.capacityHint': ['按产品的容量数值筛选 (升 / 公斤 / 套 / 瓶)', 'Filters by the capacity figure (litres / kg / place settings / bottles)'],
+  'facet.min': ['最小', 'Min'],
+  'facet.max': ['最大', 'Max'],
+  'facet.clear': ['清除筛选', 'Clear filters'],
+  'sort.default': ['默认排序', 'Default order'],
+  'sort.price-asc': ['价格从低到高', 'Price: low to high'],
+  'sort.price-desc': ['价格从高到低', 'Price: high to low'],
+  'sort.launch-desc': ['最新上市', 'Newest'],
+  'sort.launch-asc': ['最早上市', 'Oldest'],
+  'sort.capacity-desc': ['容量从大到小', 'Capacity: largest first'],
+  'sort.capacity-asc': ['容量从小到大', 'Capacity: smallest first'],
+  'compare.limit': ['最多同时对比 4 个产品', 'Compare up to 4 products at a time'],
+  'compare.clear': ['清空', 'Clear'],
+  'compare.start': ['开始对比 ({count}/4)', 'Compare ({count}/4)'],
+  'comparison.title': ['产品对比', 'Product comparison'],
+  'comparison.heading': ['产品参数对比', 'Specification comparison'],
+  'comparison.onlyDifferences': ['只看差异', 'Differences only'],
+  'comparison.shared': ['共同功能 ({count})', 'Shared features ({count})'],
+  'comparison.sharedHint': ['均具备 {count} 项相同功能', 'All have {count} features in common'],
+  'comparison.unique': ['特有功能', 'Unique features'],
+  'comparison.legend': ['黄色底纹为存在差异的参数', 'Highlighted rows differ'],
+
+  // Products and catalog data
+  'product.nameRequired': ['名称和型号必填', 'Name and model are required'],
+  'product.saved': ['产品已保存', 'Product saved'],
+  'product.confirmDelete': ['确定要删除这个产品吗？', 'Delete this product?'],
+  'product.deleted': ['产品已删除', 'Product deleted'],
+  'product.uploadImage': ['上传图片', 'Upload image'],
+  'product.name': ['产品名称', 'Product name'],
+  'product.model': ['型号', 'Model'],
+  'product.retail': ['零售价', 'Retail price'],
+  'product.package': ['套餐价', 'Package price'],
+  'product.floor': ['最低售价', 'Floor price'],
+  'product.floorHint': ['最低售价 (留空按品类比例)', 'Floor price (empty: category percentage)'],
+  'product.category': ['分类 (如: 冰箱)', 'Category (e.g. 冰箱)'],
+  'product.dimensions': ['尺寸', 'Dimensions'],
+  'product.dimensionsHint': ['尺寸 高x宽x深 (mm)', 'Dimensions H x W x D (mm)'],
+  'product.dimensionsRead': ['识别为 {dimensions}', 'Read as {dimensions}'],
+  'product.dimensionsUnread': ['无法识别', 'Not readable'],
+  'product.features': ['功能特性', 'Features'],
+  'product.effectiveFrom': ['开始销售', 'On sale from'],
+  'product.discontinuedAfter': ['停售日期 (当天仍可售)', 'Discontinued after (still on sale that day)'],
+  'product.channels': ['销售渠道', 'Sales channels'],
+  'product.channelSource': ['价格表原文: {channel}', 'Price list text: {channel}'],
+  'product.addToCart': ['加入清单', 'Add to list'],
+  'field.model': ['型号', 'Model'],
+  'field.name': ['名称', 'Name'],
+  'field.category': ['分类', 'Category'],
+  'field.price_retail': ['零售价', 'Retail price'],
+  'field.price_package': ['套餐价', 'Package price'],
+  'field.features': ['功能特性', 'Features'],
+  'field.name_en': ['英文名称', 'English name'],
+  'field.features_en': ['英文功能特性', 'English features'],
+  'field.material': ['材质', 'Material'],
+  'field.color': ['颜色', 'Colour'],
+  'field.capacity': ['容量', 'Capacity'],
+  'field.freezer_cap': ['冷冻容量', 'Freezer capacity'],
+  'field.energy_eff': ['能效', 'Energy efficiency'],
+  'field.dimensions': ['尺寸', 'Dimensions'],
+  'field.origin': ['产地', 'Origin'],
+  'field.channel': ['渠道', 'Channel'],
+  'field.launch_date': ['上市时间', 'Launch date'],
+  'field.effective_from': ['开始销售', 'On sale from'],
+  'field.discontinued_after': ['停售日期', 'Discontinued after'],
+  'priceHistory.title': ['调价记录', 'Price changes'],
+  'priceHistory.search': ['型号或名称', 'Model or name'],
+  'priceHistory.all': ['全部', 'All'],
+  'priceHistory.upcoming': ['待生效', 'Upcoming'],
+  'priceHistory.past': ['已生效', 'In effect'],
+  'priceHistory.empty': ['暂无调价记录。在产品编辑中修改价格或导入价格表后会记录在这里。', 'No price changes yet. Editing a price or importing a price list records it here.'],
+  'priceHistory.current': ['现价 {price}', 'now {price}'],
+  'priceHistory.retail': ['零售', 'Retail'],
+  'priceHistory.package': ['套餐', 'Package'],
+  'priceSchedule.title': ['调价计划', 'Scheduled prices'],
+  'priceSchedule.empty': ['暂无调价记录。直接修改上方价格会记录为今天生效的调价。', 'No price changes yet. Editing the prices above records a change effective today.'],
+  'priceSchedule.initial': ['初始', 'Initial'],
+  'priceSchedule.effectiveFrom': ['生效日期', 'Effective from'],
+  'priceSchedule.retail': ['新零售价', 'New retail price'],
+  'priceSchedule.package': ['新套餐价', 'New package price'],
+  'priceSchedule.add': ['添加计划调价', 'Schedule the price change'],
+  'priceList.title': ['导入价格表', 'Import a price list'],
+  'priceList.emptySheet': ['表格为空', 'The sheet is empty'],
+  'priceList.unreadable': ['无法读取该文件', 'Cannot read this file'],
+  'priceList.modelRequired': ['请指定「型号」所在的列', 'Choose the column that holds the model'],
+  'priceList.choose': ['选择 Excel (.xlsx / .xls) 或 CSV 文件', 'Choose an Excel (.xlsx / .xls) or CSV file'],
+  'priceList.mappingHint': ['共 {count} 行。请确认每个字段对应表格中的哪一列，不需要导入的字段保持「不导入」。', '{count} rows. Check which column each field comes from; leave fields you do not need at "Skip".'],
+  'priceList.skip': ['不导入', 'Skip'],
+  'priceList.column': ['第 {index} 列', 'Column {index}'],
+  'priceList.effectiveFrom': ['价格生效日期', 'Prices effective from'],
+  'priceList.scheduledHint': ['价格变更将作为计划调价，到期自动生效；在此之前的报价仍按现价', 'The changes are scheduled and apply on that date; quotes until then keep the current prices'],
+  'priceList.immediateHint': ['价格变更立即生效，原价格保留在调价记录中', 'The changes apply now; the old prices stay in the price history'],
+  'priceList.added': ['新增型号', 'New models'],
+  'priceList.changed': ['变更型号', 'Changed models'],
+  'priceList.removed': ['价格表中没有的型号', 'Models missing from the price list'],
+  'priceList.removeHint': ['勾选后将从产品库删除', 'Checked models are deleted from the catalog'],
+  'priceList.noChanges': ['价格表与当前产品库一致，没有需要更新的内容', 'The price list matches the catalog; nothing to update'],
+  'priceList.review': ['预览变更', 'Review changes'],
+  'priceList.apply': ['应用 {count} 项变更', 'Apply {count} changes'],
+  'availability.discontinued': ['已于 {date} 停售', 'Discontinued on {date}'],
+  'availability.upcoming': ['{date} 起可售', 'On sale from {date}'],
+  'availability.otherChannel': ['非本店渠道 ({channels})', 'Not a channel of this store ({channels})'],
+  'channel.missing': ['未填写渠道', 'No channel given'],
+  'channel.switched': ['已于 {date} 切换渠道', 'Channel switched on {date}'],
+  'channel.switchPending': ['将于 {date} 切换渠道，切换前渠道未注明', 'Channel switches on {date}; the channel before is not given'],
+  'channel.beforeAfter': ['按日期前后区分的渠道，已取较新的一组', 'Channels split by date; the later set is used'],
+  'channel.remark': ['备注: {remark}', 'Remark: {remark}'],
+  'channel.unknown': ['未识别的渠道: {codes}', 'Unknown channels: {codes}'],
+  'channel.report': ['渠道数据检查', 'Channel data check'],
+  'channel.reportHint': ['其余产品的渠道已自动识别。以下 {count} 个产品的渠道说明需要人工确认，确认后按所选渠道保存。', 'The other products\' channels were recognised. These {count} products need their channels confirmed; the selected channels are saved.'],
+  'channel.reportEmpty': ['所有产品渠道格式正常', 'All channels are well-formed'],
+  'dimensions.missing': ['缺少尺寸', 'No dimensions'],
+  'dimensions.centimetres': ['单位为厘米', 'In centimetres'],
+  'dimensions.decimalComma': ['使用逗号作小数点', 'Decimal comma'],
+  'dimensions.remark': ['含备注文字', 'Contains a remark'],
+  'dimensions.unreadable': ['无法识别的格式', 'Unreadable format'],
+  'dimensions.twoFigures': ['只有两个尺寸', 'Only two figures'],
+  'dimensions.order': ['顺序可能有误 (应为 高x宽x深)', 'Order may be wrong (should be H x W x D)'],
+  'dimensions.report': ['尺寸数据检查', 'Dimension data check'],
+  'dimensions.reportHint': ['尺寸统一为 高x宽x深 (mm)。共 {count} 个产品需要处理，其中 {fixable} 个可按建议值修正。', 'Dimensions are written H x W x D (mm). {count} products need attention; {fixable} can take the suggested value.'],
+  'dimensions.reportEmpty': ['所有产品尺寸格式正常', 'All dimensions are well-formed'],
+  'dimensions.format': ['高x宽x深', 'HxWxD'],
+  'report.apply': ['应用', 'Apply'],
+  'report.applyAll': ['全部应用 ({count})', 'Apply all ({count})'],
+  'relation.title': ['配件与门板关系', 'Accessories and panels'],
+  'relation.empty': ['未设置。加入购物车时会根据这里提示缺少的配件或门板。', 'None set. Adding to the cart uses these to point out missing accessories or panels.'],
+  'relation.requires': ['必需配件', 'Requires'],
+  'relation.recommended': ['推荐搭配', 'Recommended'],
+  'relation.panelFor': ['门板适用于', 'Panel for'],
+  'relation.self': ['不能关联自身', 'Cannot point at itself'],
+  'relation.unknownModel': ['产品库中没有这个型号', 'Model not in the catalog'],
+  'suggestion.requires': ['{models} 需要配件', '{models} needs an accessory'],
+  'suggestion.panel': ['{models} 需搭配门板', '{models} needs a door panel'],
+  'suggestion.recommended': ['推荐与 {models} 搭配', 'Goes well with {models}'],
+  'suggestion.dismiss': ['忽略', 'Dismiss'],
+  'suggestion.add': ['加入', 'Add'],
+
+  // Cabinet niches and fit
+  'niche.warnings': ['{count} 项尺寸待确认', '{count} sizes to check'],
+  'niche.unassigned': ['未指定柜位', 'No cabinet'],
+  'niche.none': ['无需嵌入', 'Freestanding'],
+  'niche.emptyHint': ['在选购页「柜体尺寸」中录入橱柜开孔尺寸', 'Enter cabinet openings under Cabinets on the shop page'],
+  'niche.defaultName': ['柜位 {index}', 'Cabinet {index}'],
+  'niche.hint': ['单位 mm。产品每个方向不超过柜体尺寸 + 余量即可放入；可调高度按最低尺寸计算。', 'In mm. A product fits when no side exceeds the opening plus the allowance; adjustable heights count at their lowest.'],
+  'niche.select': ['按此柜位筛选产品', 'Filter products by this cabinet'],
+  'niche.name': ['位置 (如: 冰箱位)', 'Position (e.g. fridge)'],
+  'niche.width': ['宽', 'W'],
+  'niche.height': ['高', 'H'],
+  'niche.depth': ['深', 'D'],
+  'niche.tolerance': ['余量', 'Allowance'],
+  'niche.add': ['添加柜位', 'Add a cabinet'],
+  'niche.fitOnly': ['仅显示可放入', 'Fitting only'],
+  'niche.deselect': ['取消选择', 'Clear'],
+  'fit.status.fit': ['可放入', 'Fits'],
+  'fit.status.no-fit': ['尺寸不符', 'Does not fit'],
+  'fit.status.unknown': ['尺寸未知', 'Size unknown'],
+  'fit.noDimensions': ['缺少产品尺寸', 'No product dimensions'],
+  'fit.heightOver': ['高超出 {mm}mm', '{mm}mm too tall'],
+  'fit.widthOver': ['宽超出 {mm}mm', '{mm}mm too wide'],
+  'fit.depthOver': ['深超出 {mm}mm', '{mm}mm too deep'],
+  'fit.noNiche': ['未指定柜体位置', 'No cabinet assigned'],
+  'fit.noFit': ['放不进「{niche}」: {problems}', 'Does not fit "{niche}": {problems}'],
+  'fit.unchecked': ['无法核对「{niche}」: {problems}', 'Cannot check "{niche}": {problems}'],
+
+  // Cart and quote settings
+  'cart.added': ['已添加: {name}', 'Added: {name}'],
+  'cart.addedUnavailable': ['{reason}，请确认后再报价', '{reason}; check before quoting'],
+  'cart.needsPanel': ['该型号需要搭配门板', 'This model needs a door panel'],
+  'cart.needsAccessory': ['需要配件 {model}', 'Needs accessory {model}'],
+  'cart.addModel': ['加入 {model}', 'Add {model}'],
+  'cart.viewCart': ['查看清单', 'View list'],
+  'cart.title': ['选购清单', 'Selection'],
+  'cart.addCustomLine': ['添加安装 / 服务等自定义项目', 'Add installation, service or other custom items'],
+  'cart.empty': ['暂无商品', 'No items yet'],
+  'cart.noImage': ['图', 'Img'],
+  'cart.editCustomLine': ['编辑自定义项目', 'Edit custom item'],
+  'cart.totalPackage': ['总计 (套餐价)', 'Total (package)'],
+  'cart.totalRetail': ['总计 (零售价)', 'Total (retail)'],
+  'cart.saved': ['已省 {amount}', 'You save {amount}'],
+  'cart.next': ['下一步: 生成报价单', 'Next: create quote'],
+  'section.namePrompt': ['分区名称 (如: 主卧、阳台)', 'Section name (e.g. Bedroom, Balcony)'],
+  'section.name': ['分区名称', 'Section name'],
+  'section.confirmDelete': ['删除分区「{name}」？其中的产品会移到其他产品。', 'Delete the section "{name}"? Its products move to Other items.'],
+  'section.title': ['分区', 'Sections'],
+  'section.custom': ['自定义', 'Custom'],
+  'section.preset.kitchen': ['厨房', 'Kitchen'],
+  'section.preset.laundry': ['洗衣房', 'Laundry'],
+  'section.preset.waterBar': ['水吧', 'Water bar'],
+  'section.dropHint': ['拖动产品到这里', 'Drag products here'],
+  'customLine.add': ['添加自定义项目', 'Add a custom item'],
+  'customLine.edit': ['编辑自定义项目', 'Edit custom item'],
+  'customLine.hint': ['安装、改造、延保等非目录项目，只出现在本报价中，不会加入产品库。', 'Installation, alterations, extended warranty and other items outside the catalog. They appear on this quote only and are not added to the catalog.'],
+  'customLine.name': ['项目描述', 'Description'],
+  'customLine.unit': ['单位', 'Unit'],
+  'customLine.price': ['单价', 'Unit price'],
+  'customLine.freeHint': ['(按价值列出，不计入金额)', '(listed at its value, not charged)'],
+  'display.mobileFit': ['适应手机屏幕', 'Fit to phone screen'],
+  'display.retail': ['显示零售价', 'Show retail price'],
+  'display.package': ['显示套餐价', 'Show package price'],
+  'display.discount': ['显示优惠价', 'Show offer price'],
+  'price.repricedForDate': ['已按 {date} 的价格更新 {count} 项产品', 'Updated {count} items to the prices of {date}'],
+  'price.repriced': ['已按价格表更新 {count} 项产品', 'Updated {count} items to the price list'],
+  'price.repricedHint': ['手动改价的行保持不变', 'Lines with a manual price are unchanged'],
+  'price.confirmCancelChange': ['取消 {model} 于 {date} 生效的调价？', 'Cancel the price change of {model} from {date}?'],
+  'price.quoteDateHint': ['产品按该日期生效的价格表计价', 'Products are priced by the price list in effect on this date'],
+  'price.stale': ['{count} 项产品的价格与 {date} 的价格表不同 (保存报价时的价格)', '{count} items differ from the price list of {date} (prices when the quote was saved)'],
+  'price.reprice': ['按价格表更新', 'Update to price list'],
+  'price.upcomingRise': ['{model} 将于 {date} 调价至 {price}', '{model} rises to {price} on {date}'],
+  'price.upcomingDrop': ['{model} 将于 {date} 降价至 {price}', '{model} drops to {price} on {date}'],
+  'package.auto': ['满足条件自动使用套餐价', 'Use package prices when the quote qualifies'],
+  'package.minCategories': ['最少品类数', 'Minimum categories'],
+  'package.minItems': ['最少件数', 'Minimum items'],
+  'package.ignoredCategories': ['不计入品类 (逗号分隔)', 'Categories not counted (comma-separated)'],
+  'package.applied': ['已按套餐价计算，小计 {subtotal}', 'Package prices apply; subtotal {subtotal}'],
+  'package.notApplied': ['当前清单未满足套餐条件，按零售价计算', 'The list does not qualify for package prices; retail prices apply'],
+  'adjustment.percent': ['整单折扣', 'Discount'],
+  'adjustment.amount': ['立减', 'Money off'],
+  'adjustment.threshold': ['满减', 'Spend & save'],
+  'adjustment.coupon': ['优惠券', 'Coupon'],
+  'adjustment.thresholdRule': ['{label} (每满¥{every}减¥{value})', '{label} (¥{value} off every ¥{every})'],
+  'adjustment.every': ['每满', 'Every'],
+  'adjustment.off': ['减', 'off'],
+  'rounding.none': ['不取整', 'No rounding'],
+  'rounding.down-10': ['抹零到 ¥10', 'Round down to ¥10'],
+  'rounding.down-100': ['抹零到 ¥100', 'Round down to ¥100'],
+  'rounding.nearest-10': ['四舍五入到 ¥10', 'Round to the nearest ¥10'],
+  'rounding.nearest-100': ['四舍五入到 ¥100', 'Round to the nearest ¥100'],
+  'bundle.added': ['已添加套装: {name}', 'Added bundle: {name}'],
+  'bundle.addedMissing': ['产品库中缺少 {models}，已跳过', '{models} not in the catalog, skipped'],
+  'bundle.saved': ['套装已保存', 'Bundle saved'],
+  'bundle.confirmDelete': ['删除套装「{name}」？已加入报价单的产品不受影响。', 'Delete the bundle "{name}"? Products already on quotes are not affected.'],
+  'bundle.ungroup': ['解散', 'Ungroup'],
+  'bundle.ungroupHint': ['解散后按单品报价', 'Quote the products one by one'],
+  'bundle.display.package': ['合并为一行', 'One line'],
+  'bundle.display.expanded': ['展开明细', 'Itemised'],
+  'bundle.price': ['套装价', 'Bundle price'],
+  'bundle.quantityLocked': ['套装价已包含此数量，需调整请修改套装', 'The bundle price covers this quantity; change the bundle to adjust it'],
+  'bundle.removeLocked': ['套装价已包含此产品，需移除请先解散套装', 'The bundle price covers this product; ungroup the bundle to remove it'],
+  'bundle.new': ['新建套装', 'New bundle'],
+  'bundle.edit': ['编辑套装', 'Edit bundle'],
+  'bundle.namePlaceholder': ['套装名称 (如: Studioline 嵌冰 + 洗碗机 + 蒸烤箱)', 'Bundle name (e.g. Studioline fridge + dishwasher + steam oven)'],
+  'bundle.description': ['说明 (可选)', 'Description (optional)'],
+  'bundle.items': ['包含产品', 'Products'],
+  'bundle.missingModels': ['{models} 已不在产品库中，加入清单时会被跳过。请替换为在售型号。', '{models} no longer in the catalog and will be skipped. Replace them with current models.'],
+  'bundle.priceHint': ['套装价 (留空按单品价合计)', 'Bundle price (empty: sum of the products)'],
+  'bundle.display': ['报价单显示', 'On the quote'],
+  'bundle.listTotal': ['单品零售价合计 {total}', 'Retail total of the products {total}'],
+  'bundle.empty': ['还没有套装。可以把常用组合保存为套装，一键加入清单。', 'No bundles yet. Save common product sets as bundles to add them in one click.'],
+  'bundle.unnamed': ['未命名套装', 'Unnamed bundle'],
+  'bundle.missingInCatalog': ['产品库中缺少 {models}', '{models} not in the catalog'],
+  'bundle.fromCart': ['用当前清单创建', 'Create from the list'],
+  'option.created': ['已创建{name}', 'Created {name}'],
+  'option.createdHint': ['已复制当前清单，可在此基础上调整', 'The current list was copied; adjust it from here'],
+  'option.namePrompt': ['方案名称 (如: 方案 A · 高端嵌入式)', 'Option name (e.g. Option A · Premium built-in)'],
+  'option.confirmDelete': ['删除{name}？', 'Delete {name}?'],
+  'option.accepted': ['客户已选择{name}', 'Customer chose {name}'],
+  'option.acceptedHint': ['报价单将只显示该方案', 'The quote now shows only this option'],
+  'option.edit': ['编辑此方案', 'Edit this option'],
+  'option.moreThanLowest': ['比最低方案多 {amount}', '{amount} more than the lowest'],
+  'option.lowest': ['最低价方案', 'Lowest option'],
+  'option.chosen': ['客户已选择', 'Chosen by customer'],
+  'option.accept': ['确认此方案', 'Accept this option'],
+  'option.reopen': ['重新显示全部方案', 'Show all options again'],
+  'option.comparingHint': ['报价单中并列展示所有方案及对比汇总', 'The quote shows every option side by side with a comparison'],
+  'option.acceptedOnlyHint': ['报价单仅显示已选择的方案', 'The quote shows only the chosen option'],
+  'option.add': ['添加对比方案', 'Add an alternative option'],
+  'option.addHint': ['复制当前清单为方案 B，供客户对比', 'Copy the list as option B for the customer to compare'],
+  'option.switch': ['切换到此方案', 'Switch to this option'],
+  'option.delete': ['删除方案', 'Delete option'],
+  'option.copy': ['复制当前方案', 'Copy this option'],
+  'option.name': ['方案 {letter}', 'Option {letter}'],
+  'terms.snippetSaved': ['已存为常用条款: {title}', 'Saved as a common term: {title}'],
+  'terms.untitled': ['未命名', 'Untitled'],
+  'terms.librarySaved': ['常用条款已保存', 'Common terms saved'],
+  'terms.librarySavedHint': ['对之后新建的报价生效', 'Applies to quotes created from now on'],
+  'terms.days': ['{days}天', '{days} d'],
+  'terms.expired': ['报价已过期，预览和导出会带「已过期」水印', 'The quote has expired; the preview and exports carry an "Expired" watermark'],
+  'terms.blockTitle': ['标题', 'Title'],
+  'terms.saveSnippet': ['存为常用条款', 'Save as a common term'],
+  'terms.bodyHint': ['以 - 开头的行显示为要点', 'Lines starting with - show as bullet points'],
+  'terms.block': ['条款', 'Term'],
+  'terms.insertSnippet': ['插入常用条款…', 'Insert a common term…'],
+  'terms.manage': ['管理', 'Manage'],
+  'terms.library': ['常用条款', 'Common terms'],
+  'terms.libraryHint': ['新建报价时按这里的默认值填写条款；已有报价不受影响。', 'New quotes start with these terms; existing quotes are not affected.'],
+  'terms.defaultValidity': ['默认有效期 (天)', 'Default validity (days)'],
+  'terms.defaultPayment': ['默认付款方式', 'Default payment'],
+  'terms.defaultDelivery': ['默认交货周期', 'Default delivery'],
+  'terms.snippetDefault': ['新报价默认带上', 'Add to new quotes'],
+  'terms.addSnippet': ['添加条款模板', 'Add a term'],
+  'guard.currentPin': ['请输入当前授权码', 'Enter the current manager PIN'],
+  'guard.wrongPin': ['授权码错误', 'Wrong PIN'],
+  'guard.newPin': ['设置新的经理授权码 (至少4位)', 'New manager PIN (at least 4 digits)'],
+  'guard.pinTooShort': ['授权码至少4位', 'The PIN needs at least 4 digits'],
+  'guard.repeatPin': ['再次输入新的授权码', 'Enter the new PIN again'],
+  'guard.pinMismatch': ['两次输入不一致', 'The PINs do not match'],
+  'guard.pinSet': ['授权码已设置', 'PIN set'],
+  'guard.approved': ['已授权', 'Approved'],
+  'guard.belowFloor': ['{count} 项低于底价', '{count} below floor'],
+  'guard.belowFloorHint': ['低于底价，需要经理授权', 'Below the floor price; needs manager approval'],
+  'guard.defaultPercent': ['默认最低售价 (套餐价的 %)', 'Default floor price (% of package price)'],
+  'guard.changePin': ['修改经理授权码', 'Change manager PIN'],
+  'guard.setPin': ['设置经理授权码', 'Set manager PIN'],
+  'guard.approvalCount': ['本报价已授权 {count} 次低价', '{count} low prices approved on this quote'],
+  'guard.approvedBelowFloor': ['已授权低价', 'Approved below floor'],
+  'guard.floor': ['低于底价 {price}', 'Below floor {price}'],
+  'approval.title': ['低于底价，需要经理授权', 'Below the floor price: manager approval needed'],
+  'approval.hint': ['以下产品或整单优惠后的合计低于最低售价，授权后才能导出报价单。', 'These products, or the total after discounts, are below the floor price. The quote can be exported once approved.'],
+  'approval.total': ['整单优惠后合计', 'Total after discounts'],
+  'approval.floor': ['底价 {price}', 'Floor {price}'],
+  'approval.pin': ['经理授权码', 'Manager PIN'],
+  'approval.noPin': ['尚未设置经理授权码，请在设置面板的「价格保护」中设置后再授权。', 'No manager PIN is set. Set one under Price guard in the settings first.'],
+  'approval.approve': ['授权', 'Approve'],
+
+  // Saved quotes, customers and profiles
+  'quote.empty': ['报价单为空', 'The quote is empty'],
+  'quote.unchanged': ['{label} 没有修改', '{label} has no changes'],
+  'quote.saved': ['已保存 {label}', 'Saved {label}'],
+  'quote.autoSaved': ['已自动保存为 {label}', 'Saved automatically as {label}'],
+  'quote.confirmDiscard': ['当前报价尚未保存，确定要新建报价吗？', 'The current quote is not saved. Start a new quote anyway?'],
+  'quote.opened': ['已打开 {label}', 'Opened {label}'],
+  'quote.duplicated': ['已复制为 {label}', 'Copied as {label}'],
+  'quote.name': ['报价名称', 'Quote name'],
+  'quote.confirmDelete': ['确定要删除 {label} 吗？', 'Delete {label}?'],
+  'quote.deleted': ['报价已删除', 'Quote deleted'],
+  'quote.new': ['新建报价', 'New quote'],
+  'quote.itemCount': ['{count} 件产品', '{count} items'],
+  'quote.defaultName': ['{name}的报价', 'Quote for {name}'],
+  'quote.copyName': ['{name} (副本)', '{name} (copy)'],
+  'quote.search': ['搜索报价单号 / 名称 / 客户 / 顾问...', 'Search number / name / customer / salesperson...'],
+  'quote.noQuotes': ['暂无保存的报价', 'No saved quotes'],
+  'quote.current': ['当前', 'Current'],
+  'quote.updatedAt': ['更新于 {date}', 'Updated {date}'],
+  'quote.duplicate': ['复制为新报价', 'Copy as a new quote'],
+  'numbering.title': ['报价单编号', 'Quote numbers'],
+  'numbering.prefix': ['前缀', 'Prefix'],
+  'numbering.prefixHint': ['门店前缀，替换格式中的 {PREFIX}', 'Store prefix, replaces {PREFIX} in the pattern'],
+  'numbering.patternHint': ['{PREFIX} 前缀 · {YYYY}{YY}{MM}{DD} 日期 · {SEQ:3} 三位序号', '{PREFIX} prefix · {YYYY}{YY}{MM}{DD} date · {SEQ:3} three-digit number'],
+  'numbering.next': ['下一个编号', 'Next number'],
+  'numbering.seq': ['序号', 'Sequence'],
+  'customer.saved': ['已保存客户 {name}', 'Saved customer {name}'],
+  'customer.confirmDelete': ['确定要删除客户 {name} 吗？已保存的报价不受影响。', 'Delete the customer {name}? Saved quotes are not affected.'],
+  'customer.deleted': ['客户已删除', 'Customer deleted'],
+  'customer.confirmMerge': ['将 {names} 合并为一位客户？', 'Merge {names} into one customer?'],
+  'customer.merged': ['已合并为 {name}', 'Merged into {name}'],
+  'customer.mobileInvalid': ['手机号应为 11 位，以 13-19 开头', 'Mobile numbers have 11 digits and start with 13-19'],
+  'customer.phoneInvalid': ['请填写 11 位手机号，或带区号的座机号', 'Enter an 11-digit mobile number or a landline with area code'],
+  'customer.linked': ['客户档案：{name}', 'Customer record: {name}'],
+  'customer.unlink': ['解除关联', 'Unlink'],
+  'customer.duplicate': ['档案中已有 {name} {phone}', '{name} {phone} is already in the directory'],
+  'customer.link': ['关联该客户', 'Link this customer'],
+  'customer.community': ['楼盘 / 小区', 'Development / community'],
+  'customer.autoSave': ['保存报价时自动存入客户档案', 'Saving the quote adds the customer to the directory'],
+  'customer.directory': ['客户档案', 'Customers'],
+  'customer.new': ['新建客户', 'New customer'],
+  'customer.edit': ['编辑客户', 'Edit customer'],
+  'customer.possibleDuplicate': ['可能与已有客户重复：{names}', 'May already be in the directory: {names}'],
+  'customer.stageUnset': ['装修阶段 (未填写)', 'Renovation stage (not set)'],
+  'customer.notes': ['备注 (如: 偏好嵌入式、预算、下次回访时间)', 'Notes (e.g. prefers built-in, budget, next follow-up)'],
+  'customer.createdAt': ['建档于 {date}', 'Added {date}'],
+  'customer.quotes': ['报价 ({count})', 'Quotes ({count})'],
+  'customer.noQuotes': ['还没有给这位客户的报价', 'No quotes for this customer yet'],
+  'customer.search': ['搜索姓名 / 电话 / 楼盘...', 'Search name / phone / community...'],
+  'customer.duplicateGroup': ['疑似重复客户：{names}', 'Possible duplicates: {names}'],
+  'customer.merge': ['合并', 'Merge'],
+  'customer.emptyDirectory': ['保存报价时会自动建立客户档案', 'Customers are added when a quote is saved'],
+  'customer.noMatch': ['没有匹配的客户', 'No matching customers'],
+  'customer.quoteCount': ['{count} 份报价', '{count} quotes'],
+  'store.newName': ['新门店', 'New store'],
+  'store.confirmDelete': ['确定要删除门店 {name} 吗？', 'Delete the store {name}?'],
+  'store.add': ['新增门店', 'Add store'],
+  'store.delete': ['删除此门店', 'Delete this store'],
+  'store.name': ['门店名称', 'Store name'],
+  'store.address': ['地址', 'Address'],
+  'store.logo': ['门店 Logo', 'Store logo'],
+  'store.defaultStyle': ['默认样式：{name}', 'Default style: {name}'],
+  'store.useCurrentStyle': ['设为当前样式', 'Use current style'],
+  'store.channels': ['本店销售渠道 (不选则不限制)', 'Sales channels of this store (none: no limit)'],
+  'store.channelModeBadge': ['非本渠道产品：标记提示', 'Other channels: mark the products'],
+  'store.channelModeHide': ['非本渠道产品：在选购页隐藏', 'Other channels: hide on the shop page'],
+  'salesperson.newName': ['新顾问', 'New salesperson'],
+  'salesperson.confirmDelete': ['确定要删除销售顾问 {name} 吗？', 'Delete the salesperson {name}?'],
+  'salesperson.add': ['新增销售顾问', 'Add salesperson'],
+  'salesperson.delete': ['删除此顾问', 'Delete this salesperson'],
+  'salesperson.name': ['联系人', 'Contact'],
+  'salesperson.phone': ['电话', 'Phone'],
+  'salesperson.replaceQr': ['更换', 'Replace'],
+  'salesperson.uploadQr': ['上传微信二维码', 'Upload WeChat QR code'],
+  'profile.unnamed': ['未命名', 'Unnamed'],
+  'profile.unnamedStore': ['未命名门店', 'Unnamed store'],
+  'profile.switch': ['切换门店 / 销售顾问', 'Switch store / salesperson'],
+  'profile.stores': ['门店', 'Stores'],
+  'profile.salespeople': ['销售顾问', 'Salespeople'],
+
+  // Templates
+  'template.saved': ['模板已保存: {name}', 'Template saved: {name}'],
+  'template.duplicated': ['已复制为 {name}', 'Copied as {name}'],
+  'template.confirmDelete': ['确定要删除模板 {name} 吗？', 'Delete the template {name}?'],
+  'template.invalidFile': ['不是报价模板文件', 'Not a quote template file'],
+  'template.imported': ['已导入模板: {name}', 'Imported template: {name}'],
+  'template.copyName': ['{name} 副本', '{name} copy'],
+  'template.myTemplate': ['我的模板', 'My template'],
+  'template.importedName': ['导入的模板', 'Imported template'],
+  'template.import': ['导入', 'Import'],
+  'template.importHint': ['导入模板文件', 'Import a template file'],
+  'template.design': ['设计当前模板', 'Design this template'],
+  'template.new': ['新建模板', 'New template'],
+  'template.preset.classic': ['经典表格', 'Classic table'],
+  'template.preset.modern': ['现代简约', 'Modern'],
+  'template.preset.minimal': ['高端留白', 'Minimal'],
+  'template.preset.noir': ['黑金奢华', 'Black & gold'],
+  'designer.builtInHint': ['内置模板，保存时另存为副本', 'Built-in template; saving stores a copy'],
+  'designer.duplicate': ['复制为新模板', 'Copy as a new template'],
+  'designer.export': ['导出模板文件', 'Export the template file'],
+  'designer.delete': ['删除模板', 'Delete template'],
+  'designer.brand': ['品牌', 'Brand'],
+  'designer.brandText': ['品牌文字', 'Brand text'],
+  'designer.tagline': ['标语', 'Tagline'],
+  'designer.logo': ['品牌 Logo', 'Brand logo'],
+  'designer.header': ['页眉', 'Header'],
+  'designer.layout': ['布局', 'Layout'],
+  'designer.layout.split': ['品牌居左，标题居右', 'Brand left, title right'],
+  'designer.layout.centered': ['居中', 'Centred'],
+  'designer.title': ['标题', 'Title'],
+  'designer.subtitle': ['副标题', 'Subtitle'],
+  'designer.titleEn': ['英文标题 (英文报价单使用，留空沿用标题)', 'English title (for English quotes; empty uses the title)'],
+  'designer.rule': ['页眉分隔线', 'Header rule'],
+  'designer.infoCard': ['信息卡片', 'Info cards'],
+  'designer.font': ['字体', 'Font'],
+  'designer.font.sans': ['黑体', 'Sans serif'],
+  'designer.font.serif': ['宋体', 'Serif'],
+  'designer.font.kai': ['楷体', 'Kai (brush)'],
+  'designer.fontHint': ['矢量 PDF 统一使用黑体。', 'The vector PDF always uses a sans serif font.'],
+  'designer.colors': ['配色', 'Colours'],
+  'designer.color.background': ['背景', 'Background'],
+  'designer.color.text': ['正文', 'Text'],
+  'designer.color.strong': ['强调文字', 'Emphasis'],
+  'designer.color.sub': ['次要文字', 'Secondary text'],
+  'designer.color.line': ['线条', 'Lines'],
+  'designer.color.accent': ['价格 / 点缀', 'Prices / accents'],
+  'designer.color.headFill': ['表头色块', 'Table head fill'],
+  'designer.color.headText': ['表头文字', 'Table head text'],
+  'designer.color.stripe': ['斑马纹', 'Stripes'],
+  'designer.color.infoFill': ['信息卡片', 'Info cards'],
+  'designer.color.barFill': ['底栏', 'Bottom bar'],
+  'designer.color.barText': ['底栏文字', 'Bottom bar text'],
+  'designer.theme': ['主题', 'Theme'],
+  'designer.themeHint': ['跟随报价的主题配色', 'Follow the quote\'s theme colour'],
+  'designer.table': ['表格', 'Table'],
+  'designer.headStyle': ['表头', 'Head'],
+  'designer.headStyle.rule': ['粗线', 'Heavy rule'],
+  'designer.headStyle.filled': ['色块', 'Filled'],
+  'designer.headStyle.light': ['细线', 'Light rule'],
+  'designer.rowStyle': ['行样式', 'Rows'],
+  'designer.rowStyle.lines': ['分隔线', 'Lines'],
+  'designer.rowStyle.striped': ['斑马纹', 'Striped'],
+  'designer.rowStyle.plain': ['无线', 'Plain'],
+  'designer.columnLabel': ['表头名称，留空使用默认', 'Column header; empty uses the default'],
+  'designer.columnWidth': ['列宽（约 {percent}%）', 'Column width (about {percent}%)'],
+  'designer.productField': ['产品参数', 'Product field'],
+  'designer.columnsHint': ['表头留空使用默认名称；列宽为相对比例。价格列还受报价的显示设置控制。', 'Empty headers use the default names; widths are relative. Price columns also follow the quote\'s display settings.'],
+  'designer.footer': ['页脚', 'Footer'],
+  'designer.qr': ['顾问二维码', 'Salesperson QR code'],
+  'designer.bar': ['底栏', 'Bottom bar'],
+  'designer.barText': ['底栏文字', 'Bottom bar text'],
+  'designer.saveCopy': ['另存为我的模板', 'Save as my template'],
+
+  // Files, exports and data
+  'file.quote': ['报价', 'Quote'],
+  'file.longQuote': ['报价长图', 'Quote_long'],
+  'file.comparison': ['产品对比', 'Comparison'],
+  'file.catalog': ['产品目录', 'Catalog'],
+  'file.template': ['报价模板', 'Quote_template'],
+  'export.imageProgress': ['正在生成图片...', 'Creating the image...'],
+  'export.imageDone': ['图片导出成功', 'Image exported'],
+  'export.failed': ['导出失败', 'Export failed'],
+  'export.failedWithReason': ['导出失败：{reason}', 'Export failed: {reason}'],
+  'export.excelDone': ['Excel 导出成功', 'Excel file exported'],
+  'export.shareProgress': ['正在生成分享文件...', 'Creating the share file...'],
+  'export.shareDone': ['分享文件已导出，可直接发送给客户', 'Share file exported; send it to the customer as is'],
+  'export.noProducts': ['没有可导出的产品', 'No products to export'],
+  'export.catalogDone': ['已导出 {count} 个产品', 'Exported {count} products'],
+  'export.longPdfProgress': ['正在生成长图 PDF...', 'Creating the long PDF...'],
+  'export.longPdfDone': ['长图 PDF 导出成功', 'Long PDF exported'],
+  'export.pdfProgress': ['正在生成 PDF...', 'Creating the PDF...'],
+  'export.pdfDone': ['PDF导出成功', 'PDF exported'],
+  'export.pdfFailed': ['PDF生成失败', 'PDF could not be created'],
+  'export.fontMissing': ['未找到中文字体 /fonts/simhei.ttf，改用图片方式导出', 'Chinese font /fonts/simhei.ttf not found; exporting as images instead'],
+  'export.vectorFailed': ['矢量 PDF 生成失败，改用图片方式导出', 'Vector PDF failed; exporting as images instead'],
+  'export.preparing': ['正在准备导出...', 'Preparing the export...'],
+  'data.exported': ['数据已导出', 'Data exported'],
+  'data.restored': ['数据已恢复', 'Data restored'],
+  'data.invalidFile': ['文件格式错误', 'Invalid file'],
+  'data.priceListImported': ['价格表已导入：新增 {added}，变更 {changed}，删除 {removed}', 'Price list imported: {added} added, {changed} changed, {removed} removed'],
+  'data.priceListEffective': ['价格将于 {date} 生效', 'Prices take effect on {date}'],
+  'data.dimensionsUpdated': ['已更新 {count} 个产品的尺寸', 'Dimensions updated for {count} products'],
+  'data.channelsUpdated': ['已更新 {count} 个产品的渠道', 'Channels updated for {count} products'],
+  'data.confirmReset': ['确定要重置所有产品数据吗？您的自定义产品将会丢失，并恢复为最新的官方数据（包含最新图片）。', 'Reset all product data? Your own products will be lost and the latest official data (with the latest images) restored.'],
+  'data.resetDone': ['已恢复官方数据', 'Official data restored'],
+  'data.backup': ['备份数据', 'Back up data'],
+  'data.restore': ['恢复数据', 'Restore data'],
+  'data.importPriceList': ['导入价格表', 'Import price list'],
+  'data.exportCatalog': ['导出产品目录', 'Export catalog'],
+  'data.dimensionReport': ['尺寸数据检查', 'Check dimensions'],
+  'data.channelReport': ['渠道数据检查', 'Check channels'],
+  'data.priceHistory': ['调价记录', 'Price changes'],
+  'data.pendingChanges': ['{count} 项待生效', '{count} pending'],
+  'data.reset': ['重置为官方默认', 'Reset to official data'],
+};
+
+const CATEGORY_NAMES_EN = {
+  冰箱: 'Refrigerator',
+  嵌入式咖啡机: 'Built-in coffee machine',
+  嵌饮机: 'Built-in water dispenser',
+  干衣机: 'Dryer',
+  洗干一体机: 'Washer dryer',
+  洗碗机: 'Dishwasher',
+  洗衣机: 'Washing machine',
+  烟机灶具: 'Hood & hob',
+  蒸烤箱: 'Steam oven',
+  酒柜: 'Wine cooler',
+  门板: 'Door panel',
+  其他: 'Other',
+};
+
+// Renovation stages of the customer directory (utils/customers), stored in Chinese
+const STAGE_NAMES_EN = {
+  设计规划: 'Design',
+  水电改造: 'Plumbing & wiring',
+  橱柜测量: 'Cabinet measuring',
+  橱柜安装: 'Cabinet fitting',
+  软装入住: 'Furnishing',
+  已入住: 'Moved in',
+};
+
+const fill = (text, params) => text.replace(/\{(\w+)\}/g, (match, name) => (params && name in params ? params[name] : match));
+
+// t(key, params) for a language: 'zh' | 'en' | 'bilingual'. Unknown keys come back as is.
+export const createTranslator = (language) => (key, params) => {
+  const message = MESSAGES[key];
+  if (!message) return key;
+  const [zh, en] = message.map(text => fill(text, params));
+  if (language === 'en') return en;
+  if (language === 'bilingual' && en !== zh) {
+    // A value both languages lead with is shown once: "3 件 pcs", "厨房小计 subtotal"
+    const lead = message[0].match(/^\{\w+\}/)?.[0];
+    return `${zh} ${lead && message[1].startsWith(lead) ? fill(message[1].slice(lead.length), params).trim() : en}`;
+  }
+  return zh;
+};
+
+// A text with an optional English version, as the lines the document shows
+const localize = (zh, en, language) => {
+  if (language === 'en') return [en || zh || ''];
+  if (language === 'bilingual') return [zh, en].filter(Boolean);
+  return [zh || ''];
+};
+
+// Name and features of a quote line in the document language, one entry per language
+export const localizeProduct = (item, language) => ({
+  name: localize(item.name, item.name_en, language),
+  features: localize(item.features, item.features_en, language),
+});
+
+export const localizeCategory = (category, language) => localize(category, CATEGORY_NAMES_EN[category], language).join(' ');
+
+export const localizeStage = (stage, language) => localize(stage, STAGE_NAMES_EN[stage], language).join(' ');
+
+// Translatable product fields left empty: ['name_en', 'features_en']
+export const findMissingTranslations = (product) => [
+  !product.name_en?.trim() && 'name_en',
+  product.features?.trim() && !product.features_en?.trim() && 'features_en',
+].filter(Boolean);
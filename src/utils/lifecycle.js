@@ -0,0 +1,164 @@
+import { createTranslator } from './i18n';
+
+// --- Product Lifecycle & Sales Channels ---
+// products.json carries Siemens' free-text channel column ("BFS+TM FSS",
+// "SN OFF+WX+ER others\n+RKA exclusive+BFS", "全渠道", "nan", and notes such as
+// "2025/9/1渠道切换至SN"). parseChannel turns it into channel codes; a product
+// may also carry a reviewed `channels` array, which takes precedence over the
+// raw text. effective_from / discontinued_after bound when a model may be quoted.
+
+export const ALL_CHANNELS = '全渠道';
+
+// Channel codes as they appear in the price lists, in display order.
+// Latin codes are compared without spaces and case, so "TM FSS" is TMFSS.
+export const KNOWN_CHANNELS = [
+  '品牌店', '区域', '连锁', '官旗', 'PB',
+  'BFS', 'QBFS', 'eBFS', 'HDC', 'FSS', 'CFS',
+  'TMFSS', 'JDFSS', 'SNFSS', 'TMCFS', 'JDCFS', 'SNCFS', 'JDB2B', 'JDB2BHD',
+  'SN', 'SNOFF', 'SNOL', 'WX', 'GM', 'OD',
+  'RKA', 'RKAEXCLUSIVE', 'RE', 'RE-CUSTOMIZED', 'EROTHERS', 'ERR',
+  'KFM', 'KFML', 'KFMM', 'CCLUB', 'DCLUB', 'LCLUB',
+];
+
+const ALIASES = {
+  ALL: ALL_CHANNELS,
+  'JDB2B HD': 'JDB2BHD',
+};
+
+const BLANK_VALUES = new Set(['', 'nan', 'null', '/', '-', '无']);
+
+// How many days after launch a model still shows the 新品 badge
+export const NEW_PRODUCT_DAYS = 180;
+
+const normalizeToken = (token) => {
+  const text = token.trim();
+  if (!text) return null;
+  if (ALIASES[text.toUpperCase()]) return ALIASES[text.toUpperCase()];
+  if (!/^[\x20-\x7e]+$/.test(text)) return text;
+  const code = text.replace(/\s+/g, '').toUpperCase();
+  return code === 'EBFS' ? 'eBFS' : code;
+};
+
+const splitTokens = (text) => text.split(/[+\n]/).flatMap(token => {
+  // "C/D/L club" is shorthand for three clubs
+  const clubs = token.trim().match(/^([A-Z](?:\/[A-Z])+)\s*club$/i);
+  if (clubs) return clubs[1].split('/').map(letter => `${letter}CLUB`.toUpperCase());
+  const code = normalizeToken(token);
+  return code ? [code] : [];
+});
+
+// Handles "2022-11-01 00:00:00", "2024年9月", "2024年9月1日" and "2025.8.1"
+export const parseLaunchDate = (value) => {
+  const match = String(value ?? '').match(/(\d{4})\D+(\d{1,2})(?:\D+(\d{1,2}))?/);
+  if (!match) return null;
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3] || 1));
+};
+
+const toDate = (year, month, day) => new Date(Number(year), Number(month) - 1, Number(day));
+
+// { codes, all, ok, notes } — `codes` are the channels that apply on `today`;
+// notes explain anything that needed a judgement call and should be reviewed.
+export const parseChannel = (raw, today = new Date(), t = createTranslator('zh')) => {
+  let text = String(raw ?? '').trim();
+  if (BLANK_VALUES.has(text.toLowerCase())) return { codes: [], all: false, ok: false, notes: [t('channel.missing')] };
+  const notes = [];
+
+  // "2025/9/1渠道切换至SN": the switch date decides which side applies
+  const switchTo = text.match(/^(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})\s*渠道(?:切换|变更)[至为](.+)$/);
+  if (switchTo) {
+    const [, year, month, day, target] = switchTo;
+    const date = toDate(year, month, day);
+    const label = toDateInput(date);
+    notes.push(t(date <= today ? 'channel.switched' : 'channel.switchPending', { date: label }));
+    const switched = date <= today;
+    return switched ? { codes: splitTokens(target), all: false, ok: false, notes } : { codes: [], all: false, ok: false, notes };
+  }
+
+  // "7.31之前（ERR+BFS）\n7.31之后（SN+WX++ERR+BFS）": no year, the later list is current
+  const beforeAfter = text.match(/之后[（(]([^）)]+)[）)]/);
+  if (beforeAfter && /之前/.test(text)) {
+    notes.push(t('channel.beforeAfter'));
+    text = beforeAfter[1];
+  }
+
+  // Remarks in brackets: "（渠道9.1变更为CFS)", "(include SN FSS)"
+  text = text.replace(/[（(]([^）)]*)[）)]?/g, (match, remark) => {
+    notes.push(t('channel.remark', { remark: remark.trim() }));
+    return '';
+  });
+
+  const codes = [...new Set(splitTokens(text))];
+  const all = codes.includes(ALL_CHANNELS);
+  const unknown = codes.filter(code => code !== ALL_CHANNELS && !KNOWN_CHANNELS.includes(code));
+  if (unknown.length > 0) notes.push(t('channel.unknown', { codes: unknown.join(', ') }));
+  return { codes: all ? [] : codes, all, ok: notes.length === 0, notes };
+};
+
+// Reviewed channels win over the raw column
+export const getProductChannels = (product, today = new Date()) => {
+  if (Array.isArray(product.channels)) {
+    const all = product.channels.includes(ALL_CHANNELS);
+    return { codes: all ? [] : product.channels, all, ok: true, notes: [] };
+  }
+  return parseChannel(product.channel, today);
+};
+
+export const formatChannels = ({ codes, all }) => (all ? ALL_CHANNELS : codes.join('+'));
+
+// 'yes' | 'no' | 'unknown' for a dealer selling through `dealerChannels`.
+// A dealer without channels set sees everything.
+export const checkChannel = (product, dealerChannels = [], today = new Date()) => {
+  if (dealerChannels.length === 0) return 'yes';
+  const { codes, all } = getProductChannels(product, today);
+  if (all) return 'yes';
+  if (codes.length === 0) return 'unknown';
+  return codes.some(code => dealerChannels.includes(code)) ? 'yes' : 'no';
+};
+
+// Products whose channel text needs review, with the codes it would be saved as
+export const findChannelIssues = (products, today = new Date(), t = createTranslator('zh')) => {
+  return products.flatMap(product => {
+    if (Array.isArray(product.channels)) return [];
+    const parsed = parseChannel(product.channel, today, t);
+    if (parsed.ok) return [];
+    return [{ product, notes: parsed.notes, suggestion: parsed.all ? [ALL_CHANNELS] : parsed.codes }];
+  });
+};
+
+// --- Lifecycle ---
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// 'upcoming' before effective_from, 'discontinued' after discontinued_after, else 'active'
+export const getLifecycleStatus = (product, today = new Date()) => {
+  const day = startOfDay(today);
+  const from = parseLaunchDate(product.effective_from);
+  const until = parseLaunchDate(product.discontinued_after);
+  if (from && from > day) return 'upcoming';
+  if (until && until < day) return 'discontinued';
+  return 'active';
+};
+
+// Launched (or made effective) within the last NEW_PRODUCT_DAYS
+export const isNewProduct = (product, today = new Date()) => {
+  const launched = parseLaunchDate(product.effective_from) || parseLaunchDate(product.launch_date);
+  if (!launched) return false;
+  const age = (startOfDay(today) - launched) / 86400000;
+  return age >= 0 && age <= NEW_PRODUCT_DAYS;
+};
+
+// YYYY-MM-DD for <input type="date">, from any date format the catalog uses
+export const toDateInput = (value) => {
+  const date = value instanceof Date ? value : parseLaunchDate(value);
+  if (!date) return '';
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+// Why a product should not normally be quoted here, or '' when it can be
+export const describeAvailability = (product, dealerChannels = [], today = new Date(), t = createTranslator('zh')) => {
+  const status = getLifecycleStatus(product, today);
+  if (status === 'discontinued') return t('availability.discontinued', { date: toDateInput(product.discontinued_after) });
+  if (status === 'upcoming') return t('availability.upcoming', { date: toDateInput(product.effective_from) });
+  if (checkChannel(product, dealerChannels, today) === 'no') return t('availability.otherChannel', { channels: formatChannels(getProductChannels(product, today)) });
+  return '';
+};
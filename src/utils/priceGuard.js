@@ -0,0 +1,91 @@
+import { getLinePrice, sumLines } from './pricing';
+import { isCustomLine } from './customLines';
+
+// --- Price Floor Guard ---
+// Each line has a minimum price: the product's explicit `price_floor`, or a
+// percentage of its price_package (per category, else the default). Lines
+// priced below the floor need a manager PIN before the quote can be exported.
+// A bundle with its own price is checked as a whole: its price against the
+// floors of its lines times their quantities.
+// Quote-level discounts and rounding can take the total below the floors even
+// when every line is above its own, so the discounted total of the catalog
+// lines is also checked against the sum of their floors (itemId QUOTE_TOTAL_ID).
+// In a quote with options (方案 A / B) every option is checked; options share
+// line ids, so violations and approvals also carry the option id (null without options).
+
+export const QUOTE_TOTAL_ID = 'total';
+
+export const DEFAULT_FLOOR_RULES = {
+  defaultPercent: 85, // % of price_package
+  categoryPercent: {}, // e.g. { 冰箱: 90 }
+  pinHash: null,
+};
+
+// Lightweight FNV-1a hash so the PIN isn't kept as plain text in localStorage.
+// This is a deterrent for the sales floor, not real access control.
+export const hashPin = (pin) => {
+  let hash = 0x811c9dc5;
+  for (const ch of String(pin)) {
+    hash ^= ch.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16);
+};
+
+export const verifyPin = (pin, rules) => Boolean(rules?.pinHash) && hashPin(pin) === rules.pinHash;
+
+export const getFloorPrice = (item, rules = DEFAULT_FLOOR_RULES) => {
+  if (Number(item.price_floor) > 0) return Number(item.price_floor);
+  const percent = rules.categoryPercent?.[item.category] ?? rules.defaultPercent;
+  const base = Number(item.price_package) > 0 ? Number(item.price_package) : Number(item.price_retail) || 0;
+  return Math.round(base * (Number(percent) || 0) / 100);
+};
+
+const isApproved = (optionId, itemId, price, approvals) =>
+  approvals.some(a => (a.optionId ?? null) === optionId && a.itemId === itemId && a.price === price);
+
+const checkBundle = (bundle, members, rules, approvals, option) => {
+  const floor = members.reduce((sum, item) => sum + getFloorPrice(item, rules) * item.quantity, 0);
+  if (bundle.price >= floor) return [];
+  return [{ ...option, itemId: bundle.id, model: members.map(m => m.model).join(' + '), name: bundle.name, price: bundle.price, floor, approved: isApproved(option.optionId, bundle.id, bundle.price, approvals) }];
+};
+
+// The grand total after discounts, less the custom lines (they have no floor),
+// when the discounts take it below the summed floors of the catalog lines
+const checkTotal = (cart, pricing, rules, approvals, option) => {
+  if (pricing.grandTotal >= pricing.subtotal) return [];
+  const lines = cart.filter(item => !isCustomLine(item));
+  const floor = lines.reduce((sum, item) => sum + getFloorPrice(item, rules) * item.quantity, 0);
+  const price = Math.max(0, pricing.grandTotal - sumLines(cart.filter(isCustomLine), pricing.isPackage));
+  if (price >= floor) return [];
+  return [{ ...option, itemId: QUOTE_TOTAL_ID, isTotal: true, model: '', name: '', price, floor, approved: isApproved(option.optionId, QUOTE_TOTAL_ID, price, approvals) }];
+};
+
+// Lines currently priced below their floor, with approval status
+// (itemId is the bundle instance id for a priced bundle, QUOTE_TOTAL_ID for the
+// discounted total); `pricing` is buildQuoteTotals of the cart and
+// `proposalOption` the option the cart belongs to
+export const findFloorViolations = (cart, pricing, rules, approvals = [], proposalOption = null) => {
+  const option = { optionId: proposalOption?.id ?? null, optionName: proposalOption?.name ?? '' };
+  const usePackage = pricing.isPackage;
+  const checkedBundles = new Set();
+  const lineViolations = cart.flatMap(item => {
+    // Custom lines have no floor
+    if (isCustomLine(item)) return [];
+    if (item.bundle?.price > 0) {
+      if (checkedBundles.has(item.bundle.id)) return [];
+      checkedBundles.add(item.bundle.id);
+      return checkBundle(item.bundle, cart.filter(i => i.bundle?.id === item.bundle.id), rules, approvals, option);
+    }
+    const price = getLinePrice(item, usePackage);
+    const floor = getFloorPrice(item, rules);
+    if (price >= floor) return [];
+    return [{ ...option, itemId: item.id, model: item.model, name: item.name, price, floor, approved: isApproved(option.optionId, item.id, price, approvals) }];
+  });
+  return [...lineViolations, ...checkTotal(cart, pricing, rules, approvals, option)];
+};
+
+export const createApprovalRecords = (violations) => {
+  const approvedAt = new Date().toISOString();
+  return violations.map(({ optionId, itemId, model, price, floor }) => ({ optionId, itemId, model, price, floor, approvedAt }));
+};
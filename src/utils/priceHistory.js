@@ -0,0 +1,109 @@
+import { isCustomLine } from './customLines';
+import { toDateInput } from './lifecycle';
+
+// --- Price History & Scheduled Changes ---
+// price_retail / price_package on a product are always the prices in force
+// today. Every change is also kept in product.priceHistory, sorted by date:
+//   { effectiveFrom: 'YYYY-MM-DD' | null, price_retail, price_package, source, recordedAt }
+// A null effectiveFrom is the price the product had before any recorded change.
+// Entries dated in the future are announced adjustments; applyDuePrices moves
+// them onto the product once their date arrives.
+
+export const toDateKey = (date = new Date()) => toDateInput(date);
+
+const pickPrices = (source) => ({
+  price_retail: Number(source.price_retail) || 0,
+  price_package: Number(source.price_package) || 0,
+});
+
+const samePrices = (a, b) => a.price_retail === b.price_retail && a.price_package === b.price_package;
+
+const sortHistory = (history) => [...history].sort((a, b) => (a.effectiveFrom || '').localeCompare(b.effectiveFrom || ''));
+
+const withBaseline = (product) => (product.priceHistory?.length
+  ? product.priceHistory
+  : [{ effectiveFrom: null, ...pickPrices(product), source: '初始价格', recordedAt: null }]);
+
+// Prices in force on a date (YYYY-MM-DD)
+export const getPriceOn = (product, dateKey) => {
+  const history = product.priceHistory;
+  if (!history?.length) return pickPrices(product);
+  const entry = [...history].reverse().find(e => !e.effectiveFrom || e.effectiveFrom <= dateKey) || history[0];
+  return pickPrices(entry);
+};
+
+// Record a price change (today or scheduled); an entry on the same date is replaced
+export const addPriceEntry = (product, { effectiveFrom, price_retail, price_package, source }, today = toDateKey()) => {
+  const history = withBaseline(product).filter(e => e.effectiveFrom !== effectiveFrom);
+  const entry = { effectiveFrom, ...pickPrices({ price_retail, price_package }), source, recordedAt: new Date().toISOString() };
+  const next = { ...product, priceHistory: sortHistory([...history, entry]) };
+  return { ...next, ...getPriceOn(next, today) };
+};
+
+export const removePriceEntry = (product, effectiveFrom, today = toDateKey()) => {
+  const next = { ...product, priceHistory: (product.priceHistory || []).filter(e => e.effectiveFrom !== effectiveFrom) };
+  return { ...next, ...getPriceOn(next, today) };
+};
+
+// Editing the price fields directly records a change effective today
+export const recordEditedPrices = (stored, edited, today = toDateKey()) => {
+  const prices = pickPrices(edited);
+  if (samePrices(prices, pickPrices(stored))) return edited;
+  return addPriceEntry({ ...edited, ...pickPrices(stored) }, { effectiveFrom: today, ...prices, source: '手动修改' }, today);
+};
+
+// Bring the catalog's current prices up to date; returns the same array when nothing is due
+export const applyDuePrices = (products, today = toDateKey()) => {
+  let changed = false;
+  const next = products.map(product => {
+    if (!product.priceHistory?.length) return product;
+    const due = getPriceOn(product, today);
+    if (samePrices(due, pickPrices(product))) return product;
+    changed = true;
+    return { ...product, ...due };
+  });
+  return changed ? next : products;
+};
+
+// Every recorded change with the prices it replaced, newest first
+export const listPriceChanges = (products, today = toDateKey()) => {
+  return products.flatMap(product => (product.priceHistory || []).flatMap((entry, index, history) => {
+    if (!entry.effectiveFrom || index === 0) return [];
+    const previous = pickPrices(history[index - 1]);
+    return [{
+      product,
+      entry,
+      previous,
+      status: entry.effectiveFrom > today ? 'upcoming' : 'past',
+      retailChange: entry.price_retail - previous.price_retail,
+    }];
+  })).sort((a, b) => b.entry.effectiveFrom.localeCompare(a.entry.effectiveFrom));
+};
+
+// A catalog product as a quote line: prices of the quote date, without the history itself
+export const toQuoteLine = (product, dateKey) => {
+  const line = { ...product, ...getPriceOn(product, dateKey) };
+  delete line.priceHistory;
+  return line;
+};
+
+const findProduct = (line, products) => products.find(p => p.id === (line.productId || line.id));
+
+// Catalog lines whose list prices differ from the price list on the quote date
+export const findStalePrices = (cart, products, dateKey) => {
+  return cart.filter(line => {
+    if (isCustomLine(line)) return false;
+    const product = findProduct(line, products);
+    return product && !samePrices(pickPrices(line), getPriceOn(product, dateKey));
+  });
+};
+
+// List prices of the quote date; negotiated prices (overridePrice) are kept
+export const repriceCart = (cart, products, dateKey) => {
+  const stale = new Set(findStalePrices(cart, products, dateKey).map(line => line.id));
+  if (stale.size === 0) return { cart, changed: 0 };
+  return {
+    cart: cart.map(line => (stale.has(line.id) ? { ...line, ...getPriceOn(findProduct(line, products), dateKey) } : line)),
+    changed: stale.size,
+  };
+};
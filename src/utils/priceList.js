@@ -0,0 +1,164 @@
+import * as XLSX from 'xlsx';
+import { toDateKey, getPriceOn, addPriceEntry } from './priceHistory';
+
+// --- Price List Import ---
+// Reads a Siemens price list (.xlsx / .xls / .csv), maps its columns onto our
+// product fields and diffs it against products_db by model number.
+
+export const PRODUCT_FIELDS = [
+  { key: 'model', label: '型号', required: true, aliases: ['型号', 'model', '产品型号', 'sku'] },
+  { key: 'name', label: '名称', aliases: ['名称', '产品名称', 'name', '品名', '系列'] },
+  { key: 'category', label: '分类', aliases: ['分类', '品类', 'category', '类别'] },
+  { key: 'price_retail', label: '零售价', numeric: true, aliases: ['零售价', '建议零售价', 'retail', 'price_retail', '市场价'] },
+  { key: 'price_package', label: '套餐价', numeric: true, aliases: ['套餐价', '套购价', 'package', 'price_package'] },
+  { key: 'features', label: '功能特性', aliases: ['功能', '功能特性', '卖点', 'features'] },
+  { key: 'name_en', label: '英文名称', aliases: ['英文名称', '英文名', 'name_en', 'englishname'] },
+  { key: 'features_en', label: '英文功能特性', aliases: ['英文功能特性', '英文功能', '英文卖点', 'features_en'] },
+  { key: 'material', label: '材质', aliases: ['材质', '面板', 'material'] },
+  { key: 'color', label: '颜色', aliases: ['颜色', 'color', 'colour'] },
+  { key: 'capacity', label: '容量', aliases: ['容量', '总容积', 'capacity'] },
+  { key: 'freezer_cap', label: '冷冻容量', aliases: ['冷冻', '冷冻容积', 'freezer_cap'] },
+  { key: 'energy_eff', label: '能效', aliases: ['能效', '能效等级', 'energy_eff'] },
+  { key: 'dimensions', label: '尺寸', aliases: ['尺寸', '产品尺寸', 'dimensions', '外形尺寸'] },
+  { key: 'origin', label: '产地', aliases: ['产地', 'origin', '原产地'] },
+  { key: 'channel', label: '渠道', aliases: ['渠道', 'channel', '销售渠道'] },
+  { key: 'launch_date', label: '上市时间', date: true, aliases: ['上市时间', '上市日期', 'launch_date', '上市'] },
+  { key: 'effective_from', label: '开始销售', date: true, aliases: ['开始销售', '生效日期', '起售日期', 'effective_from'] },
+  { key: 'discontinued_after', label: '停售日期', date: true, aliases: ['停售日期', '停产日期', '退市日期', 'discontinued_after'] },
+];
+
+const normalizeHeader = (header) => String(header ?? '').replace(/\s+/g, '').toLowerCase();
+
+// CSVs exported by Excel on Chinese Windows are GBK, others UTF-8
+const decodeCsv = (buffer) => {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer).replace(/^\uFEFF/, '');
+  } catch {
+    return new TextDecoder('gbk').decode(buffer);
+  }
+};
+
+// First sheet as a header row plus data rows (arrays of cell values)
+export const readSpreadsheet = async (file) => {
+  const buffer = await file.arrayBuffer();
+  const workbook = /\.csv$/i.test(file.name)
+    ? XLSX.read(decodeCsv(buffer), { type: 'string', cellDates: true })
+    : XLSX.read(buffer, { type: 'array', cellDates: true });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const [headerRow = [], ...rows] = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: true });
+  const headers = headerRow.map(h => String(h).trim());
+  return { headers, rows: rows.filter(row => row.some(cell => String(cell).trim() !== '')) };
+};
+
+// Best-effort mapping of product field -> column index from header names
+export const guessColumnMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+  PRODUCT_FIELDS.forEach(field => {
+    const aliases = field.aliases.map(normalizeHeader);
+    let index = normalized.findIndex(h => aliases.includes(h));
+    if (index === -1) index = normalized.findIndex(h => h && aliases.some(a => h.includes(a)));
+    if (index !== -1 && !Object.values(mapping).includes(index)) mapping[field.key] = index;
+  });
+  return mapping;
+};
+
+const parseNumber = (value) => {
+  if (typeof value === 'number') return value;
+  const n = Number(String(value).replace(/[¥￥,，\s元]/g, ''));
+  return Number.isFinite(n) ? n : null;
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Store dates the way products.json does: "YYYY-MM-DD 00:00:00"
+const parseDate = (value) => {
+  if (value instanceof Date && !isNaN(value)) {
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())} 00:00:00`;
+  }
+  return String(value).trim();
+};
+
+export const mapRows = (rows, mapping) => {
+  return rows.map(row => {
+    const product = {};
+    PRODUCT_FIELDS.forEach(field => {
+      const index = mapping[field.key];
+      if (index === undefined || index === null || index === '') return;
+      const raw = row[index];
+      if (raw === undefined || String(raw).trim() === '') return;
+      if (field.numeric) {
+        const n = parseNumber(raw);
+        if (n !== null) product[field.key] = n;
+      } else if (field.date) {
+        product[field.key] = parseDate(raw);
+      } else {
+        product[field.key] = String(raw).trim();
+      }
+    });
+    return product;
+  }).filter(p => p.model);
+};
+
+// Added / changed / removed models between the catalog and an imported list.
+// Only mapped fields are compared, so a price-only sheet won't wipe specs.
+export const diffPriceList = (products, imported, mapping) => {
+  const fields = PRODUCT_FIELDS.filter(f => f.key !== 'model' && mapping[f.key] !== undefined).map(f => f.key);
+  const current = new Map(products.map(p => [p.model, p]));
+  const incoming = new Map(imported.map(p => [p.model, p]));
+
+  const added = [];
+  const changed = [];
+  incoming.forEach((next, model) => {
+    const prev = current.get(model);
+    if (!prev) {
+      added.push({ id: `add:${model}`, type: 'added', model, next });
+      return;
+    }
+    const changes = fields
+      .filter(key => next[key] !== undefined && String(next[key]) !== String(prev[key] ?? ''))
+      .map(key => ({ key, from: prev[key], to: next[key] }));
+    if (changes.length > 0) changed.push({ id: `change:${model}`, type: 'changed', model, prev, next, changes });
+  });
+  const removed = products
+    .filter(p => !incoming.has(p.model))
+    .map(prev => ({ id: `remove:${prev.model}`, type: 'removed', model: prev.model, prev }));
+
+  return { added, changed, removed };
+};
+
+const PRICE_KEYS = ['price_retail', 'price_package'];
+
+// Price changes take effect on `effectiveFrom`: a future date records them as a
+// scheduled change (utils/priceHistory) and leaves today's prices untouched.
+// Models new in a future list only become quotable from that date.
+export const applyPriceListDiff = (products, diff, acceptedIds, effectiveFrom = toDateKey()) => {
+  const today = toDateKey();
+  const accepted = new Set(acceptedIds);
+  const changes = new Map(diff.changed.filter(c => accepted.has(c.id)).map(c => [c.model, c]));
+  const removals = new Set(diff.removed.filter(r => accepted.has(r.id)).map(r => r.model));
+
+  const updated = products
+    .filter(p => !removals.has(p.model))
+    .map(p => {
+      const change = changes.get(p.model);
+      if (!change) return p;
+      const fieldChanges = change.changes.filter(c => !PRICE_KEYS.includes(c.key));
+      const priceChanges = change.changes.filter(c => PRICE_KEYS.includes(c.key));
+      const next = { ...p, ...Object.fromEntries(fieldChanges.map(c => [c.key, c.to])) };
+      // Reviewed channels (utils/lifecycle) are replaced by the new channel text
+      if (change.changes.some(c => c.key === 'channel')) delete next.channels;
+      if (priceChanges.length === 0) return next;
+      const prices = { ...getPriceOn(next, effectiveFrom), ...Object.fromEntries(priceChanges.map(c => [c.key, c.to])) };
+      return addPriceEntry(next, { effectiveFrom, ...prices, source: '价格表导入' }, today);
+    });
+  const additions = diff.added
+    .filter(a => accepted.has(a.id))
+    .map(a => ({
+      name: a.next.model, category: '其他', price_retail: 0, price_package: 0, features: '', image: null,
+      ...(effectiveFrom > today ? { effective_from: effectiveFrom } : {}),
+      ...a.next,
+      id: a.next.model,
+    }));
+  return [...additions, ...updated];
+};
@@ -0,0 +1,144 @@
+import { isCustomLine } from './customLines';
+import { createTranslator } from './i18n';
+
+// --- Pricing ---
+// A cart switches from price_retail to price_package once it qualifies as a
+// bundle under the configured package rules. A hand-typed overridePrice
+// always wins over either list price. Custom (non-catalog) lines are priced
+// at their own unit price and never count towards the bundle.
+
+export const DEFAULT_PACKAGE_RULES = {
+  enabled: true,
+  minCategories: 3, // distinct product categories in the cart
+  minItems: 3, // total quantity across all lines
+  ignoredCategories: ['门板', '其他'], // accessories don't make a bundle on their own
+};
+
+export const isPackageQualified = (cart, rules = DEFAULT_PACKAGE_RULES) => {
+  if (!rules?.enabled || cart.length === 0) return false;
+  const ignored = new Set(rules.ignoredCategories || []);
+  const counted = cart.filter(item => !isCustomLine(item) && !ignored.has(item.category));
+  const categoryCount = new Set(counted.map(item => item.category).filter(Boolean)).size;
+  const itemCount = counted.reduce((sum, item) => sum + item.quantity, 0);
+  return categoryCount >= (Number(rules.minCategories) || 0) && itemCount >= (Number(rules.minItems) || 0);
+};
+
+export const formatPrice = (price) => {
+  if (price === null || price === undefined) return '¥0';
+  return `¥${Number(price).toLocaleString()}`;
+};
+
+// List price of a line before any manual override
+export const getBasePrice = (item, usePackage) => {
+  if (usePackage && Number(item.price_package) > 0) return Number(item.price_package);
+  return Number(item.price_retail) || 0;
+};
+
+export const getLinePrice = (item, usePackage) => {
+  if (item.isFree) return 0;
+  return item.overridePrice !== undefined ? Number(item.overridePrice) || 0 : getBasePrice(item, usePackage);
+};
+
+// Price × quantity of one line; null for lines of a bundle that has its own price,
+// which is only totalled as a whole
+export const getLineTotal = (item, usePackage) => (item.bundle?.price > 0 ? null : getLinePrice(item, usePackage) * item.quantity);
+
+// Sum of line prices; lines of a bundle that has its own price count once at that price
+export const sumLines = (lines, usePackage) => {
+  const pricedBundles = new Set();
+  return lines.reduce((sum, item) => {
+    if (item.bundle?.price > 0) {
+      if (pricedBundles.has(item.bundle.id)) return sum;
+      pricedBundles.add(item.bundle.id);
+      return sum + item.bundle.price;
+    }
+    return sum + getLinePrice(item, usePackage) * item.quantity;
+  }, 0);
+};
+
+export const summarizeCart = (cart, rules = DEFAULT_PACKAGE_RULES) => {
+  const isPackage = isPackageQualified(cart, rules);
+  const retailTotal = cart.reduce((sum, item) => sum + (Number(item.price_retail) || 0) * item.quantity, 0);
+  const total = sumLines(cart, isPackage);
+  return { isPackage, retailTotal, total, savings: Math.max(0, retailTotal - total) };
+};
+
+// --- Quote-level Adjustments ---
+// Applied in list order on the running total, then the grand total is rounded.
+// Each adjustment becomes its own labelled row on the quote; without a label of
+// its own the row is named after its type (adjustment.* in utils/i18n).
+//   percent:   value = percentage off (5 => 5% off)
+//   amount / coupon: value = fixed amount off (coupons carry their code in the label)
+//   threshold: "满减", value off for every `every` reached (¥2000 off every ¥20000)
+
+export const ADJUSTMENT_TYPES = ['percent', 'amount', 'threshold', 'coupon'];
+
+export const ROUNDING_OPTIONS = ['none', 'down-10', 'down-100', 'nearest-10', 'nearest-100'];
+
+export const createAdjustment = (type) => ({
+  id: `ADJ_${Date.now()}`,
+  type,
+  label: '',
+  value: 0,
+  ...(type === 'threshold' ? { every: 20000 } : {}),
+});
+
+const getAdjustmentAmount = (adjustment, runningTotal) => {
+  const value = Number(adjustment.value) || 0;
+  switch (adjustment.type) {
+    case 'percent':
+      return runningTotal * Math.min(100, Math.max(0, value)) / 100;
+    case 'threshold': {
+      const every = Number(adjustment.every) || 0;
+      return every > 0 ? Math.floor(runningTotal / every) * value : 0;
+    }
+    default:
+      return value;
+  }
+};
+
+export const describeAdjustment = (adjustment, t = createTranslator('zh')) => {
+  const label = adjustment.label || t(`adjustment.${adjustment.type}`);
+  if (adjustment.type === 'percent') return `${label} (${Number(adjustment.value) || 0}%)`;
+  if (adjustment.type === 'threshold') {
+    return t('adjustment.thresholdRule', { label, every: Number(adjustment.every || 0).toLocaleString(), value: Number(adjustment.value || 0).toLocaleString() });
+  }
+  return label;
+};
+
+// Label of a row under the subtotal, in the document language
+export const describeTotalsRow = (row, t = createTranslator('zh')) =>
+  (row.id === 'rounding' ? t('doc.rounding') : describeAdjustment(row.adjustment, t));
+
+const applyRounding = (amount, rounding) => {
+  const [mode, unit] = (rounding || 'none').split('-');
+  const step = Number(unit);
+  if (mode === 'none' || !step) return amount;
+  return mode === 'down' ? Math.floor(amount / step) * step : Math.round(amount / step) * step;
+};
+
+// Full breakdown: retail → subtotal (line prices) → adjustments → rounding → grand total
+// rows: { id, adjustment, amount } per adjustment, then { id: 'rounding', amount }
+export const buildQuoteTotals = (cart, rules, adjustments = [], rounding = 'none') => {
+  const summary = summarizeCart(cart, rules);
+  let running = summary.total;
+  const rows = [];
+  adjustments.forEach(adjustment => {
+    const amount = Math.min(running, Math.round(getAdjustmentAmount(adjustment, running) * 100) / 100);
+    if (amount <= 0) return;
+    running = Math.round((running - amount) * 100) / 100;
+    rows.push({ id: adjustment.id, adjustment, amount: -amount });
+  });
+  const grandTotal = Math.max(0, applyRounding(running, rounding));
+  if (grandTotal !== running) {
+    rows.push({ id: 'rounding', amount: Math.round((grandTotal - running) * 100) / 100 });
+  }
+  return {
+    isPackage: summary.isPackage,
+    retailTotal: summary.retailTotal,
+    subtotal: summary.total,
+    rows,
+    grandTotal,
+    savings: Math.max(0, summary.retailTotal - grandTotal),
+  };
+};
@@ -0,0 +1,128 @@
+import { ALL_CHANNELS, getProductChannels, parseLaunchDate } from './lifecycle';
+
+// --- Product Search & Facets ---
+// The catalog's spec fields are free text from Siemens' spreadsheets
+// ("1级能效" vs "1", "nan", "/", "2024年9月" vs "2024-09-01 00:00:00"), so each
+// facet normalises its raw values before grouping and counting them.
+
+const BLANK_VALUES = new Set(['', 'nan', '/', '-', '无']);
+export const UNSPECIFIED = '未标注';
+
+const clean = (value) => {
+  const text = String(value ?? '').trim();
+  return BLANK_VALUES.has(text.toLowerCase()) ? UNSPECIFIED : text;
+};
+
+const normalizeEnergy = (value) => {
+  const text = clean(value);
+  const match = text.match(/^(\d)(级能效)?$/);
+  return match ? `${match[1]}级能效` : text;
+};
+
+// Channel codes from utils/lifecycle, so "TM FSS" and "TMFSS" are one value
+const channelValues = (product) => {
+  const { codes, all } = getProductChannels(product);
+  if (all) return [ALL_CHANNELS];
+  return codes.length > 0 ? codes : [UNSPECIFIED];
+};
+
+// Leading number of "551", "10KG", "120瓶", "15套", "71L"
+export const parseCapacity = (value) => {
+  const match = String(value ?? '').match(/\d+(\.\d+)?/);
+  return match ? Number(match[0]) : null;
+};
+
+// Named by facet.* in utils/i18n
+export const FACETS = [
+  { key: 'energy', getValues: p => [normalizeEnergy(p.energy_eff)] },
+  { key: 'material', getValues: p => [clean(p.material)] },
+  { key: 'color', getValues: p => [clean(p.color)] },
+  { key: 'origin', getValues: p => [clean(p.origin)] },
+  { key: 'channel', getValues: channelValues },
+  { key: 'year', getValues: p => [parseLaunchDate(p.launch_date)?.getFullYear().toString() || UNSPECIFIED] },
+];
+
+// Named by sort.* in utils/i18n
+export const SORT_OPTIONS = ['default', 'price-asc', 'price-desc', 'launch-desc', 'launch-asc', 'capacity-desc', 'capacity-asc'];
+
+export const EMPTY_FILTERS = {
+  ...Object.fromEntries(FACETS.map(f => [f.key, []])),
+  priceMin: '',
+  priceMax: '',
+  capacityMin: '',
+  capacityMax: '',
+};
+
+export const countActiveFilters = (filters) => FACETS.reduce((n, f) => n + filters[f.key].length, 0)
+  + ['priceMin', 'priceMax', 'capacityMin', 'capacityMax'].filter(key => filters[key] !== '').length;
+
+// Name, model, category and features, so a selling point like "晶蕾" finds its products.
+// Space-separated keywords must all match ("洗碗机 晶蕾").
+export const matchesSearch = (product, term) => {
+  const keywords = term.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (keywords.length === 0) return true;
+  const haystack = [product.name, product.model, product.category, product.features].filter(Boolean).join('\n').toLowerCase();
+  return keywords.every(keyword => haystack.includes(keyword));
+};
+
+const inRange = (value, min, max) => {
+  if (min === '' && max === '') return true;
+  if (value === null) return false;
+  return (min === '' || value >= Number(min)) && (max === '' || value <= Number(max));
+};
+
+// `skipFacet` leaves one facet out so its own options can be counted
+const matchesFilters = (product, filters, skipFacet) => {
+  const facetsMatch = FACETS.every(facet => {
+    if (facet.key === skipFacet || filters[facet.key].length === 0) return true;
+    return facet.getValues(product).some(v => filters[facet.key].includes(v));
+  });
+  return facetsMatch
+    && inRange(Number(product.price_retail), filters.priceMin, filters.priceMax)
+    && inRange(parseCapacity(product.capacity), filters.capacityMin, filters.capacityMax);
+};
+
+export const filterProducts = (products, { searchTerm, category, filters }) => {
+  return products.filter(product =>
+    matchesSearch(product, searchTerm) &&
+    (category === '全部' || product.category === category) &&
+    matchesFilters(product, filters)
+  );
+};
+
+// Options per facet with live counts under every other active filter
+export const countFacetValues = (products, { searchTerm, category, filters }) => {
+  const base = products.filter(p => matchesSearch(p, searchTerm) && (category === '全部' || p.category === category));
+  return Object.fromEntries(FACETS.map(facet => {
+    const counts = new Map();
+    base.forEach(product => {
+      if (!matchesFilters(product, filters, facet.key)) return;
+      new Set(facet.getValues(product)).forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+    });
+    // Keep selected values visible even when their count drops to zero
+    filters[facet.key].forEach(v => { if (!counts.has(v)) counts.set(v, 0); });
+    const options = Array.from(counts, ([value, count]) => ({ value, count }))
+      .sort((a, b) => (a.value === UNSPECIFIED) - (b.value === UNSPECIFIED) || b.count - a.count || a.value.localeCompare(b.value));
+    return [facet.key, options];
+  }));
+};
+
+export const sortProducts = (products, sortBy) => {
+  if (sortBy === 'default') return products;
+  const [field, direction] = sortBy.split('-');
+  const getKey = {
+    price: p => Number(p.price_retail) || 0,
+    launch: p => parseLaunchDate(p.launch_date)?.getTime() ?? null,
+    capacity: p => parseCapacity(p.capacity),
+  }[field];
+  const sign = direction === 'asc' ? 1 : -1;
+  // Products missing the sort value always go last
+  return [...products].sort((a, b) => {
+    const ka = getKey(a);
+    const kb = getKey(b);
+    if (ka === null && kb === null) return 0;
+    if (ka === null) return 1;
+    if (kb === null) return -1;
+    return (ka - kb) * sign;
+  });
+};
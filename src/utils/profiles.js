@@ -0,0 +1,74 @@
+// --- Store & Salesperson Profiles ---
+// One device is shared by several stores and consultants. Profiles live in
+// localStorage ('dealer_profiles'):
+//   stores:      [{ id, name, address, logo, template, themeColor, channels, channelMode, terms, numbering }]
+//   salespeople: [{ id, name, phone, qrCode }]
+// The preview and exports read a single dealerInfo, combined from the active
+// store and salesperson by buildDealerInfo. Each saved quote keeps its issuer.
+
+const newId = (prefix) => `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
+
+export const createStore = (fields = {}) => ({
+  id: newId('STORE'),
+  name: '',
+  address: '',
+  logo: null,
+  template: 'classic',
+  themeColor: '#009999',
+  channels: [], // sales channels this store sells through; empty = no restriction
+  channelMode: 'badge', // 'badge' | 'hide' models outside those channels
+  ...fields,
+});
+
+export const createSalesperson = (fields = {}) => ({
+  id: newId('SALES'),
+  name: '',
+  phone: '',
+  qrCode: null,
+  ...fields,
+});
+
+// Profiles from the single dealer_info / qr_code_img pair of earlier versions
+export const migrateDealerInfo = (dealerInfo, qrCode = null) => {
+  const { contact, phone, ...store } = dealerInfo || {
+    name: '西门子家电官方授权店',
+    contact: '王经理',
+    phone: '13800138000',
+    address: '红星美凯龙一楼A808',
+  };
+  return {
+    stores: [createStore(store)],
+    salespeople: [createSalesperson({ name: contact || '', phone: phone || '', qrCode })],
+  };
+};
+
+// Saved or restored profiles with at least one store and one salesperson, which
+// the rest of the app relies on (a hand-edited backup may list none)
+export const ensureProfiles = (profiles) => ({
+  ...profiles,
+  stores: profiles?.stores?.length ? profiles.stores : [createStore()],
+  salespeople: profiles?.salespeople?.length ? profiles.salespeople : [createSalesperson()],
+});
+
+// kind: 'stores' | 'salespeople'; changes may be a function of the current profile
+export const updateProfile = (profiles, kind, id, changes) => ({
+  ...profiles,
+  [kind]: profiles[kind].map(p => p.id === id ? { ...p, ...(typeof changes === 'function' ? changes(p) : changes) } : p),
+});
+
+export const removeProfile = (profiles, kind, id) => ({ ...profiles, [kind]: profiles[kind].filter(p => p.id !== id) });
+
+// The dealer block of a quote: the store's details with the salesperson as contact
+export const buildDealerInfo = (store, salesperson) => ({
+  ...store,
+  contact: salesperson?.name || '',
+  phone: salesperson?.phone || '',
+});
+
+// Recorded on every saved quote; the names stay readable if a profile is deleted later
+export const describeIssuer = (store, salesperson) => ({
+  storeId: store.id,
+  storeName: store.name,
+  salespersonId: salesperson?.id || null,
+  salespersonName: salesperson?.name || '',
+});
@@ -0,0 +1,88 @@
+import { buildQuoteTotals } from './pricing';
+import { createTranslator } from './i18n';
+
+// --- Multi-option Proposals ---
+// A quote may carry alternative configurations (方案 A / B / C) for the
+// customer to compare. Stored per quote as
+//   proposal = { options: [{ id, name, cart }], activeOptionId, acceptedOptionId }
+// or null for an ordinary single-option quote. The option being edited lives
+// in the normal `cart` state; its entry in options[] is only brought up to
+// date by syncActiveOption (when switching, saving or rendering), so every
+// other feature keeps working on `cart` unchanged.
+
+const OPTION_LETTERS = 'ABCDEF';
+
+export const MAX_OPTIONS = OPTION_LETTERS.length;
+
+const createOption = (name, cart) => ({
+  id: `OPT_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`,
+  name,
+  cart,
+});
+
+const nextOptionName = (options, t) => {
+  const used = new Set(options.map(o => o.name));
+  const letter = [...OPTION_LETTERS].find(l => !used.has(t('option.name', { letter: l }))) || options.length + 1;
+  return t('option.name', { letter });
+};
+
+export const syncActiveOption = (proposal, cart) => {
+  if (!proposal) return null;
+  return { ...proposal, options: proposal.options.map(o => o.id === proposal.activeOptionId ? { ...o, cart } : o) };
+};
+
+// Options side by side in the document until the customer picks one
+export const isComparing = (proposal) => !!proposal && proposal.options.length > 1 && !proposal.acceptedOptionId;
+
+// Add an option, copying the current cart so small variations are quick to build.
+// The first call turns the current cart into 方案 A.
+export const addOption = (proposal, cart, t = createTranslator('zh')) => {
+  const base = proposal ? syncActiveOption(proposal, cart) : { options: [createOption(t('option.name', { letter: 'A' }), cart)], acceptedOptionId: null };
+  const option = createOption(nextOptionName(base.options, t), structuredClone(cart));
+  return { proposal: { ...base, options: [...base.options, option], activeOptionId: option.id }, cart: option.cart };
+};
+
+export const switchOption = (proposal, cart, optionId) => {
+  const synced = syncActiveOption(proposal, cart);
+  const option = synced.options.find(o => o.id === optionId);
+  if (!option) return { proposal: synced, cart };
+  return { proposal: { ...synced, activeOptionId: optionId }, cart: option.cart };
+};
+
+// Removing the last-but-one option turns the quote back into a plain quote
+export const removeOption = (proposal, cart, optionId) => {
+  const synced = syncActiveOption(proposal, cart);
+  const options = synced.options.filter(o => o.id !== optionId);
+  if (options.length === 0) return { proposal: null, cart: [] };
+  const active = options.find(o => o.id === synced.activeOptionId) || options[0];
+  if (options.length === 1) return { proposal: null, cart: active.cart };
+  return {
+    proposal: {
+      ...synced,
+      options,
+      activeOptionId: active.id,
+      acceptedOptionId: synced.acceptedOptionId === optionId ? null : synced.acceptedOptionId,
+    },
+    cart: active.cart,
+  };
+};
+
+// The accepted option becomes the quotation; the others are kept for reference
+export const acceptOption = (proposal, cart, optionId) => {
+  const { proposal: switched, cart: nextCart } = switchOption(proposal, cart, optionId);
+  return { proposal: { ...switched, acceptedOptionId: optionId }, cart: nextCart };
+};
+
+export const reopenComparison = (proposal) => ({ ...proposal, acceptedOptionId: null });
+
+// Per-option totals for the comparison summary; `difference` is relative to the cheapest option
+export const summarizeOptions = (proposal, cart, packageRules, adjustments, rounding) => {
+  const synced = syncActiveOption(proposal, cart);
+  const rows = synced.options.map(option => ({
+    option,
+    count: option.cart.reduce((n, item) => n + item.quantity, 0),
+    pricing: buildQuoteTotals(option.cart, packageRules, adjustments, rounding),
+  }));
+  const cheapest = Math.min(...rows.map(r => r.pricing.grandTotal));
+  return rows.map(r => ({ ...r, difference: r.pricing.grandTotal - cheapest }));
+};
@@ -0,0 +1,106 @@
+// --- Quotation Store ---
+// Saved quotes live in localStorage ('quotes_db') next to 'products_db'.
+// A record is never overwritten once saved: editing a quote and saving again
+// appends a new revision that shares the same quoteNo.
+
+import { toDateKey } from './priceHistory';
+import { createTranslator } from './i18n';
+
+const pad = (n, len = 2) => String(n).padStart(len, '0');
+
+const newId = () => `Q_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+
+// Fields that make up the content of a quote (compared to detect edits)
+export const QUOTE_CONTENT_FIELDS = ['cart', 'customerInfo', 'template', 'themeColor', 'showRetailPrice', 'showPackagePrice', 'showDiscountPrice', 'adjustments', 'rounding', 'overrideApprovals', 'sections', 'niches', 'proposal', 'quoteDate', 'quoteTerms', 'language', 'issuer'];
+
+// Quotes saved before they had a quote date are dated by their creation
+export const getQuoteDate = (record) => record.quoteDate || toDateKey(new Date(record.createdAt || Date.now()));
+
+// --- Quote Numbering ---
+// Numbers follow the store's pattern (dealerInfo.numbering, see utils/profiles). Tokens:
+//   {PREFIX} store prefix, {YYYY} {YY} {MM} {DD} date, {SEQ} or {SEQ:n} counter padded to n digits
+// e.g. "{PREFIX}-{YYYY}{MM}{DD}-{SEQ:3}" → RXMKL-20261019-007. The counter
+// continues per scope — the number with the counter left out — so a pattern
+// containing the day starts again at 1 every day. The last used counter per
+// scope is kept in numbering.counters.
+
+export const DEFAULT_NUMBERING = { prefix: '', pattern: 'QT{YYYY}{MM}{DD}-{SEQ:3}', counters: {} };
+
+const SEQ_TOKEN = /\{SEQ(?::(\d+))?\}/;
+
+export const getNumbering = (dealerInfo) => ({ ...DEFAULT_NUMBERING, ...(dealerInfo?.numbering || {}) });
+
+const fillPattern = ({ prefix, pattern }, date, seq) => {
+  // A pattern without a counter would repeat itself, so one is appended
+  const base = pattern?.trim() || DEFAULT_NUMBERING.pattern;
+  const template = SEQ_TOKEN.test(base) ? base : `${base}-{SEQ:3}`;
+  return template
+    .replace(/\{PREFIX\}/g, prefix || '')
+    .replace(/\{YYYY\}/g, String(date.getFullYear()))
+    .replace(/\{YY\}/g, String(date.getFullYear()).slice(-2))
+    .replace(/\{MM\}/g, pad(date.getMonth() + 1))
+    .replace(/\{DD\}/g, pad(date.getDate()))
+    .replace(SEQ_TOKEN, (match, width) => (seq === null ? '#' : pad(seq, Number(width) || 1)));
+};
+
+// The number the next saved quote would get, skipping numbers already in the history
+export const peekQuoteNo = (numbering, quotes, date = new Date()) => {
+  const scope = fillPattern(numbering, date, null);
+  const used = new Set(quotes.map(q => q.quoteNo));
+  let seq = (numbering.counters?.[scope] || 0) + 1;
+  while (used.has(fillPattern(numbering, date, seq))) seq++;
+  return { quoteNo: fillPattern(numbering, date, seq), scope, seq };
+};
+
+// Allocates the next number; returns it with the numbering settings to store back
+export const takeQuoteNo = (numbering, quotes, date = new Date()) => {
+  const { quoteNo, scope, seq } = peekQuoteNo(numbering, quotes, date);
+  return { quoteNo, numbering: { ...numbering, counters: { ...numbering.counters, [scope]: seq } } };
+};
+
+// Let the next number start at `seq` (e.g. to continue a paper numbering series)
+export const setNextSeq = (numbering, seq, date = new Date()) => {
+  const scope = fillPattern(numbering, date, null);
+  return { ...numbering, counters: { ...numbering.counters, [scope]: Math.max(0, seq - 1) } };
+};
+
+export const createQuoteRecord = (snapshot, quoteNo, t = createTranslator('zh'), name = t('quote.defaultName', { name: snapshot.customerInfo?.name || t('doc.customer') })) => {
+  const now = new Date().toISOString();
+  return {
+    ...snapshot,
+    id: newId(),
+    quoteNo,
+    revision: 1,
+    parentId: null,
+    name,
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+// New revision of an existing quote; the original record stays untouched
+export const createRevision = (base, snapshot, quotes) => {
+  const now = new Date().toISOString();
+  const latest = Math.max(...quotes.filter(q => q.quoteNo === base.quoteNo).map(q => q.revision || 1), base.revision || 1);
+  return {
+    ...snapshot,
+    id: newId(),
+    quoteNo: base.quoteNo,
+    revision: latest + 1,
+    parentId: base.id,
+    name: base.name,
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+export const duplicateQuote = (record, quoteNo, t = createTranslator('zh')) => {
+  return createQuoteRecord(structuredClone(record), quoteNo, t, t('quote.copyName', { name: record.name }));
+};
+
+export const hasQuoteChanged = (record, snapshot) => {
+  if (!record) return true;
+  return QUOTE_CONTENT_FIELDS.some(key => JSON.stringify(record[key] ?? null) !== JSON.stringify(snapshot[key] ?? null));
+};
+
+export const formatQuoteLabel = (record) => record.revision > 1 ? `${record.quoteNo} R${record.revision}` : record.quoteNo;
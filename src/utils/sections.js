@@ -0,0 +1,56 @@
+import { sumLines } from './pricing';
+import { buildDisplayLines } from './bundles';
+
+// --- Quote Sections ---
+// Whole-house quotes are split by room. A section is just { id, name }; cart
+// lines point at one through item.sectionId, and their order inside a section
+// is their order in the cart array. Lines without a (known) section are
+// grouped last as "Other items" (doc.unassigned in utils/i18n).
+
+// Rooms offered as one-click sections, named by section.preset.* in utils/i18n
+export const SECTION_PRESETS = ['kitchen', 'laundry', 'waterBar'];
+
+// Rows kept on the same page as their section header when paginating
+export const KEEP_WITH_HEADER = 2;
+
+export const createSection = (name) => ({
+  id: `SEC_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`,
+  name,
+});
+
+// [{ section, items, subtotal }] in section order; section is null for the
+// unassigned group. Without any sections there is a single null group.
+export const groupCartBySection = (cart, sections, usePackage) => {
+  const known = new Set(sections.map(s => s.id));
+  const groups = [
+    ...sections.map(section => ({ section, items: cart.filter(item => item.sectionId === section.id) })),
+    { section: null, items: cart.filter(item => !known.has(item.sectionId)) },
+  ];
+  return groups.map(group => ({
+    ...group,
+    lines: buildDisplayLines(group.items, usePackage),
+    subtotal: sumLines(group.items, usePackage),
+  }));
+};
+
+// Groups that actually have lines; what the quote document shows
+export const getQuoteGroups = (cart, sections, usePackage) => {
+  return groupCartBySection(cart, sections, usePackage).filter(group => group.items.length > 0);
+};
+
+// Move a line into a section, before another line or at the end of the section.
+// Lines of a bundle always move together.
+export const moveCartItem = (cart, itemId, sectionId, beforeItemId = null) => {
+  const moving = cart.find(item => item.id === itemId);
+  if (!moving || itemId === beforeItemId) return cart;
+  const isMoving = (item) => (moving.bundle ? item.bundle?.id === moving.bundle.id : item.id === itemId);
+  const rest = cart.filter(item => !isMoving(item));
+  const moved = cart.filter(isMoving).map(item => ({ ...item, sectionId: sectionId || undefined }));
+  let index = beforeItemId ? rest.findIndex(item => item.id === beforeItemId) : -1;
+  if (index === -1) {
+    // After the last line of the target section, or at the end of the cart
+    const last = rest.map(item => item.sectionId || null).lastIndexOf(sectionId || null);
+    index = last === -1 ? rest.length : last + 1;
+  }
+  return [...rest.slice(0, index), ...moved, ...rest.slice(index)];
+};
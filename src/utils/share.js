@@ -0,0 +1,125 @@
+import { createTranslator } from './i18n';
+
+// --- Shared Quote Files ---
+// A quote the customer can open on their phone without a server: one HTML file
+// holding the quote viewer, its styles and the quote as JSON, images inlined as
+// data URLs. The viewer is a build of its own (viewer.html, src/viewer.jsx) that
+// only contains SharedQuoteView, so the catalog and the shop are not in the file;
+// it adds roughly 300 KB (base64) before the images.
+// Lines keep what the document and its product details show; floor prices,
+// channels and sales dates stay in the shop.
+
+const DATA_ELEMENT_ID = 'shared-quote';
+
+const INTERNAL_LINE_FIELDS = ['price_floor', 'channel', 'channels', 'launch_date', 'effective_from', 'discontinued_after', 'relations', 'priceHistory'];
+
+const toSharedLine = (line) => Object.fromEntries(Object.entries(line).filter(([key]) => !INTERNAL_LINE_FIELDS.includes(key)));
+
+// The quote as PreviewContent needs it, without the shop's callbacks and price guard
+export const createSharedQuote = ({ cart, sections, template, themeColor, customerInfo, dealerInfo, cartTotal, pricing, qrCode, showRetailPrice, showPackagePrice, showDiscountPrice, options, acceptedOptionName, quoteLabel, quoteDate, terms, language }) => ({
+  cart: cart.map(toSharedLine),
+  sections,
+  template,
+  themeColor,
+  customerInfo,
+  dealerInfo,
+  cartTotal,
+  pricing,
+  qrCode,
+  showRetailPrice,
+  showPackagePrice,
+  showDiscountPrice,
+  options: options
+    ? options.map(summary => ({ ...summary, option: { ...summary.option, cart: summary.option.cart.map(toSharedLine) } }))
+    : null,
+  acceptedOptionName,
+  quoteLabel,
+  quoteDate,
+  terms,
+  language,
+  sharedAt: new Date().toISOString(),
+});
+
+const readAsDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onloadend = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+const fetchDataUrl = async (url, type) => {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${url}: ${response.status}`);
+  const blob = await response.blob();
+  return readAsDataUrl(type ? new Blob([blob], { type }) : blob);
+};
+
+// Every image of the quote as a data URL; one that cannot be loaded is left out
+const inlineImages = async (quote) => {
+  const cache = new Map();
+  const inline = (src) => {
+    if (!src || src.startsWith('data:')) return src || null;
+    if (!cache.has(src)) cache.set(src, fetchDataUrl(src).catch(() => null));
+    return cache.get(src);
+  };
+  const inlineCart = (cart) => Promise.all(cart.map(async line => ({ ...line, image: await inline(line.image) })));
+  return {
+    ...quote,
+    cart: await inlineCart(quote.cart),
+    options: quote.options && await Promise.all(quote.options.map(async summary => ({ ...summary, option: { ...summary.option, cart: await inlineCart(summary.option.cart) } }))),
+    template: { ...quote.template, brand: { ...quote.template.brand, logo: await inline(quote.template.brand.logo) } },
+    dealerInfo: { ...quote.dealerInfo, logo: await inline(quote.dealerInfo.logo) },
+    qrCode: await inline(quote.qrCode),
+  };
+};
+
+const escapeHtml = (text) => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+// The HTML of a shared quote file. Needs the built viewer: in development its
+// scripts are separate modules that cannot be packed into one file.
+export const buildShareFile = async (quote, title, t = createTranslator('zh')) => {
+  if (import.meta.env.DEV) throw new Error(t('share.devMode'));
+  const viewerUrl = new URL(`${import.meta.env.BASE_URL}viewer.html`, window.location.href);
+  const response = await fetch(viewerUrl);
+  const viewer = new DOMParser().parseFromString(response.ok ? await response.text() : '', 'text/html');
+  const script = viewer.querySelector('script[type="module"][src]');
+  // An SPA host answers a missing viewer.html with the app's index.html
+  if (!script || !/\/assets\/viewer-/.test(script.getAttribute('src'))) throw new Error(t('share.viewerMissing'));
+  const resolve = (url) => new URL(url, viewerUrl).href;
+  const stylesheets = [...viewer.querySelectorAll('link[rel="stylesheet"]')];
+  // The viewer as a data URL module: inlined code could contain "</script>" or "<!--"
+  const [code, styles, data] = await Promise.all([
+    fetchDataUrl(resolve(script.getAttribute('src')), 'text/javascript'),
+    Promise.all(stylesheets.map(link => fetch(resolve(link.getAttribute('href'))).then(res => res.text()))),
+    inlineImages(quote),
+  ]);
+  // No "<" in the JSON, so nothing in it can close the script element
+  const json = JSON.stringify(data).replace(/</g, '\\u003c');
+  return `<!doctype html>
+<html lang="${quote.language === 'en' ? 'en' : 'zh-CN'}">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${escapeHtml(title)}</title>
+    <style>${styles.join('\n')}</style>
+    <script type="application/json" id="${DATA_ELEMENT_ID}">${json}</script>
+    <script type="module" src="${code}"></script>
+  </head>
+  <body>
+    <div id="root"></div>
+  </body>
+</html>
+`;
+};
+
+// The quote of a shared file, or null when the viewer is opened without one
+export const readSharedQuote = () => {
+  const element = document.getElementById(DATA_ELEMENT_ID);
+  if (!element) return null;
+  try {
+    return JSON.parse(element.textContent);
+  } catch (err) {
+    console.error('Invalid shared quote', err);
+    return null;
+  }
+};
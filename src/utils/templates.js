@@ -0,0 +1,209 @@
+import { createTranslator } from './i18n';
+
+// --- Quote Templates ---
+// A template describes the look of a quote as data, read by PreviewContent and
+// utils/vectorPdf alike:
+//   brand   text, tagline and logo at the top left (or centre)
+//   header  layout ('split' | 'centered'), document title (and its English
+//           version for English quotes) / subtitle, rule below
+//   info    customer / dealer block: 'plain' | 'card'
+//   font    preview font (the vector PDF always uses SimHei, the only CJK font it embeds)
+//   colors  hex values; 'theme' follows the quote's theme colour
+//   table   columns in order ({ key, label, width }), head style and row style
+//   footer  terms, QR code and the bottom brand bar
+// Column headers are translated with the document (see utils/i18n) unless the
+// template renames them.
+// The four original looks are built-in presets; dealers' own templates live in
+// localStorage ('quote_templates') and are selected by id like the presets.
+
+// Every column a quote table can show, with its relative width; default headers
+// are the column.* messages of utils/i18n.
+// Field columns print a product attribute as it is stored.
+export const TABLE_COLUMNS = [
+  { key: 'name', width: 12, required: true },
+  { key: 'model', width: 12 },
+  { key: 'retail', width: 12 },
+  { key: 'package', width: 12 },
+  { key: 'discount', width: 12 },
+  { key: 'total', width: 12 },
+  { key: 'features', width: 30 },
+  { key: 'quantity', width: 8 },
+  { key: 'image', width: 12 },
+  ...['category', 'material', 'color', 'capacity', 'freezer_cap', 'energy_eff', 'dimensions', 'origin']
+    .map(key => ({ key, width: 10, field: true })),
+];
+
+const findColumn = (key) => TABLE_COLUMNS.find(c => c.key === key);
+
+// A column as a template stores it; label '' keeps the default header
+export const createColumn = (key) => ({ key, label: '', width: findColumn(key).width });
+
+const DEFAULT_COLUMNS = ['name', 'model', 'retail', 'package', 'discount', 'features', 'quantity', 'image'].map(createColumn);
+
+// Choices of the template designer; their names are designer.* messages in utils/i18n
+export const HEADER_LAYOUTS = ['split', 'centered'];
+
+export const HEAD_STYLES = ['rule', 'filled', 'light'];
+
+export const ROW_STYLES = ['lines', 'striped', 'plain'];
+
+export const FONTS = [
+  { id: 'sans', css: 'ui-sans-serif, system-ui, "PingFang SC", "Microsoft YaHei", sans-serif' },
+  { id: 'serif', css: '"Songti SC", "SimSun", "Noto Serif SC", serif' },
+  { id: 'kai', css: '"Kaiti SC", "KaiTi", "STKaiti", serif' },
+];
+
+export const COLOR_FIELDS = [
+  { key: 'background' },
+  { key: 'text' },
+  { key: 'strong' },
+  { key: 'sub' },
+  { key: 'line' },
+  { key: 'accent', allowTheme: true },
+  { key: 'headFill', allowTheme: true },
+  { key: 'headText' },
+  { key: 'stripe' },
+  { key: 'infoFill' },
+  { key: 'barFill', allowTheme: true },
+  { key: 'barText' },
+];
+
+export const THEME_COLOR = 'theme';
+
+const classic = {
+  id: 'classic',
+  name: '经典表格',
+  builtIn: true,
+  brand: { text: 'SIEMENS', tagline: 'Future Moving', logo: null },
+  header: { layout: 'split', title: '家电配置方案', titleEn: 'Home Appliance Proposal', subtitle: 'Quotation Proposal', rule: true },
+  info: 'plain',
+  font: 'sans',
+  colors: {
+    background: '#ffffff', text: '#1e293b', strong: '#0f172a', sub: '#64748b', line: '#e5e7eb',
+    accent: THEME_COLOR, headFill: THEME_COLOR, headText: '#334155', stripe: '#f8fafc', infoFill: '#f8fafc',
+    barFill: THEME_COLOR, barText: '#ffffff',
+  },
+  table: { columns: DEFAULT_COLUMNS, headStyle: 'rule', rowStyle: 'lines' },
+  footer: { terms: true, qr: true, bar: true, barText: 'Siemens Home Appliances' },
+};
+
+export const BUILT_IN_TEMPLATES = [
+  classic,
+  {
+    ...classic,
+    id: 'modern',
+    name: '现代简约',
+    info: 'card',
+    colors: { ...classic.colors, line: '#f3f4f6', headText: '#ffffff' },
+    table: { ...classic.table, headStyle: 'filled', rowStyle: 'striped' },
+  },
+  {
+    ...classic,
+    id: 'minimal',
+    name: '高端留白',
+    header: { ...classic.header, rule: false },
+    colors: { ...classic.colors, headText: '#64748b' },
+    table: { ...classic.table, headStyle: 'light', rowStyle: 'plain' },
+  },
+  {
+    ...classic,
+    id: 'noir',
+    name: '黑金奢华',
+    header: { ...classic.header, title: 'PRICE LIST', titleEn: '' },
+    colors: {
+      ...classic.colors,
+      background: '#1a1a1a', text: '#d1d5db', strong: '#ffffff', sub: '#9ca3af', line: '#374151',
+      accent: '#ffffff', headFill: '#2a2a2a', headText: '#d1d5db', stripe: '#222222', infoFill: '#222222', barFill: '#ffffff', barText: '#000000',
+    },
+  },
+];
+
+const newId = () => `TPL_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
+
+// Columns were saved as bare keys before they could be renamed and resized
+const normalizeColumns = (columns) => columns
+  .map(column => (typeof column === 'string' ? { key: column } : column))
+  .filter(column => findColumn(column?.key))
+  .map(({ key, label, width }) => ({
+    key,
+    label: typeof label === 'string' ? label : '',
+    width: Number(width) > 0 ? Number(width) : findColumn(key).width,
+  }));
+
+// Fills settings missing from an older or hand-edited template from the classic preset
+export const normalizeTemplate = (template) => {
+  const table = { ...classic.table, ...template.table };
+  return {
+    ...classic,
+    ...template,
+    brand: { ...classic.brand, ...template.brand },
+    header: { ...classic.header, titleEn: '', ...template.header }, // the classic English title would not match a custom one
+    colors: { ...classic.colors, ...template.colors },
+    table: { ...table, columns: Array.isArray(table.columns) ? normalizeColumns(table.columns) : classic.table.columns },
+    footer: { ...classic.footer, ...template.footer },
+  };
+};
+
+export const getTemplate = (id, customTemplates = []) =>
+  [...BUILT_IN_TEMPLATES, ...customTemplates].find(t => t.id === id) || classic;
+
+// Presets are named in the UI language; a dealer's template keeps the name it was given
+export const getTemplateName = (template, t = createTranslator('zh')) =>
+  (template.builtIn ? t(`template.preset.${template.id}`) : template.name);
+
+// An editable copy, e.g. to start a new template from a preset
+export const copyTemplate = (template, name) => ({
+  ...structuredClone(template),
+  id: newId(),
+  name,
+  builtIn: false,
+});
+
+export const usesThemeColor = (template) => Object.values(template.colors).includes(THEME_COLOR);
+
+// Colours with 'theme' replaced by the quote's theme colour
+export const resolveColors = (template, themeColor) => Object.fromEntries(
+  Object.entries(template.colors).map(([key, value]) => [key, value === THEME_COLOR ? themeColor : value])
+);
+
+export const getFontFamily = (template) => (FONTS.find(f => f.id === template.font) || FONTS[0]).css;
+
+// Header of a column: the template's own label, else the default in the document
+// language. The discount column reads 成交价 once the quote qualifies for package prices.
+export const getColumnTitle = (column, usePackage, t = createTranslator('zh')) => {
+  if (column.label) return column.label;
+  if (column.key === 'discount' && usePackage) return t('column.discountPackage');
+  return t(`column.${column.key}`);
+};
+
+export const getHeaderTitle = (template, language) =>
+  (language === 'en' && template.header.titleEn) || template.header.title;
+
+// Columns the table shows: the template's choice, less the price columns switched off for the quote
+//   [{ key, title, width, field }]
+export const getVisibleColumns = (template, { showRetailPrice, showPackagePrice, showDiscountPrice, usePackage, language = 'zh' }) => {
+  const t = createTranslator(language);
+  const hidden = new Set([!showRetailPrice && 'retail', !showPackagePrice && 'package', !showDiscountPrice && 'discount']);
+  return template.table.columns
+    .filter(column => !hidden.has(column.key) && findColumn(column.key))
+    .map(column => ({
+      key: column.key,
+      title: getColumnTitle(column, usePackage, t),
+      width: column.width,
+      field: !!findColumn(column.key).field,
+    }));
+};
+
+// --- Import / Export ---
+export const serializeTemplate = (template) => {
+  const { id: _id, builtIn: _builtIn, ...data } = template;
+  return JSON.stringify({ type: 'quote-template', version: 1, template: data }, null, 2);
+};
+
+// A template from an exported file, as a new custom template; null if the file holds none
+export const parseTemplateFile = (text, t = createTranslator('zh')) => {
+  const data = JSON.parse(text);
+  const template = data?.type === 'quote-template' ? data.template : null;
+  if (!template || typeof template !== 'object') return null;
+  return { ...normalizeTemplate(template), id: newId(), name: template.name || t('template.importedName'), builtIn: false };
+};
@@ -0,0 +1,79 @@
+import { toDateInput, parseLaunchDate } from './lifecycle';
+
+// --- Quote Terms & Validity ---
+// Each quote carries its own terms, copied from the dealer's defaults when the
+// quote is started so later edits to the defaults never change a quote that
+// was already sent:
+//   quoteTerms = { validUntil: 'YYYY-MM-DD', payment, delivery, blocks: [{ id, title, body }] }
+// Dealers keep reusable text blocks (dealerInfo.terms.snippets); those marked
+// `isDefault` go onto every new quote. Block bodies are plain text where lines
+// starting with "-", "•" or "·" are shown as bullet points.
+
+export const DEFAULT_VALIDITY_DAYS = 15;
+
+const createId = (prefix) => `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
+
+export const DEFAULT_DEALER_TERMS = {
+  validityDays: DEFAULT_VALIDITY_DAYS,
+  payment: '签订订单时支付全款',
+  delivery: '付款后 7 个工作日内送货，嵌入式产品按橱柜安装进度预约',
+  snippets: [
+    {
+      id: 'SNIP_service',
+      title: '服务与支持',
+      body: '- 免费上门设计与3D效果图\n- 烟管预埋及整改方案\n- 橱柜对接与嵌入式安装指导\n- 1对1管家式顾问服务',
+      isDefault: true,
+    },
+    {
+      id: 'SNIP_warranty',
+      title: '质保说明',
+      body: '- 整机保修 2 年，主要部件按国家三包规定执行\n- 质保以产品购买发票日期为准',
+      isDefault: false,
+    },
+  ],
+};
+
+// Dealer defaults, filling anything missing from older saved dealer info
+export const getDealerTerms = (dealerInfo) => ({ ...DEFAULT_DEALER_TERMS, ...(dealerInfo?.terms || {}) });
+
+export const addDays = (dateKey, days) => {
+  const date = parseLaunchDate(dateKey) || new Date();
+  date.setDate(date.getDate() + Number(days || 0));
+  return toDateInput(date);
+};
+
+// Whole days between two YYYY-MM-DD dates
+export const daysBetween = (from, to) => Math.round((parseLaunchDate(to) - parseLaunchDate(from)) / 86400000);
+
+export const createTermsBlock = (snippet = {}) => ({
+  id: createId('TERM'),
+  title: snippet.title || '',
+  body: snippet.body || '',
+});
+
+export const createSnippet = (block) => ({ id: createId('SNIP'), title: block.title, body: block.body, isDefault: false });
+
+export const createQuoteTerms = (dealerTerms, quoteDate) => ({
+  validUntil: addDays(quoteDate, dealerTerms.validityDays),
+  payment: dealerTerms.payment,
+  delivery: dealerTerms.delivery,
+  blocks: dealerTerms.snippets.filter(s => s.isDefault).map(createTermsBlock),
+});
+
+// Moving the quote date keeps the validity period the same length
+export const shiftQuoteTerms = (terms, fromDate, toDate) => ({
+  ...terms,
+  validUntil: addDays(toDate, daysBetween(fromDate, terms.validUntil)),
+});
+
+export const isQuoteExpired = (terms, today) => !!terms?.validUntil && terms.validUntil < today;
+
+// [{ type: 'bullet' | 'text', text }] for rendering a block body
+export const parseTermsBody = (body) => String(body || '')
+  .split('\n')
+  .map(line => line.trim())
+  .filter(Boolean)
+  .map(line => {
+    const bullet = line.match(/^[-•·]\s*(.*)$/);
+    return bullet ? { type: 'bullet', text: bullet[1] } : { type: 'text', text: line };
+  });
@@ -0,0 +1,593 @@
+import jsPDF from 'jspdf';
+import autoTable, { __createTable } from 'jspdf-autotable';
+import { getBasePrice, getLinePrice, getLineTotal, describeTotalsRow } from './pricing';
+import { isCustomLine, formatQuantity } from './customLines';
+import { KEEP_WITH_HEADER, getQuoteGroups } from './sections';
+import { describeBundleItems } from './bundles';
+import { parseTermsBody } from './terms';
+import { formatCustomerAddress } from './customers';
+import { resolveColors, getVisibleColumns, getHeaderTitle } from './templates';
+import { createTranslator, localizeProduct } from './i18n';
+
+// --- Vector PDF Renderer ---
+// Draws the quotation with real text (selectable, searchable, sharp at any
+// zoom) instead of a rasterised screenshot. jsPDF's built-in fonts have no
+// CJK glyphs, so the caller must supply the base64 of /fonts/simhei.ttf.
+// Layout mirrors PreviewContent for the same template and document language.
+
+const FONT = 'SimHei';
+const MARGIN = 14;
+const FOOTER_HEIGHT = 18;
+const TABLE_MARGIN = { left: MARGIN, right: MARGIN, top: 16, bottom: FOOTER_HEIGHT + 6 };
+
+const BULLET_COLUMN = 62;
+
+// Drawing colours and rules from a template (see utils/templates)
+const getTemplateStyle = (template, themeColor) => {
+  const colors = resolveColors(template, themeColor);
+  const { headStyle, rowStyle } = template.table;
+  return {
+    ...colors,
+    headFill: headStyle === 'filled' ? colors.headFill : false,
+    headRule: { rule: 0.5, filled: 0, light: 0.2 }[headStyle] ?? 0.5,
+    rowRule: rowStyle === 'plain' ? 0 : 0.2,
+    stripe: rowStyle === 'striped' ? colors.stripe : null,
+    infoFill: template.info === 'card' ? colors.infoFill : null,
+    headerRule: template.header.rule,
+  };
+};
+
+// Load an image (URL or data URL) flattened onto white as JPEG, with its size
+const loadImage = (src) => new Promise(resolve => {
+  if (!src) return resolve(null);
+  const img = new Image();
+  img.crossOrigin = 'anonymous';
+  img.onload = () => {
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = img.naturalWidth;
+      canvas.height = img.naturalHeight;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(img, 0, 0);
+      resolve({ data: canvas.toDataURL('image/jpeg', 0.85), width: img.naturalWidth, height: img.naturalHeight });
+    } catch {
+      resolve(null);
+    }
+  };
+  img.onerror = () => resolve(null);
+  img.src = src;
+});
+
+// Draw an image centred inside a box, preserving its aspect ratio
+const drawImageFit = (doc, image, x, y, w, h) => {
+  const ratio = Math.min(w / image.width, h / image.height);
+  const dw = image.width * ratio;
+  const dh = image.height * ratio;
+  doc.addImage(image.data, 'JPEG', x + (w - dw) / 2, y + (h - dh) / 2, dw, dh);
+};
+
+export const renderVectorPdf = async ({
+  font, template, themeColor, cart, sections = [], pricing, customerInfo, dealerInfo, qrCode,
+  showRetailPrice, showPackagePrice, showDiscountPrice, formatPrice, options = null,
+  quoteLabel = '', quoteDate = '', terms = null, expired = false, language = 'zh',
+}) => {
+  const style = getTemplateStyle(template, themeColor);
+  const t = createTranslator(language);
+  const usePackage = pricing?.isPackage ?? false;
+
+  const doc = new jsPDF('p', 'mm', 'a4');
+  doc.addFileToVFS('simhei.ttf', font);
+  doc.addFont('simhei.ttf', FONT, 'normal');
+  doc.addFont('simhei.ttf', FONT, 'bold'); // SimHei has no bold face; reuse it so bold styles resolve
+  doc.setFont(FONT, 'normal');
+
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - MARGIN * 2;
+
+  const paintedPages = new Set();
+  const paintBackground = () => {
+    const page = doc.internal.getCurrentPageInfo().pageNumber;
+    if (paintedPages.has(page)) return;
+    paintedPages.add(page);
+    if (style.background !== '#ffffff') {
+      doc.setFillColor(style.background);
+      doc.rect(0, 0, pageWidth, pageHeight, 'F');
+    }
+  };
+  const addPage = () => {
+    doc.addPage();
+    paintBackground();
+  };
+
+  // Options may share line ids (an option starts as a copy), so images are keyed by the image source
+  const allLines = options ? options.flatMap(o => o.option.cart) : cart;
+  const sources = [...new Set(allLines.map(item => item.image).filter(Boolean))];
+  const { brand, header, footer } = template;
+  const [itemImages, qrImage, logoImage, brandImage] = await Promise.all([
+    Promise.all(sources.map(loadImage)),
+    footer.qr ? loadImage(qrCode) : null,
+    loadImage(dealerInfo.logo),
+    loadImage(brand.logo),
+  ]);
+  const images = new Map(sources.map((src, i) => [src, itemImages[i]]));
+
+  // 1. Header: brand (logo and text) and the document title, side by side or centred
+  paintBackground();
+  const centered = header.layout === 'centered';
+  const brandLogoWidth = brandImage ? Math.min(36, brandImage.width * 12 / brandImage.height) : 0;
+  doc.setFontSize(centered ? 22 : 26);
+  const brandTextWidth = brand.text ? doc.getTextWidth(brand.text) : 0;
+  const brandWidth = brandLogoWidth + (brandLogoWidth && brandTextWidth ? 3 : 0) + brandTextWidth;
+  const brandX = centered ? (pageWidth - brandWidth) / 2 : MARGIN;
+  const brandY = centered ? 18 : 22;
+  if (brandImage) drawImageFit(doc, brandImage, brandX, brandY - 10, brandLogoWidth, 12);
+  if (brand.text) {
+    doc.setTextColor(style.accent);
+    doc.text(brand.text, brandX + brandWidth - brandTextWidth, brandY);
+  }
+  doc.setFontSize(6.5);
+  doc.setTextColor(style.sub);
+  if (brand.tagline) {
+    doc.text(brand.tagline.toUpperCase(), centered ? pageWidth / 2 : MARGIN + 0.5, brandY + 5, { charSpace: 1.6, align: centered ? 'center' : 'left' });
+  }
+  const titleX = centered ? pageWidth / 2 : pageWidth - MARGIN;
+  const align = centered ? 'center' : 'right';
+  const titleY = centered ? 31 : 21;
+  doc.setFontSize(centered ? 12 : 16);
+  doc.setTextColor(style.strong);
+  const title = getHeaderTitle(template, language);
+  if (title) doc.text(title, titleX, titleY, { align });
+  doc.setFontSize(6);
+  doc.setTextColor(style.sub);
+  if (header.subtitle) doc.text(header.subtitle.toUpperCase(), titleX, titleY + (centered ? 3.5 : 5), { align, charSpace: 0.8 });
+  const headerLines = [
+    quoteLabel && { text: `No. ${quoteLabel}`, color: style.text },
+    terms && { text: `${quoteDate} · ${t('doc.validUntil')} ${terms.validUntil}${expired ? ` (${t('doc.expired')})` : ''}`, color: expired ? '#dc2626' : style.sub },
+  ].filter(Boolean);
+  const linesTop = centered ? 38 : 29.5;
+  doc.setFontSize(6.5);
+  headerLines.forEach(({ text, color }, i) => {
+    doc.setTextColor(color);
+    doc.text(text, titleX, linesTop + i * 2.8, { align });
+  });
+  const headerBottom = centered
+    ? linesTop + Math.max(0, headerLines.length - 1) * 2.8 + 2
+    : (headerLines.length > 1 ? 34 : 32);
+  if (style.headerRule) {
+    doc.setDrawColor(style.line);
+    doc.setLineWidth(0.3);
+    doc.line(MARGIN, headerBottom, pageWidth - MARGIN, headerBottom);
+  }
+
+  // 2. Info Grid
+  const infoTop = headerBottom + 6;
+  const columnWidth = contentWidth / 2 - 8;
+  if (style.infoFill) {
+    doc.setFillColor(style.infoFill);
+    doc.roundedRect(MARGIN, infoTop - 4, contentWidth, 32, 3, 3, 'F');
+  }
+  const drawInfoColumn = (x, title, lines) => {
+    doc.setFontSize(7);
+    doc.setTextColor(style.sub);
+    doc.text(title.toUpperCase(), x, infoTop + 2, { charSpace: 0.8 });
+    let y = infoTop + 8;
+    doc.setFontSize(8.5);
+    // English and bilingual labels are wider than the two-character Chinese ones
+    const labelWidth = Math.max(10, ...lines.map(({ label }) => (label ? doc.getTextWidth(label) + 2 : 0)));
+    lines.forEach(({ label, value, strong }) => {
+      doc.setFontSize(8.5);
+      if (label) {
+        doc.setTextColor(style.sub);
+        doc.text(label, x, y);
+      }
+      doc.setTextColor(strong ? style.strong : style.text);
+      const wrapped = doc.splitTextToSize(String(value || ''), columnWidth - (label ? labelWidth : 0));
+      doc.text(wrapped, x + (label ? labelWidth : 0), y);
+      y += 5 * Math.max(1, wrapped.length);
+    });
+  };
+  const infoX = style.infoFill ? MARGIN + 4 : MARGIN;
+  drawInfoColumn(infoX, t('doc.customer'), [
+    { label: t('doc.name'), value: customerInfo.name, strong: true },
+    { label: t('doc.phone'), value: customerInfo.phone },
+    { label: t('doc.address'), value: formatCustomerAddress(customerInfo) },
+  ]);
+  if (logoImage) {
+    const logoRight = pageWidth - MARGIN - (style.infoFill ? 4 : 0);
+    drawImageFit(doc, logoImage, logoRight - 24, infoTop - 3, 24, 8);
+  }
+  drawInfoColumn(pageWidth / 2 + 4, t('doc.dealer'), [
+    { value: dealerInfo.name, strong: true },
+    { value: `${dealerInfo.contact} | ${dealerInfo.phone}` },
+    { value: dealerInfo.address },
+  ]);
+
+  // 3. Table
+  const columnAlign = { name: 'left', features: 'left' };
+  const columns = getVisibleColumns(template, { showRetailPrice, showPackagePrice, showDiscountPrice, usePackage, language })
+    .map(c => ({ ...c, halign: columnAlign[c.key] }));
+  const totalWeight = columns.reduce((sum, c) => sum + c.width, 0);
+  const imageColumn = columns.findIndex(c => c.key === 'image');
+  const discountColumn = columns.findIndex(c => c.key === 'discount');
+
+  // Body entries: item and bundle lines (see buildDisplayLines), plus a header
+  // and subtotal per section when the quote has sections, and per option when
+  // alternative options are compared
+  const showSections = sections.length > 0;
+  const buildEntries = (entryCart, entryUsePackage) => getQuoteGroups(entryCart, sections, entryUsePackage).flatMap(group => {
+    const label = group.section?.name || t('doc.unassigned');
+    return [
+      ...(showSections ? [{ type: 'section', label, count: group.items.reduce((n, item) => n + item.quantity, 0) }] : []),
+      ...group.lines.map((line, i) => ({ ...line, usePackage: entryUsePackage, stripe: i % 2 === 0 })),
+      ...(showSections ? [{ type: 'subtotal', label, amount: group.subtotal }] : []),
+    ];
+  });
+  const entries = options
+    ? options.flatMap(({ option, count, pricing: optionPricing }) => [
+      { type: 'option', label: option.name, count },
+      ...buildEntries(option.cart, optionPricing.isPackage),
+      { type: 'option-total', label: option.name, amount: optionPricing.grandTotal },
+    ])
+    : buildEntries(cart, usePackage);
+  const isHeader = (entry) => entry?.type === 'section' || entry?.type === 'option';
+  const isLine = (entry) => entry?.type === 'item' || entry?.type === 'bundle';
+
+  const toRow = (entry) => {
+    if (entry.type === 'section') {
+      return [{
+        content: `${entry.label}    ${t('doc.pieces', { count: entry.count })}`,
+        colSpan: columns.length,
+        styles: { halign: 'left', valign: 'bottom', minCellHeight: 11, fontSize: 10, textColor: style.strong, cellPadding: { top: 4, bottom: 2, left: 2.5, right: 2.5 } },
+      }];
+    }
+    if (entry.type === 'option') {
+      return [{
+        content: `${entry.label}    ${t('doc.pieces', { count: entry.count })}`,
+        colSpan: columns.length,
+        styles: { halign: 'left', valign: 'bottom', minCellHeight: 13, fontSize: 12, textColor: style.accent, cellPadding: { top: 5, bottom: 2, left: 2.5, right: 2.5 } },
+      }];
+    }
+    if (entry.type === 'option-total') {
+      return [{
+        content: `${t('doc.optionTotal', { name: entry.label })}  ${formatPrice(entry.amount)}`,
+        colSpan: columns.length,
+        styles: { halign: 'right', minCellHeight: 11, fontSize: 11, textColor: style.accent },
+      }];
+    }
+    if (entry.type === 'subtotal') {
+      return [{
+        content: `${t('doc.sectionSubtotal', { name: entry.label })}  ${formatPrice(entry.amount)}`,
+        colSpan: columns.length,
+        styles: { halign: 'right', minCellHeight: 9, fontSize: 8.5, textColor: style.strong },
+      }];
+    }
+    if (entry.type === 'bundle-price') {
+      return [{
+        content: `${t('doc.setPrice', { name: entry.bundle.name })}  ${t('doc.listPrice')} ${formatPrice(entry.listTotal)}  →  ${formatPrice(entry.price)}`,
+        colSpan: columns.length,
+        styles: { halign: 'right', minCellHeight: 9, fontSize: 8.5, textColor: style.accent },
+      }];
+    }
+    if (entry.type === 'bundle') {
+      return columns.map(c => {
+        switch (c.key) {
+          case 'name': return `${entry.bundle.name}\n[${t('doc.set')}]`;
+          case 'model': return entry.items.map(i => i.model).join('\n');
+          case 'retail': return formatPrice(entry.retail);
+          case 'package': return formatPrice(entry.packagePrice);
+          case 'discount': return formatPrice(entry.price);
+          case 'total': return formatPrice(entry.price);
+          case 'features': return describeBundleItems(entry.items, language);
+          case 'quantity': return t('doc.oneSet');
+          default: return c.field ? entry.items.map(i => i[c.key] || '—').join('\n') : '';
+        }
+      });
+    }
+    const { item } = entry;
+    const isCustom = isCustomLine(item);
+    const text = localizeProduct(item, language);
+    return columns.map(c => {
+      switch (c.key) {
+        case 'name': return text.name.join('\n');
+        case 'model': return isCustom ? '—' : item.model;
+        case 'retail': return formatPrice(item.price_retail);
+        case 'package': return isCustom ? '—' : formatPrice(getBasePrice(item, true));
+        case 'discount': return item.isFree ? t('doc.free') : formatPrice(getLinePrice(item, entry.usePackage));
+        case 'total': {
+          if (item.isFree) return t('doc.free');
+          const total = getLineTotal(item, entry.usePackage);
+          return total === null ? '—' : formatPrice(total);
+        }
+        case 'features': return text.features.map(f => f.replace(/\n/g, ' ')).join('\n');
+        case 'quantity': return formatQuantity(item);
+        default: return c.field ? String((!isCustom && item[c.key]) || '—') : '';
+      }
+    });
+  };
+
+  const tableOptions = (chunk, startY) => ({
+    startY,
+    head: [columns.map(c => c.title)],
+    body: chunk.map(toRow),
+    theme: 'plain',
+    showHead: 'everyPage',
+    rowPageBreak: 'avoid',
+    margin: TABLE_MARGIN,
+    styles: { font: FONT, fontStyle: 'normal', fontSize: 8, textColor: style.text, cellPadding: 2.5, valign: 'middle', halign: 'center', overflow: 'linebreak' },
+    headStyles: { fillColor: style.headFill, textColor: style.headText, fontSize: 8.5, minCellHeight: 10 },
+    bodyStyles: { minCellHeight: 24 },
+    columnStyles: Object.fromEntries(columns.map((c, i) => [i, {
+      cellWidth: contentWidth * c.width / totalWeight,
+      halign: c.halign || 'center',
+      ...(c.key === 'name' ? { textColor: style.strong } : {}),
+      ...(c.key === 'features' ? { fontSize: 6.5 } : {}),
+      ...(c.key === 'discount' ? { textColor: style.accent, fontSize: 9.5 } : {}),
+      ...(c.key === 'total' ? { textColor: style.strong, fontSize: 9 } : {}),
+    }])),
+    willDrawPage: paintBackground,
+    didDrawCell: (data) => {
+      const { cell, section, column, row } = data;
+      const entry = section === 'body' ? chunk[row.index] : null;
+      let rule = section === 'head' ? style.headRule : style.rowRule;
+      if (isHeader(entry)) rule = Math.max(style.headRule, 0.4);
+      if (entry?.type === 'subtotal' || entry?.type === 'option-total') rule = 0;
+      if (rule) {
+        doc.setDrawColor(style.line);
+        doc.setLineWidth(rule);
+        doc.line(cell.x, cell.y + cell.height, cell.x + cell.width, cell.y + cell.height);
+      }
+      const imageItem = entry?.type === 'bundle' ? entry.items.find(i => images.get(i.image)) : entry?.item;
+      const image = imageItem && column.index === imageColumn && images.get(imageItem.image);
+      if (image) {
+        const size = Math.min(cell.width - 4, cell.height - 4, 20);
+        const x = cell.x + (cell.width - size) / 2;
+        const y = cell.y + (cell.height - size) / 2;
+        doc.setFillColor('#ffffff');
+        doc.setDrawColor(style.line);
+        doc.setLineWidth(0.2);
+        doc.roundedRect(x, y, size, size, 1, 1, 'FD');
+        drawImageFit(doc, image, x + 1, y + 1, size - 2, size - 2);
+      }
+    },
+    didParseCell: (data) => {
+      if (data.section !== 'body') return;
+      const entry = chunk[data.row.index];
+      if (!isLine(entry)) data.cell.styles.fontStyle = 'bold';
+      if (isLine(entry) && data.column.index === discountColumn) data.cell.styles.fontStyle = 'bold';
+      if (isLine(entry) && entry.stripe && style.stripe) data.cell.styles.fillColor = style.stripe;
+      if (entry.type === 'item' && isCustomLine(entry.item)) data.cell.styles.minCellHeight = 12;
+    },
+  });
+
+  // autoTable has no "keep with next", so lay the rows out the way it will
+  // (rowPageBreak 'avoid', head repeated on every page) and return the first
+  // section header that would end up on a page without its first rows.
+  const findOrphanedHeader = (chunk, startY, skipFirst) => {
+    const table = __createTable(doc, tableOptions(chunk, startY));
+    const headHeight = table.getHeadHeight(table.columns);
+    const limit = pageHeight - TABLE_MARGIN.bottom;
+    let y = startY + headHeight > limit ? TABLE_MARGIN.top + headHeight : startY + headHeight;
+    for (let i = 0; i < chunk.length; i++) {
+      const height = table.body[i].height;
+      if (y + height > limit) y = TABLE_MARGIN.top + headHeight;
+      if (isHeader(chunk[i]) && !isHeader(chunk[i - 1]) && !(skipFirst && i === 0)) {
+        // Headers directly below (an option's first section) count as part of this one
+        let kept = 0;
+        for (let j = i + 1, lines = 0; lines < KEEP_WITH_HEADER && (isHeader(chunk[j]) || isLine(chunk[j])); j++) {
+          kept += table.body[j].height;
+          if (isLine(chunk[j])) lines++;
+        }
+        if (y + height + kept > limit) return i;
+      }
+      y += height;
+    }
+    return -1;
+  };
+
+  // Draw the body in chunks, starting a new page before any orphaned header
+  let remaining = entries;
+  let startY = infoTop + 34;
+  let freshPage = false;
+  do {
+    const cut = findOrphanedHeader(remaining, startY, freshPage);
+    if (cut === 0) {
+      addPage();
+      startY = TABLE_MARGIN.top;
+      freshPage = true;
+      continue;
+    }
+    const chunk = cut === -1 ? remaining : remaining.slice(0, cut);
+    autoTable(doc, tableOptions(chunk, startY));
+    remaining = remaining.slice(chunk.length);
+    if (remaining.length > 0) {
+      addPage();
+      startY = TABLE_MARGIN.top;
+      freshPage = true;
+    }
+  } while (remaining.length > 0);
+
+  // Terms footer: payment / delivery, then each text block. Bullets sit in two
+  // columns when they fit on one line. With draw = false only the height is measured;
+  // when drawing, very long terms continue on a new page.
+  const right = pageWidth - MARGIN;
+  const termsWidth = contentWidth - (qrImage ? 36 : 0);
+  const drawTerms = (top, draw) => {
+    let y = top;
+    const ensureRoom = (height) => {
+      if (draw && y + height > pageHeight - FOOTER_HEIGHT - 4) {
+        addPage();
+        y = 20;
+      }
+    };
+    const keyRows = [[t('doc.payment'), terms?.payment], [t('doc.delivery'), terms?.delivery]].filter(([, value]) => value);
+    doc.setFontSize(7.5);
+    const labelWidth = Math.max(16, ...keyRows.map(([label]) => doc.getTextWidth(label) + 3));
+    keyRows.forEach(([label, value]) => {
+      doc.setFontSize(7.5);
+      const wrapped = doc.splitTextToSize(value, termsWidth - labelWidth);
+      ensureRoom(wrapped.length * 4);
+      if (draw) {
+        doc.setTextColor(style.sub);
+        doc.text(label, MARGIN, y + 3);
+        doc.setTextColor(style.text);
+        doc.text(wrapped, MARGIN + labelWidth, y + 3);
+      }
+      y += wrapped.length * 4 + 1;
+    });
+    (terms?.blocks || []).forEach(block => {
+      y += 3;
+      if (block.title) {
+        ensureRoom(10);
+        if (draw) {
+          doc.setFontSize(8);
+          doc.setTextColor(style.strong);
+          doc.text(block.title, MARGIN, y + 3, { charSpace: 0.3 });
+        }
+        y += 6;
+      }
+      doc.setFontSize(7);
+      const lines = parseTermsBody(block.body);
+      const twoColumns = lines.every(line => line.type === 'bullet' && doc.getTextWidth(line.text) < BULLET_COLUMN - 5);
+      const rows = twoColumns
+        ? Array.from({ length: Math.ceil(lines.length / 2) }, (_, i) => lines.slice(i * 2, i * 2 + 2).map(line => ({ line, wrapped: [line.text] })))
+        : lines.map(line => [{ line, wrapped: doc.splitTextToSize(line.text, termsWidth - (line.type === 'bullet' ? 3 : 0)) }]);
+      rows.forEach(row => {
+        const height = Math.max(...row.map(cell => cell.wrapped.length)) * 3.8 + 1.2;
+        ensureRoom(height);
+        if (draw) {
+          doc.setFontSize(7);
+          doc.setTextColor(style.sub);
+          row.forEach(({ line, wrapped }, column) => {
+            const x = MARGIN + column * BULLET_COLUMN;
+            if (line.type === 'bullet') {
+              doc.setFillColor(style.sub);
+              doc.circle(x + 0.6, y + 2, 0.4, 'F');
+            }
+            doc.text(wrapped, x + (line.type === 'bullet' ? 2.5 : 0), y + 3);
+          });
+        }
+        y += height;
+      });
+    });
+    return y - top;
+  };
+
+  // 4. Adjustments and Total (or the option comparison), terms — kept together on one page when they fit
+  const rows = pricing?.rows || [];
+  const footerHeight = Math.max(footer.terms ? drawTerms(0, false) : 0, qrImage ? 30 : 0) + 10;
+  const summaryHeight = Math.min(
+    (options
+      ? (options.length + 1) * 7 + 14
+      : (rows.length > 0 ? (rows.length + 1) * 5 + 4 : 0) + 24) + footerHeight,
+    pageHeight - FOOTER_HEIGHT - 20
+  );
+  let y = doc.lastAutoTable.finalY + 8;
+  if (y + summaryHeight > pageHeight - FOOTER_HEIGHT) {
+    addPage();
+    y = 20;
+  }
+
+  if (options) {
+    doc.setFontSize(7);
+    doc.setTextColor(style.sub);
+    doc.text(t('doc.comparison').toUpperCase(), MARGIN, y + 3, { charSpace: 0.5 });
+    autoTable(doc, {
+      startY: y + 5,
+      head: [[t('doc.option'), t('doc.itemCount'), t('doc.retailTotal'), t('doc.optionPrice'), t('doc.difference')]],
+      body: options.map(({ option, count, pricing: optionPricing, difference }) => [
+        option.name,
+        t('doc.pieces', { count }),
+        formatPrice(optionPricing.retailTotal),
+        formatPrice(optionPricing.grandTotal),
+        difference > 0 ? `+${formatPrice(difference)}` : t('doc.lowest'),
+      ]),
+      theme: 'plain',
+      margin: { left: MARGIN, right: MARGIN },
+      styles: { font: FONT, fontStyle: 'normal', fontSize: 8, textColor: style.text, cellPadding: 2, halign: 'right' },
+      headStyles: { textColor: style.sub },
+      columnStyles: { 0: { halign: 'left', textColor: style.strong, fontStyle: 'bold' }, 1: { halign: 'center' }, 3: { textColor: style.accent, fontStyle: 'bold', fontSize: 9.5 } },
+      willDrawPage: paintBackground,
+      didDrawCell: ({ cell }) => {
+        doc.setDrawColor(style.line);
+        doc.setLineWidth(0.2);
+        doc.line(cell.x, cell.y + cell.height, cell.x + cell.width, cell.y + cell.height);
+      },
+    });
+    y = doc.lastAutoTable.finalY + 4;
+  } else {
+    if (rows.length > 0) {
+      const left = right - 75;
+      doc.setFontSize(8);
+      doc.setTextColor(style.sub);
+      doc.text(t('doc.subtotal'), left, y);
+      doc.setTextColor(style.text);
+      doc.text(formatPrice(pricing.subtotal), right, y, { align: 'right' });
+      rows.forEach(row => {
+        y += 5;
+        doc.setTextColor(style.sub);
+        doc.text(describeTotalsRow(row, t), left, y);
+        doc.setTextColor(style.accent);
+        doc.text(`${row.amount < 0 ? '-' : '+'}${formatPrice(Math.abs(row.amount))}`, right, y, { align: 'right' });
+      });
+      y += 8;
+    }
+
+    doc.setFontSize(7);
+    doc.setTextColor(style.sub);
+    doc.text(t('doc.total').toUpperCase(), right, y, { align: 'right', charSpace: 0.8 });
+    doc.setFontSize(26);
+    doc.setTextColor(style.accent);
+    doc.text(formatPrice(pricing?.grandTotal ?? 0), right, y + 11, { align: 'right' });
+    y += 16;
+    if (pricing?.savings > 0) {
+      doc.setFontSize(8);
+      doc.setTextColor(style.sub);
+      doc.text(`${t('doc.retailTotal')} ${formatPrice(pricing.retailTotal)}  ${t('doc.savings')} ${formatPrice(pricing.savings)}`, right, y, { align: 'right' });
+    }
+  }
+
+  const footerTop = Math.max(y + 8, pageHeight - FOOTER_HEIGHT - footerHeight - 4);
+  doc.setDrawColor(style.line);
+  doc.setLineWidth(0.3);
+  doc.line(MARGIN, footerTop, right, footerTop);
+  if (qrImage) {
+    drawImageFit(doc, qrImage, right - 30, footerTop + 3, 30, 30);
+  }
+  if (footer.terms) drawTerms(footerTop + 2, true);
+
+  // 5. Per-page footer: dealer, page number and the brand bar, plus the watermark on an expired quote
+  const pageCount = doc.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    if (expired) {
+      const angle = 30;
+      doc.saveGraphicsState();
+      doc.setGState(new doc.GState({ opacity: 0.15 }));
+      const mark = t('doc.expired').toUpperCase();
+      doc.setFontSize(96);
+      doc.setFontSize(96 * Math.min(1, 200 / doc.getTextWidth(mark))); // keep the bilingual mark on the page
+      doc.setTextColor('#dc2626');
+      // Rotated text is anchored at its start; offset it so the word is centred on the page
+      const half = doc.getTextWidth(mark) / 2;
+      const radians = angle * Math.PI / 180;
+      doc.text(mark, pageWidth / 2 - half * Math.cos(radians), pageHeight / 2 + half * Math.sin(radians), { angle });
+      doc.restoreGraphicsState();
+    }
+    doc.setFontSize(7);
+    doc.setTextColor(style.sub);
+    doc.text(`${dealerInfo.name}  ${dealerInfo.phone}`, MARGIN, pageHeight - 12);
+    doc.text(`${page} / ${pageCount}`, right, pageHeight - 12, { align: 'right' });
+    if (footer.bar) {
+      doc.setFillColor(style.barFill);
+      doc.rect(0, pageHeight - 7, pageWidth, 7, 'F');
+      doc.setFontSize(5.5);
+      doc.setTextColor(style.barText);
+      doc.text(footer.barText.toUpperCase(), pageWidth / 2, pageHeight - 2.8, { align: 'center', charSpace: 1.2 });
+    }
+  }
+
+  return doc;
+};
@@ -0,0 +1,15 @@
+import { StrictMode } from 'react'
+import { createRoot } from 'react-dom/client'
+import './index.css'
+import SharedQuoteView from './components/SharedQuoteView.jsx'
+import { readSharedQuote } from './utils/share'
+import { createTranslator } from './utils/i18n'
+
+// Entry of shared quote files (see utils/share): only the read-only view, without the shop or its catalog
+const quote = readSharedQuote()
+
+createRoot(document.getElementById('root')).render(
+  <StrictMode>
+    {quote ? <SharedQuoteView quote={quote} /> : <p className="p-8 text-center text-sm text-gray-400">{createTranslator('bilingual')('share.noQuote')}</p>}
+  </StrictMode>,
+)
@@ -0,0 +1,14 @@
+import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+
+// The shared quote viewer (viewer.html) as a build of its own, next to the app in dist/:
+// one script without the product catalog, which utils/share packs into shared quote files
+export default defineConfig({
+  plugins: [react()],
+  build: {
+    emptyOutDir: false,
+    rollupOptions: {
+      input: 'viewer.html',
+    },
+  },
+})